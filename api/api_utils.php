@@ -28,7 +28,8 @@ function setup_api_headers() {
     header('Content-Type: application/json; charset=utf-8');
     header('Access-Control-Allow-Origin: *');
     header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
-    header('Access-Control-Allow-Headers: Content-Type');
+    header('Access-Control-Allow-Headers: Content-Type, If-Match');
+    header('Access-Control-Expose-Headers: ETag');
     if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
         http_response_code(204);
         exit;
@@ -96,6 +97,25 @@ function write_json_file_with_log($file, $data, $logger = null, $type = 'data')
     }
 }
 
+// Exclusive lock for a read-check-write of a data file, so what was checked (e.g. by
+// require_prompt_version) still holds when the change is written. It is taken on a `.lock` file next
+// to the data file, which writes replace; PHP releases it when the request ends if unlock_data_file()
+// is not called first (e.g. after send_json()).
+function lock_data_file($file, $logger = null) {
+    $fp = fopen($file . '.lock', 'c');
+    if (!$fp || !flock($fp, LOCK_EX)) {
+        if ($logger) $logger->error('FILE_LOCK', "Failed to acquire exclusive lock for updating", ['file' => $file]);
+        if ($fp) fclose($fp);
+        send_json(['ok' => false, 'error' => 'Failed to lock the data file'], 500);
+    }
+    return $fp;
+}
+
+function unlock_data_file($lock) {
+    flock($lock, LOCK_UN);
+    fclose($lock);
+}
+
 // Validate array/object against a schema (field => type)
 function validate_schema($data, $schema) {
     $errors = [];
@@ -123,6 +143,253 @@ function validate_schema($data, $schema) {
     return $errors;
 }
 
+// Validate and normalize a prompt's template variable declarations
+// (mirrors SCHEMAS.variable in js/util/dataValidator.js).
+// Returns [$variables, $errors]; $variables only contains the known keys.
+function sanitize_prompt_variables($variables) {
+    $types = ['text', 'multiline', 'number', 'enum', 'boolean'];
+    $clean = [];
+    $errors = [];
+    $seen = [];
+    if (!is_array($variables)) {
+        return [[], ["Field 'variables' must be an array"]];
+    }
+    foreach ($variables as $idx => $var) {
+        if (!is_array($var)) {
+            $errors[] = "Variable $idx must be an object";
+            continue;
+        }
+        $name = isset($var['name']) && is_string($var['name']) ? trim($var['name']) : '';
+        if (!preg_match('/^[a-zA-Z_][\w.-]{0,59}$/', $name)) {
+            $errors[] = "Variable $idx has an invalid name";
+            continue;
+        }
+        if (isset($seen[$name])) {
+            $errors[] = "Variable '$name' is declared more than once";
+            continue;
+        }
+        $seen[$name] = true;
+        $type = isset($var['type']) && in_array($var['type'], $types, true) ? $var['type'] : null;
+        if ($type === null) {
+            $errors[] = "Variable '$name' has an invalid type";
+            continue;
+        }
+        $entry = [
+            'name' => $name,
+            'type' => $type,
+            'required' => !empty($var['required']),
+            'description' => isset($var['description']) && is_string($var['description']) ? mb_substr(trim($var['description']), 0, 500) : '',
+        ];
+        if ($type === 'enum') {
+            $options = [];
+            foreach ((isset($var['options']) && is_array($var['options']) ? $var['options'] : []) as $opt) {
+                if (is_string($opt) && trim($opt) !== '') $options[] = mb_substr(trim($opt), 0, 200);
+            }
+            if (!count($options)) {
+                $errors[] = "Enum variable '$name' must list at least one option";
+                continue;
+            }
+            $entry['options'] = array_values(array_unique($options));
+        }
+        if (array_key_exists('default', $var) && $var['default'] !== null && $var['default'] !== '') {
+            $default = $var['default'];
+            if ($type === 'number') {
+                if (!is_numeric($default)) {
+                    $errors[] = "Default for '$name' must be a number";
+                    continue;
+                }
+                $default = $default + 0;
+            } elseif ($type === 'boolean') {
+                $default = ($default === true || $default === 'true');
+            } elseif ($type === 'enum') {
+                if (!in_array($default, $entry['options'], true)) {
+                    $errors[] = "Default for '$name' must be one of its options";
+                    continue;
+                }
+            } elseif (!is_string($default)) {
+                $errors[] = "Default for '$name' must be a string";
+                continue;
+            }
+            $entry['default'] = $default;
+        }
+        $clean[] = $entry;
+    }
+    return [$clean, $errors];
+}
+
+// Validate and normalize a prompt's output assertions (regression checks run on every added result;
+// see js/util/resultAssertions.js). Returns [$assertions, $errors].
+function sanitize_prompt_assertions($assertions) {
+    $textTypes = ['contains', 'not_contains', 'regex'];
+    $types = array_merge($textTypes, ['json', 'json_schema', 'max_length']);
+    $clean = [];
+    $errors = [];
+    if (!is_array($assertions)) {
+        return [[], ["Field 'assertions' must be an array"]];
+    }
+    if (count($assertions) > 50) {
+        return [[], ['At most 50 assertions are allowed']];
+    }
+    foreach (array_values($assertions) as $idx => $assertion) {
+        $n = $idx + 1;
+        $type = is_array($assertion) && isset($assertion['type']) && in_array($assertion['type'], $types, true) ? $assertion['type'] : null;
+        if ($type === null) {
+            $errors[] = "Assertion $n has an invalid type";
+            continue;
+        }
+        $id = isset($assertion['id']) && is_string($assertion['id']) && preg_match('/^[\w.-]{1,40}$/', $assertion['id'])
+            ? $assertion['id']
+            : uniqid('assert_');
+        $entry = ['id' => $id, 'type' => $type];
+        $value = $assertion['value'] ?? null;
+        if (in_array($type, $textTypes, true)) {
+            if (!is_string($value) || $value === '' || mb_strlen($value) > 2000) {
+                $errors[] = "Assertion $n needs a text value of at most 2000 characters";
+                continue;
+            }
+            $entry['value'] = $value;
+            $entry['case_sensitive'] = !empty($assertion['case_sensitive']);
+        } elseif ($type === 'json_schema') {
+            $schema = is_string($value) ? json_decode($value, true) : $value;
+            if (!is_array($schema)) {
+                $errors[] = "Assertion $n needs a JSON schema object";
+                continue;
+            }
+            $entry['value'] = $schema;
+        } elseif ($type === 'max_length') {
+            if (!is_numeric($value) || (int)$value < 1 || (float)$value != (int)$value) {
+                $errors[] = "Assertion $n needs a positive whole number";
+                continue;
+            }
+            $entry['value'] = (int)$value;
+        }
+        $clean[] = $entry;
+    }
+    return [$clean, $errors];
+}
+
+// Optimistic concurrency for prompts: every write bumps `version`, which is also sent as the
+// ETag ("<version>"). Editors send it back as If-Match and get 409 if someone saved in between.
+// Prompts stored before versioning count as version 1.
+function prompt_version($prompt) {
+    return isset($prompt['version']) ? max(1, (int)$prompt['version']) : 1;
+}
+
+function prompt_etag($prompt) {
+    return '"' . prompt_version($prompt) . '"';
+}
+
+// Version named by the If-Match header: null when there is none (or "*"), -1 when it cannot be parsed
+function requested_prompt_version() {
+    $header = trim($_SERVER['HTTP_IF_MATCH'] ?? '');
+    if ($header === '' || $header === '*') return null;
+    return preg_match('/^(?:W\/)?"?(\d+)"?$/', $header, $m) ? (int)$m[1] : -1;
+}
+
+// Stop with 409 and the stored prompt if the client edited an older version than the one stored
+function require_prompt_version($current, $logger = null) {
+    $expected = requested_prompt_version();
+    if ($expected === null || $expected === prompt_version($current)) return;
+    if ($logger) {
+        $logger->log('WARN', 'PROMPT_VERSION_CONFLICT', null, [
+            'id' => $current['id'] ?? null,
+            'expected' => $expected,
+            'current' => prompt_version($current)
+        ]);
+    }
+    $current['version'] = prompt_version($current);
+    header('ETag: ' . prompt_etag($current));
+    send_json([
+        'ok' => false,
+        'error' => 'This prompt was changed by someone else after you opened it',
+        'code' => 'version_conflict',
+        'current' => $current
+    ], 409);
+}
+
+// Prompt fields tracked by revision history (everything a user can edit)
+function prompt_revision_fields() {
+    return ['title', 'content', 'description', 'author', 'category', 'tags', 'variables', 'assertions'];
+}
+
+// Helper: Copy the tracked fields of a prompt
+function prompt_revision_snapshot($prompt) {
+    $snapshot = [];
+    foreach (prompt_revision_fields() as $field) {
+        $snapshot[$field] = $prompt[$field] ?? (in_array($field, ['tags', 'variables', 'assertions'], true) ? [] : '');
+    }
+    return $snapshot;
+}
+
+// Record a revision of a prompt in revisions.json after it was created or changed.
+// $before is the prompt as it was before the change (null for a new prompt). Prompts that
+// predate revision history get their previous state stored first so it is not lost.
+// Returns the new revision, or null when no tracked field changed. revisions.json is locked from
+// the read through the write, so concurrent saves neither lose a revision nor share a number.
+function record_prompt_revision($before, $after, $author, $logger = null, $note = '') {
+    $file = __DIR__ . '/../revisions.json';
+    $snapshot = prompt_revision_snapshot($after);
+    $previous = $before === null ? null : prompt_revision_snapshot($before);
+    $changed = [];
+    foreach (prompt_revision_fields() as $field) {
+        if ($previous === null || $previous[$field] !== $snapshot[$field]) $changed[] = $field;
+    }
+    if (!count($changed)) return null;
+    $lock = lock_data_file($file, $logger);
+    $revisions = read_json_file_with_log($file, $logger, 'revisions');
+    $number = 0;
+    foreach ($revisions as $r) {
+        if (($r['prompt_id'] ?? null) === $after['id']) $number = max($number, (int)($r['revision'] ?? 0));
+    }
+    if ($before !== null && $number === 0) {
+        $revisions[] = [
+            'id' => uniqid('rev_', true),
+            'prompt_id' => $after['id'],
+            'revision' => ++$number,
+            'author' => $before['author'] ?? 'Unknown',
+            'created_at' => $before['updated_at'] ?? ($before['created_at'] ?? date('c')),
+            'changed_fields' => [],
+            'note' => 'Version before revision history',
+            'snapshot' => $previous,
+        ];
+    }
+    $revision = [
+        'id' => uniqid('rev_', true),
+        'prompt_id' => $after['id'],
+        'revision' => ++$number,
+        'author' => is_string($author) && trim($author) !== '' ? trim($author) : 'Unknown',
+        'created_at' => date('c'),
+        'changed_fields' => $changed,
+        'note' => $note,
+        'snapshot' => $snapshot,
+    ];
+    $revisions[] = $revision;
+    $written = write_json_file_with_log($file, $revisions, $logger, 'revisions');
+    unlock_data_file($lock);
+    return $written === false ? null : $revision;
+}
+
+// Remove all revisions of a prompt (cascade on prompt delete)
+function delete_prompt_revisions($promptId, $logger = null) {
+    $file = __DIR__ . '/../revisions.json';
+    if (!file_exists($file)) return;
+    $lock = lock_data_file($file, $logger);
+    $revisions = read_json_file_with_log($file, $logger, 'revisions');
+    $filtered = array_values(array_filter($revisions, function($r) use ($promptId) {
+        return !isset($r['prompt_id']) || $r['prompt_id'] !== $promptId;
+    }));
+    write_json_file_with_log($file, $filtered, $logger, 'revisions');
+    unlock_data_file($lock);
+}
+
+// Who is making the request, for crediting revisions: the signed-in user the client sends as
+// `session_user` (window.session.user), or '' when there is none. The prompt's `author` field is
+// who wrote the prompt, not who is changing it.
+function request_session_user($input) {
+    if (!is_array($input) || !isset($input['session_user']) || !is_string($input['session_user'])) return '';
+    return trim(strip_tags($input['session_user']));
+}
+
 // Stub for authentication/authorization (expand as needed)
 function require_auth($role = null) {
     // Example: check session/cookie/token, or always allow for now
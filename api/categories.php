@@ -1,5 +1,6 @@
 <?php
 require_once __DIR__ . '/../Logger.php';
+require_once __DIR__ . '/sync_utils.php';
 
 // Initialize Logger
 $logger = new Logger([
@@ -100,6 +101,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
     $logger->log('INFO', 'GET_CATEGORIES', null, []);
     $categories = read_categories($GLOBALS['DATA_FILE'], $GLOBALS['logger']);
     $logger->log('INFO', 'GET_RETURN', null, ['count' => count($categories)]);
+    $since = requested_since();
+    if ($since === false) send_json(['ok' => false, 'error' => 'Invalid since (use an ISO 8601 time with a time zone)'], 400);
+    if ($since !== null) send_json(delta_response('categories', 'categories', $categories, $since));
     send_json(['ok' => true, 'categories' => $categories]);
 }
 
@@ -186,6 +190,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'DELETE') {
         $logger->error('DELETE_ERROR', 'Failed to write categories after delete', ['id' => $id]);
         send_json(['ok' => false, 'error' => 'Failed to write category'], 500);
     }
+    record_tombstones('categories', [$id], $GLOBALS['logger']);
     $logger->log('INFO', 'DELETE_SUCCESS', null, ['id' => $id]);
     send_json(['ok' => true]);
 }
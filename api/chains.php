@@ -0,0 +1,194 @@
+<?php
+require_once __DIR__ . '/../Logger.php';
+require_once __DIR__ . '/api_utils.php';
+
+// Setup headers and error handling
+setup_api_headers();
+set_exception_handler(function($e) {
+    send_fatal_json_error('Server error: ' . $e->getMessage(), 500);
+});
+register_shutdown_function(function() {
+    $err = error_get_last();
+    if ($err && in_array($err['type'], [E_ERROR, E_PARSE, E_CORE_ERROR, E_COMPILE_ERROR])) {
+        send_fatal_json_error('Fatal error: ' . $err['message'], 500);
+    }
+});
+
+// Initialize Logger
+$logger = new Logger([
+    'log_path' => __DIR__ . '/../db-'.date('Y-m-d').'.log',
+    'log_level' => 'DEBUG',
+    'log_perms' => 0640,
+    'log_days' => 14
+], [
+    'api' => 'chains.php',
+    'request_method' => $_SERVER['REQUEST_METHOD'] ?? '',
+    'uri' => $_SERVER['REQUEST_URI'] ?? '',
+    'query' => $_SERVER['QUERY_STRING'] ?? '',
+    'ip' => $_SERVER['REMOTE_ADDR'] ?? ''
+]);
+
+$DATA_FILE = __DIR__ . '/../chains.json';
+
+// Helper: Validate and normalize chain steps.
+// Each step runs one prompt; `input_variable` names the variable of that prompt
+// that receives the previous step's output (empty for the first step).
+// Returns [$steps, $errors].
+function sanitize_chain_steps($steps) {
+    $clean = [];
+    $errors = [];
+    if (!is_array($steps) || !count($steps)) {
+        return [[], ['A chain needs at least one step']];
+    }
+    foreach (array_values($steps) as $idx => $step) {
+        $n = $idx + 1;
+        if (!is_array($step) || !isset($step['prompt_id']) || !is_string($step['prompt_id']) || trim($step['prompt_id']) === '') {
+            $errors[] = "Step $n is missing a prompt";
+            continue;
+        }
+        $inputVariable = isset($step['input_variable']) && is_string($step['input_variable']) ? trim($step['input_variable']) : '';
+        if ($inputVariable !== '' && !preg_match('/^[a-zA-Z_][\w.-]{0,59}$/', $inputVariable)) {
+            $errors[] = "Step $n has an invalid input variable";
+            continue;
+        }
+        $clean[] = [
+            'prompt_id' => trim($step['prompt_id']),
+            'input_variable' => $idx === 0 ? '' : $inputVariable,
+        ];
+    }
+    return [$clean, $errors];
+}
+
+// Helper: Report step prompts that do not exist
+function missing_step_prompts($steps, $logger) {
+    $prompts = read_json_file_with_log(__DIR__ . '/../prompts.json', $logger, 'prompts');
+    $ids = [];
+    foreach ($prompts as $p) {
+        if (isset($p['id'])) $ids[$p['id']] = true;
+    }
+    $missing = [];
+    foreach ($steps as $step) {
+        if (!isset($ids[$step['prompt_id']])) $missing[] = $step['prompt_id'];
+    }
+    return array_values(array_unique($missing));
+}
+
+// GET /api/chains[?id=...|?prompt_id=...|?category=...|?tag=...] - fetch one chain or list chains
+if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+    require_auth();
+    $chains = read_json_file_with_log($DATA_FILE, $logger, 'chains');
+    if (isset($_GET['id']) && trim($_GET['id']) !== '') {
+        $id = trim($_GET['id']);
+        foreach ($chains as $chain) {
+            if (isset($chain['id']) && $chain['id'] === $id) {
+                send_json(['ok' => true, 'chain' => $chain]);
+            }
+        }
+        send_json(['ok' => false, 'error' => 'Chain not found'], 404);
+    }
+    $category = isset($_GET['category']) ? trim($_GET['category']) : '';
+    $tag = isset($_GET['tag']) ? trim($_GET['tag']) : '';
+    $promptId = isset($_GET['prompt_id']) ? trim($_GET['prompt_id']) : '';
+    $chains = array_values(array_filter($chains, function($c) use ($category, $tag, $promptId) {
+        if ($category !== '' && (!isset($c['category']) || $c['category'] !== $category)) return false;
+        if ($tag !== '' && (!isset($c['tags']) || !is_array($c['tags']) || !in_array($tag, $c['tags'], true))) return false;
+        if ($promptId !== '') {
+            $uses = false;
+            foreach ($c['steps'] ?? [] as $step) {
+                if (($step['prompt_id'] ?? null) === $promptId) $uses = true;
+            }
+            if (!$uses) return false;
+        }
+        return true;
+    }));
+    send_json(['ok' => true, 'chains' => $chains]);
+}
+
+// POST /api/chains - create a chain
+if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+    require_auth();
+    $input = json_decode(file_get_contents('php://input'), true);
+    if (
+        !is_array($input) ||
+        !isset($input['title']) ||
+        !is_string($input['title']) ||
+        trim($input['title']) === '' ||
+        !isset($input['steps'])
+    ) {
+        send_json(['ok' => false, 'error' => 'Missing or invalid required fields (title, steps)'], 400);
+    }
+    [$steps, $stepErrors] = sanitize_chain_steps($input['steps']);
+    if (count($stepErrors)) send_json(['ok' => false, 'error' => 'Invalid steps', 'details' => $stepErrors], 400);
+    $missing = missing_step_prompts($steps, $logger);
+    if (count($missing)) send_json(['ok' => false, 'error' => 'Unknown prompts in steps', 'details' => $missing], 400);
+    $chains = read_json_file_with_log($DATA_FILE, $logger, 'chains');
+    $newChain = [
+        'id' => uniqid('chain_', true),
+        'title' => trim($input['title']),
+        'description' => isset($input['description']) && is_string($input['description']) ? trim($input['description']) : '',
+        'category' => isset($input['category']) && is_string($input['category']) ? trim($input['category']) : '',
+        'tags' => isset($input['tags']) && is_array($input['tags']) ? array_values($input['tags']) : [],
+        'steps' => $steps,
+        'author' => isset($input['author']) ? trim($input['author']) : 'Unknown',
+        'created_at' => date('c'),
+        'updated_at' => date('c'),
+    ];
+    $chains[] = $newChain;
+    if (write_json_file_with_log($DATA_FILE, $chains, $logger, 'chains') === false) {
+        send_json(['ok' => false, 'error' => 'Failed to write chain'], 500);
+    }
+    send_json(['ok' => true, 'chain' => $newChain], 201);
+}
+
+// PUT /api/chains?id=... - update a chain
+if ($_SERVER['REQUEST_METHOD'] === 'PUT') {
+    require_auth();
+    parse_str($_SERVER['QUERY_STRING'] ?? '', $params);
+    $id = $params['id'] ?? null;
+    if (!$id) send_json(['ok' => false, 'error' => 'Missing id'], 400);
+    $input = json_decode(file_get_contents('php://input'), true);
+    if (!is_array($input)) send_json(['ok' => false, 'error' => 'Invalid input'], 400);
+    if (array_key_exists('steps', $input)) {
+        [$steps, $stepErrors] = sanitize_chain_steps($input['steps']);
+        if (count($stepErrors)) send_json(['ok' => false, 'error' => 'Invalid steps', 'details' => $stepErrors], 400);
+        $missing = missing_step_prompts($steps, $logger);
+        if (count($missing)) send_json(['ok' => false, 'error' => 'Unknown prompts in steps', 'details' => $missing], 400);
+    }
+    $chains = read_json_file_with_log($DATA_FILE, $logger, 'chains');
+    $updatedChain = null;
+    foreach ($chains as &$chain) {
+        if ($chain['id'] === $id) {
+            if (isset($input['title']) && is_string($input['title']) && trim($input['title']) !== '') $chain['title'] = trim($input['title']);
+            if (array_key_exists('description', $input)) $chain['description'] = is_string($input['description']) ? trim($input['description']) : '';
+            if (isset($input['category']) && is_string($input['category'])) $chain['category'] = trim($input['category']);
+            if (isset($input['tags']) && is_array($input['tags'])) $chain['tags'] = array_values($input['tags']);
+            if (isset($input['author'])) $chain['author'] = trim($input['author']);
+            if (array_key_exists('steps', $input)) $chain['steps'] = $steps;
+            $chain['updated_at'] = date('c');
+            $updatedChain = $chain;
+            break;
+        }
+    }
+    unset($chain);
+    if (!$updatedChain) send_json(['ok' => false, 'error' => 'Chain not found'], 404);
+    if (write_json_file_with_log($DATA_FILE, $chains, $logger, 'chains') === false) {
+        send_json(['ok' => false, 'error' => 'Failed to write chain'], 500);
+    }
+    send_json(['ok' => true, 'chain' => $updatedChain]);
+}
+
+// DELETE /api/chains?id=... - delete a chain
+if ($_SERVER['REQUEST_METHOD'] === 'DELETE') {
+    require_auth();
+    parse_str($_SERVER['QUERY_STRING'] ?? '', $params);
+    $id = $params['id'] ?? null;
+    if (!$id) send_json(['ok' => false, 'error' => 'Missing id'], 400);
+    $chains = read_json_file_with_log($DATA_FILE, $logger, 'chains');
+    $newChains = array_filter($chains, function($c) use ($id) { return $c['id'] !== $id; });
+    if (count($newChains) === count($chains)) send_json(['ok' => false, 'error' => 'Chain not found'], 404);
+    write_json_file_with_log($DATA_FILE, array_values($newChains), $logger, 'chains');
+    send_json(['ok' => true]);
+}
+
+// Fallback: method not allowed
+send_json(['ok' => false, 'error' => 'Method not allowed'], 405);
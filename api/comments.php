@@ -1,5 +1,6 @@
 <?php
 require_once __DIR__ . '/../Logger.php';
+require_once __DIR__ . '/sync_utils.php';
 
 // Initialize Logger
 $logger = new Logger([
@@ -106,6 +107,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
             return isset($c['prompt_id']) && $c['prompt_id'] === $pid;
         }));
     }
+    $since = requested_since();
+    if ($since === false) send_json(['ok' => false, 'error' => 'Invalid since (use an ISO 8601 time with a time zone)'], 400);
+    if ($since !== null) send_json(delta_response('comments', 'comments', $comments, $since));
     send_json(['ok' => true, 'comments' => $comments]);
 }
 
@@ -195,6 +199,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'DELETE') {
         $logger->error('DELETE_ERROR', 'Failed to write comments after delete', ['id' => $id]);
         send_json(['ok' => false, 'error' => 'Failed to write comment'], 500);
     }
+    record_tombstones('comments', [$id], $GLOBALS['logger']);
     $logger->log('INFO', 'DELETE_SUCCESS', null, ['id' => $id]);
     send_json(['ok' => true]);
 }
@@ -0,0 +1,116 @@
+<?php
+// GET /api/events.php[?since=...] - live updates as Server-Sent Events.
+// Watches the data files and, whenever one changes on disk, sends what changed in that list:
+//   event: change
+//   id: <server time>
+//   data: {"list": "comments", "records": [...], "deleted": ["..."], "full": false}
+// `records` and `deleted` are worked out like `?since=` on the list endpoints (sync_utils.php).
+// A connection lasts LIVE_EVENTS_MAX_SECONDS; EventSource then reconnects by itself and sends the
+// last `id` as Last-Event-ID, so changes made in between are sent on the new connection.
+// The leader tab of each open browser holds one request while connected, so the server needs more
+// than one worker (e.g. PHP_CLI_SERVER_WORKERS=4 with `php -S`); the app only connects when
+// LIVE_UPDATES.enabled is set in js/config.js.
+require_once __DIR__ . '/../Logger.php';
+require_once __DIR__ . '/api_utils.php';
+require_once __DIR__ . '/sync_utils.php';
+
+setup_api_headers();
+
+const LIVE_EVENT_FILES = [
+    'prompts' => 'prompts.json',
+    'comments' => 'comments.json',
+    'results' => 'results.json',
+    'tags' => 'tags.json',
+    'categories' => 'categories.json'
+];
+const LIVE_EVENTS_MAX_SECONDS = 25;
+const LIVE_EVENTS_PING_SECONDS = 10;
+const LIVE_EVENTS_RETRY_MS = 2000;
+
+$logger = new Logger([
+    'log_path' => __DIR__ . '/../db-'.date('Y-m-d').'.log',
+    'log_level' => 'INFO',
+    'log_perms' => 0640,
+    'log_days' => 14
+], [
+    'api' => 'events.php',
+    'request_method' => $_SERVER['REQUEST_METHOD'] ?? '',
+    'uri' => $_SERVER['REQUEST_URI'] ?? '',
+    'query' => $_SERVER['QUERY_STRING'] ?? '',
+    'ip' => $_SERVER['REMOTE_ADDR'] ?? ''
+]);
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') send_json(['ok' => false, 'error' => 'Method not allowed'], 405);
+require_auth();
+
+// A reconnect carries the last event ID; a first connection may pass `since`
+$since = parse_since($_SERVER['HTTP_LAST_EVENT_ID'] ?? null);
+if ($since === null) $since = requested_since();
+if ($since === false) send_json(['ok' => false, 'error' => 'Invalid since (use an ISO 8601 time with a time zone)'], 400);
+if ($since === null) $since = time();
+
+// Changes when the file is rewritten; cheap enough to check every second
+function live_file_signature($file) {
+    clearstatcache(true, $file);
+    return file_exists($file) ? filemtime($file) . ':' . filesize($file) : 'missing';
+}
+
+function send_live_event($event, $data, $id) {
+    echo "id: $id\n";
+    echo "event: $event\n";
+    echo 'data: ' . json_encode($data, JSON_UNESCAPED_UNICODE) . "\n\n";
+    flush();
+}
+
+header('Content-Type: text/event-stream');
+header('Cache-Control: no-cache');
+// Keep nginx and similar proxies from holding events back
+header('X-Accel-Buffering: no');
+while (ob_get_level() > 0) ob_end_flush();
+set_time_limit(LIVE_EVENTS_MAX_SECONDS + 10);
+$logger->log('INFO', 'EVENTS_CONNECTED', null, ['since' => date('c', $since)]);
+echo 'retry: ' . LIVE_EVENTS_RETRY_MS . "\n\n";
+flush();
+
+// Per list: the time its file was last read, and the file signature seen then. Cursors stay a
+// second behind the read so a write landing in the same second is sent again rather than missed.
+$cursors = array_fill_keys(array_keys(LIVE_EVENT_FILES), $since);
+$signatures = [];
+$tombstones = null;
+$started = time();
+$lastSent = $started;
+while (!connection_aborted() && time() - $started < LIVE_EVENTS_MAX_SECONDS) {
+    $checkedAt = time();
+    // Deletes write the data file before the tombstone: a new tombstone means every list is read again
+    $tombstoneSignature = live_file_signature(TOMBSTONE_FILE);
+    $recheckAll = $tombstones !== null && $tombstones !== $tombstoneSignature;
+    $tombstones = $tombstoneSignature;
+    foreach (LIVE_EVENT_FILES as $list => $file) {
+        $path = __DIR__ . '/../' . $file;
+        $signature = live_file_signature($path);
+        if (!$recheckAll && isset($signatures[$list]) && $signatures[$list] === $signature) continue;
+        $signatures[$list] = $signature;
+        $records = read_json_file_with_log($path, $logger, $list);
+        if ($list === 'prompts') {
+            foreach ($records as &$p) $p['version'] = prompt_version($p);
+            unset($p);
+        }
+        $delta = delta_response($list, $list, $records, $cursors[$list], date('c', $checkedAt));
+        $cursors[$list] = $checkedAt - 1;
+        if (!$delta[$list] && !$delta['deleted'] && empty($delta['full'])) continue;
+        send_live_event('change', [
+            'list' => $list,
+            'records' => $delta[$list],
+            'deleted' => $delta['deleted'],
+            'full' => !empty($delta['full'])
+        ], date('c', min($cursors)));
+        $lastSent = time();
+    }
+    // Pings keep proxies from closing an idle connection and move the reconnect point on
+    if (time() - $lastSent >= LIVE_EVENTS_PING_SECONDS) {
+        send_live_event('ping', new stdClass(), date('c', min($cursors)));
+        $lastSent = time();
+    }
+    sleep(1);
+}
+$logger->log('INFO', 'EVENTS_CLOSED', null, ['seconds' => time() - $started]);
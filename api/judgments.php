@@ -0,0 +1,112 @@
+<?php
+require_once __DIR__ . '/../Logger.php';
+require_once __DIR__ . '/api_utils.php';
+
+// Setup headers and error handling
+setup_api_headers();
+set_exception_handler(function($e) {
+    send_fatal_json_error('Server error: ' . $e->getMessage(), 500);
+});
+register_shutdown_function(function() {
+    $err = error_get_last();
+    if ($err && in_array($err['type'], [E_ERROR, E_PARSE, E_CORE_ERROR, E_COMPILE_ERROR])) {
+        send_fatal_json_error('Fatal error: ' . $err['message'], 500);
+    }
+});
+
+// Initialize Logger
+$logger = new Logger([
+    'log_path' => __DIR__ . '/../db-'.date('Y-m-d').'.log',
+    'log_level' => 'DEBUG',
+    'log_perms' => 0640,
+    'log_days' => 14
+], [
+    'api' => 'judgments.php',
+    'request_method' => $_SERVER['REQUEST_METHOD'] ?? '',
+    'uri' => $_SERVER['REQUEST_URI'] ?? '',
+    'query' => $_SERVER['QUERY_STRING'] ?? '',
+    'ip' => $_SERVER['REMOTE_ADDR'] ?? ''
+]);
+
+$DATA_FILE = __DIR__ . '/../judgments.json';
+$RESULTS_FILE = __DIR__ . '/../results.json';
+
+// Pairwise judgments: a reviewer saw two results side by side and picked the better one (or a tie).
+// Each judgment stores both result IDs and the prompts they belonged to at judging time, so prompt
+// rankings survive later edits to results.
+$WINNERS = ['left', 'right', 'tie'];
+
+// GET /api/judgments[?prompt_id=...|?result_id=...] - list judgments (oldest first), optionally involving a prompt or result
+if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+    require_auth();
+    $judgments = read_json_file_with_log($DATA_FILE, $logger, 'judgments');
+    $promptId = isset($_GET['prompt_id']) ? trim($_GET['prompt_id']) : '';
+    $resultId = isset($_GET['result_id']) ? trim($_GET['result_id']) : '';
+    $judgments = array_values(array_filter($judgments, function($j) use ($promptId, $resultId) {
+        if ($promptId !== '' && ($j['left_prompt_id'] ?? null) !== $promptId && ($j['right_prompt_id'] ?? null) !== $promptId) return false;
+        if ($resultId !== '' && ($j['left_result_id'] ?? null) !== $resultId && ($j['right_result_id'] ?? null) !== $resultId) return false;
+        return true;
+    }));
+    usort($judgments, function($a, $b) { return strcmp($a['created_at'] ?? '', $b['created_at'] ?? ''); });
+    send_json(['ok' => true, 'judgments' => $judgments]);
+}
+
+// POST /api/judgments {left_result_id, right_result_id, winner: "left"|"right"|"tie", author?} - record a judgment
+if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+    require_auth();
+    $input = json_decode(file_get_contents('php://input'), true);
+    if (
+        !is_array($input) ||
+        !isset($input['left_result_id'], $input['right_result_id'], $input['winner']) ||
+        !is_string($input['left_result_id']) ||
+        !is_string($input['right_result_id']) ||
+        !in_array($input['winner'], $WINNERS, true)
+    ) {
+        send_json(['ok' => false, 'error' => 'Missing or invalid required fields (left_result_id, right_result_id, winner)'], 400);
+    }
+    $leftId = trim($input['left_result_id']);
+    $rightId = trim($input['right_result_id']);
+    if ($leftId === $rightId) send_json(['ok' => false, 'error' => 'A result cannot be judged against itself'], 400);
+    $results = read_json_file_with_log($RESULTS_FILE, $logger, 'results');
+    $promptOf = [];
+    foreach ($results as $r) {
+        if (isset($r['id'])) $promptOf[$r['id']] = $r['prompt_id'] ?? null;
+    }
+    $missing = array_values(array_filter([$leftId, $rightId], function($id) use ($promptOf) { return !array_key_exists($id, $promptOf); }));
+    if (count($missing)) send_json(['ok' => false, 'error' => 'Unknown results', 'details' => $missing], 400);
+    $judgments = read_json_file_with_log($DATA_FILE, $logger, 'judgments');
+    $judgment = [
+        'id' => uniqid('judg_', true),
+        'left_result_id' => $leftId,
+        'right_result_id' => $rightId,
+        'left_prompt_id' => $promptOf[$leftId],
+        'right_prompt_id' => $promptOf[$rightId],
+        'winner' => $input['winner'],
+        'author' => isset($input['author']) && is_string($input['author']) && trim($input['author']) !== '' ? strip_tags(trim($input['author'])) : 'Unknown',
+        'created_at' => date('c'),
+    ];
+    $judgments[] = $judgment;
+    if (write_json_file_with_log($DATA_FILE, $judgments, $logger, 'judgments') === false) {
+        send_json(['ok' => false, 'error' => 'Failed to write judgment'], 500);
+    }
+    $logger->log('INFO', 'JUDGMENT_CREATED', null, ['id' => $judgment['id'], 'winner' => $judgment['winner']]);
+    send_json(['ok' => true, 'judgment' => $judgment], 201);
+}
+
+// DELETE /api/judgments?id=... - delete a judgment (e.g. a misclick)
+if ($_SERVER['REQUEST_METHOD'] === 'DELETE') {
+    require_auth();
+    parse_str($_SERVER['QUERY_STRING'] ?? '', $params);
+    $id = $params['id'] ?? null;
+    if (!$id) send_json(['ok' => false, 'error' => 'Missing id'], 400);
+    $judgments = read_json_file_with_log($DATA_FILE, $logger, 'judgments');
+    $remaining = array_filter($judgments, function($j) use ($id) { return $j['id'] !== $id; });
+    if (count($remaining) === count($judgments)) send_json(['ok' => false, 'error' => 'Judgment not found'], 404);
+    if (write_json_file_with_log($DATA_FILE, array_values($remaining), $logger, 'judgments') === false) {
+        send_json(['ok' => false, 'error' => 'Failed to write judgments'], 500);
+    }
+    send_json(['ok' => true]);
+}
+
+// Fallback: method not allowed
+send_json(['ok' => false, 'error' => 'Method not allowed'], 405);
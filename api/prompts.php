@@ -1,6 +1,7 @@
 <?php
 require_once __DIR__ . '/../Logger.php';
 require_once __DIR__ . '/api_utils.php';
+require_once __DIR__ . '/sync_utils.php';
 
 // Setup headers and error handling
 setup_api_headers();
@@ -63,6 +64,165 @@ function attach_results_comments($prompt, $resultsArr, $commentsArr, $logger) {
     return $prompt;
 }
 
+// Helper: Point forks of a deleted prompt at its parent so lineage stays connected
+function reparent_forks($prompts, $deletedId, $logger) {
+    $parentId = null;
+    foreach ($prompts as $p) {
+        if ($p['id'] === $deletedId) $parentId = $p['parent_id'] ?? null;
+    }
+    $moved = 0;
+    foreach ($prompts as &$p) {
+        if (($p['parent_id'] ?? null) === $deletedId) {
+            $p['parent_id'] = $parentId;
+            // So delta sync (`since`) sends the new parent
+            $p['updated_at'] = date('c');
+            $moved++;
+        }
+    }
+    unset($p);
+    if ($moved) $logger->log('INFO', 'FORKS_REPARENTED', null, ['deleted_id' => $deletedId, 'parent_id' => $parentId, 'count' => $moved]);
+    return $prompts;
+}
+
+// List queries (GET without id): filter, sort, page and pick fields.
+// js/util/promptQuery.js answers the same queries from the offline cache; keep the two in step.
+const PROMPT_LIST_MAX_LIMIT = 200;
+const PROMPT_SORT_FIELDS = ['title', 'author', 'created_at', 'updated_at'];
+const PROMPT_DATE_FIELDS = ['created_at', 'updated_at'];
+
+function prompt_query_param($get, $key) {
+    return isset($get[$key]) && is_string($get[$key]) ? trim($get[$key]) : '';
+}
+
+function lower_text($value) {
+    $value = is_string($value) ? $value : '';
+    return function_exists('mb_strtolower') ? mb_strtolower($value, 'UTF-8') : strtolower($value);
+}
+
+// Unix time of an ISO 8601 query date; a bare date is midnight UTC, or the last second of that day for `to`
+function parse_query_date($value, $endOfDay) {
+    if (preg_match('/^\d{4}-\d{2}-\d{2}$/', $value)) {
+        $time = strtotime($value . 'T00:00:00+00:00');
+        return $time === false ? null : ($endOfDay ? $time + 86399 : $time);
+    }
+    if (!preg_match('/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/', $value)) return null;
+    $time = strtotime($value);
+    return $time === false ? null : $time;
+}
+
+// Parse the list query string; returns ['error' => ...] for values the client should fix
+function parse_prompt_query($get) {
+    $query = [
+        'limit' => null,
+        'offset' => 0,
+        'q' => lower_text(prompt_query_param($get, 'q')),
+        'category' => prompt_query_param($get, 'category'),
+        'tag' => prompt_query_param($get, 'tag'),
+        'author' => prompt_query_param($get, 'author'),
+        'ids' => null,
+        'date_field' => 'created_at',
+        'from' => null,
+        'to' => null,
+        'sort' => null,
+        'desc' => false,
+        'fields' => null
+    ];
+    $limit = prompt_query_param($get, 'limit');
+    if ($limit !== '') {
+        if (!preg_match('/^\d+$/', $limit)) return ['error' => 'limit must be a whole number'];
+        // 0 means no limit
+        $query['limit'] = (int)$limit === 0 ? null : min((int)$limit, PROMPT_LIST_MAX_LIMIT);
+    }
+    $cursor = prompt_query_param($get, 'cursor');
+    if ($cursor !== '') {
+        if (!preg_match('/^\d+$/', $cursor)) return ['error' => 'Invalid cursor'];
+        $query['offset'] = (int)$cursor;
+    }
+    $ids = prompt_query_param($get, 'ids');
+    if ($ids !== '') {
+        $query['ids'] = array_values(array_filter(array_map('trim', explode(',', $ids)), 'strlen'));
+    }
+    $dateField = prompt_query_param($get, 'date_field');
+    if ($dateField !== '') {
+        if (!in_array($dateField, PROMPT_DATE_FIELDS, true)) return ['error' => 'date_field must be one of ' . implode(', ', PROMPT_DATE_FIELDS)];
+        $query['date_field'] = $dateField;
+    }
+    foreach (['from', 'to'] as $key) {
+        $value = prompt_query_param($get, $key);
+        if ($value === '') continue;
+        $query[$key] = parse_query_date($value, $key === 'to');
+        if ($query[$key] === null) return ['error' => "Invalid $key date (use YYYY-MM-DD or an ISO 8601 time with a time zone)"];
+    }
+    $sort = prompt_query_param($get, 'sort');
+    if ($sort !== '') {
+        $field = ltrim($sort, '-');
+        if (!in_array($field, PROMPT_SORT_FIELDS, true)) {
+            return ['error' => 'sort must be one of ' . implode(', ', PROMPT_SORT_FIELDS) . ' (prefix - for descending)'];
+        }
+        $query['sort'] = $field;
+        $query['desc'] = $sort[0] === '-';
+    }
+    $fields = prompt_query_param($get, 'fields');
+    if ($fields !== '') {
+        $query['fields'] = array_values(array_filter(array_map('trim', explode(',', $fields)), 'strlen'));
+    }
+    return $query;
+}
+
+function prompt_matches_query($p, $query) {
+    if ($query['category'] !== '' && ($p['category'] ?? '') !== $query['category']) return false;
+    if ($query['tag'] !== '' && !(isset($p['tags']) && is_array($p['tags']) && in_array($query['tag'], $p['tags'], true))) return false;
+    if ($query['author'] !== '' && ($p['author'] ?? '') !== $query['author']) return false;
+    if ($query['ids'] !== null && !in_array((string)($p['id'] ?? ''), $query['ids'], true)) return false;
+    if ($query['q'] !== '') {
+        $found = false;
+        foreach (['title', 'content', 'description'] as $field) {
+            if (strpos(lower_text($p[$field] ?? ''), $query['q']) !== false) $found = true;
+        }
+        if (!$found) return false;
+    }
+    if ($query['from'] !== null || $query['to'] !== null) {
+        $time = isset($p[$query['date_field']]) && is_string($p[$query['date_field']]) ? strtotime($p[$query['date_field']]) : false;
+        if ($time === false) return false;
+        if ($query['from'] !== null && $time < $query['from']) return false;
+        if ($query['to'] !== null && $time > $query['to']) return false;
+    }
+    return true;
+}
+
+// Stable sort; prompts without the field come first in ascending order
+function sort_prompts($prompts, $field, $desc) {
+    $isDate = in_array($field, PROMPT_DATE_FIELDS, true);
+    usort($prompts, function($a, $b) use ($field, $desc, $isDate) {
+        if ($isDate) {
+            $cmp = (strtotime($a[$field] ?? '') ?: 0) <=> (strtotime($b[$field] ?? '') ?: 0);
+        } else {
+            $cmp = strcmp(lower_text($a[$field] ?? ''), lower_text($b[$field] ?? ''));
+        }
+        return $desc ? -$cmp : $cmp;
+    });
+    return $prompts;
+}
+
+// Keep the requested fields; `id` and `version` are always sent, `*` keeps every stored field
+function select_prompt_fields($p, $fields) {
+    if ($fields === null || in_array('*', $fields, true)) return $p;
+    $selected = ['id' => $p['id'] ?? null, 'version' => prompt_version($p)];
+    foreach ($fields as $field) {
+        if (array_key_exists($field, $p)) $selected[$field] = $p[$field];
+    }
+    return $selected;
+}
+
+// Index results or comments by prompt_id
+function group_by_prompt($rows) {
+    $grouped = [];
+    foreach ($rows as $row) {
+        if (isset($row['prompt_id'])) $grouped[$row['prompt_id']][] = $row;
+    }
+    return $grouped;
+}
+
 // GET /api/prompts?id=... - fetch single prompt by ID, or list all prompts
 if ($_SERVER['REQUEST_METHOD'] === 'GET') {
     require_auth();
@@ -90,10 +250,10 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
             ]);
         }
     }
-    $resultsArr = read_json_file_with_log(__DIR__ . '/../results.json', $logger, 'results');
-    $commentsArr = read_json_file_with_log(__DIR__ . '/../comments.json', $logger, 'comments');
     if (isset($_GET['id']) && trim($_GET['id']) !== '') {
         $id = trim($_GET['id']);
+        $resultsArr = read_json_file_with_log(__DIR__ . '/../results.json', $logger, 'results');
+        $commentsArr = read_json_file_with_log(__DIR__ . '/../comments.json', $logger, 'comments');
         $prompts = read_json_file_with_log($DATA_FILE, $logger, 'prompts');
         foreach ($prompts as $prompt) {
             // Log if author or description missing
@@ -106,14 +266,40 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
             }
             if (isset($prompt['id']) && $prompt['id'] === $id) {
                 $prompt = attach_results_comments($prompt, $resultsArr, $commentsArr, $logger);
+                $prompt['version'] = prompt_version($prompt);
+                header('ETag: ' . prompt_etag($prompt));
                 send_json(['ok' => true, 'prompt' => $prompt]);
             }
         }
         send_json(['ok' => false, 'error' => 'Prompt not found'], 404);
     }
+    // List: ?q=&category=&tag=&author=&ids=&from=&to=&date_field=&sort=&limit=&cursor=&fields=&since=
+    // Without `fields` every prompt comes with its results and comments; list `results` and/or
+    // `comments` in `fields` to get them with a field selection. With `since` only prompts changed
+    // since then are listed, plus `deleted` and `server_time` (see sync_utils.php).
+    $query = parse_prompt_query($_GET);
+    if (isset($query['error'])) send_json(['ok' => false, 'error' => $query['error']], 400);
+    $since = requested_since();
+    if ($since === false) send_json(['ok' => false, 'error' => 'Invalid since (use an ISO 8601 time with a time zone)'], 400);
+    $fullSync = $since !== null && !delta_available($since);
     $prompts = read_json_file_with_log($DATA_FILE, $logger, 'prompts');
-    $promptsWithAgg = [];
-    foreach ($prompts as $p) {
+    if ($since !== null && !$fullSync) {
+        $prompts = array_filter($prompts, function($p) use ($since) { return record_changed_since($p, $since); });
+    }
+    $matches = array_values(array_filter($prompts, function($p) use ($query) {
+        return prompt_matches_query($p, $query);
+    }));
+    if ($query['sort'] !== null) $matches = sort_prompts($matches, $query['sort'], $query['desc']);
+    $total = count($matches);
+    $page = array_slice($matches, $query['offset'], $query['limit']);
+    $nextOffset = $query['offset'] + count($page);
+    $fields = $query['fields'];
+    $withResults = $fields === null || in_array('results', $fields, true);
+    $withComments = $fields === null || in_array('comments', $fields, true);
+    $resultsByPrompt = $withResults ? group_by_prompt(read_json_file_with_log(__DIR__ . '/../results.json', $logger, 'results')) : [];
+    $commentsByPrompt = $withComments ? group_by_prompt(read_json_file_with_log(__DIR__ . '/../comments.json', $logger, 'comments')) : [];
+    $items = [];
+    foreach ($page as $p) {
         // Log if author or description missing
         if (!isset($p['author']) || !isset($p['description'])) {
             $logger->log('WARN', 'PROMPT_MISSING_FIELDS', null, [
@@ -122,9 +308,30 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
                 'has_description' => isset($p['description'])
             ]);
         }
-        $promptsWithAgg[] = attach_results_comments($p, $resultsArr, $commentsArr, $logger);
+        $p['version'] = prompt_version($p);
+        $item = select_prompt_fields($p, $fields);
+        if ($withResults) $item['results'] = $resultsByPrompt[$p['id'] ?? ''] ?? [];
+        if ($withComments) $item['comments'] = $commentsByPrompt[$p['id'] ?? ''] ?? [];
+        $items[] = $item;
     }
-    send_json(['ok' => true, 'prompts' => $promptsWithAgg]);
+    $logger->log('DEBUG', 'PROMPT_LIST_QUERY', null, [
+        'total' => $total,
+        'offset' => $query['offset'],
+        'returned' => count($items),
+        'fields' => $fields
+    ]);
+    $response = [
+        'ok' => true,
+        'prompts' => $items,
+        'total' => $total,
+        'next_cursor' => $nextOffset < $total ? (string)$nextOffset : null
+    ];
+    if ($since !== null) {
+        $response['deleted'] = $fullSync ? [] : deleted_since('prompts', $since);
+        if ($fullSync) $response['full'] = true;
+        $response['server_time'] = delta_server_time();
+    }
+    send_json($response);
 }
 
 // POST /api/prompts - create, update, delete, import, batch_import
@@ -136,11 +343,14 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
     if (is_array($input) && isset($input['action']) && $input['action'] === 'delete') {
         $id = $input['id'] ?? null;
         if (!$id) send_json(['ok' => false, 'error' => 'Missing id'], 400);
+        $lock = lock_data_file($DATA_FILE, $logger);
         $prompts = read_json_file_with_log($DATA_FILE, $logger, 'prompts');
-        $newPrompts = array_filter($prompts, function($p) use ($id) { return $p['id'] !== $id; });
+        $newPrompts = array_filter(reparent_forks($prompts, $id, $logger), function($p) use ($id) { return $p['id'] !== $id; });
         if (count($newPrompts) === count($prompts)) send_json(['ok' => false, 'error' => 'Prompt not found'], 404);
         write_json_file_with_log($DATA_FILE, array_values($newPrompts), $logger, 'prompts');
-        // Cascade delete: remove related comments and results
+        unlock_data_file($lock);
+        record_tombstones('prompts', [$id], $logger);
+        // Cascade delete: remove related comments, results and revisions
         $commentsFile = __DIR__ . '/../comments.json';
         $resultsFile = __DIR__ . '/../results.json';
         if (file_exists($commentsFile)) {
@@ -149,6 +359,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                 return !isset($c['prompt_id']) || $c['prompt_id'] !== $id;
             }));
             write_json_file_with_log($commentsFile, $filteredComments, $logger, 'comments');
+            record_tombstones('comments', removed_ids($comments, $filteredComments), $logger);
         }
         if (file_exists($resultsFile)) {
             $results = read_json_file_with_log($resultsFile, $logger, 'results');
@@ -156,7 +367,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                 return !isset($r['prompt_id']) || $r['prompt_id'] !== $id;
             }));
             write_json_file_with_log($resultsFile, $filteredResults, $logger, 'results');
+            record_tombstones('results', removed_ids($results, $filteredResults), $logger);
         }
+        delete_prompt_revisions($id, $logger);
         send_json(['ok' => true]);
     }
 
@@ -168,10 +381,23 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         $category = $input['category'] ?? null;
         $tags = $input['tags'] ?? null;
         if (!$id || !$title || !$content) send_json(['ok' => false, 'error' => 'Missing required fields'], 400);
+        $variables = [];
+        if (array_key_exists('variables', $input)) {
+            [$variables, $varErrors] = sanitize_prompt_variables($input['variables']);
+            if (count($varErrors)) send_json(['ok' => false, 'error' => 'Invalid variables', 'details' => $varErrors], 400);
+        }
+        if (array_key_exists('assertions', $input)) {
+            [$assertions, $assertionErrors] = sanitize_prompt_assertions($input['assertions']);
+            if (count($assertionErrors)) send_json(['ok' => false, 'error' => 'Invalid assertions', 'details' => $assertionErrors], 400);
+        }
+        $lock = lock_data_file($DATA_FILE, $logger);
         $prompts = read_json_file_with_log($DATA_FILE, $logger, 'prompts');
         $found = false;
+        $before = null;
         foreach ($prompts as &$p) {
             if ($p['id'] === $id) {
+                require_prompt_version($p, $logger);
+                $before = $p;
                 $p['title'] = trim($title);
                 $p['content'] = trim($content);
                 if (array_key_exists('description', $input)) {
@@ -192,13 +418,22 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                 if ($tags !== null && is_array($tags)) {
                     $p['tags'] = $tags;
                 }
+                if (array_key_exists('variables', $input)) {
+                    $p['variables'] = $variables;
+                }
+                if (array_key_exists('assertions', $input)) {
+                    $p['assertions'] = $assertions;
+                }
+                $p['version'] = prompt_version($p) + 1;
                 $p['updated_at'] = date('c');
                 $found = true;
                 break;
             }
         }
+        unset($p);
         if (!$found) send_json(['ok' => false, 'error' => 'Prompt not found'], 404);
         write_json_file_with_log($DATA_FILE, $prompts, $logger, 'prompts');
+        unlock_data_file($lock);
         // Find and return the updated prompt object
         $updatedPrompt = null;
         foreach ($prompts as $p) {
@@ -207,7 +442,51 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                 break;
             }
         }
-        send_json(['ok' => true, 'prompt' => $updatedPrompt]);
+        $revision = record_prompt_revision($before, $updatedPrompt, request_session_user($input), $logger);
+        header('ETag: ' . prompt_etag($updatedPrompt));
+        send_json(['ok' => true, 'prompt' => $updatedPrompt, 'revision' => $revision]);
+    }
+
+    // Support POST {action: "fork", id: ..., title?: ..., author?: ...}
+    // Copies the prompt into a new one whose parent_id points at the original
+    if (is_array($input) && isset($input['action']) && $input['action'] === 'fork') {
+        $id = $input['id'] ?? null;
+        if (!$id) send_json(['ok' => false, 'error' => 'Missing id'], 400);
+        $lock = lock_data_file($DATA_FILE, $logger);
+        $prompts = read_json_file_with_log($DATA_FILE, $logger, 'prompts');
+        $source = null;
+        foreach ($prompts as $p) {
+            if ($p['id'] === $id) {
+                $source = $p;
+                break;
+            }
+        }
+        if (!$source) send_json(['ok' => false, 'error' => 'Prompt not found'], 404);
+        $title = isset($input['title']) && is_string($input['title']) && trim($input['title']) !== ''
+            ? trim($input['title'])
+            : trim(($source['title'] ?? 'Untitled') . ' (fork)');
+        $fork = [
+            'id' => uniqid('prompt_', true),
+            'title' => $title,
+            'content' => $source['content'] ?? '',
+            'description' => $source['description'] ?? '',
+            'category' => $source['category'] ?? '',
+            'tags' => isset($source['tags']) && is_array($source['tags']) ? $source['tags'] : [],
+            'author' => isset($input['author']) && is_string($input['author']) && trim($input['author']) !== '' ? trim($input['author']) : ($source['author'] ?? 'Unknown'),
+            'variables' => isset($source['variables']) && is_array($source['variables']) ? $source['variables'] : [],
+            'assertions' => isset($source['assertions']) && is_array($source['assertions']) ? $source['assertions'] : [],
+            'parent_id' => $source['id'],
+            'version' => 1,
+            'created_at' => date('c'),
+            'updated_at' => date('c'),
+        ];
+        $prompts[] = $fork;
+        if (write_json_file_with_log($DATA_FILE, $prompts, $logger, 'prompts') === false) {
+            send_json(['ok' => false, 'error' => 'Failed to write prompt'], 500);
+        }
+        unlock_data_file($lock);
+        record_prompt_revision(null, $fork, $fork['author'], $logger, 'Forked from ' . $source['id']);
+        send_json(['ok' => true, 'prompt' => $fork], 201);
     }
 
     // Support POST {action: "import", prompts: [...]}
@@ -216,6 +495,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         if (!is_array($promptsToImport)) {
             send_json(['ok' => false, 'error' => 'Missing or invalid prompts array'], 400);
         }
+        $lock = lock_data_file($DATA_FILE, $logger);
         $existingPrompts = read_json_file_with_log($DATA_FILE, $logger, 'prompts');
         $existingIds = [];
         foreach ($existingPrompts as $p) {
@@ -251,6 +531,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                 'tags' => isset($prompt['tags']) && is_array($prompt['tags']) ? $prompt['tags'] : [],
                 'user_id' => isset($prompt['user_id']) ? $prompt['user_id'] : 'import',
                 'author' => isset($prompt['author']) ? $prompt['author'] : 'import',
+                'version' => 1,
                 'created_at' => $now,
                 'updated_at' => $now,
             ];
@@ -258,10 +539,35 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             foreach (['prompt'] as $field) {
                 if (isset($prompt[$field])) $importedPrompt[$field] = $prompt[$field];
             }
+            if (isset($prompt['variables'])) {
+                [$variables, $varErrors] = sanitize_prompt_variables($prompt['variables']);
+                if (count($varErrors)) {
+                    $skipped++;
+                    $errors[] = [
+                        'index' => $idx,
+                        'error' => 'Invalid variables: ' . implode('; ', $varErrors)
+                    ];
+                    continue;
+                }
+                $importedPrompt['variables'] = $variables;
+            }
+            if (isset($prompt['assertions'])) {
+                [$assertions, $assertionErrors] = sanitize_prompt_assertions($prompt['assertions']);
+                if (count($assertionErrors)) {
+                    $skipped++;
+                    $errors[] = [
+                        'index' => $idx,
+                        'error' => 'Invalid assertions: ' . implode('; ', $assertionErrors)
+                    ];
+                    continue;
+                }
+                $importedPrompt['assertions'] = $assertions;
+            }
             $imported[] = $importedPrompt;
         }
         $allPrompts = array_merge($existingPrompts, $imported);
         write_json_file_with_log($DATA_FILE, $allPrompts, $logger, 'prompts');
+        unlock_data_file($lock);
         send_json([
             'ok' => true,
             'imported_count' => count($imported),
@@ -289,6 +595,17 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
     ) {
         send_json(['ok' => false, 'error' => 'Missing or invalid required fields (title, content, category, tags)'], 400);
     }
+    $variables = [];
+    if (array_key_exists('variables', $input)) {
+        [$variables, $varErrors] = sanitize_prompt_variables($input['variables']);
+        if (count($varErrors)) send_json(['ok' => false, 'error' => 'Invalid variables', 'details' => $varErrors], 400);
+    }
+    $assertions = [];
+    if (array_key_exists('assertions', $input)) {
+        [$assertions, $assertionErrors] = sanitize_prompt_assertions($input['assertions']);
+        if (count($assertionErrors)) send_json(['ok' => false, 'error' => 'Invalid assertions', 'details' => $assertionErrors], 400);
+    }
+    $lock = lock_data_file($DATA_FILE, $logger);
     $prompts = read_json_file_with_log($DATA_FILE, $logger, 'prompts');
     $newPrompt = [
         'id' => uniqid('prompt_', true),
@@ -298,11 +615,16 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         'category' => isset($input['category']) ? $input['category'] : '',
         'tags' => isset($input['tags']) && is_array($input['tags']) ? $input['tags'] : [],
         'author' => isset($input['author']) ? trim($input['author']) : 'Unknown',
+        'variables' => $variables,
+        'assertions' => $assertions,
+        'version' => 1,
         'created_at' => date('c'),
         'updated_at' => date('c'),
     ];
     $prompts[] = $newPrompt;
     write_json_file_with_log($DATA_FILE, $prompts, $logger, 'prompts');
+    unlock_data_file($lock);
+    record_prompt_revision(null, $newPrompt, $newPrompt['author'], $logger, 'Created');
     send_json(['ok' => true, 'prompt' => $newPrompt], 201);
 }
 
@@ -314,10 +636,23 @@ if ($_SERVER['REQUEST_METHOD'] === 'PUT') {
     if (!$id) send_json(['ok' => false, 'error' => 'Missing id'], 400);
     $input = json_decode(file_get_contents('php://input'), true);
     if (!is_array($input)) send_json(['ok' => false, 'error' => 'Invalid input'], 400);
+    if (array_key_exists('variables', $input)) {
+        [$variables, $varErrors] = sanitize_prompt_variables($input['variables']);
+        if (count($varErrors)) send_json(['ok' => false, 'error' => 'Invalid variables', 'details' => $varErrors], 400);
+    }
+    if (array_key_exists('assertions', $input)) {
+        [$assertions, $assertionErrors] = sanitize_prompt_assertions($input['assertions']);
+        if (count($assertionErrors)) send_json(['ok' => false, 'error' => 'Invalid assertions', 'details' => $assertionErrors], 400);
+    }
+    $lock = lock_data_file($DATA_FILE, $logger);
     $prompts = read_json_file_with_log($DATA_FILE, $logger, 'prompts');
     $found = false;
+    $before = null;
+    $updatedPrompt = null;
     foreach ($prompts as &$prompt) {
         if ($prompt['id'] === $id) {
+            require_prompt_version($prompt, $logger);
+            $before = $prompt;
             if (isset($input['title'])) $prompt['title'] = trim($input['title']);
             if (isset($input['content'])) $prompt['content'] = trim($input['content']);
             if (array_key_exists('description', $input)) {
@@ -332,13 +667,21 @@ if ($_SERVER['REQUEST_METHOD'] === 'PUT') {
             }
             // Always set author, even if missing in old data
             $prompt['author'] = isset($input['author']) ? trim($input['author']) : (isset($prompt['author']) ? $prompt['author'] : 'Unknown');
+            if (array_key_exists('variables', $input)) $prompt['variables'] = $variables;
+            if (array_key_exists('assertions', $input)) $prompt['assertions'] = $assertions;
+            $prompt['version'] = prompt_version($prompt) + 1;
             $prompt['updated_at'] = date('c');
+            $updatedPrompt = $prompt;
             $found = true;
             break;
         }
     }
+    unset($prompt);
     if (!$found) send_json(['ok' => false, 'error' => 'Prompt not found'], 404);
     write_json_file_with_log($DATA_FILE, $prompts, $logger, 'prompts');
+    unlock_data_file($lock);
+    record_prompt_revision($before, $updatedPrompt, request_session_user($input), $logger);
+    header('ETag: ' . prompt_etag($updatedPrompt));
     send_json(['ok' => true]);
 }
 
@@ -348,11 +691,14 @@ if ($_SERVER['REQUEST_METHOD'] === 'DELETE') {
     parse_str($_SERVER['QUERY_STRING'] ?? '', $params);
     $id = $params['id'] ?? null;
     if (!$id) send_json(['ok' => false, 'error' => 'Missing id'], 400);
+    $lock = lock_data_file($DATA_FILE, $logger);
     $prompts = read_json_file_with_log($DATA_FILE, $logger, 'prompts');
-    $newPrompts = array_filter($prompts, function($p) use ($id) { return $p['id'] !== $id; });
+    $newPrompts = array_filter(reparent_forks($prompts, $id, $logger), function($p) use ($id) { return $p['id'] !== $id; });
     if (count($newPrompts) === count($prompts)) send_json(['ok' => false, 'error' => 'Prompt not found'], 404);
     write_json_file_with_log($DATA_FILE, array_values($newPrompts), $logger, 'prompts');
-    // Cascade delete: remove related comments and results
+    unlock_data_file($lock);
+    record_tombstones('prompts', [$id], $logger);
+    // Cascade delete: remove related comments, results and revisions
     $commentsFile = __DIR__ . '/../comments.json';
     $resultsFile = __DIR__ . '/../results.json';
     if (file_exists($commentsFile)) {
@@ -361,6 +707,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'DELETE') {
             return !isset($c['prompt_id']) || $c['prompt_id'] !== $id;
         }));
         write_json_file_with_log($commentsFile, $filteredComments, $logger, 'comments');
+        record_tombstones('comments', removed_ids($comments, $filteredComments), $logger);
     }
     if (file_exists($resultsFile)) {
         $results = read_json_file_with_log($resultsFile, $logger, 'results');
@@ -368,7 +715,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'DELETE') {
             return !isset($r['prompt_id']) || $r['prompt_id'] !== $id;
         }));
         write_json_file_with_log($resultsFile, $filteredResults, $logger, 'results');
+        record_tombstones('results', removed_ids($results, $filteredResults), $logger);
     }
+    delete_prompt_revisions($id, $logger);
     send_json(['ok' => true]);
 }
 
@@ -1,5 +1,6 @@
 <?php
 require_once __DIR__ . '/../Logger.php';
+require_once __DIR__ . '/sync_utils.php';
 
 // Initialize Logger
 $logger = new Logger([
@@ -95,6 +96,141 @@ function send_json($data, $code = 200) {
     exit;
 }
 
+// Utility: Validate an optional 0-100 score. Returns [ok, value]; null/'' clears the score.
+function normalize_result_score($value) {
+    if ($value === null || $value === '') {
+        return [true, null];
+    }
+    if (!is_numeric($value)) {
+        return [false, null];
+    }
+    $score = $value + 0;
+    if ($score < 0 || $score > 100) {
+        return [false, null];
+    }
+    return [true, $score];
+}
+
+// Utility: Validate the optional provenance fields of a result (which model produced it and how).
+// Returns [fields, error]; only keys present in $input are returned, and null/'' clears a field.
+function normalize_result_provenance($input) {
+    $fields = [];
+    foreach (['model', 'model_version'] as $key) {
+        if (!array_key_exists($key, $input)) continue;
+        $value = $input[$key];
+        if ($value === null || $value === '') {
+            $fields[$key] = null;
+            continue;
+        }
+        if (!is_string($value) || mb_strlen(trim($value)) > 100) {
+            return [null, "$key must be a string of at most 100 characters"];
+        }
+        $fields[$key] = strip_tags(trim($value));
+    }
+    if (array_key_exists('run_at', $input)) {
+        $value = $input['run_at'];
+        if ($value === null || $value === '') {
+            $fields['run_at'] = null;
+        } elseif (!is_string($value) || strtotime($value) === false) {
+            return [null, 'run_at must be a date'];
+        } else {
+            $fields['run_at'] = date('c', strtotime($value));
+        }
+    }
+    if (array_key_exists('latency_ms', $input)) {
+        $value = $input['latency_ms'];
+        if ($value !== null && (!is_numeric($value) || $value < 0)) {
+            return [null, 'latency_ms must be a non-negative number'];
+        }
+        $fields['latency_ms'] = $value === null ? null : $value + 0;
+    }
+    // Nested groups: [key => [field => [min, max, integer]]]
+    $groups = [
+        'parameters' => [
+            'temperature' => [0, 2, false],
+            'top_p' => [0, 1, false],
+            'max_tokens' => [1, null, true]
+        ],
+        'usage' => [
+            'input_tokens' => [0, null, true],
+            'output_tokens' => [0, null, true]
+        ]
+    ];
+    foreach ($groups as $group => $rules) {
+        if (!array_key_exists($group, $input)) continue;
+        if ($input[$group] === null) {
+            $fields[$group] = null;
+            continue;
+        }
+        if (!is_array($input[$group])) {
+            return [null, "$group must be an object"];
+        }
+        $values = [];
+        foreach ($rules as $name => [$min, $max, $integer]) {
+            if (!isset($input[$group][$name]) || $input[$group][$name] === '') continue;
+            $value = $input[$group][$name];
+            $ok = is_numeric($value) && $value >= $min && ($max === null || $value <= $max)
+                && (!$integer || (float)$value == (int)$value);
+            if (!$ok) {
+                return [null, "$group.$name is out of range"];
+            }
+            $values[$name] = $integer ? (int)$value : $value + 0;
+        }
+        $fields[$group] = $values ?: null;
+    }
+    return [$fields, null];
+}
+
+// Utility: Validate assertion outcomes computed by the client when the result was added
+// (see js/util/resultAssertions.js). Returns [ok, value]; null clears them.
+function normalize_assertion_results($value) {
+    if ($value === null) {
+        return [true, null];
+    }
+    if (!is_array($value) || count($value) > 50) {
+        return [false, null];
+    }
+    $clean = [];
+    foreach (array_values($value) as $outcome) {
+        if (!is_array($outcome) || !isset($outcome['type']) || !is_string($outcome['type']) || !array_key_exists('passed', $outcome)) {
+            return [false, null];
+        }
+        $clean[] = [
+            'assertion_id' => isset($outcome['assertion_id']) && is_string($outcome['assertion_id']) ? mb_substr($outcome['assertion_id'], 0, 40) : null,
+            'type' => mb_substr($outcome['type'], 0, 40),
+            'passed' => (bool)$outcome['passed'],
+            'message' => isset($outcome['message']) && is_string($outcome['message']) ? strip_tags(mb_substr($outcome['message'], 0, 500)) : '',
+        ];
+    }
+    return [true, $clean];
+}
+
+// Utility: Validate the dataset row a batch run result was produced from
+// (see js/util/batchRunner.js). Returns [ok, value]; null clears it.
+function normalize_result_input($value) {
+    if ($value === null) {
+        return [true, null];
+    }
+    if (!is_array($value) || !isset($value['batch_id']) || !is_string($value['batch_id']) || !preg_match('/^[\w.-]{1,40}$/', $value['batch_id'])) {
+        return [false, null];
+    }
+    if (!isset($value['row']) || !is_int($value['row']) || $value['row'] < 1) {
+        return [false, null];
+    }
+    $values = $value['values'] ?? [];
+    if (!is_array($values) || count($values) > 100) {
+        return [false, null];
+    }
+    $cleanValues = [];
+    foreach ($values as $key => $cell) {
+        if (!is_string($key) || mb_strlen($key) > 100 || !(is_string($cell) || is_int($cell) || is_float($cell) || is_bool($cell))) {
+            return [false, null];
+        }
+        $cleanValues[$key] = strip_tags(mb_substr((string)$cell, 0, 20000));
+    }
+    return [true, ['batch_id' => $value['batch_id'], 'row' => $value['row'], 'values' => (object)$cleanValues]];
+}
+
 // GET /api/results[?prompt_id=...] - list all results, optionally filtered by prompt_id
 if ($_SERVER['REQUEST_METHOD'] === 'GET') {
     $logger->log('INFO', 'GET_RESULTS', null, []);
@@ -106,6 +242,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'GET') {
             return isset($r['prompt_id']) && $r['prompt_id'] === $pid;
         }));
     }
+    $since = requested_since();
+    if ($since === false) send_json(['ok' => false, 'error' => 'Invalid since (use an ISO 8601 time with a time zone)'], 400);
+    if ($since !== null) send_json(delta_response('results', 'results', $results, $since));
     send_json(['ok' => true, 'results' => $results]);
 }
 
@@ -124,15 +263,40 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
     if ($author) {
         $author = strip_tags($author);
     }
+    [$scoreOk, $score] = normalize_result_score($input['score'] ?? null);
+    if (!$scoreOk) {
+        $logger->warn('POST_ERROR', 'Invalid score', ['score' => $input['score']]);
+        send_json(['ok' => false, 'error' => 'Score must be a number between 0 and 100'], 400);
+    }
+    [$provenance, $provenanceError] = normalize_result_provenance($input);
+    if ($provenanceError) {
+        $logger->warn('POST_ERROR', 'Invalid provenance', ['error' => $provenanceError]);
+        send_json(['ok' => false, 'error' => $provenanceError], 400);
+    }
+    if (array_key_exists('assertion_results', $input)) {
+        [$assertionsOk, $provenance['assertion_results']] = normalize_assertion_results($input['assertion_results']);
+        if (!$assertionsOk) {
+            $logger->warn('POST_ERROR', 'Invalid assertion results', []);
+            send_json(['ok' => false, 'error' => 'Invalid assertion_results'], 400);
+        }
+    }
+    if (array_key_exists('input', $input)) {
+        [$inputOk, $provenance['input']] = normalize_result_input($input['input']);
+        if (!$inputOk) {
+            $logger->warn('POST_ERROR', 'Invalid input row', []);
+            send_json(['ok' => false, 'error' => 'Invalid input: expected {batch_id, row, values}'], 400);
+        }
+    }
     $results = read_results($GLOBALS['DATA_FILE'], $GLOBALS['logger']);
     $newResult = [
         'id' => uniqid('result_', true),
         'prompt_id' => $input['prompt_id'],
         'content' => $content,
         'author' => $author,
+        'score' => $score,
         'created_at' => date('c'),
         'updated_at' => date('c'),
-    ];
+    ] + $provenance;
     $results[] = $newResult;
     $result = write_results($GLOBALS['DATA_FILE'], $results, $GLOBALS['logger']);
     if ($result === false) {
@@ -158,18 +322,47 @@ if ($_SERVER['REQUEST_METHOD'] === 'PUT') {
         $logger->warn('PUT_ERROR', 'Invalid input', []);
         send_json(['ok' => false, 'error' => 'Invalid input'], 400);
     }
+    if (array_key_exists('score', $input)) {
+        [$scoreOk, $score] = normalize_result_score($input['score']);
+        if (!$scoreOk) {
+            $logger->warn('PUT_ERROR', 'Invalid score', ['score' => $input['score']]);
+            send_json(['ok' => false, 'error' => 'Score must be a number between 0 and 100'], 400);
+        }
+    }
+    [$provenance, $provenanceError] = normalize_result_provenance($input);
+    if ($provenanceError) {
+        $logger->warn('PUT_ERROR', 'Invalid provenance', ['error' => $provenanceError]);
+        send_json(['ok' => false, 'error' => $provenanceError], 400);
+    }
+    if (array_key_exists('assertion_results', $input)) {
+        [$assertionsOk, $provenance['assertion_results']] = normalize_assertion_results($input['assertion_results']);
+        if (!$assertionsOk) {
+            $logger->warn('PUT_ERROR', 'Invalid assertion results', []);
+            send_json(['ok' => false, 'error' => 'Invalid assertion_results'], 400);
+        }
+    }
+    if (array_key_exists('input', $input)) {
+        [$inputOk, $provenance['input']] = normalize_result_input($input['input']);
+        if (!$inputOk) {
+            $logger->warn('PUT_ERROR', 'Invalid input row', []);
+            send_json(['ok' => false, 'error' => 'Invalid input: expected {batch_id, row, values}'], 400);
+        }
+    }
     $results = read_results($GLOBALS['DATA_FILE'], $GLOBALS['logger']);
     $found = false;
     foreach ($results as &$result) {
         if ($result['id'] === $id) {
             if (isset($input['content'])) $result['content'] = trim($input['content']);
             if (isset($input['author'])) $result['author'] = trim($input['author']);
+            if (array_key_exists('score', $input)) $result['score'] = $score;
+            $result = array_merge($result, $provenance);
             $result['updated_at'] = date('c');
-            $found = true;
+            $found = $result;
             $logger->log('INFO', 'PUT_UPDATED', null, ['result' => $result]);
             break;
         }
     }
+    unset($result);
     if (!$found) {
         $logger->warn('PUT_ERROR', 'Result not found', ['id' => $id]);
         send_json(['ok' => false, 'error' => 'Result not found'], 404);
@@ -179,7 +372,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'PUT') {
         $logger->error('PUT_ERROR', 'Failed to write updated result', ['id' => $id]);
         send_json(['ok' => false, 'error' => 'Failed to write result'], 500);
     }
-    send_json(['ok' => true]);
+    send_json(['ok' => true, 'result' => $found]);
 }
 
 // DELETE /api/results?id=... - delete a result
@@ -202,6 +395,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'DELETE') {
         $logger->error('DELETE_ERROR', 'Failed to write results after delete', ['id' => $id]);
         send_json(['ok' => false, 'error' => 'Failed to write result'], 500);
     }
+    record_tombstones('results', [$id], $GLOBALS['logger']);
     $logger->log('INFO', 'DELETE_SUCCESS', null, ['id' => $id]);
     send_json(['ok' => true]);
 }
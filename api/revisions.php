@@ -0,0 +1,104 @@
+<?php
+require_once __DIR__ . '/../Logger.php';
+require_once __DIR__ . '/api_utils.php';
+
+// Setup headers and error handling
+setup_api_headers();
+set_exception_handler(function($e) {
+    send_fatal_json_error('Server error: ' . $e->getMessage(), 500);
+});
+register_shutdown_function(function() {
+    $err = error_get_last();
+    if ($err && in_array($err['type'], [E_ERROR, E_PARSE, E_CORE_ERROR, E_COMPILE_ERROR])) {
+        send_fatal_json_error('Fatal error: ' . $err['message'], 500);
+    }
+});
+
+// Initialize Logger
+$logger = new Logger([
+    'log_path' => __DIR__ . '/../db-'.date('Y-m-d').'.log',
+    'log_level' => 'DEBUG',
+    'log_perms' => 0640,
+    'log_days' => 14
+], [
+    'api' => 'revisions.php',
+    'request_method' => $_SERVER['REQUEST_METHOD'] ?? '',
+    'uri' => $_SERVER['REQUEST_URI'] ?? '',
+    'query' => $_SERVER['QUERY_STRING'] ?? '',
+    'ip' => $_SERVER['REMOTE_ADDR'] ?? ''
+]);
+
+
+$DATA_FILE = __DIR__ . '/../revisions.json';
+$PROMPTS_FILE = __DIR__ . '/../prompts.json';
+
+// GET /api/revisions?prompt_id=...|?id=... - list a prompt's revisions (oldest first) or fetch one
+if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+    require_auth();
+    $revisions = read_json_file_with_log($DATA_FILE, $logger, 'revisions');
+    if (isset($_GET['id']) && trim($_GET['id']) !== '') {
+        $id = trim($_GET['id']);
+        foreach ($revisions as $revision) {
+            if (isset($revision['id']) && $revision['id'] === $id) {
+                send_json(['ok' => true, 'revision' => $revision]);
+            }
+        }
+        send_json(['ok' => false, 'error' => 'Revision not found'], 404);
+    }
+    $promptId = isset($_GET['prompt_id']) ? trim($_GET['prompt_id']) : '';
+    if ($promptId === '') send_json(['ok' => false, 'error' => 'Missing prompt_id'], 400);
+    $revisions = array_values(array_filter($revisions, function($r) use ($promptId) {
+        return isset($r['prompt_id']) && $r['prompt_id'] === $promptId;
+    }));
+    usort($revisions, function($a, $b) { return ($a['revision'] ?? 0) <=> ($b['revision'] ?? 0); });
+    send_json(['ok' => true, 'revisions' => $revisions]);
+}
+
+// POST /api/revisions {action: "restore", id: ..., author?: ...} - write a revision back to its prompt.
+// The restore itself is recorded as a new revision, so it can be undone the same way.
+if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+    require_auth();
+    $input = json_decode(file_get_contents('php://input'), true);
+    if (!is_array($input) || ($input['action'] ?? null) !== 'restore') {
+        send_json(['ok' => false, 'error' => 'Unsupported action'], 400);
+    }
+    $id = $input['id'] ?? null;
+    if (!$id) send_json(['ok' => false, 'error' => 'Missing id'], 400);
+    $target = null;
+    foreach (read_json_file_with_log($DATA_FILE, $logger, 'revisions') as $revision) {
+        if (isset($revision['id']) && $revision['id'] === $id) {
+            $target = $revision;
+            break;
+        }
+    }
+    if (!$target) send_json(['ok' => false, 'error' => 'Revision not found'], 404);
+    $lock = lock_data_file($PROMPTS_FILE, $logger);
+    $prompts = read_json_file_with_log($PROMPTS_FILE, $logger, 'prompts');
+    $before = null;
+    $restoredPrompt = null;
+    foreach ($prompts as &$prompt) {
+        if ($prompt['id'] === $target['prompt_id']) {
+            $before = $prompt;
+            foreach (prompt_revision_fields() as $field) {
+                if (array_key_exists($field, $target['snapshot'] ?? [])) $prompt[$field] = $target['snapshot'][$field];
+            }
+            $prompt['version'] = prompt_version($prompt) + 1;
+            $prompt['updated_at'] = date('c');
+            $restoredPrompt = $prompt;
+            break;
+        }
+    }
+    unset($prompt);
+    if (!$restoredPrompt) send_json(['ok' => false, 'error' => 'Prompt not found'], 404);
+    if (write_json_file_with_log($PROMPTS_FILE, $prompts, $logger, 'prompts') === false) {
+        send_json(['ok' => false, 'error' => 'Failed to write prompt'], 500);
+    }
+    unlock_data_file($lock);
+    $author = isset($input['author']) && is_string($input['author']) ? strip_tags($input['author']) : request_session_user($input);
+    $revision = record_prompt_revision($before, $restoredPrompt, $author, $logger, 'Restored revision ' . $target['revision']);
+    $logger->log('INFO', 'REVISION_RESTORE', 'OK', ['revision_id' => $id, 'prompt_id' => $target['prompt_id']]);
+    send_json(['ok' => true, 'prompt' => $restoredPrompt, 'revision' => $revision]);
+}
+
+// Fallback: method not allowed
+send_json(['ok' => false, 'error' => 'Method not allowed'], 405);
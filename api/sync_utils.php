@@ -0,0 +1,112 @@
+<?php
+// Delta sync for the list endpoints (prompts, comments, results, tags, categories) and api/events.php.
+// GET ...?since=<ISO 8601 time> returns only the records created or updated at or after `since`,
+// `deleted`: the IDs removed since then, and `server_time`: the `since` to send next time.
+// Deletions are remembered as tombstones in tombstones.json for TOMBSTONE_RETENTION_DAYS; a `since`
+// older than that gets every record and `full: true`, and the client replaces what it has.
+// Kept free of send_json() and friends so endpoints with their own helpers can include it.
+
+const TOMBSTONE_FILE = __DIR__ . '/../tombstones.json';
+const TOMBSTONE_RETENTION_DAYS = 30;
+
+// Unix time of the `since` query parameter: null when absent, false when it cannot be parsed
+function requested_since() {
+    return parse_since($_GET['since'] ?? null);
+}
+
+// Unix time of a `since` value (also the Last-Event-ID of api/events.php): null when empty, false when invalid
+function parse_since($value) {
+    if (!is_string($value) || trim($value) === '') return null;
+    $value = trim($value);
+    if (!preg_match('/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/', $value)) return false;
+    $time = strtotime(strlen($value) === 10 ? $value . 'T00:00:00+00:00' : $value);
+    return $time === false ? false : $time;
+}
+
+// Whether tombstones still cover everything deleted since $since
+function delta_available($since) {
+    return $since >= time() - TOMBSTONE_RETENTION_DAYS * 86400;
+}
+
+// Created or updated at or after $since (same second included: a record sent twice is harmless)
+function record_changed_since($record, $since) {
+    $stamp = $record['updated_at'] ?? ($record['created_at'] ?? null);
+    $time = is_string($stamp) ? strtotime($stamp) : false;
+    return $time !== false && $time >= $since;
+}
+
+// Time to hand back as the next `since`: when this request started, so writes made while it ran are sent again
+function delta_server_time() {
+    return date('c', $_SERVER['REQUEST_TIME'] ?? time());
+}
+
+function read_tombstones() {
+    if (!file_exists(TOMBSTONE_FILE)) return [];
+    $data = json_decode((string)file_get_contents(TOMBSTONE_FILE), true);
+    return is_array($data) ? $data : [];
+}
+
+// IDs of the records in $before that are missing from $after
+function removed_ids($before, $after) {
+    $kept = [];
+    foreach ($after as $row) {
+        if (isset($row['id'])) $kept[$row['id']] = true;
+    }
+    $removed = [];
+    foreach ($before as $row) {
+        if (isset($row['id']) && !isset($kept[$row['id']])) $removed[] = $row['id'];
+    }
+    return $removed;
+}
+
+// Remember deleted records so delta requests can report them; drops tombstones past retention
+function record_tombstones($entity, $ids, $logger = null) {
+    $ids = array_values(array_filter((array)$ids, function($id) { return $id !== null && $id !== ''; }));
+    if (!$ids) return true;
+    $fp = fopen(TOMBSTONE_FILE, 'c+');
+    if (!$fp || !flock($fp, LOCK_EX)) {
+        if ($fp) fclose($fp);
+        if ($logger) $logger->error('TOMBSTONE_WRITE', 'Failed to lock tombstones', ['entity' => $entity, 'ids' => $ids]);
+        return false;
+    }
+    $tombstones = json_decode((string)stream_get_contents($fp), true);
+    $tombstones = is_array($tombstones) ? $tombstones : [];
+    $horizon = time() - TOMBSTONE_RETENTION_DAYS * 86400;
+    $tombstones = array_values(array_filter($tombstones, function($t) use ($horizon) {
+        return isset($t['deleted_at']) && strtotime($t['deleted_at']) >= $horizon;
+    }));
+    $now = date('c');
+    foreach ($ids as $id) {
+        $tombstones[] = ['entity' => $entity, 'id' => $id, 'deleted_at' => $now];
+    }
+    ftruncate($fp, 0);
+    rewind($fp);
+    fwrite($fp, json_encode($tombstones, JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE));
+    fflush($fp);
+    flock($fp, LOCK_UN);
+    fclose($fp);
+    if ($logger) $logger->log('INFO', 'TOMBSTONES_RECORDED', null, ['entity' => $entity, 'count' => count($ids)]);
+    return true;
+}
+
+// IDs of $entity records deleted at or after $since
+function deleted_since($entity, $since) {
+    $ids = [];
+    foreach (read_tombstones() as $t) {
+        if (($t['entity'] ?? null) !== $entity || !isset($t['id'], $t['deleted_at'])) continue;
+        if (strtotime($t['deleted_at']) >= $since) $ids[$t['id']] = true;
+    }
+    return array_keys($ids);
+}
+
+// Response body for GET ?since=... on a list endpoint; $records is the (scoped) list
+function delta_response($listKey, $entity, $records, $since, $serverTime = null) {
+    $serverTime = $serverTime ?? delta_server_time();
+    if (!delta_available($since)) {
+        return ['ok' => true, $listKey => array_values($records), 'deleted' => [], 'full' => true, 'server_time' => $serverTime];
+    }
+    $changed = array_values(array_filter($records, function($r) use ($since) {
+        return record_changed_since($r, $since);
+    }));
+    return ['ok' => true, $listKey => $changed, 'deleted' => deleted_since($entity, $since), 'server_time' => $serverTime];
+}
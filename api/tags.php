@@ -1,5 +1,6 @@
 <?php
 require_once __DIR__ . '/../Logger.php';
+require_once __DIR__ . '/sync_utils.php';
 
 // Initialize Logger
 $logger = new Logger([
@@ -99,6 +100,9 @@ function send_json($data, $code = 200) {
 if ($_SERVER['REQUEST_METHOD'] === 'GET') {
     $logger->log('INFO', 'GET_TAGS', null, []);
     $tags = read_tags($GLOBALS['DATA_FILE'], $GLOBALS['logger']);
+    $since = requested_since();
+    if ($since === false) send_json(['ok' => false, 'error' => 'Invalid since (use an ISO 8601 time with a time zone)'], 400);
+    if ($since !== null) send_json(delta_response('tags', 'tags', $tags, $since));
     send_json(['ok' => true, 'tags' => $tags]);
 }
 
@@ -190,6 +194,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'DELETE') {
         $logger->error('DELETE_ERROR', 'Failed to write tags after delete', ['id' => $id]);
         send_json(['ok' => false, 'error' => 'Failed to write tag'], 500);
     }
+    record_tombstones('tags', [$id], $GLOBALS['logger']);
     $logger->log('INFO', 'DELETE_SUCCESS', null, ['id' => $id]);
     send_json(['ok' => true]);
 }
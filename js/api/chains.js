@@ -0,0 +1,100 @@
+/**
+ * chains.js - Simple API client for prompt chains
+ * (2025 Rebuild, "stupid simple" pattern)
+ * Request options ({ signal, timeoutMs, retries }) are described in client.js. Failed requests
+ * reject with the typed errors from client.js; server-side validation details are in `err.details`.
+ */
+
+import { apiRequest, requestOptions } from './client.js';
+
+/**
+ * Fetches chains, optionally filtered.
+ * @param {Object} [params] - Query params (category, tag, prompt_id).
+ * @param {Object} [options] - Request options.
+ * @returns {Promise<Object[]>} The chains.
+ */
+export async function fetchChains(params = {}, options = {}) {
+  const data = await apiRequest('/api/chains.php', {
+    ...requestOptions(options),
+    query: params,
+    expect: 'list',
+    entity: 'chain',
+    label: 'fetchChains',
+    failMessage: 'Failed to fetch chains'
+  });
+  return data.chains;
+}
+
+/**
+ * Fetches a single chain by ID.
+ * @param {string} id - The chain ID.
+ * @param {Object} [options] - Request options.
+ * @returns {Promise<Object>} The chain.
+ */
+export async function fetchChainById(id, options = {}) {
+  if (!id) throw new Error('No chain ID provided');
+  const data = await apiRequest('/api/chains.php', {
+    ...requestOptions(options),
+    query: { id },
+    expect: 'single',
+    entity: 'chain',
+    label: 'fetchChainById',
+    failMessage: 'Failed to fetch chain by ID',
+    notFoundMessage: 'Chain not found'
+  });
+  return data.chain;
+}
+
+/**
+ * Creates a chain.
+ * @param {Object} data - Chain fields (title, description, category, tags, steps, author).
+ * @param {Object} [options] - Request options.
+ * @returns {Promise<Object>} The API response containing the new chain.
+ */
+export async function createChain(data, options = {}) {
+  return apiRequest('/api/chains.php', {
+    ...requestOptions(options),
+    method: 'POST',
+    body: data,
+    expect: 'single',
+    entity: 'chain',
+    label: 'createChain',
+    failMessage: 'Failed to create chain'
+  });
+}
+
+/**
+ * Updates a chain.
+ * @param {string} id - The chain ID.
+ * @param {Object} data - Fields to update.
+ * @param {Object} [options] - Request options.
+ * @returns {Promise<Object>} The API response containing the updated chain.
+ */
+export async function updateChain(id, data, options = {}) {
+  return apiRequest('/api/chains.php', {
+    ...requestOptions(options),
+    method: 'PUT',
+    query: { id },
+    body: data,
+    expect: 'single',
+    entity: 'chain',
+    label: 'updateChain',
+    failMessage: 'Failed to update chain'
+  });
+}
+
+/**
+ * Deletes a chain.
+ * @param {string} id - The chain ID.
+ * @param {Object} [options] - Request options.
+ * @returns {Promise<Object>} The API response.
+ */
+export async function deleteChain(id, options = {}) {
+  return apiRequest('/api/chains.php', {
+    ...requestOptions(options),
+    method: 'DELETE',
+    query: { id },
+    label: 'deleteChain',
+    failMessage: 'Failed to delete chain'
+  });
+}
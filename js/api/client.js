@@ -0,0 +1,293 @@
+/**
+ * client.js - Shared request layer for the API clients in this folder
+ * (2025 Rebuild, "stupid simple" pattern)
+ * apiRequest() does what every client used to repeat: logging, a timeout, cancellation through an
+ * AbortSignal, retries with exponential backoff for idempotent calls, typed errors and a check of the
+ * response shape (validateApiResponse). Requests go through offlineFetch, so offline mode keeps working.
+ */
+
+import { offlineFetch } from '../util/offlineSync.js';
+import { validateApiResponse } from '../util/dataValidator.js';
+import { API_CLIENT_DEFAULTS } from '../config.js';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+const MAX_RETRY_DELAY_MS = 10000;
+
+/**
+ * Base class of every error thrown by apiRequest().
+ * `status` is the HTTP status (0 when no response arrived); `details` carries server-side
+ * validation details when the server sent them.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, details, code } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    if (details !== undefined) this.details = details;
+    if (code) this.code = code;
+  }
+}
+
+/** The record or endpoint does not exist (404). */
+export class NotFoundError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/** The server rejected the request data (400, 422). */
+export class ValidationError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * The record changed on the server since the client loaded it (409). `current` is the server's
+ * version of the record, when the server sent it.
+ */
+export class ConflictError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'ConflictError';
+    this.current = options.current ?? null;
+  }
+}
+
+/** Too many requests (429). `retryAfterMs` comes from the Retry-After header, if any. */
+export class RateLimitedError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'RateLimitedError';
+    this.retryAfterMs = options.retryAfterMs ?? null;
+  }
+}
+
+/** The server failed (5xx) or answered with something that is not a valid API response. */
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ServerError';
+  }
+}
+
+/** No response: the server could not be reached or the request timed out (`timedOut`). */
+export class NetworkError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NetworkError';
+    this.timedOut = Boolean(options.timedOut);
+  }
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Builds the typed error for a failed response.
+ * The message is `${message}: ${server error}` when the server sent an error string.
+ * @param {string} message - What failed, e.g. 'Failed to fetch chains'.
+ * @param {number} status - HTTP status code.
+ * @param {string} text - Raw response body.
+ * @param {Headers} [headers] - Response headers (for Retry-After).
+ * @returns {ApiError} The error.
+ */
+export function errorFromResponse(message, status, text, headers) {
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch (_) {
+    // Non-JSON error body; keep the generic message
+  }
+  const serverError = body && typeof body.error === 'string' ? body.error : '';
+  const fullMessage = serverError && serverError !== message ? `${message}: ${serverError}` : message;
+  const options = { status, details: body && body.details ? body.details : undefined };
+  if (status === 404) return new NotFoundError(fullMessage, options);
+  if (status === 400 || status === 422) return new ValidationError(fullMessage, options);
+  if (status === 409) return new ConflictError(fullMessage, { ...options, code: body && body.code, current: body && body.current });
+  if (status === 429) {
+    return new RateLimitedError(fullMessage, { ...options, retryAfterMs: parseRetryAfter(headers && headers.get('Retry-After')) });
+  }
+  if (status >= 500) return new ServerError(fullMessage, options);
+  return new ApiError(fullMessage, options);
+}
+
+/**
+ * Whether a failed attempt is worth repeating: connection problems, timeouts, 5xx and 429.
+ * @param {Error} err - The error apiRequest() threw.
+ * @returns {boolean}
+ */
+export function isRetryable(err) {
+  if (err instanceof NetworkError || err instanceof RateLimitedError) return true;
+  return err instanceof ServerError && err.status >= 500;
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): retryDelayMs, then twice that, and so on,
+ * plus up to 20% jitter. A Retry-After header wins.
+ * @param {number} attempt - Attempts that already failed, minus one.
+ * @param {number} retryDelayMs - Base delay.
+ * @param {Error} [err] - The failure.
+ * @returns {number} Milliseconds.
+ */
+export function retryDelay(attempt, retryDelayMs, err) {
+  if (err instanceof RateLimitedError && err.retryAfterMs !== null) return Math.min(err.retryAfterMs, MAX_RETRY_DELAY_MS);
+  const base = retryDelayMs * 2 ** attempt;
+  return Math.min(base + Math.random() * base * 0.2, MAX_RETRY_DELAY_MS);
+}
+
+function abortError() {
+  return new DOMException('The request was cancelled', 'AbortError');
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(abortError());
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// One attempt: send, read the body and check it, all within the timeout
+async function attempt(url, init, { signal, timeoutMs, failMessage, notFoundMessage, expect, entity, label }) {
+  if (signal && signal.aborted) throw abortError();
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeoutMs > 0 ? setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs) : null;
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  try {
+    const res = await offlineFetch(url, { ...init, signal: controller.signal });
+    console.log(`[${label}] Response status:`, res.status);
+    const text = await res.text();
+    if (!res.ok) {
+      console.error(`[${label}] Error response:`, text);
+      throw errorFromResponse(res.status === 404 && notFoundMessage ? notFoundMessage : failMessage, res.status, text, res.headers);
+    }
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      throw new ServerError(`${failMessage}: the server did not send JSON`, { status: res.status, code: 'invalid_response' });
+    }
+    const { isValid, errors } = validateApiResponse(data, expect, entity, { checkEntity: false });
+    if (!isValid) {
+      throw new ServerError(`${failMessage}: unexpected response (${errors.map(e => e.message).join(' ')})`, { status: res.status, details: errors, code: 'invalid_response' });
+    }
+    if (data.ok === false) {
+      throw new ApiError(`${failMessage}: ${data.error}`, { status: res.status });
+    }
+    return data;
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    if (timedOut) throw new NetworkError(`${failMessage}: no response within ${timeoutMs / 1000} s`, { timedOut: true });
+    if (err && err.name === 'AbortError') throw err;
+    throw new NetworkError(`${failMessage}: ${err && err.message ? err.message : 'network error'}`);
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Sends an API request and returns the parsed response body.
+ * Cancelling through `signal` rejects with the browser's AbortError (not an ApiError), so callers
+ * can tell a cancelled request from a failed one.
+ * @param {string} path - e.g. '/api/chains.php'.
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.query] - Query params; undefined/null values are left out.
+ * @param {Object} [options.body] - Sent as JSON.
+ * @param {Object} [options.headers] - Extra request headers, e.g. If-Match.
+ * @param {'list'|'single'|'status'} [options.expect='status'] - Response shape (see validateApiResponse).
+ * @param {string} [options.entity] - Entity type for 'list'/'single', e.g. 'prompt'.
+ * @param {string} [options.label] - Name used in the console logs.
+ * @param {string} [options.failMessage] - Error message prefix, e.g. 'Failed to fetch chains'.
+ * @param {string} [options.notFoundMessage] - Message prefix for 404s, e.g. 'Chain not found'.
+ * @param {AbortSignal} [options.signal] - Cancels the request, including pending retries.
+ * @param {number} [options.timeoutMs] - Per attempt; 0 disables the timeout.
+ * @param {number} [options.retries] - Extra attempts for idempotent calls.
+ * @param {number} [options.retryDelayMs] - Delay before the first retry.
+ * @param {boolean} [options.idempotent] - Override the method-based guess (e.g. a POST `update` action).
+ * @returns {Promise<Object>} The response body.
+ */
+export async function apiRequest(path, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const label = options.label || `${method} ${path}`;
+  const failMessage = options.failMessage || `Request to ${path} failed`;
+  const timeoutMs = options.timeoutMs ?? API_CLIENT_DEFAULTS.timeoutMs;
+  const retryDelayMs = options.retryDelayMs ?? API_CLIENT_DEFAULTS.retryDelayMs;
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+  const retries = idempotent ? Math.max(0, options.retries ?? API_CLIENT_DEFAULTS.retries) : 0;
+
+  const params = new URLSearchParams();
+  Object.entries(options.query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) params.append(key, value);
+  });
+  const query = params.toString();
+  const url = path + (query ? `?${query}` : '');
+  const init = { method, headers: { ...(options.headers || {}) } };
+  if (options.body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(options.body);
+  }
+
+  console.log(`[${label}] START`, { url, method });
+  for (let failures = 0; ; failures++) {
+    try {
+      const data = await attempt(url, init, {
+        signal: options.signal,
+        timeoutMs,
+        failMessage,
+        notFoundMessage: options.notFoundMessage,
+        expect: options.expect || 'status',
+        entity: options.entity,
+        label
+      });
+      console.log(`[${label}] END (success)`, data);
+      return data;
+    } catch (err) {
+      if (failures >= retries || !isRetryable(err)) {
+        console.error(`[${label}] Exception:`, err);
+        console.log(`[${label}] END (${err.name === 'AbortError' ? 'cancelled' : 'error'})`);
+        throw err;
+      }
+      const delay = retryDelay(failures, retryDelayMs, err);
+      console.warn(`[${label}] ${err.message}; retrying in ${Math.round(delay)} ms`);
+      await wait(delay, options.signal);
+    }
+  }
+}
+
+/**
+ * Picks the request options the API functions pass through from their callers.
+ * @param {Object} [options] - { signal, timeoutMs, retries }.
+ * @returns {Object} Options for apiRequest(); keys the caller did not set are left out.
+ */
+export function requestOptions(options = {}) {
+  const picked = {};
+  ['signal', 'timeoutMs', 'retries'].forEach(key => {
+    if (options[key] !== undefined) picked[key] = options[key];
+  });
+  return picked;
+}
@@ -0,0 +1,61 @@
+/**
+ * judgments.js - Simple API client for pairwise result judgments
+ * (2025 Rebuild, "stupid simple" pattern)
+ * A judgment records which of two results a reviewer preferred (or a tie).
+ * Request options ({ signal, timeoutMs, retries }) are described in client.js.
+ */
+
+import { apiRequest, requestOptions } from './client.js';
+
+/**
+ * Fetches judgments, oldest first, optionally only those involving a prompt or result.
+ * @param {Object} [params] - Query params (prompt_id, result_id).
+ * @param {Object} [options] - Request options.
+ * @returns {Promise<Object[]>} The judgments.
+ */
+export async function fetchJudgments(params = {}, options = {}) {
+  const data = await apiRequest('/api/judgments.php', {
+    ...requestOptions(options),
+    query: params,
+    expect: 'list',
+    entity: 'judgment',
+    label: 'fetchJudgments',
+    failMessage: 'Failed to fetch judgments'
+  });
+  return data.judgments;
+}
+
+/**
+ * Records which of two results is better.
+ * @param {Object} data - { left_result_id, right_result_id, winner: 'left'|'right'|'tie', author? }.
+ * @param {Object} [options] - Request options.
+ * @returns {Promise<Object>} The stored judgment.
+ */
+export async function addJudgment(data, options = {}) {
+  const result = await apiRequest('/api/judgments.php', {
+    ...requestOptions(options),
+    method: 'POST',
+    body: data,
+    expect: 'single',
+    entity: 'judgment',
+    label: 'addJudgment',
+    failMessage: 'Failed to save judgment'
+  });
+  return result.judgment;
+}
+
+/**
+ * Deletes a judgment.
+ * @param {string} id - The judgment ID.
+ * @param {Object} [options] - Request options.
+ * @returns {Promise<Object>} The API response.
+ */
+export async function deleteJudgment(id, options = {}) {
+  return apiRequest('/api/judgments.php', {
+    ...requestOptions(options),
+    method: 'DELETE',
+    query: { id },
+    label: 'deleteJudgment',
+    failMessage: 'Failed to delete judgment'
+  });
+}
@@ -3,198 +3,169 @@ if (typeof window !== 'undefined') window.ESM_DEBUG = true;
 /**
  * prompts.js - Simple API client for prompts
  * (2025 Rebuild, "stupid simple" pattern)
+ * Every function takes an optional last `options` argument ({ signal, timeoutMs, retries }); see client.js.
  */
 
-export async function fetchPrompts(params = {}) {
-  try {
-    console.log("[fetchPrompts] START", { params });
-    const query = new URLSearchParams(params).toString();
-    const url = '/api/prompts.php' + (query ? `?${query}` : '');
-    console.log("[fetchPrompts] Fetching URL:", url);
-    const res = await fetch(url);
-    console.log("[fetchPrompts] Response status:", res.status);
-    if (!res.ok) {
-      const text = await res.text();
-      console.error("[fetchPrompts] Error response:", text);
-      console.log("[fetchPrompts] END (error response)");
-      throw new Error('Failed to fetch prompts');
-    }
-    const data = await res.json();
-    console.log("[fetchPrompts] Data received:", data);
-    console.log("[fetchPrompts] END (success)", { prompts: data.prompts });
-    return data.prompts;
-  } catch (err) {
-    console.error("[fetchPrompts] Exception:", err);
-    console.log("[fetchPrompts] END (exception)");
-    throw err;
-  }
+import { apiRequest, requestOptions } from './client.js';
+
+export async function fetchPrompts(params = {}, options = {}) {
+  const data = await apiRequest('/api/prompts.php', {
+    ...requestOptions(options),
+    query: params,
+    expect: 'list',
+    entity: 'prompt',
+    label: 'fetchPrompts',
+    failMessage: 'Failed to fetch prompts'
+  });
+  return data.prompts;
 }
 
-export async function createPrompt(data) {
-  try {
-    console.log("[createPrompt] START", { data });
-    const payload = { action: 'create', ...data };
-    console.log("[createPrompt] Sending payload:", payload);
-    const res = await fetch('/api/prompts.php', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    console.log("[createPrompt] Response status:", res.status);
-    if (!res.ok) {
-      const text = await res.text();
-      console.error("[createPrompt] Error response:", text);
-      console.log("[createPrompt] END (error response)");
-      throw new Error('Failed to create prompt');
-    }
-    const result = await res.json();
-    console.log("[createPrompt] Data received:", result);
-    // Explicit debug logging for author and description fields
-    if (result && result.prompt) {
-      import('../util/debugLogger.js').then(({ debugLog }) => {
-        debugLog("[createPrompt] API response author:", result.prompt.author);
-        debugLog("[createPrompt] API response description:", result.prompt.description);
-      });
-    } else {
-      import('../util/debugLogger.js').then(({ debugLog }) => {
-        debugLog("[createPrompt] API response missing prompt object", result);
-      });
-    }
-    console.log("[createPrompt] END (success)", { result });
-    return result;
-  } catch (err) {
-    console.error("[createPrompt] Exception:", err);
-    console.log("[createPrompt] END (exception)");
-    throw err;
-  }
+/**
+ * Fetches one page of prompts matching a list query (see util/promptQuery.js for the parameters).
+ * Pass the returned `nextCursor` as `cursor` to get the next page; it is null on the last page.
+ * @returns {Promise<{prompts: Object[], total: number, nextCursor: string|null}>}
+ */
+export async function fetchPromptPage(params = {}, options = {}) {
+  const data = await apiRequest('/api/prompts.php', {
+    ...requestOptions(options),
+    query: params,
+    expect: 'list',
+    entity: 'prompt',
+    label: 'fetchPromptPage',
+    failMessage: 'Failed to fetch prompts'
+  });
+  // Servers without paging send every prompt and no counts
+  return {
+    prompts: data.prompts,
+    total: Number.isInteger(data.total) ? data.total : data.prompts.length,
+    nextCursor: data.next_cursor ?? null
+  };
 }
 
-export async function updatePrompt(id, data) {
-  try {
-    console.log("[updatePrompt] START", { id, data });
-    const payload = { action: 'update', id, ...data };
-    console.log("[updatePrompt] Sending payload:", payload);
-    const res = await fetch('/api/prompts.php', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
+/**
+ * Fetches every prompt matching a list query, one page after another (see fetchPromptPage()).
+ * A prompt that moves between pages while they load comes once; the sync catches up with the rest.
+ * @param {Object} [params] - The list query; `limit` is the page size.
+ * @param {Object} [options] - Request options, used for every page.
+ * @returns {Promise<Object[]>} The prompts, in list order.
+ */
+export async function fetchPromptLibrary(params = {}, options = {}) {
+  const prompts = [];
+  const seen = new Set();
+  let cursor = null;
+  do {
+    const page = await fetchPromptPage(cursor ? { ...params, cursor } : params, options);
+    page.prompts.forEach(prompt => {
+      if (seen.has(String(prompt.id))) return;
+      seen.add(String(prompt.id));
+      prompts.push(prompt);
     });
-    console.log("[updatePrompt] Response status:", res.status);
-    if (!res.ok) {
-      const text = await res.text();
-      console.error("[updatePrompt] Error response:", text);
-      console.log("[updatePrompt] END (error response)");
-      throw new Error('Failed to update prompt');
-    }
-    const result = await res.json();
-    console.log("[updatePrompt] Data received:", result);
-    // Explicit debug logging for author and description fields
+    // An empty page ends it too, so a server that keeps sending a cursor cannot loop forever
+    cursor = page.prompts.length ? page.nextCursor : null;
+  } while (cursor);
+  return prompts;
+}
+
+// Explicit debug logging for author and description fields
+function logSavedPrompt(label, result) {
+  import('../util/debugLogger.js').then(({ debugLog }) => {
     if (result && result.prompt) {
-      import('../util/debugLogger.js').then(({ debugLog }) => {
-        debugLog("[updatePrompt] API response author:", result.prompt.author);
-        debugLog("[updatePrompt] API response description:", result.prompt.description);
-      });
+      debugLog(`[${label}] API response author:`, result.prompt.author);
+      debugLog(`[${label}] API response description:`, result.prompt.description);
     } else {
-      import('../util/debugLogger.js').then(({ debugLog }) => {
-        debugLog("[updatePrompt] API response missing prompt object", result);
-      });
+      debugLog(`[${label}] API response missing prompt object`, result);
     }
-    console.log("[updatePrompt] END (success)", { result });
-    return result;
-  } catch (err) {
-    console.error("[updatePrompt] Exception:", err);
-    console.log("[updatePrompt] END (exception)");
-    throw err;
-  }
+  });
 }
 
-export async function deletePrompt(id) {
-  try {
-    console.log("[deletePrompt] START", { id });
-    const payload = { action: 'delete', id };
-    console.log("[deletePrompt] Sending payload:", payload);
-    const res = await fetch('/api/prompts.php', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    console.log("[deletePrompt] Response status:", res.status);
-    if (!res.ok) {
-      const text = await res.text();
-      console.error("[deletePrompt] Error response:", text);
-      console.log("[deletePrompt] END (error response)");
-      throw new Error('Failed to delete prompt');
-    }
-    const result = await res.json();
-    console.log("[deletePrompt] Data received:", result);
-    console.log("[deletePrompt] END (success)", { result });
-    return result;
-  } catch (err) {
-    console.error("[deletePrompt] Exception:", err);
-    console.log("[deletePrompt] END (exception)");
-    throw err;
-  }
+export async function createPrompt(data, options = {}) {
+  const result = await apiRequest('/api/prompts.php', {
+    ...requestOptions(options),
+    method: 'POST',
+    body: { action: 'create', ...data },
+    expect: 'single',
+    entity: 'prompt',
+    label: 'createPrompt',
+    failMessage: 'Failed to create prompt'
+  });
+  logSavedPrompt('createPrompt', result);
+  return result;
+}
+
+/**
+ * Saves changes to a prompt.
+ * Pass `options.version` (the `version` of the prompt the edit started from) to refuse overwriting
+ * someone else's newer save: the server then answers 409 and this rejects with a ConflictError
+ * whose `current` is the stored prompt (see ui/promptMergeDialog.js).
+ */
+export async function updatePrompt(id, data, options = {}) {
+  const result = await apiRequest('/api/prompts.php', {
+    ...requestOptions(options),
+    method: 'POST',
+    // The revision this records is credited to the signed-in user, not the prompt's author
+    body: { action: 'update', id, ...data, ...(window.session && window.session.user ? { session_user: window.session.user } : {}) },
+    headers: options.version ? { 'If-Match': `"${options.version}"` } : {},
+    // Sending the same update twice leaves the prompt as it was after the first; not with
+    // If-Match, where a retry after a lost response would be refused as a conflict with itself
+    idempotent: !options.version,
+    expect: 'single',
+    entity: 'prompt',
+    label: 'updatePrompt',
+    failMessage: 'Failed to update prompt'
+  });
+  logSavedPrompt('updatePrompt', result);
+  return result;
+}
+
+export async function deletePrompt(id, options = {}) {
+  return apiRequest('/api/prompts.php', {
+    ...requestOptions(options),
+    method: 'POST',
+    body: { action: 'delete', id },
+    label: 'deletePrompt',
+    failMessage: 'Failed to delete prompt'
+  });
 }
 // Batch import prompts: accepts array of prompt objects
-export async function importPrompts(prompts) {
-  try {
-    console.log("[importPrompts] START", { prompts });
-    // DEBUG: Log content length and snippet for each prompt
-    prompts.forEach((p, i) => {
-      const content = p.content || '';
-      console.log(`[importPrompts][DEBUG] Prompt #${i} content length: ${content.length}, first 50: "${content.slice(0,50)}", last 50: "${content.slice(-50)}"`);
-    });
-    const payload = { action: "import", prompts };
-    const res = await fetch('/api/prompts.php', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    console.log("[importPrompts] Response status:", res.status);
-    if (!res.ok) {
-      const text = await res.text();
-      console.error("[importPrompts] Error response:", text);
-      console.log("[importPrompts] END (error response)");
-      throw new Error('Failed to import prompts');
-    }
-    const result = await res.json();
-    console.log("[importPrompts] Data received:", result);
-    console.log("[importPrompts] END (success)", { result });
-    return result;
-  } catch (err) {
-    console.error("[importPrompts] Exception:", err);
-    console.log("[importPrompts] END (exception)");
-    throw err;
-  }
+export async function importPrompts(prompts, options = {}) {
+  // DEBUG: Log content length and snippet for each prompt
+  prompts.forEach((p, i) => {
+    const content = p.content || '';
+    console.log(`[importPrompts][DEBUG] Prompt #${i} content length: ${content.length}, first 50: "${content.slice(0,50)}", last 50: "${content.slice(-50)}"`);
+  });
+  return apiRequest('/api/prompts.php', {
+    // Large imports can take a while on the server
+    timeoutMs: 60000,
+    ...requestOptions(options),
+    method: 'POST',
+    body: { action: 'import', prompts },
+    label: 'importPrompts',
+    failMessage: 'Failed to import prompts'
+  });
 }
 // Fetch a single prompt by ID (best practice for modal editing)
-export async function fetchPromptById(id) {
-  try {
-    if (!id) throw new Error('No prompt ID provided');
-    console.log("[fetchPromptById] START", { id });
-    const url = `/api/prompts.php?id=${encodeURIComponent(id)}`;
-    const res = await fetch(url);
-    console.log("[fetchPromptById] Response status:", res.status);
-    if (!res.ok) {
-      const text = await res.text();
-      console.error("[fetchPromptById] Error response:", text);
-      const err = new Error('Failed to fetch prompt by ID');
-      if (res.status === 404) {
-        err.status = 404;
-        err.message = 'Prompt not found';
-      } else {
-        err.status = res.status;
-      }
-      throw err;
-    }
-    const data = await res.json();
-    if (!data.ok || !data.prompt) {
-      throw new Error('Prompt not found');
-    }
-    console.log("[fetchPromptById] Data received:", data.prompt);
-    return data.prompt;
-  } catch (err) {
-    console.error("[fetchPromptById] Exception:", err);
-    throw err;
-  }
+export async function fetchPromptById(id, options = {}) {
+  if (!id) throw new Error('No prompt ID provided');
+  const data = await apiRequest('/api/prompts.php', {
+    ...requestOptions(options),
+    query: { id },
+    expect: 'single',
+    entity: 'prompt',
+    label: 'fetchPromptById',
+    failMessage: 'Failed to fetch prompt by ID',
+    notFoundMessage: 'Prompt not found'
+  });
+  return data.prompt;
+}
+
+// Fork a prompt: the server copies it into a new prompt whose parent_id points at the original
+export async function forkPrompt(id, data = {}, options = {}) {
+  return apiRequest('/api/prompts.php', {
+    ...requestOptions(options),
+    method: 'POST',
+    body: { action: 'fork', id, ...data },
+    label: 'forkPrompt',
+    failMessage: 'Failed to fork prompt',
+    notFoundMessage: 'Prompt not found'
+  });
 }
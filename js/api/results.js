@@ -1,72 +1,65 @@
 /**
  * results.js - Simple API client for results
  * (2025 Rebuild, "stupid simple" pattern)
+ * Request options ({ signal, timeoutMs, retries }) are described in client.js.
  */
 
-export async function fetchResults(promptId) {
-  try {
-    console.log("[fetchResults] called with promptId:", promptId);
-    // FIX: Use prompt_id to match backend API
-    const url = '/api/results.php?prompt_id=' + encodeURIComponent(promptId);
-    console.log("[fetchResults] Fetching URL:", url);
-    const res = await fetch(url);
-    console.log("[fetchResults] Response status:", res.status);
-    if (!res.ok) {
-      const text = await res.text();
-      console.error("[fetchResults] Error response:", text);
-      throw new Error('Failed to fetch results');
-    }
-    const data = await res.json();
-    console.log("[fetchResults] Data received:", data);
-    return data;
-  } catch (err) {
-    console.error("[fetchResults] Exception:", err);
-    throw err;
-  }
+import { evaluateAssertions } from '../util/resultAssertions.js';
+import { apiRequest, requestOptions } from './client.js';
+
+export async function fetchResults(promptId, options = {}) {
+  // FIX: Use prompt_id to match backend API
+  // Without a promptId, every result is returned (used by the leaderboard)
+  return apiRequest('/api/results.php', {
+    ...requestOptions(options),
+    query: promptId ? { prompt_id: promptId } : {},
+    expect: 'list',
+    entity: 'result',
+    label: 'fetchResults',
+    failMessage: 'Failed to fetch results'
+  });
 }
 
-export async function addResult(promptId, data) {
-  try {
-    console.log("[addResult] called with promptId:", promptId, "data:", data);
-    const payload = { action: 'add', prompt_id: promptId, ...data };
-    console.log("[addResult] Sending payload:", payload);
-    const res = await fetch('/api/results.php', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    console.log("[addResult] Response status:", res.status);
-    if (!res.ok) {
-      const text = await res.text();
-      console.error("[addResult] Error response:", text);
-      throw new Error('Failed to add result');
-    }
-    const result = await res.json();
-    console.log("[addResult] Data received:", result);
-    return result;
-  } catch (err) {
-    console.error("[addResult] Exception:", err);
-    throw err;
+/**
+ * Add a result to a prompt.
+ * @param {string} promptId - The prompt ID.
+ * @param {Object} data - Result fields (content, author, score, provenance...).
+ * @param {Object} [options] - Request options, plus:
+ * @param {Object[]} [options.assertions] - The prompt's assertions; evaluated on `data.content` and stored as `assertion_results`.
+ */
+export async function addResult(promptId, data, options = {}) {
+  const payload = { action: 'add', prompt_id: promptId, ...data };
+  if (Array.isArray(options.assertions) && options.assertions.length) {
+    payload.assertion_results = evaluateAssertions(options.assertions, data.content);
   }
+  return apiRequest('/api/results.php', {
+    ...requestOptions(options),
+    method: 'POST',
+    body: payload,
+    expect: 'single',
+    entity: 'result',
+    label: 'addResult',
+    failMessage: 'Failed to add result'
+  });
 }
 
-export async function deleteResult(resultId) {
-  try {
-    console.log("[deleteResult] called with resultId:", resultId);
-    const url = `/api/results.php?id=${encodeURIComponent(resultId)}`;
-    console.log("[deleteResult] Sending DELETE to:", url);
-    const res = await fetch(url, { method: 'DELETE' });
-    console.log("[deleteResult] Response status:", res.status);
-    if (!res.ok) {
-      const text = await res.text();
-      console.error("[deleteResult] Error response:", text);
-      throw new Error('Failed to delete result');
-    }
-    const result = await res.json();
-    console.log("[deleteResult] Data received:", result);
-    return result;
-  } catch (err) {
-    console.error("[deleteResult] Exception:", err);
-    throw err;
-  }
-}
\ No newline at end of file
+export async function updateResult(resultId, data, options = {}) {
+  return apiRequest('/api/results.php', {
+    ...requestOptions(options),
+    method: 'PUT',
+    query: { id: resultId },
+    body: data,
+    label: 'updateResult',
+    failMessage: 'Failed to update result'
+  });
+}
+
+export async function deleteResult(resultId, options = {}) {
+  return apiRequest('/api/results.php', {
+    ...requestOptions(options),
+    method: 'DELETE',
+    query: { id: resultId },
+    label: 'deleteResult',
+    failMessage: 'Failed to delete result'
+  });
+}
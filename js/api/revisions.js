@@ -0,0 +1,46 @@
+/**
+ * revisions.js - Simple API client for prompt revision history
+ * (2025 Rebuild, "stupid simple" pattern)
+ * Revisions are recorded by the server whenever a prompt is created or updated.
+ * Request options ({ signal, timeoutMs, retries }) are described in client.js.
+ */
+
+import { apiRequest, requestOptions } from './client.js';
+
+/**
+ * Fetches the revisions of a prompt, oldest first.
+ * @param {string} promptId - The prompt ID.
+ * @param {Object} [options] - Request options.
+ * @returns {Promise<Object[]>} The revisions.
+ */
+export async function fetchRevisions(promptId, options = {}) {
+  if (!promptId) throw new Error('No prompt ID provided');
+  const data = await apiRequest('/api/revisions.php', {
+    ...requestOptions(options),
+    query: { prompt_id: promptId },
+    expect: 'list',
+    entity: 'revision',
+    label: 'fetchRevisions',
+    failMessage: 'Failed to fetch revisions'
+  });
+  return data.revisions;
+}
+
+/**
+ * Restores a prompt to a revision. The restore is itself recorded as a new revision.
+ * @param {string} id - The revision ID.
+ * @param {string} [author] - Who is restoring (the signed-in user; recorded as "Unknown" without one).
+ * @param {Object} [options] - Request options.
+ * @returns {Promise<Object>} The API response containing the restored prompt and the new revision.
+ */
+export async function restoreRevision(id, author, options = {}) {
+  return apiRequest('/api/revisions.php', {
+    ...requestOptions(options),
+    method: 'POST',
+    body: { action: 'restore', id, ...(author ? { author } : {}) },
+    expect: 'single',
+    entity: 'prompt',
+    label: 'restoreRevision',
+    failMessage: 'Failed to restore revision'
+  });
+}
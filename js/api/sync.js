@@ -0,0 +1,43 @@
+/**
+ * sync.js - Delta requests for the list endpoints (`?since=`, see api/sync_utils.php)
+ */
+
+import { apiRequest, requestOptions } from './client.js';
+
+/** Lists that answer `?since=`, and the entity their records are checked as. */
+export const SYNC_LISTS = {
+  prompts: 'prompt',
+  categories: 'category',
+  tags: 'tag',
+  comments: 'comment',
+  results: 'result'
+};
+
+/**
+ * Fetches the records of one list created, updated or deleted at or after a server time.
+ * Servers without delta support send the whole list, which is reported as `full`.
+ * @param {string} list - One of SYNC_LISTS.
+ * @param {string} since - ISO 8601 time with a time zone, usually the previous `serverTime`.
+ * @param {Object} [options] - Request options (signal, timeoutMs, retries).
+ * @returns {Promise<{records: Object[], deleted: string[], full: boolean, serverTime: string|null, offline: boolean}>}
+ *   With `full` the records are the whole list; `offline` answers come from the offline cache.
+ */
+export async function fetchChanges(list, since, options = {}) {
+  if (!SYNC_LISTS[list]) throw new Error(`fetchChanges: unknown list "${list}"`);
+  const data = await apiRequest(`/api/${list}.php`, {
+    ...requestOptions(options),
+    // Prompts without their results and comments; those have their own deltas
+    query: list === 'prompts' ? { since, fields: '*' } : { since },
+    expect: 'list',
+    entity: SYNC_LISTS[list],
+    label: 'fetchChanges',
+    failMessage: `Failed to fetch ${list} changes`
+  });
+  return {
+    records: data[list],
+    deleted: Array.isArray(data.deleted) ? data.deleted : [],
+    full: Boolean(data.full) || !data.server_time,
+    serverTime: data.server_time || null,
+    offline: Boolean(data.offline)
+  };
+}
@@ -3,23 +3,15 @@
  * (2025 Rebuild, "stupid simple" pattern)
  */
 
-export async function fetchTags() {
-  try {
-    console.log("[fetchTags] called");
-    const url = '/api/tags.php';
-    console.log("[fetchTags] Fetching URL:", url);
-    const res = await fetch(url);
-    console.log("[fetchTags] Response status:", res.status);
-    if (!res.ok) {
-      const text = await res.text();
-      console.error("[fetchTags] Error response:", text);
-      throw new Error('Failed to fetch tags');
-    }
-    const data = await res.json();
-    console.log("[fetchTags] Data received:", data);
-    return data.tags || [];
-  } catch (err) {
-    console.error("[fetchTags] Exception:", err);
-    throw err;
-  }
-}
\ No newline at end of file
+import { apiRequest, requestOptions } from './client.js';
+
+export async function fetchTags(options = {}) {
+  const data = await apiRequest('/api/tags.php', {
+    ...requestOptions(options),
+    expect: 'list',
+    entity: 'tag',
+    label: 'fetchTags',
+    failMessage: 'Failed to fetch tags'
+  });
+  return data.tags;
+}
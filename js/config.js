@@ -1,2 +1,71 @@
 // Debug flag for gating logs and debug features
-export const DEBUG = false;
\ No newline at end of file
+export const DEBUG = false;
+
+// Model pricing in USD per 1M tokens, keyed by model ID (see util/tokenEstimator.js MODELS).
+// These are list prices at the time of writing; override them per browser from the cost panel.
+export const MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'llama-3-8b': { input: 0.05, output: 0.08 },
+  'llama-3.1-70b': { input: 0.88, output: 0.88 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'mistral-large': { input: 2, output: 6 }
+};
+
+// Expected completion length used for output cost estimates
+export const DEFAULT_OUTPUT_TOKENS = 500;
+
+// Defaults for the Run panel (see util/modelProviders.js). The OpenAI-compatible provider talks to
+// any server exposing /chat/completions, e.g. Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1).
+export const RUNNER_DEFAULTS = {
+  provider: 'mock',
+  baseUrl: 'http://localhost:11434/v1',
+  model: 'llama3',
+  parameters: { temperature: 0.7 }
+};
+
+// Defaults for the shared API client (see api/client.js). Only idempotent calls (GET, PUT, DELETE)
+// are retried; the delay doubles after each attempt.
+export const API_CLIENT_DEFAULTS = {
+  timeoutMs: 15000,
+  retries: 2,
+  retryDelayMs: 500
+};
+
+// Prompts per page in the prompt list; more load as you scroll (see util/promptQuery.js)
+export const PROMPT_PAGE_SIZE = 50;
+
+// Prompts per request while the prompt library (every prompt without its results, for search and
+// lookups; see ui/promptManager.js) loads; the API sends at most 200 at a time
+export const PROMPT_LIBRARY_PAGE_SIZE = 200;
+
+// Delta sync (see util/deltaSync.js): how often open tabs ask the API for changes, and how far
+// before page load the first request looks back so edits made while the page loaded are not missed
+export const DELTA_SYNC = {
+  intervalMs: 30000,
+  lookbackMs: 60000
+};
+
+// Live updates (see util/liveUpdates.js and api/events.php). The server ends each connection after
+// about 25 seconds and the browser reconnects; a stream down for longer than reconnectGraceMs
+// hands over to polling (DELTA_SYNC) until it is back. Off by default: every open tab's leader holds
+// one server worker for the whole connection, which stalls all other requests on a single-worker
+// server such as plain `php -S`. Turn it on when the server has workers to spare (e.g.
+// PHP_CLI_SERVER_WORKERS=4 php -S ...); until then changes arrive by polling.
+export const LIVE_UPDATES = {
+  enabled: false,
+  url: '/api/events.php',
+  reconnectGraceMs: 5000
+};
+
+// Cross-tab sync (see util/tabSync.js): channel name, and how long the polling tab's lease lasts
+// without renewal before another tab takes over
+export const TAB_SYNC = {
+  channel: 'prompt-factory',
+  leaseMs: 6000
+};
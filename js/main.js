@@ -37,6 +37,13 @@ import { setFormElements, getFormElements } from './ui/formElements.js'; // [AUD
 import { showLoading, hideLoading } from './ui/progress.js'; // [AUDITFIX] Loading indicator
 import { debugLog, logError, logCriticalError } from './util/debugLogger.js'; // [AUDITFIX] Unified debug logger
 import { attachPromptListControlListeners } from './ui/promptListControls.js';
+import { initBulkOperations } from './ui/bulkOperations.js';
+import { initOfflineStatus } from './ui/offlineStatus.js';
+import { initOfflineSync, registerServiceWorker } from './util/offlineSync.js';
+import { startDeltaSync } from './util/deltaSync.js';
+import { startLiveUpdates } from './util/liveUpdates.js';
+import { initTabSync } from './util/tabSync.js';
+import { LIVE_UPDATES } from './config.js';
 /**
  * Modularized app initialization for maintainability, scalability, and robust debugging.
  */
@@ -55,9 +62,33 @@ document.addEventListener('DOMContentLoaded', () => {
       initEventHandlers(promptManager, debugLog); // [AUDITFIX] Modularized event handler logic, now uses getFormElements internally
     }, 0);
 
-    setupSearch();
+    initBulkOperations();
+    // Offline mode: status button first so it sees the initial outbox state
+    initOfflineStatus();
+    initOfflineSync();
+    registerServiceWorker();
+    // Pick up changes made elsewhere without reloading every list. Open tabs share state; one
+    // of them (the leader) gets changes from the server, pushed while the live stream is up (when
+    // LIVE_UPDATES.enabled) and polled otherwise, and passes them on to the others.
+    const deltaSync = startDeltaSync({ paused: true });
+    let liveUpdates = null;
+    const tabSync = initTabSync({
+      onLeadershipChange: leader => {
+        if (leader) {
+          if (LIVE_UPDATES.enabled) liveUpdates = startLiveUpdates({
+            since: deltaSync.getSince('prompts'),
+            onStatus: connected => deltaSync.setPaused(connected)
+          });
+          deltaSync.setPaused(false);
+        } else {
+          deltaSync.setPaused(true);
+          if (liveUpdates) liveUpdates.close();
+          liveUpdates = null;
+        }
+      }
+    });
     window.__mainJsLoaded = true;
-    window.app = { promptManager, appState };
+    window.app = { promptManager, appState, deltaSync, tabSync };
     debugLog('[App] DOMContentLoaded complete, app initialized.');
   } catch (err) {
     logCriticalError('[App] Fatal error during initialization', err && err.stack ? err.stack : String(err));
@@ -77,7 +108,6 @@ function setupPromptList() {
 }
 
 let promptManager;
-let PAGE_SIZE = 20; // Configurable for scalability
 
 function setupFormElements() {
   // All form and filter elements
@@ -112,15 +142,7 @@ function setupFormElements() {
 
   setFormElements(elements);
 
-  promptManager = initPromptManager({
-    promptList: elements.promptList,
-    loadMoreBtn: elements.loadMoreBtn,
-    filterCategory: elements.filterCategory,
-    filterTag: elements.filterTag,
-    clearFiltersBtn: elements.clearFiltersBtn,
-    PAGE_SIZE,
-    showToast
-  });
+  promptManager = initPromptManager({ showToast });
 
   // Make promptManager globally available and signal readiness
   window.promptManager = promptManager;
@@ -128,6 +150,12 @@ function setupFormElements() {
 
   // Initial load of categories/tags and prompts
   loadCategoriesAndTags();
+  // Categories and tags changed by the sync or in another tab: refill the dropdowns
+  appState.subscribe((state, change) => {
+    if (!change || (change.type !== 'remote' && change.type !== 'changes')) return;
+    if (change.key === 'categories') populateCategories();
+    if (change.key === 'tags') populateTags();
+  });
 
   // Initialize tag/category management module
   initTagCategoryManager({
@@ -135,30 +163,12 @@ function setupFormElements() {
     showToast
   });
 
-  // Initialize prompt manager and fetch prompts
+  // Load the prompt library (search and lookups); the list loads its own pages
   promptManager.fetchPrompts();
 
 }
 
 
-function setupSearch() {
-  const searchInput = document.getElementById('search-input');
-  if (searchInput) {
-    searchInput.setAttribute('aria-label', 'Search prompts');
-    searchInput.addEventListener('input', () => {
-      debugLog('[Search] Input changed:', searchInput.value);
-      promptManager.setSearchQuery(searchInput.value.trim());
-    });
-    searchInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        debugLog('[Search] Enter pressed:', searchInput.value);
-        promptManager.setSearchQuery(searchInput.value.trim());
-      }
-    });
-  }
-}
-
 /**
  * Load categories and tags from backend, then update UI.
  */
@@ -173,9 +183,10 @@ async function loadCategoriesAndTags() {
     ]);
     debugLog('[loadCategoriesAndTags] Parsed categories:', newCategories);
     debugLog('[loadCategoriesAndTags] Parsed tags:', newTags);
-    setCategories(newCategories);
+    // Not broadcast: the other tabs load them themselves
+    setCategories(newCategories, { broadcast: false });
     console.log('[DIAG][main.js] setCategories called with:', newCategories);
-    setTags(newTags);
+    setTags(newTags, { broadcast: false });
     console.log('[DIAG][main.js] setTags called with:', newTags);
 
     populateCategories();
@@ -288,14 +299,18 @@ function populateCategories() {
   const { categoryInput, filterCategory, form, formError } = getFormElements();
   const categories = getCategories();
   if (categoryInput) {
+    const selected = categoryInput.value;
     categoryInput.innerHTML = categories.map(
       c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`
     ).join('');
+    if (categories.some(c => String(c.id) === selected)) categoryInput.value = selected;
   }
   if (filterCategory) {
+    // Keep the chosen filter while it still exists
+    const selected = filterCategory.value;
     filterCategory.innerHTML = `<option value="">All</option>` +
       categories.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('');
-    filterCategory.value = '';
+    filterCategory.value = categories.some(c => String(c.id) === selected) ? selected : '';
   }
   if (categoryInput && categories.length === 0) {
     categoryInput.disabled = true;
@@ -312,9 +327,10 @@ function populateTags() {
   const { tagsInput, filterTag } = getFormElements();
   const tags = getTags();
   if (tagsInput) {
+    const selected = getSelectedOptions(tagsInput);
     tagsInput.innerHTML = tags
       .filter(t => !t.name.includes(','))
-      .map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`)
+      .map(t => `<option value="${t.id}"${selected.includes(String(t.id)) ? ' selected' : ''}>${escapeHtml(t.name)}</option>`)
       .join('');
     if (tags.length === 0) {
       tagsInput.disabled = true;
@@ -327,10 +343,11 @@ function populateTags() {
     }
   }
   if (filterTag) {
+    const selected = filterTag.value;
     const tagNames = Array.from(new Set(tags.map(t => t.name)));
     filterTag.innerHTML = `<option value="">All</option>` +
       tagNames.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
-    filterTag.value = '';
+    filterTag.value = tagNames.includes(selected) ? selected : '';
   }
 }
 export { loadCategoriesAndTags };
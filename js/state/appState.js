@@ -2,6 +2,10 @@
  * App State Module
  * Centralizes global app state for prompts, categories, tags, and current prompt.
  * Provides getter/setter functions and change notification.
+ * Lists can also be updated in place from delta sync responses (see applyChanges and util/deltaSync.js).
+ * Setter calls are handed to the broadcaster, if one is set, so other open tabs can apply them
+ * with applyRemoteMutation() (see util/tabSync.js). Lists loaded whole from the server are set with
+ * { broadcast: false }: every tab loads them itself and gets later changes from the sync.
  */
 const state = {
   categories: [],
@@ -11,6 +15,18 @@ const state = {
 };
 
 const listeners = [];
+// Receives { type: 'set', key, value } for every setter call (see setBroadcaster)
+let broadcaster = null;
+const SETTER_KEYS = ['categories', 'tags', 'prompts', 'currentPrompt'];
+
+function publish(key) {
+  if (!broadcaster) return;
+  try {
+    broadcaster({ type: 'set', key, value: state[key] });
+  } catch (err) {
+    console.warn("publish: broadcast failed", { key, err });
+  }
+}
 
 export function getCategories() {
   console.log("getCategories: START");
@@ -18,10 +34,11 @@ export function getCategories() {
   console.log("getCategories: END", { result });
   return result;
 }
-export function setCategories(categories) {
+export function setCategories(categories, { broadcast = true } = {}) {
   console.log("setCategories: START", { categories });
   state.categories = categories;
   notify();
+  if (broadcast) publish('categories');
   console.log("setCategories: END", { newState: state.categories });
 }
 export function getTags() {
@@ -30,10 +47,11 @@ export function getTags() {
   console.log("getTags: END", { result });
   return result;
 }
-export function setTags(tags) {
+export function setTags(tags, { broadcast = true } = {}) {
   console.log("setTags: START", { tags });
   state.tags = tags;
   notify();
+  if (broadcast) publish('tags');
   console.log("setTags: END", { newState: state.tags });
 }
 export function getPrompts() {
@@ -42,10 +60,11 @@ export function getPrompts() {
   console.log("getPrompts: END", { result });
   return result;
 }
-export function setPrompts(prompts) {
+export function setPrompts(prompts, { broadcast = true } = {}) {
   console.log("setPrompts: START", { prompts });
   state.prompts = prompts;
   notify();
+  if (broadcast) publish('prompts');
   console.log("setPrompts: END", { newState: state.prompts });
 }
 export function getCurrentPrompt() {
@@ -58,8 +77,74 @@ export function setCurrentPrompt(prompt) {
   console.log("setCurrentPrompt: START", { prompt });
   state.currentPrompt = prompt;
   notify();
+  publish('currentPrompt');
   console.log("setCurrentPrompt: END", { newState: state.currentPrompt });
 }
+/**
+ * Merges changed records into a list by ID: changed records replace their old copy in place,
+ * new ones are appended and deleted IDs are dropped. The list passed in is not modified.
+ * @param {Object[]} list - Current records.
+ * @param {Object[]} [records] - Created or updated records.
+ * @param {Array<string|number>} [deleted] - IDs of deleted records.
+ * @returns {Object[]} The merged list.
+ */
+export function mergeById(list, records = [], deleted = []) {
+  const gone = new Set(deleted.map(String));
+  const changed = new Map(records.filter(r => r && r.id !== undefined && r.id !== null).map(r => [String(r.id), r]));
+  const merged = [];
+  (Array.isArray(list) ? list : []).forEach(item => {
+    const id = item && String(item.id);
+    if (gone.has(id)) return;
+    if (changed.has(id)) {
+      merged.push({ ...item, ...changed.get(id) });
+      changed.delete(id);
+    } else {
+      merged.push(item);
+    }
+  });
+  changed.forEach((record, id) => {
+    if (!gone.has(id)) merged.push(record);
+  });
+  return merged;
+}
+/**
+ * Applies a delta sync response to one list and notifies listeners once.
+ * @param {string} key - 'prompts', 'categories' or 'tags'.
+ * @param {Object} changes - { records, deleted, full }; with `full` the records replace the list.
+ * @returns {boolean} Whether anything was applied.
+ */
+export function applyChanges(key, { records = [], deleted = [], full = false } = {}) {
+  console.log("applyChanges: START", { key, records: records.length, deleted: deleted.length, full });
+  if (!['prompts', 'categories', 'tags'].includes(key)) throw new Error(`applyChanges: unknown list "${key}"`);
+  if (!full && !records.length && !deleted.length) return false;
+  state[key] = full ? records.slice() : mergeById(state[key], records, deleted);
+  notify({ type: 'changes', key, records, deleted, full });
+  console.log("applyChanges: END", { key, newLength: state[key].length });
+  return true;
+}
+/**
+ * Sets the function that passes setter calls on to other tabs; null stops broadcasting.
+ * @param {Function|null} fn - Called with { type: 'set', key, value }.
+ */
+export function setBroadcaster(fn) {
+  broadcaster = typeof fn === 'function' ? fn : null;
+}
+/**
+ * Applies a setter call broadcast by another tab, without broadcasting it again.
+ * Listeners are told with { type: 'remote', key }.
+ * @param {Object} message - { type: 'set', key, value }.
+ * @returns {boolean} Whether the message was applied.
+ */
+export function applyRemoteMutation(message) {
+  if (!message || message.type !== 'set' || !SETTER_KEYS.includes(message.key)) return false;
+  const { key, value } = message;
+  if (key !== 'currentPrompt' && !Array.isArray(value)) return false;
+  console.log("applyRemoteMutation: START", { key });
+  state[key] = value === undefined ? null : value;
+  notify({ type: 'remote', key });
+  console.log("applyRemoteMutation: END", { key });
+  return true;
+}
 export function subscribe(listener) {
   console.log("subscribe: START", { listenerCount: listeners.length });
   listeners.push(listener);
@@ -73,8 +158,11 @@ export function subscribe(listener) {
     }
   };
 }
-function notify() {
+// Listeners get a copy of the state, and for applyChanges() what changed
+// ({ type: 'changes', key, records, deleted, full }) so views can update in place;
+// for changes from another tab { type: 'remote', key }
+function notify(change = null) {
   console.log("notify: START", { listenerCount: listeners.length, state: { ...state } });
-  listeners.forEach(fn => fn({ ...state }));
+  listeners.forEach(fn => fn({ ...state }, change));
   console.log("notify: END");
 }
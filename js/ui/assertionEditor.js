@@ -0,0 +1,155 @@
+/**
+ * ui/assertionEditor.js - Editor for a prompt's output assertions, and the pass/fail line shown under a result
+ * Assertions are checked on every result added to the prompt (see util/resultAssertions.js).
+ */
+
+import { escapeHtml } from '../util/dataValidator.js';
+import { ASSERTION_TYPES, MAX_ASSERTIONS, validateAssertions } from '../util/resultAssertions.js';
+import { debugLog } from '../util/debugLogger.js';
+
+const INPUT_STYLE = 'width:100%;padding:6px 8px;background:#261A40;border-radius:8px;color:#F3EFFF;border:none;font-size:14px;';
+const LABEL_STYLE = 'display:flex;flex-direction:column;gap:2px;color:#BFAEF5;font-size:12px;font-weight:600;';
+const VALUE_PLACEHOLDERS = {
+  contains: 'Text the output must contain',
+  not_contains: 'Text the output must not contain',
+  regex: 'e.g. ^Summary:',
+  json_schema: '{"type": "object", "required": ["answer"]}',
+  max_length: 'e.g. 500'
+};
+
+/**
+ * Build the HTML for one assertion row.
+ * @param {Object} assertion - The assertion.
+ * @returns {string} HTML string.
+ */
+function renderRow(assertion) {
+  const info = ASSERTION_TYPES.find(t => t.type === assertion.type) || ASSERTION_TYPES[0];
+  const value = assertion.value === undefined || assertion.value === null
+    ? ''
+    : (typeof assertion.value === 'object' ? JSON.stringify(assertion.value, null, 2) : String(assertion.value));
+  const valueInput = info.type === 'json_schema'
+    ? `<textarea data-field="value" rows="4" placeholder="${escapeHtml(VALUE_PLACEHOLDERS.json_schema)}" style="${INPUT_STYLE}font-family:monospace;resize:vertical;">${escapeHtml(value)}</textarea>`
+    : `<input type="${info.type === 'max_length' ? 'number' : 'text'}" data-field="value" value="${escapeHtml(value)}"${info.type === 'max_length' ? ' min="1" step="1"' : ' maxlength="2000"'} placeholder="${escapeHtml(VALUE_PLACEHOLDERS[info.type] || '')}" style="${INPUT_STYLE}" />`;
+  return `
+    <fieldset class="assertion-row" data-assertion-row data-assertion-id="${escapeHtml(assertion.id || '')}" style="border:1px solid #3a2a5c;border-radius:8px;padding:8px;margin:0 0 8px 0;display:grid;grid-template-columns:180px 1fr auto;gap:6px;align-items:end;">
+      <label style="${LABEL_STYLE}">Check
+        <select data-field="type" style="${INPUT_STYLE}">
+          ${ASSERTION_TYPES.map(t => `<option value="${t.type}"${t.type === info.type ? ' selected' : ''}>${t.label}</option>`).join('')}
+        </select>
+      </label>
+      <label style="${LABEL_STYLE}${info.needsValue ? '' : 'visibility:hidden;'}">Value
+        ${valueInput}
+      </label>
+      <button type="button" class="danger" data-remove-assertion aria-label="Remove assertion">✕</button>
+      <label style="${LABEL_STYLE}flex-direction:row;align-items:center;gap:6px;grid-column:1 / -1;${info.text ? '' : 'display:none;'}">
+        <input type="checkbox" data-field="case_sensitive"${assertion.case_sensitive ? ' checked' : ''} /> Case sensitive
+      </label>
+      <div class="assertion-row-error" style="grid-column:1 / -1;color:#ffb3b3;font-size:12px;"></div>
+    </fieldset>
+  `;
+}
+
+/**
+ * Read an assertion back from its row.
+ * @param {HTMLElement} row - The row element.
+ * @returns {Object} The assertion, as sent to the API.
+ */
+function readRow(row) {
+  const type = row.querySelector('[data-field="type"]').value;
+  const info = ASSERTION_TYPES.find(t => t.type === type);
+  const assertion = { type };
+  const id = row.getAttribute('data-assertion-id');
+  if (id) assertion.id = id;
+  if (info && info.needsValue) {
+    const raw = row.querySelector('[data-field="value"]').value;
+    assertion.value = type === 'max_length' ? Number(raw) : (info.text ? raw : raw.trim());
+  }
+  if (info && info.text) assertion.case_sensitive = row.querySelector('[data-field="case_sensitive"]').checked;
+  return assertion;
+}
+
+/**
+ * Render the assertion editor.
+ * @param {HTMLElement} container - Element to render into.
+ * @param {Object[]} [assertions=[]] - Existing assertions (`prompt.assertions`).
+ * @returns {{getAssertions: Function, validate: Function}|null} Editor controller.
+ */
+export function renderAssertionEditor(container, assertions = []) {
+  if (!container) return null;
+  let current = Array.isArray(assertions) ? assertions.map(a => ({ ...a })) : [];
+
+  function collect() {
+    current = Array.from(container.querySelectorAll('[data-assertion-row]')).map(readRow);
+  }
+
+  function render() {
+    debugLog('[assertionEditor] Rendering assertions:', current);
+    container.innerHTML = `
+      <details class="assertion-editor" style="margin-bottom:0.5em;"${current.length ? ' open' : ''}>
+        <summary style="cursor:pointer;font-size:15px;font-weight:600;color:#E0D0FF;margin:0.5em 0;">Output assertions (${current.length})</summary>
+        <p style="color:#BFAEF5;font-size:12px;margin:0 0 6px 0;">Checked on every result added to this prompt.</p>
+        ${current.map(renderRow).join('')}
+        <button type="button" class="utility" data-add-assertion${current.length >= MAX_ASSERTIONS ? ' disabled' : ''}>+ Add assertion</button>
+      </details>
+    `;
+    container.querySelectorAll('[data-field="type"]').forEach((select, index) => {
+      select.addEventListener('change', () => {
+        collect();
+        // The value of one kind of check rarely fits another
+        current[index] = { ...current[index], value: undefined };
+        render();
+      });
+    });
+    container.querySelectorAll('[data-remove-assertion]').forEach((btn, index) => {
+      btn.onclick = () => {
+        collect();
+        current.splice(index, 1);
+        render();
+      };
+    });
+    container.querySelector('[data-add-assertion]').onclick = () => {
+      collect();
+      current.push({ type: 'contains', value: '', case_sensitive: false });
+      render();
+      const rows = container.querySelectorAll('[data-assertion-row]');
+      const input = rows[rows.length - 1].querySelector('[data-field="value"]');
+      if (input) input.focus();
+    };
+  }
+  render();
+
+  return {
+    /** @returns {Object[]} The assertions as currently edited. */
+    getAssertions: () => Array.from(container.querySelectorAll('[data-assertion-row]')).map(readRow),
+    /** Validate all assertions and show errors inline. @returns {{isValid: boolean, errors: string[]}} */
+    validate: () => {
+      const errors = [];
+      container.querySelectorAll('[data-assertion-row]').forEach((row, index) => {
+        const messages = validateAssertions([readRow(row)]).map(message => message.replace('Assertion 1', `Assertion ${index + 1}`));
+        row.querySelector('.assertion-row-error').textContent = messages.join(' ');
+        errors.push(...messages);
+      });
+      if (errors.length) container.querySelector('details').open = true;
+      return { isValid: errors.length === 0, errors };
+    }
+  };
+}
+
+/**
+ * Create the pass/fail line shown under a result whose output was checked against assertions.
+ * @param {Object} result - The result.
+ * @returns {HTMLElement|null} The line, or null if no assertions were checked.
+ */
+export function createAssertionOutcomeLine(result) {
+  const outcomes = result && Array.isArray(result.assertion_results) ? result.assertion_results : [];
+  if (!outcomes.length) return null;
+  const failed = outcomes.filter(o => !o.passed);
+  const line = document.createElement('div');
+  line.className = 'result-assertions';
+  line.style.fontSize = '12px';
+  line.style.color = failed.length ? '#FFD98A' : '#BFAEF5';
+  line.textContent = failed.length
+    ? `✘ ${failed.length} of ${outcomes.length} assertions failed: ${failed.map(o => o.message || o.type).join('; ')}`
+    : `✔ All ${outcomes.length} assertions passed`;
+  return line;
+}
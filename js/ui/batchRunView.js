@@ -0,0 +1,247 @@
+// batchRunView.js - "Batch" tab of the full prompt view: run the prompt once per row of an uploaded
+// CSV/JSONL dataset, save each output as a result linked to its row, and export the grid as CSV
+
+import { parseDataset, matchDatasetColumns, prepareBatchItems, createBatchQueue, toCSV } from '../util/batchRunner.js';
+import { saveRunnerSettings, validateRunnerSettings, runPrompt } from '../util/modelProviders.js';
+import { renderRunnerSettings } from './runPanel.js';
+import { addResult } from '../api/results.js';
+import { downloadFile } from '../util/helpers.js';
+import { escapeHtml } from '../util/dataValidator.js';
+
+const INPUT_STYLE = 'padding:6px 8px;border-radius:8px;border:none;background:#261A40;color:#F3EFFF;font-size:14px;width:100%;';
+const LABEL_STYLE = 'display:flex;flex-direction:column;gap:2px;color:#BFAEF5;font-size:13px;';
+const CELL_STYLE = 'padding:4px 6px;border-bottom:1px solid #261A40;vertical-align:top;text-align:left;';
+const STATUS_COLORS = { pending: '#BFAEF5', running: '#E0D0FF', done: '#F3EFFF', failed: '#ffb3b3', skipped: '#FFD98A' };
+
+function assertionSummary(item) {
+  const checks = (item.result && item.result.assertion_results) || [];
+  return checks.length ? `${checks.filter(o => o.passed).length}/${checks.length}` : '';
+}
+
+/**
+ * Render the Batch panel into a container.
+ * @param {HTMLElement} container - Element to render into (its contents are replaced).
+ * @param {Object} prompt - The prompt being run.
+ * @param {Object} options
+ * @param {Function} options.getTemplate - Resolves to `{text, definitions}`: the prompt text (includes resolved) and its variable declarations.
+ * @returns {{destroy: Function}|null} Controller: `destroy()` cancels the batch in progress.
+ */
+export function renderBatchRunPanel(container, prompt, options = {}) {
+  if (!container || !prompt) return null;
+  let dataset = null;
+  let items = [];
+  let queue = null;
+  let batchId = null;
+
+  container.innerHTML = `
+    <section class="batch-panel" aria-label="Batch run">
+      <p style="margin-top:0;color:#BFAEF5;font-size:0.95em;">Upload a CSV (with a header row) or JSONL file whose columns are named after the prompt's <code>{{placeholders}}</code>. Every row is run and saved as a result linked to that row.</p>
+      <label style="${LABEL_STYLE}">Dataset
+        <input name="dataset" type="file" accept=".csv,.jsonl,.ndjson,.json,text/csv,application/json" data-testid="batch-dataset-input" style="${INPUT_STYLE}">
+      </label>
+      <div class="batch-dataset-info" aria-live="polite" style="font-size:0.95em;margin:6px 0;"></div>
+      <div class="batch-settings"></div>
+      <div style="display:flex;gap:8px;margin-top:8px;">
+        <label style="${LABEL_STYLE}">Concurrent runs
+          <input name="concurrency" type="number" min="1" max="8" step="1" value="2" style="${INPUT_STYLE}">
+        </label>
+        <label style="${LABEL_STYLE}">Retries per row
+          <input name="retries" type="number" min="0" max="5" step="1" value="1" style="${INPUT_STYLE}">
+        </label>
+      </div>
+      <div class="modal-actions" style="margin-top:8px;">
+        <button type="button" class="primary" data-batch-start data-testid="batch-start-btn" disabled>▶ Run batch</button>
+        <button type="button" class="secondary" data-batch-pause disabled>⏸ Pause</button>
+        <button type="button" class="utility" data-batch-retry disabled>↻ Retry failed</button>
+        <button type="button" class="utility" data-batch-export disabled>⬇ Export CSV</button>
+      </div>
+      <div style="display:flex;align-items:center;gap:8px;margin-top:6px;">
+        <progress class="batch-progress" value="0" max="1" style="flex:1;"></progress>
+        <span class="batch-status" role="status" aria-live="polite" style="color:#BFAEF5;font-size:0.95em;"></span>
+      </div>
+      <div class="batch-grid" style="max-height:40vh;overflow:auto;margin-top:8px;"></div>
+    </section>
+  `;
+  const runnerSettings = renderRunnerSettings(container.querySelector('.batch-settings'));
+  const fileInput = container.querySelector('[name="dataset"]');
+  const info = container.querySelector('.batch-dataset-info');
+  const grid = container.querySelector('.batch-grid');
+  const progress = container.querySelector('.batch-progress');
+  const status = container.querySelector('.batch-status');
+  const startBtn = container.querySelector('[data-batch-start]');
+  const pauseBtn = container.querySelector('[data-batch-pause]');
+  const retryBtn = container.querySelector('[data-batch-retry]');
+  const exportBtn = container.querySelector('[data-batch-export]');
+
+  function setStatus(message, color = '#BFAEF5') {
+    status.style.color = color;
+    status.textContent = message;
+  }
+
+  function renderRow(item) {
+    const row = grid.querySelector(`tr[data-row="${item.index}"]`);
+    if (!row) return;
+    row.innerHTML = '';
+    const cells = [
+      String(item.index + 1),
+      ...dataset.columns.map(name => item.values[name]),
+      item.status + (item.status === 'running' && item.error ? ' (retrying)' : ''),
+      item.output || '',
+      assertionSummary(item),
+      item.error || ''
+    ];
+    cells.forEach((value, col) => {
+      const td = document.createElement('td');
+      td.style.cssText = CELL_STYLE;
+      if (col === dataset.columns.length + 1) td.style.color = STATUS_COLORS[item.status] || '#F3EFFF';
+      if (col === dataset.columns.length + 2) td.style.cssText += 'white-space:pre-wrap;min-width:200px;';
+      td.textContent = value;
+      row.appendChild(td);
+    });
+  }
+
+  function renderGrid() {
+    grid.innerHTML = `
+      <table class="batch-results" style="border-collapse:collapse;width:100%;font-size:13px;color:#F3EFFF;">
+        <thead><tr>${['#', ...dataset.columns, 'Status', 'Output', 'Assertions', 'Error']
+          .map(name => `<th style="${CELL_STYLE}color:#E0D0FF;position:sticky;top:0;background:#1C1433;">${escapeHtml(name)}</th>`).join('')}</tr></thead>
+        <tbody>${items.map(item => `<tr data-row="${item.index}"></tr>`).join('')}</tbody>
+      </table>
+    `;
+    items.forEach(renderRow);
+  }
+
+  function updateControls() {
+    const stats = queue ? queue.stats() : { total: items.length, pending: items.filter(i => i.status === 'pending').length, running: 0, done: 0, failed: 0, skipped: items.filter(i => i.status === 'skipped').length, paused: true, finished: false };
+    const active = Boolean(queue) && stats.running + stats.pending > 0 && !stats.paused;
+    progress.max = Math.max(1, stats.total);
+    progress.value = stats.done + stats.failed + stats.skipped;
+    startBtn.disabled = Boolean(queue) || !stats.pending;
+    pauseBtn.disabled = !queue || stats.finished;
+    pauseBtn.textContent = stats.paused && queue ? '▶ Resume' : '⏸ Pause';
+    retryBtn.disabled = !stats.failed || active;
+    exportBtn.disabled = !items.length;
+    fileInput.disabled = Boolean(queue) && !stats.finished;
+    if (queue) {
+      setStatus(`${stats.done} done · ${stats.failed} failed · ${stats.skipped} skipped · ${stats.running} running · ${stats.pending} waiting${stats.paused && !stats.finished ? ' (paused)' : ''}`);
+    }
+  }
+
+  function onIdle() {
+    if (!queue) return;
+    queue.whenIdle().then(() => {
+      updateControls();
+      if (typeof window.renderPrompts === 'function') {
+        window.renderPrompts();
+      }
+    });
+  }
+
+  fileInput.onchange = async () => {
+    const file = fileInput.files && fileInput.files[0];
+    if (!file) return;
+    if (queue) queue.abort();
+    queue = null;
+    const { text, definitions } = await options.getTemplate();
+    dataset = parseDataset(await file.text(), file.name);
+    const match = matchDatasetColumns(text, dataset.columns);
+    items = prepareBatchItems(text, definitions, dataset.rows);
+    const skipped = items.filter(i => i.status === 'skipped').length;
+    const lines = [
+      `<div style="color:#F3EFFF;">${dataset.rows.length} row(s) · columns used: ${match.matched.map(escapeHtml).join(', ') || 'none'}</div>`
+    ];
+    if (!match.placeholders.length) {
+      lines.push('<div style="color:#FFD98A;">This prompt has no placeholders; every row runs the same text.</div>');
+    }
+    if (match.missing.length) {
+      lines.push(`<div style="color:#FFD98A;">No column for: ${match.missing.map(escapeHtml).join(', ')} (declared defaults are used).</div>`);
+    }
+    if (match.unused.length) {
+      lines.push(`<div style="color:#BFAEF5;">Ignored columns: ${match.unused.map(escapeHtml).join(', ')}</div>`);
+    }
+    if (skipped) {
+      lines.push(`<div style="color:#FFD98A;">${skipped} row(s) will be skipped; see the Error column.</div>`);
+    }
+    dataset.errors.slice(0, 5).forEach(err => lines.push(`<div style="color:#ffb3b3;">${escapeHtml(err)}</div>`));
+    info.innerHTML = lines.join('');
+    renderGrid();
+    setStatus('');
+    updateControls();
+  };
+
+  startBtn.onclick = () => {
+    const settings = runnerSettings.read();
+    const errors = validateRunnerSettings(settings);
+    if (errors.length) {
+      setStatus(errors.join(' '), '#ffb3b3');
+      return;
+    }
+    saveRunnerSettings(settings);
+    const clamp = (value, min, max, fallback) => {
+      const n = parseInt(value, 10);
+      return Number.isNaN(n) ? fallback : Math.min(max, Math.max(min, n));
+    };
+    batchId = `batch_${Date.now().toString(36)}`;
+    queue = createBatchQueue(items, async (item, { signal }) => {
+      const run = await runPrompt(item.prompt, settings, { signal });
+      if (!run.text.trim()) throw new Error('The model returned no text');
+      const res = await addResult(prompt.id, {
+        content: run.text,
+        ...(window.session && window.session.user ? { author: window.session.user } : {}),
+        ...run.provenance,
+        input: { batch_id: batchId, row: item.index + 1, values: item.values }
+      }, { assertions: prompt.assertions });
+      return { output: run.text, result: res && res.result };
+    }, {
+      concurrency: clamp(container.querySelector('[name="concurrency"]').value, 1, 8, 2),
+      retries: clamp(container.querySelector('[name="retries"]').value, 0, 5, 1),
+      onUpdate: item => {
+        renderRow(item);
+        updateControls();
+      }
+    });
+    queue.start();
+    updateControls();
+    onIdle();
+  };
+
+  pauseBtn.onclick = () => {
+    if (!queue) return;
+    if (queue.stats().paused) {
+      queue.resume();
+      onIdle();
+    } else {
+      queue.pause();
+    }
+    updateControls();
+  };
+
+  retryBtn.onclick = () => {
+    if (!queue) return;
+    queue.retryFailed();
+    if (queue.stats().paused) queue.resume();
+    updateControls();
+    onIdle();
+  };
+
+  exportBtn.onclick = () => {
+    const columns = ['row', ...dataset.columns, 'status', 'output', 'assertions_passed', 'error', 'result_id'];
+    const rows = items.map(item => ({
+      ...item.values,
+      row: item.index + 1,
+      status: item.status,
+      output: item.output || '',
+      assertions_passed: assertionSummary(item),
+      error: item.error || '',
+      result_id: item.result ? item.result.id : ''
+    }));
+    const name = String(prompt.title || prompt.id).replace(/[^\w.-]+/g, '_').slice(0, 60);
+    downloadFile(`${name}_${batchId || 'batch'}.csv`, toCSV(columns, rows), 'text/csv');
+  };
+
+  return {
+    destroy: () => {
+      if (queue) queue.abort();
+    }
+  };
+}
@@ -9,6 +9,15 @@ import { showConfirmationModal, showCustomModal, closeModal } from './modals.js'
 import { showToast } from './toast.js';
 import { showLoading, hideLoading } from './progress.js';
 import { downloadFile } from '../util/helpers.js'; // Assumed helper
+import { resolvePromptIncludes } from '../util/promptIncludes.js';
+import { getChainPromptIds } from '../util/chains.js';
+import { getPrompts as appGetPrompts } from '../state/appState.js';
+import { estimateBulkCost, formatCost } from '../util/costEstimator.js';
+import { MODELS, formatTokenCount, getSelectedModelId, setSelectedModelId } from '../util/tokenEstimator.js';
+import { DEFAULT_OUTPUT_TOKENS } from '../config.js';
+import { escapeHtml } from '../util/dataValidator.js';
+import { openPricingEditor } from './costPanel.js';
+import { openPromptComparison } from './compareView.js';
 
 // --- State ---
 const selectedPromptIds = new Set();
@@ -25,6 +34,10 @@ const INVERT_SELECTION_BTN_ID = 'bulk-invert-selection-btn';
 const BULK_DELETE_BTN_ID = 'bulk-delete-btn';
 const BULK_EXPORT_BTN_ID = 'bulk-export-btn';
 const BULK_EDIT_BTN_ID = 'bulk-edit-btn';
+const BULK_COST_BTN_ID = 'bulk-cost-btn';
+const BULK_COMPARE_BTN_ID = 'bulk-compare-btn';
+const BULK_EVALUATE_BTN_ID = 'bulk-evaluate-btn';
+const COST_SUMMARY_ID = 'bulk-cost-summary';
 
 let bulkActionsToolbar;
 let selectedCountElement;
@@ -50,8 +63,14 @@ export function initBulkOperations() {
     document.getElementById(BULK_DELETE_BTN_ID)?.addEventListener('click', handleBulkDelete);
     document.getElementById(BULK_EXPORT_BTN_ID)?.addEventListener('click', handleBulkExport);
     document.getElementById(BULK_EDIT_BTN_ID)?.addEventListener('click', handleBulkEdit);
+    document.getElementById(BULK_COST_BTN_ID)?.addEventListener('click', handleBulkCostEstimate);
+    document.getElementById(BULK_COMPARE_BTN_ID)?.addEventListener('click', handleBulkCompare);
+    document.getElementById(BULK_EVALUATE_BTN_ID)?.addEventListener('click', handleBulkEvaluate);
 
     document.addEventListener('keydown', _handleGlobalKeyDown);
+    // Keep the cost rollup in step with the chosen model and pricing table
+    window.addEventListener('tokenModelChanged', _updateCostSummary);
+    window.addEventListener('pricingChanged', _updateCostSummary);
 
     _updateBulkUIToolbar(); // Initially hide toolbar
     console.log('Bulk operations initialized.');
@@ -182,6 +201,19 @@ function _updateBulkUIToolbar() {
         bulkActionsToolbar.style.display = 'none';
         selectedCountElement.textContent = '0 selected';
     }
+    _updateCostSummary();
+    // Compare needs exactly two prompts
+    const compareButton = document.getElementById(BULK_COMPARE_BTN_ID);
+    if (compareButton) {
+        compareButton.disabled = count !== 2;
+        compareButton.title = count === 2 ? 'Compare the two selected prompts side by side' : 'Select exactly two prompts to compare';
+    }
+    // So does the A/B evaluation of their results
+    const evaluateButton = document.getElementById(BULK_EVALUATE_BTN_ID);
+    if (evaluateButton) {
+        evaluateButton.disabled = count !== 2;
+        evaluateButton.title = count === 2 ? 'Judge results of the two selected prompts against each other' : 'Select exactly two prompts to evaluate';
+    }
     // Sync all visible checkboxes (important after operations like invert or select all)
     const visiblePrompts = _getVisiblePromptElementsAndIds();
      visiblePrompts.forEach(p => {
@@ -191,6 +223,30 @@ function _updateBulkUIToolbar() {
     });
 }
 
+/**
+ * Returns the loaded prompt objects for the current selection.
+ * Uses the list renderer's prompts, falling back to appState.
+ * @returns {Object[]} Selected prompts that are loaded client-side.
+ */
+function _getSelectedPrompts() {
+    const loaded = (window.app && Array.isArray(window.app.allPrompts)) ? window.app.allPrompts : appGetPrompts();
+    return (loaded || []).filter(p => selectedPromptIds.has(String(p.id)));
+}
+
+function _updateCostSummary() {
+    const summaryElement = document.getElementById(COST_SUMMARY_ID);
+    if (!summaryElement) return;
+    if (selectedPromptIds.size === 0) {
+        summaryElement.textContent = '';
+        return;
+    }
+    const rollup = estimateBulkCost(_getSelectedPrompts());
+    const model = MODELS.find(m => m.id === getSelectedModelId());
+    summaryElement.textContent = rollup.priced
+        ? `≈ ${formatCost(rollup.total)} per run on ${model ? model.label : getSelectedModelId()}`
+        : `No price configured for ${model ? model.label : getSelectedModelId()}`;
+}
+
 // --- Keyboard Shortcut Handler ---
 
 function _handleGlobalKeyDown(event) {
@@ -257,106 +313,312 @@ async function handleBulkDelete() {
     );
 }
 
-async function handleBulkExport() {
-    if (isBulkOperationInProgress) return;
-    const idsToExport = Array.from(selectedPromptIds);
-    if (idsToExport.length === 0) {
-        showToast('No prompts selected for export.', 'info');
+/**
+ * Shows a per-prompt cost breakdown for the selection, for budgeting before a batch run.
+ */
+function handleBulkCostEstimate() {
+    const prompts = _getSelectedPrompts();
+    if (prompts.length === 0) {
+        showToast('No prompts selected for cost estimation.', 'info');
         return;
     }
-
-    const modalId = 'bulk-export-options-modal';
+    const modalId = 'bulk-cost-modal';
     const formHtml = `
-        <form id="bulk-export-form">
-            <p>Select export format for ${idsToExport.length} prompt(s):</p>
-            <div>
-                <input type="radio" id="export-json" name="export-format" value="json" checked>
-                <label for="export-json">JSON</label>
-            </div>
-            <div>
-                <input type="radio" id="export-csv" name="export-format" value="csv">
-                <label for="export-csv">CSV</label>
-            </div>
-            <div>
-                <input type="radio" id="export-markdown" name="export-format" value="md">
-                <label for="export-markdown">Markdown</label>
+        <form id="${modalId}-form" novalidate>
+            <div style="display:flex;flex-wrap:wrap;gap:8px;align-items:center;">
+                <label>Model:
+                    <select name="model">
+                        ${MODELS.map(m => `<option value="${m.id}"${m.id === getSelectedModelId() ? ' selected' : ''}>${m.label}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Expected output tokens per call:
+                    <input type="number" name="outputTokens" min="0" step="50" value="${DEFAULT_OUTPUT_TOKENS}" style="width:6em;">
+                </label>
+                <label>Runs:
+                    <input type="number" name="runs" min="1" step="1" value="1" style="width:5em;">
+                </label>
+                <button type="button" class="utility" data-action="edit-pricing">Edit pricing</button>
             </div>
+            <div class="bulk-cost-breakdown" aria-live="polite" style="margin-top:1em;max-height:50vh;overflow:auto;"></div>
             <div class="modal-actions">
-                <button type="submit" class="primary">Export</button>
-                <button type="button" class="secondary" data-close-modal-id="${modalId}">Cancel</button>
+                <button type="button" class="secondary" data-close-modal-id="${modalId}">Close</button>
             </div>
         </form>
     `;
+    const modal = showCustomModal(modalId, `Cost estimate for ${prompts.length} prompt(s)`, formHtml, { wide: true });
+    const form = modal.querySelector('form');
+    const breakdown = modal.querySelector('.bulk-cost-breakdown');
+
+    const render = () => {
+        const runs = Math.max(1, parseInt(form.elements.runs.value, 10) || 1);
+        const rollup = estimateBulkCost(prompts, form.elements.model.value, { outputTokens: form.elements.outputTokens.value });
+        if (!rollup.priced) {
+            breakdown.textContent = 'No price configured for this model. Use "Edit pricing" to add one.';
+            return;
+        }
+        breakdown.innerHTML = `
+            <table style="width:100%;border-collapse:collapse;">
+                <thead>
+                    <tr style="text-align:left;"><th>Prompt</th><th>Input tokens</th><th>Input</th><th>Output</th><th>Per call</th></tr>
+                </thead>
+                <tbody>
+                    ${rollup.items.map(({ prompt, cost }) => `
+                        <tr>
+                            <td>${escapeHtml(prompt.title || prompt.id)}</td>
+                            <td>≈ ${formatTokenCount(cost.inputTokens)}</td>
+                            <td>${formatCost(cost.inputCost)}</td>
+                            <td>${formatCost(cost.outputCost)}</td>
+                            <td>${formatCost(cost.total)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr style="font-weight:600;">
+                        <td>Total (one call each)</td>
+                        <td>≈ ${formatTokenCount(rollup.inputTokens)}</td>
+                        <td>${formatCost(rollup.inputCost)}</td>
+                        <td>${formatCost(rollup.outputCost)}</td>
+                        <td>${formatCost(rollup.total)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+            <p style="font-weight:600;">Budget for ${runs} run(s): ${formatCost(rollup.total * runs)}</p>
+            ${selectedPromptIds.size > prompts.length ? `<p>${selectedPromptIds.size - prompts.length} selected prompt(s) are not loaded and were not counted.</p>` : ''}
+        `;
+    };
+
+    form.elements.model.onchange = () => {
+        setSelectedModelId(form.elements.model.value);
+        window.dispatchEvent(new CustomEvent('tokenModelChanged', { detail: { modelId: form.elements.model.value } }));
+        render();
+    };
+    form.elements.outputTokens.oninput = render;
+    form.elements.runs.oninput = render;
+    form.querySelector('[data-action="edit-pricing"]').onclick = () => openPricingEditor();
+    const onPricingChanged = () => {
+        if (!modal.isConnected) {
+            window.removeEventListener('pricingChanged', onPricingChanged);
+            return;
+        }
+        render();
+    };
+    window.addEventListener('pricingChanged', onPricingChanged);
+    render();
+}
 
-    showCustomModal(modalId, 'Bulk Export Options', formHtml, async (formData) => {
-        // This callback is executed when the form inside the custom modal is submitted
-        // For showCustomModal, we'd typically handle form submission within the modal's own script or event listeners.
-        // Let's adjust to handle form submission directly.
+/**
+ * Compares the two selected prompts side by side, to decide which of two near-duplicates to keep.
+ */
+async function handleBulkCompare() {
+    const ids = Array.from(selectedPromptIds);
+    if (ids.length !== 2) {
+        showToast('Select exactly two prompts to compare.', 'info');
+        return;
+    }
+    const loaded = _getSelectedPrompts();
+    let prompts;
+    try {
+        // Keep selection order; fetch anything not loaded client-side
+        prompts = await Promise.all(ids.map(id => loaded.find(p => String(p.id) === id) || fetchPromptById(id)));
+    } catch (error) {
+        console.error('Failed to load prompts for comparison:', error);
+        showToast('Could not load the selected prompts.', 'error');
+        return;
+    }
+    openPromptComparison(prompts[0], prompts[1], {
+        onDeleted: (deletedId) => {
+            selectedPromptIds.delete(deletedId);
+            _updateBulkUIToolbar();
+            document.dispatchEvent(new CustomEvent('promptsChanged', { detail: { reason: 'compareDelete' } }));
+        }
     });
-    
-    // Need to attach listener to the form created by showCustomModal
-    // This is a common challenge with dynamically injected forms.
-    // A better showCustomModal would return the modal element or take a submit callback.
-    // Assuming showCustomModal allows attaching listeners or has a submit callback:
-    const exportForm = document.getElementById('bulk-export-form');
-    if (exportForm) {
-        exportForm.onsubmit = async (e) => {
+}
+
+/**
+ * Opens the pairwise evaluation of the two selected prompts' results (winners feed the leaderboard).
+ */
+function handleBulkEvaluate() {
+    const ids = Array.from(selectedPromptIds);
+    if (ids.length !== 2) {
+        showToast('Select exactly two prompts to evaluate.', 'info');
+        return;
+    }
+    window.dispatchEvent(new CustomEvent('openEvaluation', { detail: { promptIds: ids } }));
+}
+
+/**
+ * Asks the user for an export format.
+ * @param {string} modalId - ID for the options modal.
+ * @param {string} title - Modal title.
+ * @param {string} subject - What is being exported, e.g. "3 prompt(s)".
+ * @returns {Promise<string|null>} 'json', 'csv' or 'md', or null if cancelled.
+ */
+function _chooseExportFormat(modalId, title, subject) {
+    return new Promise((resolve) => {
+        const formHtml = `
+            <form id="${modalId}-form">
+                <p>Select export format for ${subject}:</p>
+                <div>
+                    <input type="radio" id="${modalId}-json" name="export-format" value="json" checked>
+                    <label for="${modalId}-json">JSON</label>
+                </div>
+                <div>
+                    <input type="radio" id="${modalId}-csv" name="export-format" value="csv">
+                    <label for="${modalId}-csv">CSV</label>
+                </div>
+                <div>
+                    <input type="radio" id="${modalId}-markdown" name="export-format" value="md">
+                    <label for="${modalId}-markdown">Markdown</label>
+                </div>
+                <div class="modal-actions">
+                    <button type="submit" class="primary">Export</button>
+                    <button type="button" class="secondary" data-close-modal-id="${modalId}">Cancel</button>
+                </div>
+            </form>
+        `;
+
+        const modal = showCustomModal(modalId, title, formHtml);
+        const exportForm = document.getElementById(`${modalId}-form`);
+        if (!exportForm) {
+            console.error("Could not find export form in modal.");
+            resolve(null);
+            return;
+        }
+        let chosen = null;
+        exportForm.onsubmit = (e) => {
             e.preventDefault();
-            isBulkOperationInProgress = true;
+            chosen = new FormData(exportForm).get('export-format');
             closeModal(modalId); // Close the options modal
+        };
+        // Resolve once the modal is gone, whichever way it was closed
+        const observer = new MutationObserver(() => {
+            if (!modal.isConnected) {
+                observer.disconnect();
+                resolve(chosen);
+            }
+        });
+        observer.observe(document.body, { childList: true });
+    });
+}
+
+/**
+ * Serializes items in the chosen export format and downloads the file.
+ * @param {string} format - 'json', 'csv' or 'md'.
+ * @param {string} baseName - File name without extension.
+ * @param {{json: Function, csv: Function, md: Function}} serializers - Serializer per format.
+ */
+function _downloadExport(format, baseName, serializers) {
+    const types = {
+        json: { ext: '.json', mimeType: 'application/json' },
+        csv: { ext: '.csv', mimeType: 'text/csv' },
+        md: { ext: '.md', mimeType: 'text/markdown' }
+    };
+    const type = types[format] || types.json;
+    const serialize = serializers[format] || serializers.json;
+    const fileName = `${baseName}-${new Date().toISOString().split('T')[0]}${type.ext}`;
+    downloadFile(fileName, serialize(), type.mimeType);
+}
 
-            const format = new FormData(exportForm).get('export-format');
-            showLoading(`Exporting ${idsToExport.length} prompt(s) as ${format.toUpperCase()}...`);
+async function handleBulkExport() {
+    if (isBulkOperationInProgress) return;
+    const idsToExport = Array.from(selectedPromptIds);
+    if (idsToExport.length === 0) {
+        showToast('No prompts selected for export.', 'info');
+        return;
+    }
 
-            const promptsData = [];
-            try {
-                for (const id of idsToExport) {
-                    // Fetch full prompt data. Consider a bulk fetch API endpoint if performance is an issue.
-                    const prompt = await fetchPromptById(id);
-                    if (prompt) promptsData.push(prompt);
-                }
+    const format = await _chooseExportFormat('bulk-export-options-modal', 'Bulk Export Options', `${idsToExport.length} prompt(s)`);
+    if (!format) return;
 
-                if (promptsData.length === 0) {
-                    throw new Error("Could not fetch details for selected prompts.");
-                }
+    isBulkOperationInProgress = true;
+    showLoading(`Exporting ${idsToExport.length} prompt(s) as ${format.toUpperCase()}...`);
 
-                let fileContent = '';
-                let fileName = `prompts-export-${new Date().toISOString().split('T')[0]}`;
-                let mimeType = 'text/plain';
-
-                if (format === 'json') {
-                    fileContent = _promptsToJSON(promptsData);
-                    fileName += '.json';
-                    mimeType = 'application/json';
-                } else if (format === 'csv') {
-                    fileContent = _promptsToCSV(promptsData);
-                    fileName += '.csv';
-                    mimeType = 'text/csv';
-                } else if (format === 'md') {
-                    fileContent = _promptsToMarkdown(promptsData);
-                    fileName += '.md';
-                    mimeType = 'text/markdown';
-                }
+    const promptsData = [];
+    const includeWarnings = [];
+    try {
+        for (const id of idsToExport) {
+            // Fetch full prompt data. Consider a bulk fetch API endpoint if performance is an issue.
+            const prompt = await fetchPromptById(id);
+            if (!prompt) continue;
+            // Export composed prompts with their `{{> prompt_id}}` includes resolved
+            const composed = await resolvePromptIncludes(prompt);
+            composed.warnings.forEach(w => includeWarnings.push(`${prompt.title || id}: ${w.message}`));
+            promptsData.push(composed.included.length
+                ? { ...prompt, content: composed.text, includes: composed.included }
+                : prompt);
+        }
 
-                downloadFile(fileName, fileContent, mimeType);
-                showToast(`Successfully exported ${promptsData.length} prompt(s).`, 'success');
+        if (promptsData.length === 0) {
+            throw new Error("Could not fetch details for selected prompts.");
+        }
 
-            } catch (error) {
-                console.error('Bulk export failed:', error);
-                showToast(`Export failed: ${error.message}`, 'error');
-            } finally {
-                hideLoading();
-                isBulkOperationInProgress = false;
-            }
-        };
-        // Handle cancel button inside the modal
-        const cancelButton = exportForm.querySelector(`[data-close-modal-id="${modalId}"]`);
-        cancelButton?.addEventListener('click', () => closeModal(modalId));
-    } else {
-        console.error("Could not find export form in modal.");
+        _downloadExport(format, 'prompts-export', {
+            json: () => _promptsToJSON(promptsData),
+            csv: () => _promptsToCSV(promptsData),
+            md: () => _promptsToMarkdown(promptsData)
+        });
+        showToast(`Successfully exported ${promptsData.length} prompt(s).`, 'success');
+        if (includeWarnings.length) {
+            showToast(`Some includes could not be resolved: ${includeWarnings.join('; ')}`, 'warning');
+        }
+
+    } catch (error) {
+        console.error('Bulk export failed:', error);
+        showToast(`Export failed: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+        isBulkOperationInProgress = false;
     }
 }
 
+/**
+ * Exports prompt chains together with the prompts their steps depend on.
+ * @param {Object[]} chains - The chains to export.
+ */
+export async function exportChains(chains) {
+    if (isBulkOperationInProgress) return;
+    if (!chains || chains.length === 0) {
+        showToast('No chains selected for export.', 'info');
+        return;
+    }
+
+    const format = await _chooseExportFormat('chain-export-options-modal', 'Export Chains', `${chains.length} chain(s)`);
+    if (!format) return;
+
+    isBulkOperationInProgress = true;
+    showLoading(`Exporting ${chains.length} chain(s) as ${format.toUpperCase()}...`);
+    try {
+        const promptsById = {};
+        for (const chain of chains) {
+            for (const id of getChainPromptIds(chain)) {
+                if (id in promptsById) continue;
+                try {
+                    promptsById[id] = await fetchPromptById(id);
+                } catch (error) {
+                    console.warn(`Chain export: prompt ${id} could not be loaded`, error);
+                    promptsById[id] = null;
+                }
+            }
+        }
+
+        _downloadExport(format, 'chains-export', {
+            json: () => _chainsToJSON(chains, promptsById),
+            csv: () => _chainsToCSV(chains, promptsById),
+            md: () => _chainsToMarkdown(chains, promptsById)
+        });
+        const missing = Object.keys(promptsById).filter(id => !promptsById[id]);
+        showToast(`Successfully exported ${chains.length} chain(s).`, 'success');
+        if (missing.length) {
+            showToast(`Some step prompts could not be loaded: ${missing.join(', ')}`, 'warning');
+        }
+    } catch (error) {
+        console.error('Chain export failed:', error);
+        showToast(`Export failed: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+        isBulkOperationInProgress = false;
+    }
+}
 
 async function handleBulkEdit() {
     if (isBulkOperationInProgress) return;
@@ -476,7 +738,8 @@ async function handleBulkEdit() {
 
 
                         if (changed) {
-                            await apiUpdatePrompt(id, updatePayload);
+                            // Fail this prompt rather than overwrite a save made since it was fetched
+                            await apiUpdatePrompt(id, updatePayload, { version: promptToUpdate.version });
                         }
                         successCount++;
                     } catch (error) {
@@ -569,6 +832,66 @@ function _promptsToMarkdown(prompts) {
     return mdContent;
 }
 
+function _chainsToJSON(chains, promptsById) {
+    return JSON.stringify({
+        chains,
+        prompts: Object.values(promptsById).filter(Boolean)
+    }, null, 2);
+}
+
+function _chainsToCSV(chains, promptsById) {
+    if (chains.length === 0) return '';
+    const rows = chains.map(chain => ({
+        ...chain,
+        tags: Array.isArray(chain.tags) ? chain.tags.join('|') : '',
+        // One entry per step: "prompt title [<- input_variable]", separated by " > "
+        steps: (chain.steps || []).map(step => {
+            const prompt = promptsById[step.prompt_id];
+            const label = prompt ? (prompt.title || step.prompt_id) : step.prompt_id;
+            return step.input_variable ? `${label} <- ${step.input_variable}` : label;
+        }).join(' > ')
+    }));
+    const headers = ['id', 'title', 'description', 'category', 'tags', 'steps', 'author', 'created_at', 'updated_at'];
+    const csvRows = [headers.join(',')];
+    rows.forEach(row => {
+        csvRows.push(headers.map(header => {
+            let value = row[header];
+            if (value === null || value === undefined) value = '';
+            value = String(value).replace(/"/g, '""');
+            if (value.includes(',') || value.includes('\n') || value.includes('"')) {
+                value = `"${value}"`;
+            }
+            return value;
+        }).join(','));
+    });
+    return csvRows.join('\n');
+}
+
+function _chainsToMarkdown(chains, promptsById) {
+    let mdContent = '# Chains Export\n\n';
+    chains.forEach(chain => {
+        mdContent += `## ${chain.title || 'Untitled Chain'}\n\n`;
+        mdContent += `**ID:** ${chain.id || 'N/A'}\n`;
+        mdContent += `**Category:** ${chain.category || 'N/A'}\n`;
+        mdContent += `**Tags:** ${(chain.tags && chain.tags.join(', ')) || 'None'}\n\n`;
+        if (chain.description) {
+            mdContent += `**Description:**\n${chain.description}\n\n`;
+        }
+        (chain.steps || []).forEach((step, index) => {
+            const prompt = promptsById[step.prompt_id];
+            mdContent += `### Step ${index + 1}: ${prompt ? (prompt.title || step.prompt_id) : `${step.prompt_id} (missing)`}\n\n`;
+            if (step.input_variable) {
+                mdContent += `Output of step ${index} → \`{{${step.input_variable}}}\`\n\n`;
+            }
+            if (prompt) {
+                mdContent += `\`\`\`\n${prompt.content || ''}\n\`\`\`\n\n`;
+            }
+        });
+        mdContent += '---\n\n';
+    });
+    return mdContent;
+}
+
 // --- Public API (Optional, if other modules need to interact) ---
 export function clearSelection() {
     deselectAllPrompts();
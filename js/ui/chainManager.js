@@ -0,0 +1,316 @@
+/**
+ * ui/chainManager.js - Prompt chains: list, filter, edit and export
+ * A chain is an ordered list of prompts where the output of step N is bound
+ * to a variable of the prompt in step N+1.
+ */
+
+import { fetchChains, createChain, updateChain, deleteChain } from '../api/chains.js';
+import { getPrompts, getCategories, getTags } from '../state/appState.js';
+import { escapeHtml, validateEntity } from '../util/dataValidator.js';
+import { extractVariables, getPromptText } from '../util/templateVars.js';
+import { filterChains, getChainSteps, getChainWarnings } from '../util/chains.js';
+import { showCustomModal, showConfirmModal } from './modals.js';
+import { exportChains } from './bulkOperations.js';
+import { debugLog } from '../util/debugLogger.js';
+
+const MODAL_ID = 'chains-modal';
+const INPUT_STYLE = 'padding:8px;background:#261A40;border-radius:8px;color:#F3EFFF;border:none;font-size:14px;';
+
+let chains = [];
+const filters = { search: '', category: '', tag: '', promptId: '' };
+
+function toast(message, type = 'info') {
+  window.dispatchEvent(new CustomEvent('showToast', { detail: { message, type } }));
+}
+
+function categoryName(id) {
+  return (getCategories().find(c => c.id === id) || {}).name || id;
+}
+
+function tagName(id) {
+  return (getTags().find(t => t.id === id) || {}).name || id;
+}
+
+/**
+ * Open the chains modal.
+ * @param {Object} [options]
+ * @param {string} [options.promptId] - Only show chains that use this prompt.
+ */
+export async function openChainsModal(options = {}) {
+  filters.promptId = options.promptId || '';
+  const modal = showCustomModal(MODAL_ID, 'Prompt Chains', '<div id="chains-view" aria-live="polite">Loading chains…</div>', { wide: true });
+  try {
+    chains = await fetchChains();
+  } catch (err) {
+    debugLog('[chainManager] Failed to load chains:', err);
+    chains = [];
+    toast('Could not load chains.', 'error');
+  }
+  if (modal.isConnected) renderList();
+}
+
+function getView() {
+  return document.getElementById('chains-view');
+}
+
+// --- List view ---
+
+function renderList() {
+  const view = getView();
+  if (!view) return;
+  const prompts = getPrompts();
+  const categoryOptions = getCategories().map(c => `<option value="${escapeHtml(c.id)}"${c.id === filters.category ? ' selected' : ''}>${escapeHtml(c.name)}</option>`).join('');
+  const tagOptions = getTags().map(t => `<option value="${escapeHtml(t.id)}"${t.id === filters.tag ? ' selected' : ''}>${escapeHtml(t.name)}</option>`).join('');
+  const promptFilter = filters.promptId ? prompts.find(p => String(p.id) === String(filters.promptId)) : null;
+
+  view.innerHTML = `
+    <div class="chains-toolbar" style="display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin-bottom:12px;">
+      <input type="text" id="chains-search" placeholder="Search chains..." aria-label="Search chains" value="${escapeHtml(filters.search)}" style="${INPUT_STYLE}flex:1;min-width:160px;" />
+      <select id="chains-filter-category" aria-label="Filter chains by category" style="${INPUT_STYLE}"><option value="">All categories</option>${categoryOptions}</select>
+      <select id="chains-filter-tag" aria-label="Filter chains by tag" style="${INPUT_STYLE}"><option value="">All tags</option>${tagOptions}</select>
+      <button type="button" id="chains-new-btn" class="success" data-testid="chains-new-btn">＋ New chain</button>
+      <button type="button" id="chains-export-btn" class="utility" data-testid="chains-export-btn">Export shown</button>
+    </div>
+    ${filters.promptId ? `
+      <div style="margin-bottom:8px;color:#BFAEF5;">
+        Chains using <strong>${escapeHtml(promptFilter ? promptFilter.title : filters.promptId)}</strong>
+        <button type="button" id="chains-clear-prompt-filter" class="utility">Show all</button>
+      </div>` : ''}
+    <div id="chains-list"></div>
+  `;
+
+  view.querySelector('#chains-search').addEventListener('input', (e) => {
+    filters.search = e.target.value;
+    renderItems();
+  });
+  view.querySelector('#chains-filter-category').addEventListener('change', (e) => {
+    filters.category = e.target.value;
+    renderItems();
+  });
+  view.querySelector('#chains-filter-tag').addEventListener('change', (e) => {
+    filters.tag = e.target.value;
+    renderItems();
+  });
+  view.querySelector('#chains-new-btn').onclick = () => renderEditor(null);
+  view.querySelector('#chains-export-btn').onclick = () => exportChains(filterChains(chains, filters));
+  const clearPromptFilter = view.querySelector('#chains-clear-prompt-filter');
+  if (clearPromptFilter) {
+    clearPromptFilter.onclick = () => {
+      filters.promptId = '';
+      renderList();
+    };
+  }
+  renderItems();
+}
+
+function renderItems() {
+  const list = document.getElementById('chains-list');
+  if (!list) return;
+  const prompts = getPrompts();
+  const visible = filterChains(chains, filters);
+  if (!visible.length) {
+    list.innerHTML = `<p style="color:#BFAEF5;">${chains.length ? 'No chains match the current filters.' : 'No chains yet. Create one to string prompts together.'}</p>`;
+    return;
+  }
+  list.innerHTML = visible.map(chain => {
+    const warnings = getChainWarnings(chain, prompts);
+    return `
+      <article class="chain-item" data-chain-id="${escapeHtml(chain.id)}" data-testid="chain-item" style="background:#261A40;border-radius:10px;padding:12px 16px;margin-bottom:10px;">
+        <div style="display:flex;justify-content:space-between;gap:8px;align-items:flex-start;">
+          <div>
+            <h3 style="margin:0;color:#E0D0FF;font-size:17px;">${escapeHtml(chain.title)}</h3>
+            <div style="color:#BFAEF5;font-size:13px;margin-top:2px;">
+              ${chain.category ? escapeHtml(categoryName(chain.category)) : 'No category'}
+              ${Array.isArray(chain.tags) && chain.tags.length ? ` · ${chain.tags.map(t => `<span class="tag-pill">${escapeHtml(tagName(t))}</span>`).join(' ')}` : ''}
+            </div>
+          </div>
+          <div style="display:flex;gap:6px;flex-shrink:0;">
+            <button type="button" class="utility" data-chain-action="edit">Edit</button>
+            <button type="button" class="utility" data-chain-action="export">Export</button>
+            <button type="button" class="danger" data-chain-action="delete">Delete</button>
+          </div>
+        </div>
+        ${chain.description ? `<p style="margin:8px 0 0 0;color:#F3EFFF;">${escapeHtml(chain.description)}</p>` : ''}
+        <ol class="chain-steps" aria-label="Depends on" style="margin:8px 0 0 0;padding-left:1.4em;color:#F3EFFF;">
+          ${getChainSteps(chain, prompts).map(({ index, step, prompt }) => `
+            <li>
+              ${prompt
+                ? `<button type="button" class="utility" data-open-prompt-id="${escapeHtml(prompt.id)}">${escapeHtml(prompt.title || prompt.id)}</button>`
+                : `<span style="color:#ffb3b3;">${escapeHtml(step.prompt_id)} (missing)</span>`}
+              ${index > 0 && step.input_variable ? `<span style="color:#BFAEF5;"> ← output of step ${index} as <code>{{${escapeHtml(step.input_variable)}}}</code></span>` : ''}
+            </li>
+          `).join('')}
+        </ol>
+        ${warnings.length ? `<ul style="margin:6px 0 0 0;padding-left:1.2em;color:#ffb3b3;font-size:13px;">${warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>` : ''}
+      </article>
+    `;
+  }).join('');
+
+  list.querySelectorAll('.chain-item').forEach(item => {
+    const chain = chains.find(c => c.id === item.getAttribute('data-chain-id'));
+    item.querySelector('[data-chain-action="edit"]').onclick = () => renderEditor(chain);
+    item.querySelector('[data-chain-action="export"]').onclick = () => exportChains([chain]);
+    item.querySelector('[data-chain-action="delete"]').onclick = () => handleDelete(chain);
+    item.querySelectorAll('[data-open-prompt-id]').forEach(btn => {
+      btn.onclick = () => {
+        const prompt = getPrompts().find(p => String(p.id) === btn.getAttribute('data-open-prompt-id'));
+        if (prompt) window.dispatchEvent(new CustomEvent('openFullPromptModal', { detail: { prompt } }));
+      };
+    });
+  });
+}
+
+async function handleDelete(chain) {
+  const confirmed = await showConfirmModal(`Delete the chain "${escapeHtml(chain.title)}"? The prompts it uses are not affected.`, { title: 'Delete Chain', confirmText: 'Delete' });
+  if (!confirmed) return;
+  try {
+    await deleteChain(chain.id);
+    chains = chains.filter(c => c.id !== chain.id);
+    toast('Chain deleted.', 'success');
+    renderItems();
+  } catch (err) {
+    toast('Error deleting chain.', 'error');
+  }
+}
+
+// --- Editor view ---
+
+/**
+ * Render the add/edit form for a chain.
+ * @param {Object|null} chain - The chain to edit, or null to create one.
+ */
+function renderEditor(chain) {
+  const view = getView();
+  if (!view) return;
+  const prompts = getPrompts();
+  const steps = chain && Array.isArray(chain.steps) ? chain.steps.map(step => ({ ...step })) : [{ prompt_id: '', input_variable: '' }];
+  const categoryOptions = getCategories().map(c => `<option value="${escapeHtml(c.id)}"${chain && c.id === chain.category ? ' selected' : ''}>${escapeHtml(c.name)}</option>`).join('');
+  const tagOptions = getTags().map(t => `<option value="${escapeHtml(t.id)}"${chain && Array.isArray(chain.tags) && chain.tags.includes(t.id) ? ' selected' : ''}>${escapeHtml(t.name)}</option>`).join('');
+
+  view.innerHTML = `
+    <form id="chain-editor-form" autocomplete="off">
+      <h3 style="margin-top:0;color:#E0D0FF;">${chain ? 'Edit Chain' : 'New Chain'}</h3>
+      <input type="text" id="chain-title" placeholder="Title" required value="${escapeHtml(chain ? chain.title : '')}" style="${INPUT_STYLE}width:100%;margin-bottom:0.5em;" />
+      <input type="text" id="chain-description" placeholder="Description (optional)" value="${escapeHtml(chain ? chain.description || '' : '')}" style="${INPUT_STYLE}width:100%;margin-bottom:0.5em;" />
+      <label for="chain-category">Category:</label>
+      <select id="chain-category" style="${INPUT_STYLE}width:100%;margin-bottom:0.5em;"><option value="">None</option>${categoryOptions}</select>
+      <label for="chain-tags">Tags:</label>
+      <select id="chain-tags" multiple style="${INPUT_STYLE}width:100%;margin-bottom:0.5em;">${tagOptions}</select>
+      <h4 style="color:#E0D0FF;margin:0.5em 0;">Steps</h4>
+      <ol id="chain-steps-editor" style="padding-left:1.4em;margin:0;"></ol>
+      <button type="button" id="chain-add-step-btn" class="utility" style="margin:0.5em 0;">＋ Add step</button>
+      <div id="chain-editor-error" role="alert" style="color:#ffb3b3;margin:0.5em 0;"></div>
+      <div class="modal-actions">
+        <button type="submit" class="primary">${chain ? 'Save' : 'Create'}</button>
+        <button type="button" id="chain-editor-cancel" class="secondary">Cancel</button>
+      </div>
+    </form>
+  `;
+
+  const stepsEditor = view.querySelector('#chain-steps-editor');
+
+  function renderSteps() {
+    stepsEditor.innerHTML = steps.map((step, index) => {
+      const prompt = prompts.find(p => String(p.id) === String(step.prompt_id));
+      const variables = prompt ? extractVariables(getPromptText(prompt)) : [];
+      return `
+        <li data-step-index="${index}" style="margin-bottom:8px;">
+          <div style="display:flex;flex-wrap:wrap;gap:6px;align-items:center;">
+            <select data-step-field="prompt_id" aria-label="Prompt for step ${index + 1}" style="${INPUT_STYLE}flex:1;min-width:180px;">
+              <option value="">Choose a prompt…</option>
+              ${prompts.map(p => `<option value="${escapeHtml(p.id)}"${String(p.id) === String(step.prompt_id) ? ' selected' : ''}>${escapeHtml(p.title || p.id)}</option>`).join('')}
+            </select>
+            ${index > 0 ? `
+              <label style="color:#BFAEF5;font-size:13px;">Output of step ${index} →
+                <select data-step-field="input_variable" aria-label="Variable receiving the output of step ${index}" style="${INPUT_STYLE}">
+                  <option value="">(not bound)</option>
+                  ${variables.map(v => `<option value="${escapeHtml(v)}"${v === step.input_variable ? ' selected' : ''}>{{${escapeHtml(v)}}}</option>`).join('')}
+                  ${step.input_variable && !variables.includes(step.input_variable) ? `<option value="${escapeHtml(step.input_variable)}" selected>{{${escapeHtml(step.input_variable)}}} (not in prompt)</option>` : ''}
+                </select>
+              </label>` : ''}
+            <button type="button" class="utility" data-step-action="up" aria-label="Move step ${index + 1} up"${index === 0 ? ' disabled' : ''}>↑</button>
+            <button type="button" class="utility" data-step-action="down" aria-label="Move step ${index + 1} down"${index === steps.length - 1 ? ' disabled' : ''}>↓</button>
+            <button type="button" class="danger" data-step-action="remove" aria-label="Remove step ${index + 1}"${steps.length === 1 ? ' disabled' : ''}>✕</button>
+          </div>
+        </li>
+      `;
+    }).join('');
+
+    stepsEditor.querySelectorAll('[data-step-index]').forEach(row => {
+      const index = Number(row.getAttribute('data-step-index'));
+      row.querySelector('[data-step-field="prompt_id"]').addEventListener('change', (e) => {
+        steps[index].prompt_id = e.target.value;
+        // Keep the binding only if the new prompt still has that variable
+        const prompt = prompts.find(p => String(p.id) === e.target.value);
+        if (!prompt || !extractVariables(getPromptText(prompt)).includes(steps[index].input_variable)) {
+          steps[index].input_variable = '';
+        }
+        renderSteps();
+      });
+      const binding = row.querySelector('[data-step-field="input_variable"]');
+      if (binding) binding.addEventListener('change', (e) => { steps[index].input_variable = e.target.value; });
+      row.querySelector('[data-step-action="up"]').onclick = () => moveStep(index, -1);
+      row.querySelector('[data-step-action="down"]').onclick = () => moveStep(index, 1);
+      row.querySelector('[data-step-action="remove"]').onclick = () => {
+        steps.splice(index, 1);
+        if (steps[0]) steps[0].input_variable = '';
+        renderSteps();
+      };
+    });
+  }
+
+  function moveStep(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= steps.length) return;
+    [steps[index], steps[target]] = [steps[target], steps[index]];
+    steps[0].input_variable = '';
+    renderSteps();
+  }
+
+  renderSteps();
+  view.querySelector('#chain-add-step-btn').onclick = () => {
+    steps.push({ prompt_id: '', input_variable: '' });
+    renderSteps();
+  };
+  view.querySelector('#chain-editor-cancel').onclick = () => renderList();
+
+  view.querySelector('#chain-editor-form').onsubmit = async (e) => {
+    e.preventDefault();
+    const errorDiv = view.querySelector('#chain-editor-error');
+    const data = {
+      title: view.querySelector('#chain-title').value.trim(),
+      description: view.querySelector('#chain-description').value.trim(),
+      category: view.querySelector('#chain-category').value,
+      tags: Array.from(view.querySelector('#chain-tags').selectedOptions).map(opt => opt.value),
+      steps: steps.map((step, index) => ({ prompt_id: step.prompt_id, input_variable: index === 0 ? '' : step.input_variable || '' }))
+    };
+    const validation = validateEntity({ id: chain ? chain.id : 'new', ...data }, 'chain', { prompts, categories: getCategories(), tags: getTags() });
+    if (!validation.isValid) {
+      errorDiv.textContent = validation.errors.map(err => err.message).join(' ');
+      return;
+    }
+    try {
+      const resp = chain ? await updateChain(chain.id, data) : await createChain(data);
+      const saved = resp && resp.chain;
+      if (saved) {
+        chains = chain ? chains.map(c => (c.id === saved.id ? saved : c)) : [...chains, saved];
+      }
+      toast(chain ? 'Chain saved.' : 'Chain created.', 'success');
+      renderList();
+    } catch (err) {
+      errorDiv.textContent = err.details ? `${err.message} (${[].concat(err.details).join(', ')})` : `Error saving chain: ${err.message}`;
+    }
+  };
+}
+
+/**
+ * Register the global `openChainsModal` listener (detail: { promptId? }).
+ */
+export function attachChainsModalListener() {
+  if (!window.__chainsModalListenerAdded) {
+    window.addEventListener('openChainsModal', (e) => {
+      openChainsModal(e?.detail || {});
+    });
+    window.__chainsModalListenerAdded = true;
+  }
+}
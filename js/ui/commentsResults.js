@@ -4,10 +4,26 @@
  */
 
 import { fetchComments, addComment, deleteComment } from '../api/comments.js';
-import { fetchResults, addResult, deleteResult } from '../api/results.js';
+import { fetchResults, addResult, updateResult, deleteResult } from '../api/results.js';
 import { escapeHtml, debugLog, validateContentLength, validateAuthor } from '../util/helpers.js';
 import { showToast } from '../ui/toast.js';
 import { showConfirmModal } from './modals.js';
+import { createScoreRating } from './scoreRating.js';
+import { scoreStats, formatScore, normalizeScore } from '../util/resultScores.js';
+import { resultModelLabel } from '../util/resultProvenance.js';
+import { createProvenanceFields, readProvenanceFields, createProvenanceLine, createModelControls } from './resultProvenanceView.js';
+import { assertionPassRate } from '../util/resultAssertions.js';
+import { createAssertionOutcomeLine } from './assertionEditor.js';
+import { getPrompts } from '../state/appState.js';
+
+/**
+ * Assertions of a loaded prompt, evaluated on results added here.
+ */
+function promptAssertions(promptId) {
+  const prompts = (window.app && Array.isArray(window.app.allPrompts) && window.app.allPrompts.length) ? window.app.allPrompts : getPrompts();
+  const prompt = (prompts || []).find(p => String(p.id) === String(promptId));
+  return prompt && Array.isArray(prompt.assertions) ? prompt.assertions : [];
+}
 
 /**
  * Helper to optimistically remove a list item and restore on error.
@@ -139,16 +155,21 @@ export async function renderCommentsResults(promptId, container) {
     const resultsHtml = `
       <section>
         <h4 style="font-size:16px;font-weight:600;color:#E0D0FF;margin-bottom:8px;">Results</h4>
+        <div id="results-score-summary" style="color:#BFAEF5;font-size:13px;margin-bottom:8px;"></div>
+        <div id="results-model-controls"></div>
+        ${results.length >= 2 ? `<button type="button" id="evaluate-results-btn" class="utility" style="margin-bottom:8px;">⚖ Evaluate results A/B</button>` : ''}
         <ul id="results-list" style="display:flex;flex-direction:column;gap:12px;padding:0;margin:0;">
           ${(results || []).map(r => `
-            <li style="display:flex;align-items:flex-start;gap:12px;background:#261A40;border-radius:10px;padding:12px 12px 12px 16px;margin-bottom:0;">
+            <li data-result-id="${r.id}" style="display:flex;align-items:flex-start;gap:12px;background:#261A40;border-radius:10px;padding:12px 12px 12px 16px;margin-bottom:0;">
               <div style="flex:1;max-width:100%;">
                 <div style="color:#BFAEF5;font-size:13px;font-weight:600;margin-bottom:2px;">
                   User: ${r.author ? escapeHtml(r.author) : "Guest"}
+                  <span class="result-rating" data-id="${r.id}" style="margin-left:8px;font-weight:400;"></span>
                 </div>
                 <div style="font-size:15px;color:#F3EFFF;word-break:break-word;white-space:pre-line;max-height:220px;overflow:auto;padding:4px 0 2px 0;background:#1C1433;border-radius:6px;">
                   ${escapeHtml(r.content || "")}
                 </div>
+                <div class="result-provenance-slot" data-id="${r.id}"></div>
               </div>
               <div style="display:flex;flex-direction:column;gap:6px;">
                 <button class="view-result-btn" data-content="${escapeHtml(r.content || '')}" aria-label="View result"
@@ -166,6 +187,9 @@ export async function renderCommentsResults(promptId, container) {
           <textarea name="value" placeholder="Add a result (long text supported)..." required
             aria-label="Result content"
             style="flex:1;min-height:80px;max-height:220px;padding:12px;background:#1C1433;border-radius:10px;color:#F3EFFF;border:none;font-size:15px;resize:vertical;"></textarea>
+          <input name="score" type="number" min="0" max="100" step="1" placeholder="Score"
+            aria-label="Result score (0–100, optional)"
+            style="width:90px;height:44px;padding:10px 12px;background:#1C1433;border-radius:8px;color:#F3EFFF;border:none;font-size:15px;"/>
           <button type="submit"
             style="background:linear-gradient(90deg,#7B3FE4 60%,#4F9CFF 100%);color:#fff;padding:8px 16px;border-radius:9999px;font-weight:500;font-size:15px;">Add</button>
           <div id="add-result-feedback" aria-live="polite" style="width:100%;min-height:20px;color:#ffb3b3;font-size:0.98em;margin-top:2px;"></div>
@@ -261,18 +285,86 @@ export async function renderCommentsResults(promptId, container) {
       debugLog("[DEBUG] Delete comment handler attached for commentId:", btn.getAttribute('data-id'));
     });
 
+    // Result ratings and the aggregate line above the list
+    const renderScoreSummary = () => {
+      const summary = container.querySelector('#results-score-summary');
+      if (!summary) return;
+      const stats = scoreStats(results);
+      const checks = assertionPassRate(results);
+      summary.textContent = [
+        stats.rated ? `Average score ${formatScore(stats.average)} · median ${formatScore(stats.median)} · ${stats.rated} of ${stats.count} rated` : '',
+        checks.total ? `Assertions ${Math.round(checks.rate * 100)}% passed (${checks.passed}/${checks.total})` : ''
+      ].filter(Boolean).join(' · ');
+    };
+    renderScoreSummary();
+    container.querySelectorAll('.result-rating').forEach(slot => {
+      const resultId = slot.getAttribute('data-id');
+      const target = results.find(r => r.id === resultId);
+      if (!target) return;
+      slot.appendChild(createScoreRating(target.score, {
+        onChange: async (score) => {
+          debugLog("[DEBUG] Rate result:", resultId, score);
+          const live = container.querySelector('#comments-results-live');
+          try {
+            const res = await updateResult(resultId, { score });
+            target.score = res && res.result ? res.result.score : score;
+            renderScoreSummary();
+            if (live) live.textContent = score === null ? 'Rating cleared' : `Rated ${formatScore(score)}/100`;
+          } catch (err) {
+            showToast && showToast('Failed to save rating', 'danger');
+            if (live) live.textContent = 'Failed to save rating';
+            throw err;
+          }
+        }
+      }));
+    });
+
+    // Provenance line per result, and the model filter/summary (filtering hides rows in place)
+    container.querySelectorAll('.result-provenance-slot').forEach(slot => {
+      const target = results.find(r => r.id === slot.getAttribute('data-id'));
+      const line = createProvenanceLine(target);
+      if (line) slot.appendChild(line);
+      const outcome = createAssertionOutcomeLine(target);
+      if (outcome) slot.appendChild(outcome);
+    });
+    const modelControlsSlot = container.querySelector('#results-model-controls');
+    const applyModelFilter = (model) => {
+      container.querySelectorAll('#results-list li[data-result-id]').forEach(li => {
+        const target = results.find(r => r.id === li.getAttribute('data-result-id'));
+        li.style.display = !model || (target && resultModelLabel(target) === model) ? 'flex' : 'none';
+      });
+    };
+    const modelControls = createModelControls(results, '', applyModelFilter);
+    if (modelControlsSlot && modelControls) modelControlsSlot.appendChild(modelControls);
+
+    const evaluateBtn = container.querySelector('#evaluate-results-btn');
+    if (evaluateBtn) {
+      evaluateBtn.onclick = () => window.dispatchEvent(new CustomEvent('openEvaluation', { detail: { promptIds: [promptId] } }));
+    }
+
     // Add result
     const addResultForm = container.querySelector('#add-result-form');
     if (addResultForm) {
       const feedback = addResultForm.querySelector('#add-result-feedback');
+      const provenanceFields = createProvenanceFields();
+      addResultForm.insertBefore(provenanceFields, feedback);
       addResultForm.onsubmit = async (e) => {
         e.preventDefault();
         const author = addResultForm.author.value.trim();
         const content = addResultForm.value.value.trim();
+        const scoreText = addResultForm.score.value.trim();
+        const score = normalizeScore(scoreText);
         const MAX_AUTHOR_LENGTH = 100;
         let error = validateAuthor(author, MAX_AUTHOR_LENGTH);
         if (!content) {
           error = 'Result content cannot be empty';
+        } else if (scoreText && score === null) {
+          error = 'Score must be a number between 0 and 100';
+        }
+        const { provenance, errors: provenanceErrors } = readProvenanceFields(provenanceFields);
+        if (!error && provenanceErrors.length) {
+          error = provenanceErrors.join(' ');
+          provenanceFields.open = true;
         }
         if (error) {
           if (feedback) {
@@ -284,11 +376,14 @@ export async function renderCommentsResults(promptId, container) {
           addResultForm.author.focus();
           return;
         }
-        debugLog("[DEBUG] Add result: submitting", { promptId, author, content });
+        debugLog("[DEBUG] Add result: submitting", { promptId, author, content, score, provenance });
         try {
-          const result = await addResult(promptId, { author, content });
+          const result = await addResult(promptId, score === null ? { author, content, ...provenance } : { author, content, score, ...provenance }, { assertions: promptAssertions(promptId) });
           debugLog("[DEBUG] Add result: API result", result);
           if (feedback) feedback.textContent = '';
+          const checks = (result && result.result && result.result.assertion_results) || [];
+          const failed = checks.filter(o => !o.passed).length;
+          if (failed) showToast && showToast(`Result added; ${failed} of ${checks.length} assertions failed`, { type: 'warning' });
           const live = container.querySelector('#comments-results-live');
           if (live) live.textContent = 'Result added successfully';
           await renderCommentsResults(promptId, container);
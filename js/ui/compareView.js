@@ -0,0 +1,160 @@
+// compareView.js - Side-by-side comparison of two prompts with word-level highlighting
+
+import { comparePrompts } from '../util/promptCompare.js';
+import { formatTokenCount } from '../util/tokenEstimator.js';
+import { escapeHtml } from '../util/dataValidator.js';
+import { getCategories, getTags } from '../state/appState.js';
+import { fetchResults } from '../api/results.js';
+import { fetchComments } from '../api/comments.js';
+import { deletePrompt } from '../api/prompts.js';
+import { showCustomModal, closeModal, showConfirmationModal } from './modals.js';
+
+const COMPARE_MODAL_ID = 'prompt-compare-modal';
+const COLUMN_STYLE = 'white-space:pre-wrap;word-break:break-word;font-size:14px;color:#F3EFFF;background:#1C1433;border-radius:8px;padding:12px;margin:4px 0;max-height:40vh;overflow:auto;';
+
+// One side of a diff: the left column shows deletions, the right column insertions
+function renderSide(parts, side) {
+  const changed = side === 'left' ? 'delete' : 'insert';
+  const style = side === 'left'
+    ? 'background:#5a1f2b;color:#ffb3b3;'
+    : 'background:#1f4d2e;color:#c8f7d4;text-decoration:none;';
+  const tag = side === 'left' ? 'del' : 'ins';
+  return parts
+    .filter(part => part.type === 'equal' || part.type === changed)
+    .map(part => part.type === 'equal' ? escapeHtml(part.text) : `<${tag} style="${style}">${escapeHtml(part.text)}</${tag}>`)
+    .join('');
+}
+
+function formatValue(key, value) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (key === 'tokens') return `≈ ${formatTokenCount(value)}`;
+  if (key === 'created_at' || key === 'updated_at') {
+    const date = new Date(value);
+    return isNaN(date) ? String(value) : date.toLocaleString();
+  }
+  return String(value);
+}
+
+async function countFor(fetcher, promptId, field) {
+  try {
+    const data = await fetcher(promptId);
+    return Array.isArray(data[field]) ? data[field].length : 0;
+  } catch (_) {
+    return null;
+  }
+}
+
+function renderComparison(left, right, comparison) {
+  const { fields, tags, metadata, similarity, differences } = comparison;
+  const pill = (text, style = '') => `<span class="tag-pill" style="${style}">${escapeHtml(text)}</span>`;
+  return `
+    <p style="margin-top:0;">
+      Content similarity: <strong>${Math.round(similarity * 100)}%</strong>.
+      ${differences.length ? `Differs in: ${differences.map(d => escapeHtml(d)).join(', ')}.` : 'No differences besides timestamps.'}
+    </p>
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;">
+      ${[left, right].map((prompt, index) => `
+        <div style="display:flex;align-items:center;justify-content:space-between;gap:8px;">
+          <strong style="color:#E0D0FF;">${index === 0 ? 'A' : 'B'}: ${escapeHtml(prompt.title || prompt.id)}</strong>
+          <span>
+            <button type="button" class="utility" data-compare-open="${index}">Open</button>
+            <button type="button" class="danger" data-compare-delete="${index}">Delete</button>
+          </span>
+        </div>
+      `).join('')}
+      ${fields.map(f => `
+        <div>
+          <div style="color:#BFAEF5;">${escapeHtml(f.label)}${f.same ? ' (same)' : ''}</div>
+          <pre style="${COLUMN_STYLE}">${renderSide(f.parts, 'left')}</pre>
+        </div>
+        <div>
+          <div style="color:#BFAEF5;">${escapeHtml(f.label)}${f.same ? ' (same)' : ''}</div>
+          <pre style="${COLUMN_STYLE}">${renderSide(f.parts, 'right')}</pre>
+        </div>
+      `).join('')}
+      ${['onlyLeft', 'onlyRight'].map(key => `
+        <div>
+          <div style="color:#BFAEF5;">Tags</div>
+          ${tags.shared.map(t => pill(t)).join(' ')}
+          ${tags[key].map(t => pill(t, key === 'onlyLeft' ? 'background:#5a1f2b;' : 'background:#1f4d2e;')).join(' ')}
+          ${!tags.shared.length && !tags[key].length ? '—' : ''}
+        </div>
+      `).join('')}
+    </div>
+    <table style="width:100%;border-collapse:collapse;margin-top:1em;">
+      <thead>
+        <tr style="text-align:left;color:#E0D0FF;"><th></th><th>A</th><th>B</th></tr>
+      </thead>
+      <tbody>
+        ${metadata.map(m => `
+          <tr${m.same ? '' : ' style="color:#FFD98A;"'}>
+            <td style="color:#BFAEF5;padding:2px 8px 2px 0;">${escapeHtml(m.label)}</td>
+            <td>${escapeHtml(formatValue(m.key, m.left))}</td>
+            <td>${escapeHtml(formatValue(m.key, m.right))}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <div class="modal-actions">
+      <button type="button" class="secondary" data-close-modal-id="${COMPARE_MODAL_ID}">Close</button>
+    </div>
+  `;
+}
+
+/**
+ * Open a side-by-side comparison of two prompts.
+ * Result and comment counts are fetched after the first render and added to the metadata table.
+ * @param {Object} left - First prompt (shown as A).
+ * @param {Object} right - Second prompt (shown as B).
+ * @param {Object} [options]
+ * @param {Function} [options.onDeleted] - Called with the deleted prompt's ID after "Delete" succeeds.
+ */
+export function openPromptComparison(left, right, options = {}) {
+  const compareOptions = {
+    categoryName: id => (getCategories().find(c => c.id === id) || {}).name || id,
+    tagName: id => (getTags().find(t => t.id === id) || {}).name || id
+  };
+  const modal = showCustomModal(COMPARE_MODAL_ID, 'Compare prompts', renderComparison(left, right, comparePrompts(left, right, compareOptions)), { wide: true });
+
+  function wire() {
+    const prompts = [left, right];
+    modal.querySelectorAll('[data-compare-open]').forEach(btn => {
+      btn.onclick = () => {
+        closeModal(COMPARE_MODAL_ID);
+        window.dispatchEvent(new CustomEvent('openFullPromptModal', { detail: { prompt: prompts[Number(btn.getAttribute('data-compare-open'))] } }));
+      };
+    });
+    modal.querySelectorAll('[data-compare-delete]').forEach(btn => {
+      btn.onclick = () => {
+        const prompt = prompts[Number(btn.getAttribute('data-compare-delete'))];
+        showConfirmationModal(`Delete "${prompt.title || prompt.id}"? This action cannot be undone.`, async () => {
+          try {
+            await deletePrompt(prompt.id);
+            closeModal(COMPARE_MODAL_ID);
+            window.dispatchEvent(new CustomEvent('showToast', { detail: { message: 'Prompt deleted.', type: 'success' } }));
+            window.dispatchEvent(new CustomEvent('filterPrompts', { detail: {} }));
+            if (typeof options.onDeleted === 'function') options.onDeleted(String(prompt.id));
+          } catch (err) {
+            window.dispatchEvent(new CustomEvent('showToast', { detail: { message: 'Failed to delete prompt.', type: 'error' } }));
+          }
+        });
+      };
+    });
+  }
+  wire();
+
+  Promise.all([
+    countFor(fetchResults, left.id, 'results'),
+    countFor(fetchResults, right.id, 'results'),
+    countFor(fetchComments, left.id, 'comments'),
+    countFor(fetchComments, right.id, 'comments')
+  ]).then(([leftResults, rightResults, leftComments, rightComments]) => {
+    if (!modal.isConnected) return;
+    const comparison = comparePrompts(left, right, {
+      ...compareOptions,
+      counts: { results: [leftResults, rightResults], comments: [leftComments, rightComments] }
+    });
+    modal.querySelector('.custom-modal-body').innerHTML = renderComparison(left, right, comparison);
+    wire();
+  });
+}
@@ -0,0 +1,141 @@
+// costPanel.js - Per-call cost estimate and pricing table editor
+
+import { DEFAULT_OUTPUT_TOKENS } from '../config.js';
+import { MODELS, formatTokenCount, getSelectedModelId, setSelectedModelId } from '../util/tokenEstimator.js';
+import { estimateCost, formatCost, getPricingTable, savePricingTable, resetPricingTable } from '../util/costEstimator.js';
+import { showCustomModal, closeModal } from './modals.js';
+
+const PRICING_MODAL_ID = 'pricing-editor-modal';
+
+/**
+ * Render the cost panel into a container.
+ * The model choice is shared with the token panel and toolbar (`tokenModelChanged` event).
+ * @param {HTMLElement} container - Element to render into (its contents are replaced).
+ * @param {string} [text=''] - Initial prompt text.
+ * @returns {{update: Function, destroy: Function}|null} Controller: `update(text)` re-estimates, `destroy()` detaches listeners.
+ */
+export function renderCostPanel(container, text = '') {
+  if (!container) return null;
+  let currentText = text;
+
+  container.innerHTML = `
+    <section class="cost-panel" aria-label="Cost estimate" style="margin-top:1em;background:#1C1433;border-radius:8px;padding:12px;">
+      <h3 style="font-size:16px;font-weight:600;color:#E0D0FF;margin:0 0 8px 0;">Estimated cost per call</h3>
+      <div style="display:flex;flex-wrap:wrap;align-items:center;gap:8px;">
+        <label style="color:#BFAEF5;font-size:0.95em;">Model:
+          <select class="cost-panel-model" data-testid="cost-panel-model" style="background:#261A40;color:#F3EFFF;border:none;border-radius:8px;padding:4px 8px;">
+            ${MODELS.map(m => `<option value="${m.id}">${m.label}</option>`).join('')}
+          </select>
+        </label>
+        <label style="color:#BFAEF5;font-size:0.95em;">Expected output tokens:
+          <input type="number" min="0" step="50" class="cost-panel-output" data-testid="cost-panel-output" value="${DEFAULT_OUTPUT_TOKENS}" style="width:6em;background:#261A40;color:#F3EFFF;border:none;border-radius:8px;padding:4px 8px;">
+        </label>
+        <button type="button" class="utility cost-panel-edit-pricing" data-testid="cost-panel-edit-pricing">Edit pricing</button>
+      </div>
+      <div class="cost-panel-result" data-testid="cost-panel-result" aria-live="polite" style="color:#F3EFFF;margin-top:8px;"></div>
+    </section>
+  `;
+  const select = container.querySelector('.cost-panel-model');
+  const outputInput = container.querySelector('.cost-panel-output');
+  const result = container.querySelector('.cost-panel-result');
+  select.value = getSelectedModelId();
+
+  function update(nextText) {
+    if (typeof nextText === 'string') currentText = nextText;
+    const cost = estimateCost(currentText, select.value, { outputTokens: outputInput.value });
+    if (!cost.priced) {
+      result.textContent = `No price configured for ${cost.model.label}. Use "Edit pricing" to add one.`;
+      return;
+    }
+    result.innerHTML = `
+      <div>Input: ≈ ${formatTokenCount(cost.inputTokens)} tokens → <strong>${formatCost(cost.inputCost)}</strong></div>
+      <div>Output: ${formatTokenCount(cost.outputTokens)} tokens → <strong>${formatCost(cost.outputCost)}</strong></div>
+      <div>Total per call: <strong>${formatCost(cost.total)}</strong> · per 1,000 calls: <strong>${formatCost(cost.total * 1000)}</strong></div>
+    `;
+  }
+
+  function onModelChanged(e) {
+    if (!e.detail || !e.detail.modelId || e.detail.modelId === select.value) return;
+    select.value = e.detail.modelId;
+    update();
+  }
+
+  select.onchange = () => {
+    setSelectedModelId(select.value);
+    update();
+    window.dispatchEvent(new CustomEvent('tokenModelChanged', { detail: { modelId: select.value } }));
+  };
+  outputInput.oninput = () => update();
+  container.querySelector('.cost-panel-edit-pricing').onclick = () => openPricingEditor();
+  window.addEventListener('tokenModelChanged', onModelChanged);
+  window.addEventListener('pricingChanged', update);
+  update();
+
+  return {
+    update,
+    destroy: () => {
+      window.removeEventListener('tokenModelChanged', onModelChanged);
+      window.removeEventListener('pricingChanged', update);
+    }
+  };
+}
+
+/**
+ * Open the pricing table editor. Saved prices are stored locally and announced with a `pricingChanged` event.
+ */
+export function openPricingEditor() {
+  const pricing = getPricingTable();
+  const html = `
+    <form id="${PRICING_MODAL_ID}-form" novalidate>
+      <p style="color:#BFAEF5;margin-top:0;">Prices in USD per 1M tokens. Changes are saved in this browser only.</p>
+      <table style="width:100%;border-collapse:collapse;">
+        <thead>
+          <tr style="color:#E0D0FF;text-align:left;"><th>Model</th><th>Input</th><th>Output</th></tr>
+        </thead>
+        <tbody>
+          ${MODELS.map(m => `
+            <tr>
+              <td style="color:#F3EFFF;padding:4px 8px 4px 0;">${m.label}</td>
+              <td><input type="number" min="0" step="0.01" name="${m.id}.input" value="${pricing[m.id] ? pricing[m.id].input : ''}" aria-label="${m.label} input price" style="width:7em;"></td>
+              <td><input type="number" min="0" step="0.01" name="${m.id}.output" value="${pricing[m.id] ? pricing[m.id].output : ''}" aria-label="${m.label} output price" style="width:7em;"></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <div class="pricing-editor-errors" role="alert" style="color:#ffb3b3;margin-top:8px;"></div>
+      <div class="modal-actions">
+        <button type="submit" class="primary">Save</button>
+        <button type="button" class="secondary" data-action="reset">Reset to defaults</button>
+        <button type="button" class="secondary" data-close-modal-id="${PRICING_MODAL_ID}">Cancel</button>
+      </div>
+    </form>
+  `;
+  const modal = showCustomModal(PRICING_MODAL_ID, 'Model pricing', html);
+  const form = modal.querySelector('form');
+  const errorsEl = modal.querySelector('.pricing-editor-errors');
+
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    const table = {};
+    MODELS.forEach(m => {
+      const input = form.elements[`${m.id}.input`].value.trim();
+      const output = form.elements[`${m.id}.output`].value.trim();
+      if (input === '' && output === '') return; // Keep the config default
+      table[m.id] = { input: input === '' ? NaN : Number(input), output: output === '' ? NaN : Number(output) };
+    });
+    const saved = savePricingTable(table);
+    if (!saved.ok) {
+      errorsEl.textContent = saved.errors.join(' ');
+      return;
+    }
+    closeModal(PRICING_MODAL_ID);
+    window.dispatchEvent(new CustomEvent('pricingChanged'));
+    window.dispatchEvent(new CustomEvent('showToast', { detail: { message: 'Pricing saved.', type: 'success' } }));
+  };
+  form.querySelector('[data-action="reset"]').onclick = () => {
+    resetPricingTable();
+    closeModal(PRICING_MODAL_ID);
+    window.dispatchEvent(new CustomEvent('pricingChanged'));
+    window.dispatchEvent(new CustomEvent('showToast', { detail: { message: 'Pricing reset to defaults.', type: 'info' } }));
+  };
+}
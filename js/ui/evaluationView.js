@@ -0,0 +1,241 @@
+// evaluationView.js - Pairwise A/B evaluation of results and the Elo leaderboard
+
+import { fetchResults } from '../api/results.js';
+import { fetchJudgments, addJudgment, deleteJudgment } from '../api/judgments.js';
+import { nextPair, rankFromJudgments, pairKey } from '../util/pairwiseRanking.js';
+import { formatProvenance } from '../util/resultProvenance.js';
+import { escapeHtml } from '../util/dataValidator.js';
+import { getPrompts } from '../state/appState.js';
+import { showCustomModal, closeModal } from './modals.js';
+
+const EVALUATION_MODAL_ID = 'evaluation-modal';
+const LEADERBOARD_MODAL_ID = 'leaderboard-modal';
+const COLUMN_STYLE = 'white-space:pre-wrap;word-break:break-word;font-size:14px;color:#F3EFFF;background:#1C1433;border-radius:8px;padding:12px;margin:4px 0;max-height:45vh;overflow:auto;';
+
+function loadedPrompts() {
+  return (window.app && Array.isArray(window.app.allPrompts) && window.app.allPrompts.length) ? window.app.allPrompts : getPrompts();
+}
+
+function promptTitle(promptId, prompts) {
+  const prompt = prompts.find(p => String(p.id) === String(promptId));
+  return prompt ? (prompt.title || prompt.id) : `Deleted prompt (${promptId})`;
+}
+
+function toast(message, type) {
+  window.dispatchEvent(new CustomEvent('showToast', { detail: { message, type } }));
+}
+
+// Judgments involving any of the prompts, without duplicates (a cross-prompt judgment matches both)
+async function loadJudgments(promptIds) {
+  const lists = await Promise.all(promptIds.map(id => fetchJudgments({ prompt_id: id })));
+  const byId = new Map();
+  lists.flat().forEach(j => byId.set(j.id, j));
+  return [...byId.values()].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+function renderResultColumn(result, label, prompts, showPrompt) {
+  const provenance = formatProvenance(result);
+  return `
+    <div>
+      <div style="color:#E0D0FF;font-weight:600;">${label}${showPrompt ? ` · ${escapeHtml(promptTitle(result.prompt_id, prompts))}` : ''}</div>
+      ${provenance.length ? `<div style="color:#BFAEF5;font-size:12px;">${escapeHtml(provenance.join(' · '))}</div>` : ''}
+      <pre style="${COLUMN_STYLE}">${escapeHtml(result.content || '')}</pre>
+    </div>
+  `;
+}
+
+/**
+ * Open the A/B evaluation for the results of one prompt, or pit the results of two prompts against each other.
+ * Pairs are served least-judged first; each verdict is stored via api/judgments.php and the next pair is shown.
+ * @param {string[]} promptIds - One prompt ID (compare its results) or two (compare results across the prompts).
+ */
+export async function openEvaluation(promptIds) {
+  const ids = (promptIds || []).map(String).slice(0, 2);
+  if (!ids.length) return;
+  const prompts = loadedPrompts();
+  const crossPrompt = ids.length > 1;
+  const skipped = new Set();
+  let results = [];
+  let judgments = [];
+  let lastJudgment = null;
+  const title = crossPrompt
+    ? `Evaluate: ${promptTitle(ids[0], prompts)} vs ${promptTitle(ids[1], prompts)}`
+    : `Evaluate results: ${promptTitle(ids[0], prompts)}`;
+  const modal = showCustomModal(EVALUATION_MODAL_ID, title, '<p>Loading results…</p>', { wide: true });
+  const body = modal.querySelector('.custom-modal-body');
+
+  try {
+    const [resultLists, existing] = await Promise.all([
+      Promise.all(ids.map(id => fetchResults(id).then(data => (Array.isArray(data.results) ? data.results : [])))),
+      loadJudgments(ids)
+    ]);
+    results = resultLists.flat();
+    judgments = existing;
+  } catch (err) {
+    body.innerHTML = `<p style="color:#ffb3b3;">Failed to load results: ${escapeHtml(err.message)}</p>`;
+    return;
+  }
+
+  function render() {
+    if (!modal.isConnected) return;
+    const pair = nextPair(results, judgments, { crossPrompt, skip: skipped });
+    const footer = `
+      <div class="modal-actions">
+        ${lastJudgment ? '<button type="button" class="secondary" data-eval-undo>Undo last</button>' : ''}
+        <button type="button" class="utility" data-eval-leaderboard>🏆 Leaderboard</button>
+        <button type="button" class="secondary" data-close-modal-id="${EVALUATION_MODAL_ID}">Close</button>
+      </div>
+    `;
+    if (!pair) {
+      const needed = crossPrompt ? 'at least one result on each prompt' : 'at least two results';
+      body.innerHTML = `
+        <p>${results.length < 2 || (crossPrompt && new Set(results.map(r => String(r.prompt_id))).size < 2)
+          ? `Evaluation needs ${needed}.`
+          : 'No pairs left in this session. Close and reopen to start another round.'}</p>
+        <p style="color:#BFAEF5;">${judgments.length} judgment(s) recorded.</p>
+        ${footer}
+      `;
+    } else {
+      body.innerHTML = `
+        <p style="margin-top:0;color:#BFAEF5;">Which result is better? ${judgments.length} judgment(s) recorded so far.</p>
+        <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;">
+          ${renderResultColumn(pair.left, 'A', prompts, crossPrompt)}
+          ${renderResultColumn(pair.right, 'B', prompts, crossPrompt)}
+        </div>
+        <div class="modal-actions" style="justify-content:center;">
+          <button type="button" class="primary" data-eval-winner="left">◀ A is better</button>
+          <button type="button" class="secondary" data-eval-winner="tie">Tie</button>
+          <button type="button" class="primary" data-eval-winner="right">B is better ▶</button>
+          <button type="button" class="utility" data-eval-skip>Skip</button>
+        </div>
+        ${footer}
+      `;
+      body.querySelectorAll('[data-eval-winner]').forEach(btn => {
+        btn.onclick = async () => {
+          body.querySelectorAll('[data-eval-winner], [data-eval-skip]').forEach(b => { b.disabled = true; });
+          try {
+            const judgment = await addJudgment({
+              left_result_id: pair.left.id,
+              right_result_id: pair.right.id,
+              winner: btn.getAttribute('data-eval-winner'),
+              ...(window.session && window.session.user ? { author: window.session.user } : {})
+            });
+            judgments.push(judgment);
+            lastJudgment = judgment;
+          } catch (err) {
+            toast(`Failed to save judgment: ${err.message}`, 'error');
+          }
+          render();
+        };
+      });
+      body.querySelector('[data-eval-skip]').onclick = () => {
+        skipped.add(pairKey(pair.left.id, pair.right.id));
+        render();
+      };
+    }
+    const undo = body.querySelector('[data-eval-undo]');
+    if (undo) {
+      undo.onclick = async () => {
+        undo.disabled = true;
+        try {
+          await deleteJudgment(lastJudgment.id);
+          judgments = judgments.filter(j => j.id !== lastJudgment.id);
+          lastJudgment = null;
+        } catch (err) {
+          toast(`Failed to undo: ${err.message}`, 'error');
+        }
+        render();
+      };
+    }
+    body.querySelector('[data-eval-leaderboard]').onclick = () => {
+      closeModal(EVALUATION_MODAL_ID);
+      openLeaderboard();
+    };
+  }
+  render();
+}
+
+function renderRankingTable(rows, nameOf, emptyText) {
+  if (!rows.length) return `<p style="color:#BFAEF5;">${emptyText}</p>`;
+  return `
+    <table style="width:100%;border-collapse:collapse;">
+      <thead>
+        <tr style="text-align:left;color:#E0D0FF;">
+          <th>#</th><th></th><th title="Elo rating, judgments replayed oldest first">Elo</th><th title="Bradley–Terry strength on the Elo scale (order-independent)">BT</th><th>W</th><th>L</th><th>T</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map((row, index) => `
+          <tr>
+            <td style="padding:2px 8px 2px 0;">${index + 1}</td>
+            <td style="padding:2px 8px 2px 0;">${nameOf(row.id)}</td>
+            <td style="padding:2px 8px 2px 0;"><strong>${Math.round(row.rating)}</strong></td>
+            <td style="padding:2px 8px 2px 0;color:#BFAEF5;">${Math.round(row.btRating)}</td>
+            <td>${row.wins}</td><td>${row.losses}</td><td>${row.ties}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Show the leaderboard: prompts ranked by judgments between results of different prompts,
+ * and results ranked by every judgment. Each shows Elo and Bradley–Terry ratings with win/loss/tie counts.
+ */
+export async function openLeaderboard() {
+  const modal = showCustomModal(LEADERBOARD_MODAL_ID, 'Leaderboard', '<p>Loading judgments…</p>', { wide: true });
+  const body = modal.querySelector('.custom-modal-body');
+  const prompts = loadedPrompts();
+  let judgments = [];
+  let results = [];
+  try {
+    [judgments, { results = [] }] = await Promise.all([fetchJudgments(), fetchResults()]);
+  } catch (err) {
+    body.innerHTML = `<p style="color:#ffb3b3;">Failed to load judgments: ${escapeHtml(err.message)}</p>`;
+    return;
+  }
+  if (!modal.isConnected) return;
+  const resultsById = new Map(results.map(r => [String(r.id), r]));
+  const promptRows = rankFromJudgments(judgments, 'prompt');
+  const resultRows = rankFromJudgments(judgments, 'result');
+  const promptName = id => `<button type="button" class="utility" data-leaderboard-prompt-id="${escapeHtml(id)}">${escapeHtml(promptTitle(id, prompts))}</button>`;
+  const resultName = id => {
+    const result = resultsById.get(id);
+    if (!result) return `<span style="color:#BFAEF5;">Deleted result</span>`;
+    const preview = String(result.content || '').replace(/\s+/g, ' ').slice(0, 80);
+    return `${escapeHtml(preview)}${String(result.content || '').length > 80 ? '…' : ''}
+      <div style="color:#BFAEF5;font-size:12px;">${escapeHtml(promptTitle(result.prompt_id, prompts))}${formatProvenance(result).length ? ` · ${escapeHtml(formatProvenance(result)[0])}` : ''}</div>`;
+  };
+  body.innerHTML = `
+    <p style="margin-top:0;color:#BFAEF5;">${judgments.length} judgment(s). Prompts are ranked only by judgments between results of different prompts.</p>
+    <h3 style="color:#E0D0FF;">Prompts</h3>
+    ${renderRankingTable(promptRows, promptName, 'No cross-prompt judgments yet. Select two prompts and use "⚖ Evaluate" in the bulk toolbar.')}
+    <h3 style="color:#E0D0FF;">Results</h3>
+    <div style="max-height:40vh;overflow:auto;">
+      ${renderRankingTable(resultRows, resultName, 'No judgments yet. Use "⚖ Evaluate" in a prompt\'s results section.')}
+    </div>
+    <div class="modal-actions">
+      <button type="button" class="secondary" data-close-modal-id="${LEADERBOARD_MODAL_ID}">Close</button>
+    </div>
+  `;
+  body.querySelectorAll('[data-leaderboard-prompt-id]').forEach(btn => {
+    btn.onclick = () => {
+      const prompt = prompts.find(p => String(p.id) === btn.getAttribute('data-leaderboard-prompt-id'));
+      if (!prompt) return;
+      closeModal(LEADERBOARD_MODAL_ID);
+      window.dispatchEvent(new CustomEvent('openFullPromptModal', { detail: { prompt } }));
+    };
+  });
+}
+
+export function attachEvaluationListener() {
+  if (!window.__evaluationListenerAdded) {
+    window.addEventListener('openEvaluation', (e) => {
+      const promptIds = e?.detail?.promptIds;
+      if (Array.isArray(promptIds) && promptIds.length) openEvaluation(promptIds);
+    });
+    window.addEventListener('openLeaderboard', () => openLeaderboard());
+    window.__evaluationListenerAdded = true;
+  }
+}
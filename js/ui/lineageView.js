@@ -0,0 +1,74 @@
+// lineageView.js - Fork lineage tree (ancestors and descendants of a prompt)
+
+import { buildLineageTree, getAncestors } from '../util/lineage.js';
+import { escapeHtml } from '../util/dataValidator.js';
+import { getPrompts } from '../state/appState.js';
+import { showCustomModal, closeModal } from './modals.js';
+
+const LINEAGE_MODAL_ID = 'lineage-modal';
+
+function loadedPrompts() {
+  return (window.app && Array.isArray(window.app.allPrompts) && window.app.allPrompts.length) ? window.app.allPrompts : getPrompts();
+}
+
+function renderNode(node, currentId) {
+  const { prompt, children } = node;
+  const isCurrent = String(prompt.id) === String(currentId);
+  const date = prompt.created_at ? new Date(prompt.created_at) : null;
+  return `
+    <li style="margin:4px 0;">
+      <button type="button" class="utility" data-lineage-prompt-id="${escapeHtml(prompt.id)}"${isCurrent ? ' aria-current="true" style="font-weight:700;outline:2px solid #BFAEF5;"' : ''}>${escapeHtml(prompt.title || prompt.id)}</button>
+      <span style="color:#BFAEF5;font-size:0.9em;">
+        by ${escapeHtml(prompt.author || 'Unknown')}${date && !isNaN(date) ? ` · ${escapeHtml(date.toLocaleDateString())}` : ''}${children.length ? ` · ⑂ ${children.length}` : ''}
+      </span>
+      ${children.length ? `<ul style="list-style:none;margin:0;padding-left:1.4em;border-left:1px solid #261A40;">${children.map(child => renderNode(child, currentId)).join('')}</ul>` : ''}
+    </li>
+  `;
+}
+
+/**
+ * Show the lineage tree of a prompt: its root ancestor and every fork below it, with the prompt highlighted.
+ * @param {string} promptId - The prompt ID.
+ * @param {Object[]} [prompts] - All prompts (defaults to the loaded prompts).
+ */
+export function openLineageView(promptId, prompts = loadedPrompts()) {
+  const tree = buildLineageTree(promptId, prompts);
+  if (!tree) {
+    window.dispatchEvent(new CustomEvent('showToast', { detail: { message: 'Prompt not found.', type: 'error' } }));
+    return;
+  }
+  const ancestors = getAncestors(promptId, prompts);
+  const oldest = ancestors.length ? ancestors[ancestors.length - 1] : tree.prompt;
+  const orphaned = !!oldest.parent_id;
+  const html = `
+    <p style="margin-top:0;color:#BFAEF5;">
+      ${ancestors.length ? `${ancestors.length} ancestor(s).` : 'This prompt is the root of its lineage.'}
+      ${orphaned ? ' The oldest prompt was forked from a prompt that is no longer available.' : ''}
+    </p>
+    <ul style="list-style:none;margin:0;padding:0;max-height:60vh;overflow:auto;">
+      ${renderNode(tree, promptId)}
+    </ul>
+    <div class="modal-actions">
+      <button type="button" class="secondary" data-close-modal-id="${LINEAGE_MODAL_ID}">Close</button>
+    </div>
+  `;
+  const modal = showCustomModal(LINEAGE_MODAL_ID, 'Lineage', html, { wide: true });
+  modal.querySelectorAll('[data-lineage-prompt-id]').forEach(btn => {
+    btn.onclick = () => {
+      const target = prompts.find(p => String(p.id) === btn.getAttribute('data-lineage-prompt-id'));
+      if (!target) return;
+      closeModal(LINEAGE_MODAL_ID);
+      window.dispatchEvent(new CustomEvent('openFullPromptModal', { detail: { prompt: target } }));
+    };
+  });
+}
+
+export function attachLineageListener() {
+  if (!window.__lineageListenerAdded) {
+    window.addEventListener('openLineage', (e) => {
+      const promptId = e?.detail?.promptId;
+      if (promptId) openLineageView(promptId);
+    });
+    window.__lineageListenerAdded = true;
+  }
+}
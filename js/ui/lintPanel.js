@@ -0,0 +1,140 @@
+// lintPanel.js - Prompt linter diagnostics for the add/edit form and a library-wide report
+
+import { lintPrompt, lintLibrary, applyFixes, LINT_RULES } from '../util/promptLinter.js';
+import { escapeHtml } from '../util/dataValidator.js';
+import { getPrompts } from '../state/appState.js';
+import { showCustomModal, closeModal } from './modals.js';
+
+const REPORT_MODAL_ID = 'lint-report-modal';
+const SEVERITY_ICONS = { error: '⛔', warning: '⚠️', info: 'ℹ️' };
+const SEVERITY_COLORS = { error: '#ffb3b3', warning: '#FFD98A', info: '#BFAEF5' };
+
+function renderDiagnostic(d, index, { interactive = true } = {}) {
+  const position = `Ln ${d.line}, Col ${d.column}`;
+  return `
+    <li style="display:flex;gap:8px;align-items:baseline;margin-bottom:4px;">
+      <span aria-hidden="true">${SEVERITY_ICONS[d.severity] || ''}</span>
+      ${interactive
+        ? `<button type="button" class="utility lint-goto" data-diagnostic-index="${index}" title="Select in editor" style="font-family:monospace;white-space:nowrap;">${position}</button>`
+        : `<code style="white-space:nowrap;">${position}</code>`}
+      <span style="flex:1;color:${SEVERITY_COLORS[d.severity] || '#F3EFFF'};">${escapeHtml(d.message)} <span style="color:#BFAEF5;" title="${escapeHtml(LINT_RULES[d.rule] || d.rule)}">(${escapeHtml(d.rule)})</span></span>
+      ${interactive && d.fix ? `<button type="button" class="secondary lint-fix" data-diagnostic-index="${index}">${escapeHtml(d.fix.label)}</button>` : ''}
+    </li>
+  `;
+}
+
+/**
+ * Render live lint diagnostics for a prompt content field.
+ * Quick fixes edit the field and fire an `input` event so other editors (e.g. variables) stay in sync.
+ * @param {HTMLElement} container - Element to render into.
+ * @param {HTMLTextAreaElement} contentField - The prompt content textarea.
+ * @param {Object} [options]
+ * @param {Object[]} [options.prompts] - Known prompts for include checks (defaults to appState prompts).
+ * @param {Function} [options.getVariables] - Returns the current variable declarations (e.g. the
+ *   variable editor's getDefinitions), checked for ones the text no longer uses.
+ * @returns {{lint: Function, getDiagnostics: Function}|null} Panel controller.
+ */
+export function renderLintPanel(container, contentField, options = {}) {
+  if (!container || !contentField) return null;
+  let diagnostics = [];
+
+  function lint() {
+    const prompts = options.prompts || getPrompts();
+    diagnostics = lintPrompt(contentField.value, {
+      prompts: Array.isArray(prompts) && prompts.length ? prompts : undefined,
+      variables: typeof options.getVariables === 'function' ? options.getVariables() : undefined
+    });
+    const fixable = diagnostics.filter(d => d.fix).length;
+    container.innerHTML = diagnostics.length ? `
+      <section class="lint-panel" aria-label="Prompt lint" style="margin-bottom:0.5em;background:#1C1433;border-radius:8px;padding:8px 12px;">
+        <div style="display:flex;align-items:center;justify-content:space-between;gap:8px;">
+          <h3 style="font-size:15px;font-weight:600;color:#E0D0FF;margin:0.3em 0;">Lint: ${diagnostics.length} issue(s)</h3>
+          ${fixable > 1 ? `<button type="button" class="secondary lint-fix-all">Fix all (${fixable})</button>` : ''}
+        </div>
+        <ul style="list-style:none;margin:0;padding:0;font-size:0.95em;">
+          ${diagnostics.map((d, i) => renderDiagnostic(d, i)).join('')}
+        </ul>
+      </section>
+    ` : '';
+    return diagnostics;
+  }
+
+  function setContent(value) {
+    contentField.value = value;
+    contentField.dispatchEvent(new Event('input', { bubbles: true }));
+    lint();
+  }
+
+  container.addEventListener('click', (e) => {
+    const target = e.target.closest('button');
+    if (!target) return;
+    const d = diagnostics[Number(target.getAttribute('data-diagnostic-index'))];
+    if (target.classList.contains('lint-fix-all')) {
+      setContent(applyFixes(contentField.value, diagnostics));
+    } else if (d && target.classList.contains('lint-fix')) {
+      setContent(applyFixes(contentField.value, [d]));
+    } else if (d && target.classList.contains('lint-goto')) {
+      contentField.focus();
+      contentField.setSelectionRange(d.start, Math.max(d.start, d.end));
+    }
+  });
+
+  let lintTimer = null;
+  contentField.addEventListener('input', () => {
+    clearTimeout(lintTimer);
+    lintTimer = setTimeout(lint, 300);
+  });
+  lint();
+
+  return {
+    lint,
+    getDiagnostics: () => diagnostics.slice()
+  };
+}
+
+/**
+ * Lint every prompt and show the results grouped by prompt, with totals per rule.
+ * @param {Object[]} [prompts] - Prompts to lint (defaults to appState prompts).
+ */
+export function openLintReport(prompts = getPrompts()) {
+  const report = lintLibrary(prompts);
+  const html = `
+    <p style="margin-top:0;">${report.issueCount} issue(s) in ${report.entries.length} of ${report.promptCount} prompt(s).</p>
+    ${Object.keys(report.totals).length ? `
+      <ul style="display:flex;flex-wrap:wrap;gap:8px;list-style:none;padding:0;">
+        ${Object.entries(report.totals).map(([rule, count]) => `<li class="tag-pill" title="${escapeHtml(LINT_RULES[rule] || rule)}">${escapeHtml(rule)}: ${count}</li>`).join('')}
+      </ul>` : ''}
+    <div style="max-height:60vh;overflow:auto;">
+      ${report.entries.map(({ prompt, diagnostics }) => `
+        <section style="margin-bottom:1em;">
+          <div style="display:flex;align-items:center;justify-content:space-between;gap:8px;">
+            <strong style="color:#E0D0FF;">${escapeHtml(prompt.title || prompt.id)}</strong>
+            <button type="button" class="utility" data-edit-prompt-id="${escapeHtml(prompt.id)}">Edit</button>
+          </div>
+          <ul style="list-style:none;margin:4px 0;padding:0;font-size:0.95em;">
+            ${diagnostics.map((d, i) => renderDiagnostic(d, i, { interactive: false })).join('')}
+          </ul>
+        </section>
+      `).join('') || '<p>No issues found. 🎉</p>'}
+    </div>
+    <div class="modal-actions">
+      <button type="button" class="secondary" data-close-modal-id="${REPORT_MODAL_ID}">Close</button>
+    </div>
+  `;
+  const modal = showCustomModal(REPORT_MODAL_ID, 'Prompt lint report', html, { wide: true });
+  modal.querySelectorAll('[data-edit-prompt-id]').forEach(btn => {
+    btn.onclick = () => {
+      closeModal(REPORT_MODAL_ID);
+      window.dispatchEvent(new CustomEvent('openCrudModal', { detail: { mode: 'edit', promptId: btn.getAttribute('data-edit-prompt-id') } }));
+    };
+  });
+}
+
+export function attachLintReportListener() {
+  if (!window.__lintReportListenerAdded) {
+    window.addEventListener('openLintReport', () => {
+      openLintReport();
+    });
+    window.__lintReportListenerAdded = true;
+  }
+}
@@ -1,3 +1,13 @@
+import { getPromptText, hasVariables } from '../util/templateVars.js';
+import { findIncludeRefs, resolvePromptIncludes, findUsedBy } from '../util/promptIncludes.js';
+import { getPrompts, getCategories, getTags } from '../state/appState.js';
+import { renderTemplateForm, copyResolvedText } from './templateForm.js';
+import { renderTokenPanel } from './tokenPanel.js';
+import { renderCostPanel } from './costPanel.js';
+import { renderRevisionHistory } from './revisionHistory.js';
+import { renderRunPanel } from './runPanel.js';
+import { renderBatchRunPanel } from './batchRunView.js';
+
 /**
  * showConfirmModal - Show a modal confirmation dialog.
  * @param {string} message - The confirmation message.
@@ -115,6 +125,67 @@ export function openIsolatedModal(modal) {
   }, 0);
 }
 
+/**
+ * showConfirmationModal - Callback-style wrapper around showConfirmModal.
+ * @param {string} message - The confirmation message.
+ * @param {Function} [onConfirm] - Called when the user confirms.
+ * @param {Function} [onCancel] - Called when the user cancels.
+ * @param {Object} [options] - Optional config passed to showConfirmModal.
+ */
+export function showConfirmationModal(message, onConfirm, onCancel, options = {}) {
+  showConfirmModal(message, options).then(confirmed => {
+    if (confirmed) {
+      if (typeof onConfirm === 'function') onConfirm();
+    } else if (typeof onCancel === 'function') {
+      onCancel();
+    }
+  });
+}
+
+/**
+ * showCustomModal - Show a modal with a title and arbitrary HTML content.
+ * Elements inside the content with `data-close-modal-id` close the modal when clicked.
+ * @param {string} modalId - ID for the modal element (an existing modal with this ID is replaced).
+ * @param {string} title - Modal title (escaped).
+ * @param {string} html - Trusted HTML for the modal body.
+ * @param {Object} [options] - Optional config (wide: use the wide layout).
+ * @returns {HTMLElement} The modal element.
+ */
+export function showCustomModal(modalId, title, html, options = {}) {
+  closeModal(modalId);
+  const modal = document.createElement('div');
+  modal.id = modalId;
+  modal.className = 'modal';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-modal', 'true');
+  modal.setAttribute('aria-labelledby', `${modalId}-title`);
+  modal.setAttribute('tabindex', '-1');
+  modal.innerHTML = `
+    <div class="modal-content ${options.wide ? 'modal-wide' : 'modal-narrow'}">
+      <button type="button" class="close-btn" data-close-modal-id="${escapeHtml(modalId)}" aria-label="Close" style="position:absolute;top:12px;right:12px;font-size:1.5em;">&times;</button>
+      <h2 id="${escapeHtml(modalId)}-title" style="margin-top:0;">${escapeHtml(title)}</h2>
+      <div class="custom-modal-body">${html}</div>
+    </div>
+  `;
+  modal.addEventListener('click', (e) => {
+    if (e.target.closest(`[data-close-modal-id="${CSS.escape(modalId)}"]`)) closeModal(modalId);
+  });
+  modal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeModal(modalId);
+  });
+  openIsolatedModal(modal);
+  return modal;
+}
+
+/**
+ * closeModal - Close a modal opened with showCustomModal.
+ * @param {string} modalId - The modal's ID.
+ */
+export function closeModal(modalId) {
+  const modal = document.getElementById(modalId);
+  if (modal) closeIsolatedModal(modal);
+}
+
 /**
  * showPromptModal - Show a modal with a text input and OK/Cancel buttons.
  * @param {string} message - The prompt message.
@@ -207,6 +278,12 @@ export function showFullPromptModal(prompt) {
   let modal = document.getElementById('full-prompt-modal');
   if (modal) modal.remove();
 
+  const promptText = getPromptText(prompt);
+  const includeRefs = findIncludeRefs(promptText);
+  const usedBy = findUsedBy(prompt.id, getPrompts());
+  const categoryName = id => (getCategories().find(c => c.id === id) || {}).name || id;
+  const tagName = id => (getTags().find(t => t.id === id) || {}).name || id;
+
   modal = document.createElement('div');
   modal.id = 'full-prompt-modal';
   modal.className = 'modal';
@@ -217,9 +294,44 @@ export function showFullPromptModal(prompt) {
     <div class="modal-content modal-wide">
       <button id="close-full-prompt-modal-btn" class="close-btn" aria-label="Close" style="position:absolute;top:12px;right:12px;font-size:1.5em;">&times;</button>
       <h2 style="margin-top:0;">${prompt.title ? escapeHtml(prompt.title) : 'Prompt Details'}</h2>
-      <pre style="white-space:pre-wrap;word-break:break-word;font-size:15px;color:#F3EFFF;background:#1C1433;border-radius:8px;padding:16px;max-height:60vh;overflow:auto;">${prompt.content ? escapeHtml(prompt.content) : ''}</pre>
-      ${prompt.tags && prompt.tags.length ? `<div style="margin-top:1em;"><strong>Tags:</strong> ${prompt.tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join(', ')}</div>` : ''}
-      ${prompt.category ? `<div style="margin-top:1em;"><strong>Category:</strong> ${escapeHtml(prompt.category)}</div>` : ''}
+      <div role="tablist" aria-label="Prompt views" style="display:flex;gap:8px;margin-bottom:1em;">
+        <button type="button" role="tab" id="full-prompt-details-tab" class="utility" aria-selected="true" aria-controls="full-prompt-details-panel" data-testid="full-prompt-details-tab">Details</button>
+        <button type="button" role="tab" id="full-prompt-run-tab" class="utility" aria-selected="false" aria-controls="full-prompt-run-panel" data-testid="full-prompt-run-tab">▶ Run</button>
+        <button type="button" role="tab" id="full-prompt-batch-tab" class="utility" aria-selected="false" aria-controls="full-prompt-batch-panel" data-testid="full-prompt-batch-tab">▦ Batch</button>
+        <button type="button" role="tab" id="full-prompt-history-tab" class="utility" aria-selected="false" aria-controls="full-prompt-history-panel" data-testid="full-prompt-history-tab">🕘 History</button>
+      </div>
+      <div id="full-prompt-details-panel" role="tabpanel" aria-labelledby="full-prompt-details-tab">
+        <pre id="full-prompt-text" style="white-space:pre-wrap;word-break:break-word;font-size:15px;color:#F3EFFF;background:#1C1433;border-radius:8px;padding:16px;max-height:60vh;overflow:auto;">${escapeHtml(promptText)}</pre>
+        <div id="full-prompt-include-status" aria-live="polite" style="color:#BFAEF5;font-size:0.95em;">${includeRefs.length ? `Resolving ${includeRefs.length} included prompt(s)…` : ''}</div>
+        <ul id="full-prompt-include-warnings" style="color:#ffb3b3;font-size:0.95em;margin:4px 0;padding-left:1.2em;"></ul>
+        <div id="full-prompt-template"></div>
+        <div id="full-prompt-tokens"></div>
+        <div id="full-prompt-cost"></div>
+        <div class="modal-actions" style="margin-top:1em;">
+          <button type="button" id="copy-full-prompt-btn" class="copy-btn" data-testid="copy-full-prompt-btn">📋 ${hasVariables(promptText) ? 'Copy filled prompt' : 'Copy prompt'}</button>
+          <button type="button" id="full-prompt-chains-btn" class="utility" data-testid="full-prompt-chains-btn">⛓ Chains using this prompt</button>
+          <button type="button" id="full-prompt-fork-btn" class="utility" data-testid="full-prompt-fork-btn">⑂ Fork</button>
+          <button type="button" id="full-prompt-lineage-btn" class="utility" data-testid="full-prompt-lineage-btn">Lineage</button>
+        </div>
+        ${prompt.tags && prompt.tags.length ? `<div style="margin-top:1em;"><strong>Tags:</strong> ${prompt.tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join(', ')}</div>` : ''}
+        ${prompt.category ? `<div style="margin-top:1em;"><strong>Category:</strong> ${escapeHtml(prompt.category)}</div>` : ''}
+        ${usedBy.length ? `
+          <section id="full-prompt-used-by" style="margin-top:1em;">
+            <strong>Used by ${usedBy.length} prompt(s):</strong>
+            <ul style="margin:4px 0;padding-left:1.2em;">
+              ${usedBy.map(p => `
+                <li>
+                  <button type="button" class="utility" data-open-prompt-id="${escapeHtml(p.id)}">${escapeHtml(p.title || p.id)}</button>
+                  ${p.category ? `<span style="color:#BFAEF5;"> in ${escapeHtml(categoryName(p.category))}</span>` : ''}
+                  ${Array.isArray(p.tags) && p.tags.length ? `<span style="color:#BFAEF5;"> · ${p.tags.map(t => escapeHtml(tagName(t))).join(', ')}</span>` : ''}
+                </li>
+              `).join('')}
+            </ul>
+          </section>` : ''}
+      </div>
+      <div id="full-prompt-run-panel" role="tabpanel" aria-labelledby="full-prompt-run-tab" hidden></div>
+      <div id="full-prompt-batch-panel" role="tabpanel" aria-labelledby="full-prompt-batch-tab" hidden></div>
+      <div id="full-prompt-history-panel" role="tabpanel" aria-labelledby="full-prompt-history-tab" hidden></div>
     </div>
   `;
 
@@ -250,11 +362,137 @@ export function showFullPromptModal(prompt) {
     modal.remove();
     document.body.classList.remove('modal-open');
     document.removeEventListener('keydown', trapFocus, true);
+    if (tokenPanel) tokenPanel.destroy();
+    if (costPanel) costPanel.destroy();
+    if (runPanel) runPanel.destroy();
+    if (batchPanel) batchPanel.destroy();
   }
 
   modal.querySelector('#close-full-prompt-modal-btn').onclick = cleanup;
   document.addEventListener('keydown', trapFocus, true);
 
+  // Token and cost estimates follow the filled-in text (including resolved includes)
+  const tokenPanel = renderTokenPanel(modal.querySelector('#full-prompt-tokens'), promptText);
+  const costPanel = renderCostPanel(modal.querySelector('#full-prompt-cost'), promptText);
+  const updateEstimates = text => {
+    tokenPanel.update(text);
+    costPanel.update(text);
+  };
+
+  // Template variables: fill-in form with live preview; copy uses the resolved text
+  let resolvedText = promptText;
+  let definitions = prompt.variables;
+  let templateForm = null;
+  function renderTemplate() {
+    modal.querySelector('#full-prompt-text').textContent = resolvedText;
+    updateEstimates(resolvedText);
+    templateForm = renderTemplateForm(modal.querySelector('#full-prompt-template'), resolvedText, {
+      definitions,
+      onChange: filled => updateEstimates(filled)
+    });
+    modal.querySelector('#copy-full-prompt-btn').textContent = `📋 ${hasVariables(resolvedText) ? 'Copy filled prompt' : 'Copy prompt'}`;
+  }
+  renderTemplate();
+
+  // Includes: show the composed text once every `{{> prompt_id}}` is resolved
+  let includesReady = Promise.resolve();
+  if (includeRefs.length) {
+    includesReady = resolvePromptIncludes(prompt).then(result => {
+      if (!modal.isConnected) return;
+      resolvedText = result.text;
+      definitions = result.variables;
+      renderTemplate();
+      modal.querySelector('#full-prompt-include-status').textContent = result.included.length
+        ? `Includes: ${result.included.join(', ')}`
+        : '';
+      modal.querySelector('#full-prompt-include-warnings').innerHTML = result.warnings
+        .map(w => `<li>${escapeHtml(w.message)}</li>`).join('');
+    });
+  }
+
+  modal.querySelector('#copy-full-prompt-btn').onclick = async () => {
+    await includesReady;
+    if (!templateForm) {
+      copyResolvedText(resolvedText);
+      return;
+    }
+    const validation = templateForm.validate();
+    if (!validation.isValid) {
+      window.dispatchEvent(new CustomEvent('showToast', { detail: { message: `Fix the template variables before copying: ${validation.errors.map(err => err.message).join(' ')}`, type: 'error' } }));
+      return;
+    }
+    const missing = templateForm.getMissing();
+    copyResolvedText(
+      templateForm.getResolvedText(),
+      missing.length ? `Prompt copied with unfilled variables: ${missing.join(', ')}` : 'Filled prompt copied to clipboard!'
+    );
+  };
+
+  modal.querySelector('#full-prompt-chains-btn').onclick = () => {
+    cleanup();
+    window.dispatchEvent(new CustomEvent('openChainsModal', { detail: { promptId: prompt.id } }));
+  };
+
+  modal.querySelector('#full-prompt-fork-btn').onclick = () => {
+    cleanup();
+    window.dispatchEvent(new CustomEvent('prompt:fork', { detail: { prompt } }));
+  };
+
+  modal.querySelector('#full-prompt-lineage-btn').onclick = () => {
+    cleanup();
+    window.dispatchEvent(new CustomEvent('openLineage', { detail: { promptId: prompt.id } }));
+  };
+
+  // Run tab: sends the text as filled in on the Details tab
+  const runPanel = renderRunPanel(modal.querySelector('#full-prompt-run-panel'), prompt, {
+    getText: async () => {
+      await includesReady;
+      if (!templateForm) return { text: resolvedText, errors: [] };
+      const validation = templateForm.validate();
+      if (!validation.isValid) return { text: '', errors: validation.errors.map(err => err.message) };
+      const missing = templateForm.getMissing();
+      return { text: templateForm.getResolvedText(), errors: missing.length ? [`Fill in ${missing.join(', ')}.`] : [] };
+    }
+  });
+
+  // Batch tab: fills the template from each dataset row instead of the Details form
+  const batchPanel = renderBatchRunPanel(modal.querySelector('#full-prompt-batch-panel'), prompt, {
+    getTemplate: async () => {
+      await includesReady;
+      return { text: resolvedText, definitions };
+    }
+  });
+
+  // History tab: revisions load the first time the tab is opened
+  const history = renderRevisionHistory(modal.querySelector('#full-prompt-history-panel'), prompt, {
+    confirm: showConfirmModal,
+    onRestored: restored => {
+      cleanup();
+      window.dispatchEvent(new CustomEvent('openFullPromptModal', { detail: { prompt: { ...prompt, ...restored } } }));
+    }
+  });
+  function showTab(name) {
+    ['details', 'run', 'batch', 'history'].forEach(tab => {
+      const selected = tab === name;
+      modal.querySelector(`#full-prompt-${tab}-tab`).setAttribute('aria-selected', String(selected));
+      modal.querySelector(`#full-prompt-${tab}-panel`).hidden = !selected;
+    });
+    if (name === 'history') history.load();
+  }
+  modal.querySelector('#full-prompt-details-tab').onclick = () => showTab('details');
+  modal.querySelector('#full-prompt-run-tab').onclick = () => showTab('run');
+  modal.querySelector('#full-prompt-batch-tab').onclick = () => showTab('batch');
+  modal.querySelector('#full-prompt-history-tab').onclick = () => showTab('history');
+
+  modal.querySelectorAll('[data-open-prompt-id]').forEach(btn => {
+    btn.onclick = () => {
+      const target = usedBy.find(p => String(p.id) === btn.getAttribute('data-open-prompt-id'));
+      if (!target) return;
+      cleanup();
+      window.dispatchEvent(new CustomEvent('openFullPromptModal', { detail: { prompt: target } }));
+    };
+  });
+
   document.body.appendChild(modal);
   document.body.classList.add('modal-open');
   setTimeout(() => {
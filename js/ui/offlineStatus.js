@@ -0,0 +1,111 @@
+// offlineStatus.js - Sync status button in the nav bar and the "Offline changes" dialog:
+// shows when the app is offline or has changes waiting, and lets the user retry or discard
+// changes the server rejected
+
+import { getSyncStatus, replayOutbox, retryOutboxEntry, discardOutboxEntry } from '../util/offlineSync.js';
+import { showCustomModal } from './modals.js';
+import { escapeHtml } from '../util/dataValidator.js';
+
+const MODAL_ID = 'sync-status-modal';
+
+function statusLabel({ online, pending, conflicts }) {
+  const parts = [];
+  if (!online) parts.push('⚡ Offline');
+  if (pending) parts.push(`⟳ ${pending} to sync`);
+  if (conflicts) parts.push(`⚠ ${conflicts} rejected`);
+  return parts.join(' · ');
+}
+
+function renderEntries(entries) {
+  if (!entries.length) {
+    return '<p style="color:#BFAEF5;">Nothing is waiting to be synced.</p>';
+  }
+  return `
+    <ul style="list-style:none;margin:0;padding:0;display:flex;flex-direction:column;gap:8px;">
+      ${entries.map(entry => `
+        <li style="background:#261A40;border-radius:8px;padding:8px 10px;">
+          <div style="display:flex;justify-content:space-between;gap:8px;align-items:baseline;">
+            <strong style="color:#F3EFFF;">${escapeHtml(entry.label || `${entry.method} ${entry.url}`)}</strong>
+            <span style="color:${entry.status === 'conflict' ? '#ffb3b3' : '#BFAEF5'};font-size:0.9em;">${entry.status === 'conflict' ? 'Rejected' : 'Waiting'} · ${escapeHtml(new Date(entry.queued_at).toLocaleString())}</span>
+          </div>
+          ${entry.error ? `<div style="color:#ffb3b3;font-size:0.9em;margin-top:4px;">Server said ${escapeHtml(entry.error)}</div>` : ''}
+          <div class="modal-actions" style="margin-top:6px;">
+            ${entry.status === 'conflict' ? `<button type="button" class="secondary" data-sync-retry="${entry.seq}">${entry.rejected_status === 409 ? 'Overwrite' : 'Retry'}</button>` : ''}
+            <button type="button" class="danger" data-sync-discard="${entry.seq}">Discard</button>
+          </div>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Open the "Offline changes" dialog listing the outbox.
+ */
+export async function openSyncStatusModal() {
+  const status = await getSyncStatus();
+  const modal = showCustomModal(MODAL_ID, 'Offline changes', `
+    <p style="margin-top:0;color:#BFAEF5;">${status.online ? 'Connected.' : 'The server cannot be reached; changes are kept on this device.'} Changes are sent in the order they were made. Discarding a change keeps the server's version.</p>
+    <div class="sync-entries">${renderEntries(status.entries)}</div>
+    <div class="modal-actions" style="margin-top:12px;">
+      <button type="button" class="primary" data-sync-now ${status.pending ? '' : 'disabled'}>⟳ Sync now</button>
+    </div>
+  `, { wide: true });
+
+  async function refresh() {
+    const next = await getSyncStatus();
+    modal.querySelector('.sync-entries').innerHTML = renderEntries(next.entries);
+    modal.querySelector('[data-sync-now]').disabled = !next.pending;
+  }
+
+  modal.addEventListener('click', async e => {
+    const retry = e.target.closest('[data-sync-retry]');
+    const discard = e.target.closest('[data-sync-discard]');
+    if (retry) {
+      retry.disabled = true;
+      await retryOutboxEntry(Number(retry.getAttribute('data-sync-retry')));
+    } else if (discard) {
+      discard.disabled = true;
+      await discardOutboxEntry(Number(discard.getAttribute('data-sync-discard')));
+      if (typeof window.renderPrompts === 'function') window.renderPrompts();
+    } else if (e.target.closest('[data-sync-now]')) {
+      e.target.disabled = true;
+      await replayOutbox();
+    } else {
+      return;
+    }
+    if (modal.isConnected) await refresh();
+  });
+}
+
+/**
+ * Add the sync status button to the nav bar and keep it up to date.
+ * Hidden while online with nothing queued.
+ */
+export function initOfflineStatus() {
+  if (window.__offlineStatusInitialized) return;
+  window.__offlineStatusInitialized = true;
+  const nav = document.querySelector('#main-nav .nav-section:last-child') || document.getElementById('main-nav');
+  if (!nav) return;
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.id = 'sync-status-btn';
+  button.className = 'utility';
+  button.hidden = true;
+  button.setAttribute('aria-live', 'polite');
+  button.setAttribute('data-testid', 'sync-status-btn');
+  button.style.marginLeft = '8px';
+  button.onclick = () => openSyncStatusModal();
+  nav.appendChild(button);
+
+  window.addEventListener('offline:status', e => {
+    const label = statusLabel(e.detail);
+    button.textContent = label;
+    button.title = label ? 'Show changes waiting to be synced' : '';
+    button.hidden = !label;
+  });
+  // Reload the list so records created offline show their server IDs
+  window.addEventListener('offline:replayed', e => {
+    if (e.detail.sent && typeof window.renderPrompts === 'function') window.renderPrompts();
+  });
+}
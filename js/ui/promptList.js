@@ -1,8 +1,12 @@
 // promptList.js - Orchestrator for Prompt List UI (modularized 2025)
 
 import { attachPromptCrudListeners, attachResultDeleteListener, attachFullPromptModalListener } from './promptListEvents.js';
-import { attachPromptListControlListeners } from './promptListControls.js';
+import { attachPromptListControlListeners, syncFilterControls } from './promptListControls.js';
 import { renderPrompts } from './promptListRender.js';
+import { attachChainsModalListener } from './chainManager.js';
+import { attachLintReportListener } from './lintPanel.js';
+import { attachLineageListener } from './lineageView.js';
+import { attachEvaluationListener } from './evaluationView.js';
 
 // Debug log utility (optional)
 const DEBUG_MODE = window.DEBUG_MODE || false;
@@ -22,6 +26,10 @@ export function initPromptList(params = {}) {
   attachPromptCrudListeners(debugLog);
   attachResultDeleteListener(debugLog);
   attachFullPromptModalListener();
+  attachChainsModalListener();
+  attachLintReportListener();
+  attachLineageListener();
+  attachEvaluationListener();
   attachPromptListControlListeners(debugLog);
 
   // Listen for filterPrompts event (global filter state)
@@ -30,6 +38,10 @@ export function initPromptList(params = {}) {
     if (window.promptManager && typeof window.promptManager.updateFiltersFromEvent === 'function') {
       window.promptManager.updateFiltersFromEvent(e.detail);
     }
+    // A pill click adds its filter; an empty detail (Clear Filters) resets them all
+    const detail = e.detail || {};
+    window.currentParams = Object.keys(detail).length ? { ...(window.currentParams || {}), ...detail } : {};
+    syncFilterControls();
     renderPrompts();
   });
 
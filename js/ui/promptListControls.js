@@ -2,6 +2,9 @@
 
 import { closeIsolatedModal } from './modals.js';
 import { createPrompt } from '../api/prompts.js';
+import { MODELS, formatTokenCount, getSelectedModelId, setSelectedModelId } from '../util/tokenEstimator.js';
+import { attachSearchSyntaxHelp, checkSearchSyntax } from './searchSyntaxHelp.js';
+import { trackEvent } from '../util/analytics.js';
 
 export function attachViewToggleListeners(debugLog = () => {}) {
   const promptList = document.getElementById('prompt-list');
@@ -100,6 +103,164 @@ export function attachBatchImportListener(debugLog = () => {}) {
   }
 }
 
+export function attachChainsListener(debugLog = () => {}) {
+  const chainsBtn = document.getElementById('chains-btn');
+  if (chainsBtn) {
+    console.log('[DIAG][promptListControls] chainsBtn found, attaching click handler');
+    chainsBtn.onclick = () => {
+      console.log('[DIAG][promptListControls] chainsBtn clicked, dispatching openChainsModal');
+      window.dispatchEvent(new CustomEvent('openChainsModal'));
+    };
+  } else {
+    console.warn('[DIAG][promptListControls] chainsBtn NOT found in DOM');
+  }
+}
+
+export function attachLintReportButtonListener(debugLog = () => {}) {
+  const lintReportBtn = document.getElementById('lint-report-btn');
+  if (lintReportBtn) {
+    console.log('[DIAG][promptListControls] lintReportBtn found, attaching click handler');
+    lintReportBtn.onclick = () => {
+      console.log('[DIAG][promptListControls] lintReportBtn clicked, dispatching openLintReport');
+      window.dispatchEvent(new CustomEvent('openLintReport'));
+    };
+  } else {
+    console.warn('[DIAG][promptListControls] lintReportBtn NOT found in DOM');
+  }
+}
+
+export function attachLeaderboardButtonListener(debugLog = () => {}) {
+  const leaderboardBtn = document.getElementById('leaderboard-btn');
+  if (leaderboardBtn) {
+    console.log('[DIAG][promptListControls] leaderboardBtn found, attaching click handler');
+    leaderboardBtn.onclick = () => {
+      console.log('[DIAG][promptListControls] leaderboardBtn clicked, dispatching openLeaderboard');
+      window.dispatchEvent(new CustomEvent('openLeaderboard'));
+    };
+  } else {
+    console.warn('[DIAG][promptListControls] leaderboardBtn NOT found in DOM');
+  }
+}
+
+// The prompt list reads its filters from window.currentParams (see promptListRender.js)
+const rerender = () => {
+  if (typeof window.renderPrompts === 'function') window.renderPrompts();
+};
+const setParam = (key, value) => {
+  window.currentParams = { ...(window.currentParams || {}) };
+  if (value === '' || value === null || value === undefined) {
+    delete window.currentParams[key];
+  } else {
+    window.currentParams[key] = value;
+  }
+};
+
+/**
+ * Show window.currentParams in the filter controls, e.g. after a tag pill or Clear Filters changed them.
+ */
+export function syncFilterControls() {
+  const params = window.currentParams || {};
+  [['filter-category', 'category'], ['filter-tag', 'tag'], ['filter-from', 'from'], ['filter-to', 'to'], ['search-input', 'search']].forEach(([id, key]) => {
+    const el = document.getElementById(id);
+    if (el) el.value = params[key] || '';
+  });
+  checkSearchSyntax(params.search);
+}
+
+// Category, tag, created date range and search; the server applies these (see util/promptQuery.js)
+export function attachFilterControlsListener(debugLog = () => {}) {
+  [['filter-category', 'category'], ['filter-tag', 'tag'], ['filter-from', 'from'], ['filter-to', 'to']].forEach(([id, key]) => {
+    const el = document.getElementById(id);
+    if (!el || el.__filterListenerAdded) return;
+    if (window.currentParams && window.currentParams[key]) el.value = window.currentParams[key];
+    el.addEventListener('change', () => {
+      debugLog('[DIAG] list filter changed', key, el.value);
+      trackEvent(`filter_${key}`, { [key]: el.value });
+      setParam(key, el.value);
+      rerender();
+    });
+    el.__filterListenerAdded = true;
+  });
+}
+
+// Fuzzy search toggle: also match words a typo or two away; a preference kept across Clear Filters
+export function attachFuzzySearchToggle(debugLog = () => {}) {
+  const toggle = document.getElementById('search-fuzzy');
+  if (!toggle || toggle.__fuzzyListenerAdded) return;
+  toggle.checked = localStorage.getItem('promptSearchFuzzy') === 'true';
+  toggle.addEventListener('change', () => {
+    debugLog('[DIAG] fuzzy search toggled', toggle.checked);
+    localStorage.setItem('promptSearchFuzzy', String(toggle.checked));
+    // Only a search is affected by the toggle
+    if (window.currentParams && window.currentParams.search) rerender();
+  });
+  toggle.__fuzzyListenerAdded = true;
+}
+
+export function attachTokenControlsListener(debugLog = () => {}) {
+  const sortSelect = document.getElementById('sort-prompts');
+  const minInput = document.getElementById('filter-min-tokens');
+  const maxInput = document.getElementById('filter-max-tokens');
+  const minScoreInput = document.getElementById('filter-min-score');
+  const modelSelect = document.getElementById('token-model-select');
+  if (modelSelect) {
+    const selected = getSelectedModelId();
+    modelSelect.innerHTML = MODELS.map(m =>
+      `<option value="${m.id}"${m.id === selected ? ' selected' : ''}>${m.label} (${formatTokenCount(m.contextWindow)})</option>`
+    ).join('');
+    modelSelect.onchange = () => {
+      setSelectedModelId(modelSelect.value);
+      window.dispatchEvent(new CustomEvent('tokenModelChanged', { detail: { modelId: modelSelect.value } }));
+    };
+  }
+  // The full prompt view can change the model too; card badges and length sort follow it
+  if (!window.__tokenModelListenerAdded) {
+    window.addEventListener('tokenModelChanged', (e) => {
+      debugLog('[DIAG] token model changed', e.detail);
+      const select = document.getElementById('token-model-select');
+      if (select && e.detail && e.detail.modelId) select.value = e.detail.modelId;
+      rerender();
+    });
+    window.__tokenModelListenerAdded = true;
+  }
+  if (sortSelect) {
+    sortSelect.value = (window.currentParams && window.currentParams.sortBy) || '';
+    sortSelect.onchange = () => {
+      setParam('sortBy', sortSelect.value);
+      rerender();
+    };
+  }
+  [[minInput, 'minTokens'], [maxInput, 'maxTokens'], [minScoreInput, 'minScore', 100]].forEach(([input, key, upper = Infinity]) => {
+    if (!input) return;
+    const current = window.currentParams && window.currentParams[key];
+    if (current !== undefined) input.value = current;
+    let debounceTimer = null;
+    input.oninput = () => {
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => {
+        const value = input.value.trim();
+        setParam(key, value === '' || isNaN(Number(value)) ? '' : Math.min(upper, Math.max(0, Number(value))));
+        rerender();
+      }, 300);
+    };
+  });
+  // Clear Filters also resets sort order, token range and minimum score; the empty filterPrompts
+  // event resets the others and renders the list (see promptList.js)
+  const clearFiltersBtn = document.getElementById('clear-filters-btn');
+  if (clearFiltersBtn && !clearFiltersBtn.__tokenControlsListenerAdded) {
+    clearFiltersBtn.addEventListener('click', () => {
+      ['sortBy', 'minTokens', 'maxTokens', 'minScore'].forEach(key => setParam(key, ''));
+      if (sortSelect) sortSelect.value = '';
+      if (minInput) minInput.value = '';
+      if (maxInput) maxInput.value = '';
+      if (minScoreInput) minScoreInput.value = '';
+      trackEvent('clear_filters', {});
+      window.dispatchEvent(new CustomEvent('filterPrompts', { detail: {} }));
+    });
+    clearFiltersBtn.__tokenControlsListenerAdded = true;
+  }
+}
+
 export function attachImportPromptsListener(debugLog = () => {}) {
   const importBtn = document.getElementById('import-prompts-btn');
   // Use the correct file input ID from the HTML
@@ -132,18 +293,41 @@ export function attachPromptListControlListeners(debugLog = () => {}) {
   console.log('[DIAG][promptListControls] Attaching import prompts listener');
   debugLog('[DIAG] Attaching import prompts listener');
   attachImportPromptsListener(debugLog);
+  console.log('[DIAG][promptListControls] Attaching chains listener');
+  debugLog('[DIAG] Attaching chains listener');
+  attachChainsListener(debugLog);
+  console.log('[DIAG][promptListControls] Attaching lint report listener');
+  debugLog('[DIAG] Attaching lint report listener');
+  attachLintReportButtonListener(debugLog);
+  console.log('[DIAG][promptListControls] Attaching leaderboard listener');
+  debugLog('[DIAG] Attaching leaderboard listener');
+  attachLeaderboardButtonListener(debugLog);
+  console.log('[DIAG][promptListControls] Attaching token controls listener');
+  debugLog('[DIAG] Attaching token controls listener');
+  attachTokenControlsListener(debugLog);
+  debugLog('[DIAG] Attaching filter controls listener');
+  attachFilterControlsListener(debugLog);
+  debugLog('[DIAG] Attaching fuzzy search toggle');
+  attachFuzzySearchToggle(debugLog);
   console.log('[DIAG][promptListControls] All prompt list control listeners attached');
   debugLog('[DIAG] All prompt list control listeners attached');
 
   // Attach search input event listener (synchronize input and state)
   const searchInput = document.querySelector('[data-testid="prompt-search-input"]');
   if (searchInput && !searchInput.__searchListenerAdded) {
+    let searchTimer = null;
     searchInput.addEventListener("input", (e) => {
-      if (window.promptManager && typeof window.promptManager.setSearchQuery === 'function') {
-        window.promptManager.setSearchQuery(e.target.value, { updateInput: false });
-      }
+      // Wait for a pause in typing before searching and pointing out syntax errors
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        checkSearchSyntax(e.target.value);
+        if (e.target.value.trim()) trackEvent('search', { query: e.target.value.trim() });
+        setParam('search', e.target.value.trim());
+        rerender();
+      }, 300);
     });
     searchInput.__searchListenerAdded = true;
     searchInput.value = (window.currentParams && window.currentParams.search) || "";
   }
+  attachSearchSyntaxHelp();
 }
\ No newline at end of file
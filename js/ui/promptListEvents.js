@@ -1,8 +1,14 @@
 // promptListEvents.js - Global event listeners for Prompt List UI
 
 import { showConfirmModal, showFullPromptModal } from './modals.js';
-import { deletePrompt, createPrompt, updatePrompt } from '../api/prompts.js';
-import { getCategories, getTags, getPrompts, setPrompts } from '../state/appState.js';
+import { deletePrompt, createPrompt, updatePrompt, forkPrompt } from '../api/prompts.js';
+import { ConflictError } from '../api/client.js';
+import { openPromptMergeDialog } from './promptMergeDialog.js';
+import { getCategories, getTags, getPrompts } from '../state/appState.js';
+import { applyListChanges } from '../util/deltaSync.js';
+import { renderVariableEditor } from './variableEditor.js';
+import { renderAssertionEditor } from './assertionEditor.js';
+import { renderLintPanel } from './lintPanel.js';
 
 // Attach global CRUD event listeners
 export function attachPromptCrudListeners(debugLog = () => {}) {
@@ -42,6 +48,27 @@ export function attachPromptCrudListeners(debugLog = () => {}) {
         window.dispatchEvent(new CustomEvent('showToast', { detail: { message: 'Error deleting prompt.', type: 'error' } }));
       }
     });
+
+    // Fork: copy the prompt (parent_id = original) and open the copy for editing
+    window.addEventListener('prompt:fork', async (e) => {
+      const prompt = e?.detail?.prompt;
+      if (!prompt || !prompt.id) {
+        window.dispatchEvent(new CustomEvent('showToast', { detail: { message: 'Prompt data missing for fork.', type: 'error' } }));
+        return;
+      }
+      try {
+        const resp = await forkPrompt(prompt.id);
+        // Just the new prompt goes to appState and the other tabs (see util/tabSync.js)
+        if (resp && resp.prompt) applyListChanges('prompts', { records: [resp.prompt] }, 'local');
+        window.dispatchEvent(new CustomEvent('showToast', { detail: { message: `Forked "${prompt.title || prompt.id}".`, type: 'success' } }));
+        window.dispatchEvent(new CustomEvent('filterPrompts', { detail: {} }));
+        if (resp && resp.prompt) {
+          window.dispatchEvent(new CustomEvent('openCrudModal', { detail: { mode: 'edit', promptId: resp.prompt.id } }));
+        }
+      } catch (err) {
+        window.dispatchEvent(new CustomEvent('showToast', { detail: { message: 'Error forking prompt.', type: 'error' } }));
+      }
+    });
     window.__promptCrudListenersAdded = true;
   }
 }
@@ -112,6 +139,9 @@ if (!window.__openCrudModalListenerAdded) {
           <form id="add-prompt-form-modal">
             <input type="text" id="modal-prompt-title" placeholder="Title" required style="width:100%;margin-bottom:0.5em;" />
             <textarea id="modal-prompt-content" placeholder="Content" required style="width:100%;height:100px;margin-bottom:0.5em;"></textarea>
+            <div id="modal-prompt-variables"></div>
+            <div id="modal-prompt-lint" aria-live="polite"></div>
+            <div id="modal-prompt-assertions"></div>
             <input type="text" id="modal-prompt-description" placeholder="Description (optional)" style="width:100%;margin-bottom:0.5em;" />
             <input type="text" id="modal-prompt-author" placeholder="Author (default: anonymous)" style="width:100%;margin-bottom:0.5em;" />
             <label for="modal-prompt-category">Category:</label>
@@ -127,6 +157,11 @@ if (!window.__openCrudModalListenerAdded) {
       showModal(crudModal);
       const form = document.getElementById('add-prompt-form-modal');
       const errorDiv = document.getElementById('add-prompt-error');
+      const variableEditor = renderVariableEditor(document.getElementById('modal-prompt-variables'), document.getElementById('modal-prompt-content'), []);
+      const assertionEditor = renderAssertionEditor(document.getElementById('modal-prompt-assertions'), []);
+      renderLintPanel(document.getElementById('modal-prompt-lint'), document.getElementById('modal-prompt-content'), {
+        getVariables: variableEditor ? variableEditor.getDefinitions : undefined
+      });
       form.onsubmit = async (e) => {
         e.preventDefault();
         const title = document.getElementById('modal-prompt-title').value.trim();
@@ -137,7 +172,7 @@ if (!window.__openCrudModalListenerAdded) {
         const category = document.getElementById('modal-prompt-category').value;
         const tagSelect = document.getElementById('modal-prompt-tags');
         const tagIds = Array.from(tagSelect.selectedOptions).map(opt => opt.value);
-        const promptToSend = { title, content, author, description, category, tags: tagIds };
+        const promptToSend = { title, content, author, description, category, tags: tagIds, variables: variableEditor.getDefinitions(), assertions: assertionEditor.getAssertions() };
         console.log('[DIAG][ADD PROMPT SUBMIT] Fields to send:', promptToSend);
         if (!title || !content) {
           errorDiv.textContent = 'Title and content are required.';
@@ -151,20 +186,22 @@ if (!window.__openCrudModalListenerAdded) {
           errorDiv.textContent = 'Please select at least one tag.';
           return;
         }
+        const variableCheck = variableEditor.validate();
+        if (!variableCheck.isValid) {
+          errorDiv.textContent = `Please fix the template variables: ${variableCheck.errors.join(' ')}`;
+          return;
+        }
+        const assertionCheck = assertionEditor.validate();
+        if (!assertionCheck.isValid) {
+          errorDiv.textContent = `Please fix the output assertions: ${assertionCheck.errors.join(' ')}`;
+          return;
+        }
         try {
           const resp = await createPrompt(promptToSend);
-          // Add new prompt to state immediately if backend returns it
-          if (resp && resp.prompt) {
-            const prompts = getPrompts();
-            setPrompts([...prompts, resp.prompt]);
-          }
+          // Add new prompt to state (and the other tabs) immediately if backend returns it
+          if (resp && resp.prompt) applyListChanges('prompts', { records: [resp.prompt] }, 'local');
+          // The saved prompt was merged above and patched into the list; nothing to reload
           hideModal(crudModal);
-          // Force full reload from backend after add
-          if (window.promptManager && typeof window.promptManager.fetchPrompts === 'function') {
-            window.promptManager.fetchPrompts();
-          } else {
-            window.dispatchEvent(new CustomEvent('filterPrompts', { detail: {} }));
-          }
         } catch (err) {
           errorDiv.textContent = 'Error adding prompt.';
         }
@@ -194,6 +231,9 @@ if (!window.__openCrudModalListenerAdded) {
           <form id="edit-prompt-form-modal">
             <input type="text" id="modal-prompt-title" placeholder="Title" required style="width:100%;margin-bottom:0.5em;" value="${prompt.title || ''}" />
             <textarea id="modal-prompt-content" placeholder="Content" required style="width:100%;height:100px;margin-bottom:0.5em;">${prompt.content || ''}</textarea>
+            <div id="modal-prompt-variables"></div>
+            <div id="modal-prompt-lint" aria-live="polite"></div>
+            <div id="modal-prompt-assertions"></div>
             <input type="text" id="modal-prompt-description" placeholder="Description (optional)" style="width:100%;margin-bottom:0.5em;" value="${prompt.description || ''}" />
             <input type="text" id="modal-prompt-author" placeholder="Author (default: anonymous)" style="width:100%;margin-bottom:0.5em;" value="${prompt.author || ''}" />
             <label for="modal-prompt-category">Category:</label>
@@ -209,6 +249,29 @@ if (!window.__openCrudModalListenerAdded) {
       showModal(crudModal);
       const form = document.getElementById('edit-prompt-form-modal');
       const errorDiv = document.getElementById('edit-prompt-error');
+      const variableEditor = renderVariableEditor(document.getElementById('modal-prompt-variables'), document.getElementById('modal-prompt-content'), prompt.variables);
+      const assertionEditor = renderAssertionEditor(document.getElementById('modal-prompt-assertions'), prompt.assertions);
+      renderLintPanel(document.getElementById('modal-prompt-lint'), document.getElementById('modal-prompt-content'), {
+        getVariables: variableEditor ? variableEditor.getDefinitions : undefined
+      });
+      // The version this edit started from; the server refuses the save (409) if someone saved since
+      let editBase = prompt;
+      // Save, and on a conflict merge with the stored version until a save goes through.
+      // Resolves with the API response, or null to keep editing.
+      const saveEdit = async (fields) => {
+        for (;;) {
+          try {
+            return await updatePrompt(prompt.id, fields, { version: editBase.version });
+          } catch (err) {
+            if (!(err instanceof ConflictError) || !err.current) throw err;
+            const resolution = await openPromptMergeDialog({ base: editBase, mine: fields, theirs: err.current });
+            if (!resolution) return null;
+            if (resolution.action === 'discard') return { ok: true, prompt: err.current };
+            fields = { ...fields, ...resolution.fields };
+            editBase = err.current;
+          }
+        }
+      };
       form.onsubmit = async (e) => {
         e.preventDefault();
         const title = document.getElementById('modal-prompt-title').value.trim();
@@ -219,7 +282,7 @@ if (!window.__openCrudModalListenerAdded) {
         const category = document.getElementById('modal-prompt-category').value;
         const tagSelect = document.getElementById('modal-prompt-tags');
         const tagIds = Array.from(tagSelect.selectedOptions).map(opt => opt.value);
-        const promptToSend = { title, content, author, description, category, tags: tagIds };
+        const promptToSend = { title, content, author, description, category, tags: tagIds, variables: variableEditor.getDefinitions(), assertions: assertionEditor.getAssertions() };
         console.log('[DIAG][EDIT PROMPT SUBMIT] Fields to send:', promptToSend);
         if (!title || !content) {
           errorDiv.textContent = 'Title and content are required.';
@@ -233,24 +296,26 @@ if (!window.__openCrudModalListenerAdded) {
           errorDiv.textContent = 'Please select at least one tag.';
           return;
         }
+        const variableCheck = variableEditor.validate();
+        if (!variableCheck.isValid) {
+          errorDiv.textContent = `Please fix the template variables: ${variableCheck.errors.join(' ')}`;
+          return;
+        }
+        const assertionCheck = assertionEditor.validate();
+        if (!assertionCheck.isValid) {
+          errorDiv.textContent = `Please fix the output assertions: ${assertionCheck.errors.join(' ')}`;
+          return;
+        }
         try {
-          const resp = await updatePrompt(prompt.id, promptToSend);
-          // Update prompt in state immediately if backend returns it
-          if (resp && resp.prompt) {
-            const prompts = getPrompts();
-            const idx = prompts.findIndex(p => p.id === resp.prompt.id);
-            if (idx !== -1) {
-              prompts[idx] = resp.prompt;
-              setPrompts([...prompts]);
-            }
+          const resp = await saveEdit(promptToSend);
+          if (!resp) {
+            errorDiv.textContent = 'Not saved: someone else changed this prompt. Save again to merge with their version.';
+            return;
           }
+          // Update prompt in state (and the other tabs) immediately if backend returns it
+          if (resp && resp.prompt) applyListChanges('prompts', { records: [resp.prompt] }, 'local');
+          // The saved prompt was merged above and patched into the list; nothing to reload
           hideModal(crudModal);
-          // Force full reload from backend after edit
-          if (window.promptManager && typeof window.promptManager.fetchPrompts === 'function') {
-            window.promptManager.fetchPrompts();
-          } else {
-            window.dispatchEvent(new CustomEvent('filterPrompts', { detail: {} }));
-          }
         } catch (err) {
           errorDiv.textContent = 'Error saving prompt.';
         }
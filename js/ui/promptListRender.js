@@ -1,8 +1,76 @@
 // promptListRender.js - Rendering logic for Prompt List (virtualized list/grid, event delegation, a11y)
 
 import { renderPromptBlock } from './renderPromptBlock.js';
+import { getPromptText, hasVariables } from '../util/templateVars.js';
+import { hasIncludes, resolvePromptIncludes } from '../util/promptIncludes.js';
+import { copyResolvedText } from './templateForm.js';
+import { filterByTokenRange, sortByLength, filterByMinScore, sortByScore, search } from '../util/searchEngine.js';
+import { getSelectedModelId } from '../util/tokenEstimator.js';
+import { registerPromptCheckboxEvents } from './bulkOperations.js';
+import { isOnline } from '../util/offlineSync.js';
+import { listQueryFromParams, mergeIntoPage, queryPrompts, PROMPT_LIST_FIELDS } from '../util/promptQuery.js';
+import { fetchPromptPage } from '../api/prompts.js';
+import { getPrompts, getCategories, getTags, mergeById } from '../state/appState.js';
+import { PROMPT_PAGE_SIZE } from '../config.js';
+import { escapeHtml } from '../util/helpers.js';
 
-// Main render function (virtualized, client-side filtering)
+// Requests of the render in progress; a newer render cancels them so stale data never lands
+let renderController = null;
+// Applies synced changes (`sync:changes`, see util/deltaSync.js) to the current render
+let patchRendered = null;
+if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+  window.addEventListener('sync:changes', e => {
+    if (patchRendered) patchRendered(e.detail || {});
+  });
+}
+
+/**
+ * Filters and orders prompts the way only the browser can (see needsClientFiltering in util/promptQuery.js):
+ * token range, minimum score, length/score sorting and the ranked search (util/searchEngine.js).
+ * Search results are ordered by relevance unless the toolbar picked a sort order.
+ * @param {Object[]} prompts - Every prompt matching the server-side filters.
+ * @param {Object} params - The toolbar state (window.currentParams).
+ * @param {Object} [options]
+ * @param {{categories?: Object[], tags?: Object[]}} [options.lookups] - For searching category and tag names.
+ * @param {boolean} [options.fuzzy] - Fuzzy matching (the toolbar's toggle).
+ * @returns {{prompts: Object[], highlightTerms: string[]}}
+ */
+function applyClientFilters(prompts, params, { lookups = {}, fuzzy = false } = {}) {
+  const tokenModel = getSelectedModelId();
+  let filtered = filterByTokenRange(prompts, { min: params.minTokens, max: params.maxTokens, model: tokenModel });
+  if (params.sortBy === 'length-asc' || params.sortBy === 'length-desc') {
+    filtered = sortByLength(filtered, params.sortBy === 'length-desc' ? 'desc' : 'asc', tokenModel);
+  }
+  // Rating filter and sort use the average score of each prompt's results
+  filtered = filterByMinScore(filtered, params.minScore);
+  if (params.sortBy === 'score-desc' || params.sortBy === 'score-asc') {
+    filtered = sortByScore(filtered, params.sortBy === 'score-asc' ? 'asc' : 'desc');
+  }
+  const text = params.search ? String(params.search).trim() : '';
+  if (!text) return { prompts: filtered, highlightTerms: [] };
+  const { results, highlightTerms } = search(filtered, text, { fuzzy, lookups, rank: !params.sortBy });
+  return { prompts: results, highlightTerms };
+}
+
+/**
+ * Searches the prompt library in appState (every prompt, without results; see promptManager.js)
+ * instead of downloading every match: the list stays paged, and each page fetches just its
+ * prompts, with their results, by ID.
+ * @param {Object} query - The API query of the other filters (listQueryFromParams).
+ * @param {Object} params - The toolbar state (window.currentParams).
+ * @param {boolean} fuzzy - Fuzzy matching (the toolbar's toggle).
+ * @returns {{ids: string[], highlightTerms: string[]}} The IDs of every match, in list order.
+ */
+function searchLibrary(query, params, fuzzy) {
+  const { limit, ...filters } = query;
+  const found = queryPrompts(getPrompts() || [], { ...filters, fields: '*' });
+  if (found.error) return { ids: [], highlightTerms: [] };
+  const lookups = { categories: getCategories() || [], tags: getTags() || [] };
+  const { prompts, highlightTerms } = applyClientFilters(found.prompts, params, { lookups, fuzzy });
+  return { ids: prompts.map(p => String(p.id)), highlightTerms };
+}
+
+// Main render function (virtualized; the server filters, sorts and pages, see util/promptQuery.js)
 export function renderPrompts() {
   const currentParams = window.currentParams || {};
   const promptList = document.getElementById('prompt-list');
@@ -18,50 +86,107 @@ export function renderPrompts() {
     promptList.classList.add('prompt-grid');
   }
   promptList.innerHTML = '';
+  // Fuzzy search is a preference like the view mode, kept when filters are cleared
+  const fuzzy = localStorage.getItem('promptSearchFuzzy') === 'true';
   const viewMode = promptList.classList.contains('prompt-list') ? 'list' : (promptList.classList.contains('prompt-grid') ? 'grid' : 'unknown');
 
-  // Fetch all prompts, categories, and tags in parallel
+  if (renderController) renderController.abort();
+  const controller = new AbortController();
+  renderController = controller;
+  const { signal } = controller;
+
+  const user = window.session && window.session.user;
+  let { query, paged } = listQueryFromParams(currentParams, { user, pageSize: PROMPT_PAGE_SIZE });
+  // A search ranks the library in appState and pages through the matches by ID; before the
+  // library has loaded, it ranks every match of the other filters instead
+  const searchText = currentParams.search ? String(currentParams.search).trim() : '';
+  let searchMatches = null;
+  let highlightTerms = [];
+  if (searchText && paged && Array.isArray(getPrompts()) && getPrompts().length) {
+    ({ ids: searchMatches, highlightTerms } = searchLibrary(query, currentParams, fuzzy));
+  } else if (searchText && paged) {
+    const { limit, ...all } = query;
+    query = all;
+    paged = false;
+  }
+  // The next page; for a search, the next matches not in `loaded` yet
+  const loadPage = (cursor, loaded = new Set()) => {
+    if (!searchMatches) return fetchPromptPage(cursor ? { ...query, cursor } : query, { signal });
+    const ids = searchMatches.filter(id => !loaded.has(id)).slice(0, PROMPT_PAGE_SIZE);
+    const toPage = prompts => {
+      const count = loaded.size + prompts.length;
+      return { prompts, total: searchMatches.length, nextCursor: searchMatches.length > count ? String(count) : null };
+    };
+    if (!ids.length) return Promise.resolve(toPage([]));
+    return fetchPromptPage({ fields: PROMPT_LIST_FIELDS, ids: ids.join(','), limit: ids.length }, { signal }).then(({ prompts }) => {
+      const byId = new Map(prompts.map(p => [String(p.id), p]));
+      // Prompts deleted since the library loaded are no longer matches
+      const gone = new Set(ids.filter(id => !byId.has(id)));
+      if (gone.size) searchMatches = searchMatches.filter(id => !gone.has(id));
+      return toPage(ids.filter(id => byId.has(id)).map(id => byId.get(id)));
+    });
+  };
+  // Loaded matches in the order of the search
+  const inSearchOrder = prompts => {
+    const rank = new Map(searchMatches.map((id, i) => [id, i]));
+    return prompts.filter(p => rank.has(String(p.id))).sort((a, b) => rank.get(String(a.id)) - rank.get(String(b.id)));
+  };
+
+  // First page, categories, and tags in parallel
   Promise.all([
-    window.fetchPrompts ? window.fetchPrompts({}) : import('../api/prompts.js').then(mod => mod.fetchPrompts({})),
-    import('../api/categories.js').then(mod => mod.fetchCategories()),
-    import('../api/tags.js').then(mod => mod.fetchTags())
+    loadPage(),
+    import('../api/categories.js').then(mod => mod.fetchCategories({ signal })),
+    import('../api/tags.js').then(mod => mod.fetchTags({ signal }))
   ])
-  .then(([allPrompts, categories, tags]) => {
-    // Filtering logic
-    let filteredPrompts = allPrompts;
-    if (currentParams.search && currentParams.search.trim() !== "") {
-      const q = currentParams.search.trim().toLowerCase();
-      filteredPrompts = filteredPrompts.filter(
-        p =>
-          (p.title && p.title.toLowerCase().includes(q)) ||
-          (p.content && p.content.toLowerCase().includes(q))
-      );
-    }
-    if (currentParams.userId && currentParams.userId === 'me' && window.session && window.session.user) {
-      filteredPrompts = filteredPrompts.filter(p => p.author === window.session.user);
+  .then(([firstPage, categories, tags]) => {
+    if (signal.aborted) return;
+    let filteredPrompts = firstPage.prompts;
+    let total = firstPage.total;
+    let nextCursor = firstPage.nextCursor;
+    let loadingMore = null;
+    if (!paged) {
+      // Token range, rating, search and length/score sorting are worked out here, over every match
+      ({ prompts: filteredPrompts, highlightTerms } = applyClientFilters(filteredPrompts, currentParams, { lookups: { categories, tags }, fuzzy }));
+      total = filteredPrompts.length;
+      nextCursor = null;
     }
-    if (currentParams.category) {
-      filteredPrompts = filteredPrompts.filter(p => p.category === currentParams.category);
-    }
-    if (currentParams.tag) {
-      filteredPrompts = filteredPrompts.filter(p => Array.isArray(p.tags) && p.tags.includes(currentParams.tag));
-    }
-    if (window.app) {
-      window.app.allPrompts = allPrompts;
-      window.app.filteredPrompts = filteredPrompts;
-    } else {
-      window.app = { allPrompts, filteredPrompts };
+    // Lineage links and fork counts look across the whole library (appState), not just loaded pages;
+    // loaded prompts replace their library copy because they come with results
+    let allPrompts = filteredPrompts;
+    function publishLoaded() {
+      const catalog = getPrompts();
+      const loadedById = new Map(filteredPrompts.map(p => [String(p.id), p]));
+      if (Array.isArray(catalog) && catalog.length) {
+        const known = new Set(catalog.map(p => String(p.id)));
+        allPrompts = [...catalog.map(p => loadedById.get(String(p.id)) || p), ...filteredPrompts.filter(p => !known.has(String(p.id)))];
+      } else {
+        allPrompts = filteredPrompts;
+      }
+      if (window.app) {
+        window.app.allPrompts = allPrompts;
+        window.app.filteredPrompts = filteredPrompts;
+      } else {
+        window.app = { allPrompts, filteredPrompts };
+      }
     }
+    publishLoaded();
 
     // Handle empty state
+    updateLoadMore(null);
     if (!Array.isArray(filteredPrompts) || filteredPrompts.length === 0) {
       let contextMsg = '';
       if (currentParams.search && currentParams.search.trim() !== "") {
-        contextMsg = ` for: <strong>${currentParams.search}</strong>`;
+        contextMsg = ` for: <strong>${escapeHtml(currentParams.search)}</strong>`;
       } else if (currentParams.category) {
-        contextMsg = ` in category: <strong>${currentParams.category}</strong>`;
+        contextMsg = ` in category: <strong>${escapeHtml(currentParams.category)}</strong>`;
       } else if (currentParams.tag) {
-        contextMsg = ` with tag: <strong>${currentParams.tag}</strong>`;
+        contextMsg = ` with tag: <strong>${escapeHtml(currentParams.tag)}</strong>`;
+      } else if (currentParams.from || currentParams.to) {
+        contextMsg = ' in the selected date range';
+      } else if (currentParams.minTokens || currentParams.maxTokens) {
+        contextMsg = ' in the selected token range';
+      } else if (currentParams.minScore !== undefined) {
+        contextMsg = ` with an average score of at least ${Number(currentParams.minScore)}`;
       }
       promptList.innerHTML = `
         <div style="
@@ -86,6 +211,10 @@ export function renderPrompts() {
         </div>
       `;
       if (loading) loading.classList.add('hidden');
+      // Nothing on screen to keep: a synced prompt that may match just renders the list again
+      patchRendered = change => {
+        if (!signal.aborted && change.list === 'prompts' && Array.isArray(change.records) && change.records.length) renderPrompts();
+      };
       return;
     }
     if (loading) loading.classList.add('hidden');
@@ -95,7 +224,6 @@ export function renderPrompts() {
     const BUFFER = 6;
     let containerHeight = promptList.clientHeight || 600;
     let scrollTop = 0;
-    let total = filteredPrompts.length;
 
     promptList.style.overflowY = 'auto';
     promptList.style.position = 'relative';
@@ -115,7 +243,7 @@ export function renderPrompts() {
     }
     // Debounced resize for performance
     const debouncedUpdateContainerHeight = debounce(updateContainerHeight, 50);
-    window.addEventListener('resize', debouncedUpdateContainerHeight);
+    window.addEventListener('resize', debouncedUpdateContainerHeight, { signal });
     updateContainerHeight();
 
     let topSpacer = document.createElement('div');
@@ -125,7 +253,70 @@ export function renderPrompts() {
     promptList.appendChild(topSpacer);
     promptList.appendChild(bottomSpacer);
 
-    let renderedBlocks = [];
+    // --- Paging: the virtual list is sized for every match; later pages load as they scroll into view ---
+    function loadMore() {
+      if (!nextCursor) return Promise.resolve();
+      if (loadingMore) return loadingMore;
+      const known = new Set(filteredPrompts.map(p => String(p.id)));
+      loadingMore = loadPage(nextCursor, known)
+        .then(page => {
+          if (signal.aborted) return;
+          // Prompts added by synced changes may come again with a later page
+          filteredPrompts.push(...page.prompts.filter(p => !known.has(String(p.id))));
+          if (searchMatches) filteredPrompts = inSearchOrder(filteredPrompts);
+          total = page.total;
+          nextCursor = page.nextCursor;
+          publishLoaded();
+          updateContainerMinHeight();
+          lastStartIdx = null;
+          renderVisible();
+        })
+        .catch(err => {
+          if (err && err.name === 'AbortError') return;
+          console.error('[promptListRender] Loading more prompts failed:', err);
+          window.dispatchEvent(new CustomEvent('showToast', { detail: { message: `Could not load more prompts: ${err.message}`, type: 'error' } }));
+        })
+        .finally(() => {
+          loadingMore = null;
+          if (!signal.aborted) updateLoadMore(loadMore);
+        });
+      updateLoadMore(loadMore);
+      return loadingMore;
+    }
+
+    function updateLoadMore(onLoad) {
+      const loadMoreBtn = document.getElementById('load-more-btn');
+      if (!loadMoreBtn) return;
+      const more = Boolean(onLoad && nextCursor);
+      loadMoreBtn.classList.toggle('d-none', !more);
+      loadMoreBtn.style.display = more ? '' : 'none';
+      loadMoreBtn.disabled = Boolean(loadingMore);
+      loadMoreBtn.textContent = loadingMore ? 'Loading…' : `Load More (${filteredPrompts.length} of ${total})`;
+      loadMoreBtn.onclick = more ? () => onLoad() : null;
+    }
+    updateLoadMore(loadMore);
+
+    // One positioned prompt block for the virtual index i
+    function buildBlock(i) {
+      const prompt = filteredPrompts[i];
+      const block = renderPromptBlock(prompt, categories, tags, { debug: false, viewMode, allPrompts, highlightTerms });
+      registerPromptCheckboxEvents(block.querySelector('.prompt-select-checkbox'), String(prompt.id));
+      block.style.position = 'absolute';
+      block.style.top = `${i * ITEM_HEIGHT}px`;
+      block.style.left = '0';
+      block.style.right = '0';
+      block.style.width = '100%';
+      block.setAttribute('data-virtual-idx', i);
+      if (viewMode === 'grid') {
+        const colCount = Math.max(1, Math.floor(promptList.offsetWidth / 340));
+        const col = i % colCount;
+        const row = Math.floor(i / colCount);
+        block.style.top = `${row * ITEM_HEIGHT}px`;
+        block.style.left = `calc(${(col * 100) / colCount}% + ${col * 12}px)`;
+        block.style.width = `calc(${100 / colCount}% - 12px)`;
+      }
+      return block;
+    }
 
     // KISS/UI-SAFE: Only update DOM when visible range changes, minimize flicker
     let lastStartIdx = null;
@@ -161,25 +352,9 @@ export function renderPrompts() {
       // Insert new prompt blocks for indices not already rendered
       let insertBeforeNode = bottomSpacer;
       const frag = document.createDocumentFragment();
-      for (let i = endIdx - 1; i >= startIdx; i--) {
+      for (let i = Math.min(endIdx, filteredPrompts.length) - 1; i >= startIdx; i--) {
         if (!existingBlocks[i]) {
-          const prompt = filteredPrompts[i];
-          const block = renderPromptBlock(prompt, categories, tags, { debug: false, viewMode });
-          block.style.position = 'absolute';
-          block.style.top = `${i * ITEM_HEIGHT}px`;
-          block.style.left = '0';
-          block.style.right = '0';
-          block.style.width = '100%';
-          block.setAttribute('data-virtual-idx', i);
-          if (viewMode === 'grid') {
-            const colCount = Math.max(1, Math.floor(promptList.offsetWidth / 340));
-            const col = i % colCount;
-            const row = Math.floor(i / colCount);
-            block.style.top = `${row * ITEM_HEIGHT}px`;
-            block.style.left = `calc(${(col * 100) / colCount}% + ${col * 12}px)`;
-            block.style.width = `calc(${100 / colCount}% - 12px)`;
-          }
-          frag.insertBefore(block, frag.firstChild);
+          frag.insertBefore(buildBlock(i), frag.firstChild);
         }
       }
       promptList.insertBefore(frag, insertBeforeNode);
@@ -187,6 +362,9 @@ export function renderPrompts() {
       // Update spacers
       topSpacer.style.height = `${startIdx * ITEM_HEIGHT}px`;
       bottomSpacer.style.height = `${(total - endIdx) * ITEM_HEIGHT}px`;
+
+      // Fetch the next page before the end of the loaded prompts scrolls into view
+      if (nextCursor && endIdx + BUFFER >= filteredPrompts.length) loadMore();
     }
 
     function updateContainerMinHeight() {
@@ -206,7 +384,7 @@ export function renderPrompts() {
     }
     // Debounced scroll for performance
     const debouncedOnScroll = debounce(onScroll, 16);
-    promptList.addEventListener('scroll', debouncedOnScroll);
+    promptList.addEventListener('scroll', debouncedOnScroll, { signal });
 
     renderVisible();
 
@@ -216,9 +394,92 @@ export function renderPrompts() {
       updateContainerMinHeight();
       renderVisible();
     }, 50);
-    window.addEventListener('resize', debouncedResizeHandler);
+    window.addEventListener('resize', debouncedResizeHandler, { signal });
+
+    // --- Synced changes: patch the loaded prompts and the rendered cards in place ---
+    // Nothing is cleared or reloaded, so the scroll position, open modals and text typed into
+    // other cards stay as they are.
+    function renderedBlocks() {
+      return Array.from(promptList.children).filter(child => child !== topSpacer && child !== bottomSpacer);
+    }
+    function rerenderBlocks(ids) {
+      renderedBlocks().forEach(block => {
+        const idx = parseInt(block.getAttribute('data-virtual-idx'), 10);
+        if (isNaN(idx) || !filteredPrompts[idx] || (ids && !ids.has(String(filteredPrompts[idx].id)))) return;
+        promptList.replaceChild(buildBlock(idx), block);
+      });
+    }
+    patchRendered = change => {
+      if (signal.aborted) return;
+      const records = Array.isArray(change.records) ? change.records : [];
+      const deleted = Array.isArray(change.deleted) ? change.deleted : [];
+      if (change.list === 'prompts') {
+        const before = filteredPrompts.map(p => String(p.id)).join('\n');
+        const totalBefore = total;
+        const patched = mergeIntoPage(filteredPrompts, { records, deleted, full: change.full }, query, { add: !searchMatches });
+        if (searchMatches) {
+          // The library already has the changes: search it again; matches not loaded yet come with later pages
+          ({ ids: searchMatches, highlightTerms } = searchLibrary(query, currentParams, fuzzy));
+          filteredPrompts = inSearchOrder(patched.prompts);
+          total = searchMatches.length;
+          nextCursor = total > filteredPrompts.length ? String(filteredPrompts.length) : null;
+        } else if (!patched.added && !patched.removed && !patched.updated.length) {
+          return;
+        } else if (paged) {
+          filteredPrompts = patched.prompts;
+          total = Math.max(filteredPrompts.length, total + patched.added - patched.removed);
+        } else {
+          // Edited and new prompts are searched and ranked again with the others
+          ({ prompts: filteredPrompts, highlightTerms } = applyClientFilters(patched.prompts, currentParams, { lookups: { categories, tags }, fuzzy }));
+          total = filteredPrompts.length;
+        }
+        publishLoaded();
+        updateContainerMinHeight();
+        updateLoadMore(loadMore);
+        if (filteredPrompts.map(p => String(p.id)).join('\n') === before) {
+          rerenderBlocks(new Set(patched.updated));
+          // Matches found further down the search: resize the spacer and load them when in view
+          if (total !== totalBefore) {
+            lastStartIdx = null;
+            renderVisible();
+          }
+        } else {
+          // Cards moved: redraw the visible range at the same scroll position
+          renderedBlocks().forEach(block => promptList.removeChild(block));
+          lastStartIdx = null;
+          renderVisible();
+        }
+      } else if (change.list === 'results' || change.list === 'comments') {
+        const byPrompt = new Map();
+        records.forEach(row => {
+          if (!row || row.prompt_id === undefined) return;
+          const key = String(row.prompt_id);
+          if (!byPrompt.has(key)) byPrompt.set(key, []);
+          byPrompt.get(key).push(row);
+        });
+        // Score badges come from the results each prompt was loaded with
+        if (change.list === 'results') {
+          filteredPrompts = filteredPrompts.map(p => (byPrompt.has(String(p.id)) || deleted.length
+            ? { ...p, results: mergeById(p.results, byPrompt.get(String(p.id)), deleted) }
+            : p));
+          publishLoaded();
+        }
+        renderedBlocks().forEach(block => {
+          const rows = byPrompt.get(block.getAttribute('data-prompt-id')) || [];
+          if ((rows.length || deleted.length) && typeof block.__applyLiveChanges === 'function') {
+            block.__applyLiveChanges(change.list, { records: rows, deleted });
+          }
+        });
+      } else if (change.list === 'categories' || change.list === 'tags') {
+        if (change.list === 'categories') categories = change.full ? records : mergeById(categories, records, deleted);
+        else tags = change.full ? records : mergeById(tags, records, deleted);
+        rerenderBlocks(null);
+      }
+    };
 
     // --- Event Delegation for Prompt Block Actions ---
+    // Every listener goes with the render's signal: the next render aborts it, so each click is
+    // handled once however often the list was rendered (a fork, for one, is not idempotent)
     promptList.addEventListener('click', (e) => {
       let block = e.target.closest('.prompt-block');
       if (!block) return;
@@ -242,6 +503,25 @@ export function renderPrompts() {
         return;
       }
       if (e.target.classList.contains('copy-btn')) {
+        // Templated prompts are filled in first; the full view copies the resolved text
+        if (hasVariables(getPromptText(prompt))) {
+          window.dispatchEvent(new CustomEvent('openFullPromptModal', { detail: { prompt } }));
+          window.dispatchEvent(new CustomEvent('showToast', { detail: { message: 'Fill in the template variables, then copy.', type: 'info' } }));
+          return;
+        }
+        // Composed prompts copy with their includes resolved
+        if (hasIncludes(getPromptText(prompt))) {
+          resolvePromptIncludes(prompt).then(result => {
+            if (hasVariables(result.text)) {
+              window.dispatchEvent(new CustomEvent('openFullPromptModal', { detail: { prompt } }));
+              window.dispatchEvent(new CustomEvent('showToast', { detail: { message: 'Fill in the template variables, then copy.', type: 'info' } }));
+              return;
+            }
+            const warning = result.warnings.length ? ` (${result.warnings.map(w => w.message).join('; ')})` : '';
+            copyResolvedText(result.text, `Prompt copied with includes resolved${warning}`);
+          });
+          return;
+        }
         if (navigator.clipboard) {
           navigator.clipboard.writeText(prompt.content || '').then(() => {
             if (window.showToast) window.showToast('Prompt copied to clipboard!');
@@ -253,7 +533,15 @@ export function renderPrompts() {
         window.dispatchEvent(new CustomEvent('openFullPromptModal', { detail: { prompt } }));
         return;
       }
-    });
+      if (e.target.classList.contains('fork-btn')) {
+        window.dispatchEvent(new CustomEvent('prompt:fork', { detail: { prompt } }));
+        return;
+      }
+      if (e.target.classList.contains('lineage-link')) {
+        window.dispatchEvent(new CustomEvent('openLineage', { detail: { promptId: prompt.id } }));
+        return;
+      }
+    }, { signal });
 
     // Tag/category pill click (delegated)
     promptList.addEventListener('click', (e) => {
@@ -269,10 +557,18 @@ export function renderPrompts() {
           window.dispatchEvent(new CustomEvent('filterPrompts', { detail: { category: categoryId } }));
         }
       }
-    });
+    }, { signal });
 
-    // Keyboard accessibility for tag/category pills
+    // Keyboard accessibility for tag/category pills and lineage links
     promptList.addEventListener('keydown', (e) => {
+      if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('lineage-link')) {
+        const block = e.target.closest('.prompt-block');
+        const prompt = block ? filteredPrompts[block.getAttribute('data-virtual-idx')] : null;
+        if (prompt) {
+          window.dispatchEvent(new CustomEvent('openLineage', { detail: { promptId: prompt.id } }));
+          e.preventDefault();
+        }
+      }
       if (
         (e.key === 'Enter' || e.key === ' ') &&
         e.target.classList.contains('tag-pill')
@@ -293,7 +589,7 @@ export function renderPrompts() {
           e.preventDefault();
         }
       }
-    });
+    }, { signal });
 
     // Accessibility: keyboard navigation for prompt blocks
     promptList.addEventListener('keydown', (e) => {
@@ -304,11 +600,15 @@ export function renderPrompts() {
           window.dispatchEvent(new CustomEvent('openPromptModal', { detail: { prompt } }));
         }
       }
-    });
+    }, { signal });
   })
   .catch((err) => {
+    // Cancelled by a newer render, which owns the list now
+    if (err && err.name === 'AbortError') return;
     if (loading) loading.classList.add('hidden');
-    promptList.innerHTML = '<div style="padding:1em;color:red;">Error loading prompts.</div>';
+    promptList.innerHTML = isOnline()
+      ? '<div style="padding:1em;color:red;">Error loading prompts.</div>'
+      : '<div style="padding:1em;color:red;">You are offline and no prompts have been saved on this device yet.</div>';
   });
 }
 
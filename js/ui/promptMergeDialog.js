@@ -0,0 +1,149 @@
+// promptMergeDialog.js - Three-way merge dialog shown when saving a prompt that someone else saved
+// after the edit started (409 from the API). Lists the original (base), their and my value of each
+// changed field; fields only one side changed are merged already, conflicts default to mine.
+
+import { mergePrompt, MERGE_TEXT_FIELDS } from '../util/promptMerge.js';
+import { snapshotFieldText, REVISION_FIELDS } from '../util/textDiff.js';
+import { escapeHtml } from '../util/dataValidator.js';
+import { showCustomModal, closeModal } from './modals.js';
+
+const MODAL_ID = 'prompt-merge-modal';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  content: 'Content',
+  description: 'Description',
+  author: 'Author',
+  category: 'Category',
+  tags: 'Tags',
+  variables: 'Variables',
+  assertions: 'Assertions'
+};
+
+const OUTCOMES = {
+  mine: { text: 'Only you changed this', color: '#BFAEF5', choice: 'mine' },
+  theirs: { text: 'Only they changed this', color: '#BFAEF5', choice: 'theirs' },
+  same: { text: 'You both made the same change', color: '#BFAEF5', choice: 'mine' },
+  merged: { text: 'Both changed; merged automatically', color: '#FFD98A', choice: 'merged' },
+  conflict: { text: 'Both changed; pick a version', color: '#ffb3b3', choice: 'mine' }
+};
+
+function formatDate(value) {
+  const date = new Date(value);
+  return isNaN(date) ? '' : date.toLocaleString();
+}
+
+function preview(label, value, field) {
+  return `
+    <div style="flex:1;min-width:0;">
+      <div style="color:#BFAEF5;font-size:0.85em;">${label}</div>
+      <pre style="white-space:pre-wrap;word-break:break-word;font-size:13px;color:#F3EFFF;background:#1C1433;border-radius:8px;padding:8px;margin:4px 0;max-height:24vh;overflow:auto;">${escapeHtml(snapshotFieldText({ [field]: value }, field)) || '<em style="color:#BFAEF5;">(empty)</em>'}</pre>
+    </div>
+  `;
+}
+
+function renderField(entry) {
+  const { field, outcome } = entry;
+  const info = OUTCOMES[outcome];
+  const choices = [['mine', 'Mine'], ['theirs', 'Theirs'], ['base', 'Original']];
+  if (outcome === 'merged') choices.unshift(['merged', 'Merged']);
+  const isText = MERGE_TEXT_FIELDS.includes(field);
+  return `
+    <section data-merge-field="${field}" style="background:#261A40;border-radius:8px;padding:10px;margin-bottom:10px;">
+      <div style="display:flex;justify-content:space-between;gap:8px;align-items:baseline;">
+        <strong style="color:#E0D0FF;">${FIELD_LABELS[field] || escapeHtml(field)}</strong>
+        <span style="color:${info.color};font-size:0.9em;">${info.text}</span>
+      </div>
+      ${outcome === 'conflict' ? `<div style="display:flex;gap:8px;">${preview('Original', entry.base, field)}${preview('Theirs', entry.theirs, field)}${preview('Mine', entry.mine, field)}</div>` : ''}
+      <div role="radiogroup" aria-label="${FIELD_LABELS[field] || escapeHtml(field)} version" style="display:flex;gap:12px;margin:6px 0;color:#F3EFFF;">
+        ${choices.map(([value, label]) => `
+          <label><input type="radio" name="merge-${field}" value="${value}" ${value === info.choice ? 'checked' : ''}> ${label}</label>
+        `).join('')}
+      </div>
+      ${isText
+        ? `<textarea data-merge-result rows="${field === 'content' ? 8 : 1}" aria-label="Saved ${FIELD_LABELS[field] || field}" style="width:100%;background:#1C1433;color:#F3EFFF;border-radius:8px;padding:8px;">${escapeHtml(entry.value ?? '')}</textarea>`
+        : '<div data-merge-preview></div>'}
+    </section>
+  `;
+}
+
+/**
+ * Ask how to combine my edit with the version someone else saved.
+ * @param {Object} options
+ * @param {Object} options.base - The prompt as it was when editing started.
+ * @param {Object} options.mine - The values I tried to save.
+ * @param {Object} options.theirs - The prompt as it is stored now (from the 409 response).
+ * @returns {Promise<{action: 'save', fields: Object}|{action: 'discard'}|null>} `save` with the
+ *   chosen value of every field, `discard` to drop my changes, or null to go back to editing.
+ */
+export function openPromptMergeDialog({ base, mine, theirs }) {
+  const { fields } = mergePrompt(base, mine, theirs);
+  const changed = fields.filter(entry => entry.outcome !== 'unchanged');
+  const conflictCount = changed.filter(entry => entry.outcome === 'conflict').length;
+  const when = formatDate(theirs.updated_at);
+
+  return new Promise(resolve => {
+    const modal = showCustomModal(MODAL_ID, 'This prompt was changed while you were editing', `
+      <p style="margin-top:0;color:#BFAEF5;">
+        ${escapeHtml(theirs.author || 'Someone')} saved a new version${when ? ` (${escapeHtml(when)})` : ''} after you opened the editor.
+        ${conflictCount ? `${conflictCount} field(s) were changed by both of you; choose which version to keep.` : 'Your changes do not overlap and have been merged.'}
+        Check the result before saving.
+      </p>
+      <div class="merge-fields">${changed.map(renderField).join('')}</div>
+      <div class="modal-actions" style="margin-top:12px;">
+        <button type="button" class="primary" data-merge-save>Save merged version</button>
+        <button type="button" class="secondary" data-merge-discard>Discard my changes</button>
+        <button type="button" class="utility" data-merge-cancel>Keep editing</button>
+      </div>
+    `, { wide: true });
+
+    let settled = false;
+    function finish(result) {
+      if (settled) return;
+      settled = true;
+      closeModal(MODAL_ID);
+      resolve(result);
+    }
+
+    function chosenValue(entry) {
+      const picked = modal.querySelector(`input[name="merge-${entry.field}"]:checked`);
+      const choice = picked ? picked.value : 'mine';
+      return choice === 'merged' ? entry.value : entry[choice];
+    }
+
+    function showChoice(entry) {
+      const section = modal.querySelector(`[data-merge-field="${entry.field}"]`);
+      const value = chosenValue(entry);
+      const result = section.querySelector('[data-merge-result]');
+      if (result) result.value = value ?? '';
+      const previewEl = section.querySelector('[data-merge-preview]');
+      if (previewEl) previewEl.innerHTML = preview('Will be saved as', value, entry.field);
+    }
+
+    changed.forEach(showChoice);
+    modal.addEventListener('change', e => {
+      const section = e.target.closest('[data-merge-field]');
+      if (!section || e.target.type !== 'radio') return;
+      showChoice(changed.find(entry => entry.field === section.getAttribute('data-merge-field')));
+    });
+    modal.addEventListener('click', e => {
+      if (e.target.closest('[data-merge-save]')) {
+        const result = {};
+        REVISION_FIELDS.forEach(field => {
+          const entry = fields.find(f => f.field === field);
+          const textarea = modal.querySelector(`[data-merge-field="${field}"] [data-merge-result]`);
+          result[field] = textarea ? textarea.value : (entry.outcome === 'unchanged' ? entry.value : chosenValue(entry));
+        });
+        finish({ action: 'save', fields: result });
+      } else if (e.target.closest('[data-merge-discard]')) {
+        finish({ action: 'discard' });
+      } else if (e.target.closest('[data-merge-cancel]') || !modal.isConnected) {
+        // Also covers the close button, which has already removed the dialog
+        finish(null);
+      }
+    });
+    modal.addEventListener('keydown', e => {
+      if (e.key === 'Escape') finish(null);
+    });
+  });
+}
@@ -2,8 +2,19 @@
 
 import { escapeHtml } from '../util/helpers.js';
 import { fetchComments, addComment, deleteComment } from '../api/comments.js';
-import { fetchResults, addResult, deleteResult } from '../api/results.js';
+import { fetchResults, addResult, updateResult, deleteResult } from '../api/results.js';
 import { debugLog } from '../util/debugLogger.js';
+import { extractVariables, getPromptText } from '../util/templateVars.js';
+import { estimateTokensForModel, formatTokenCount, getModel, getSelectedModelId } from '../util/tokenEstimator.js';
+import { getParent, getForks } from '../util/lineage.js';
+import { scoreStats, formatScore, normalizeScore } from '../util/resultScores.js';
+import { createScoreRating } from './scoreRating.js';
+import { filterResultsByModel } from '../util/resultProvenance.js';
+import { createProvenanceFields, readProvenanceFields, resetProvenanceRunFields, createProvenanceLine, createModelControls } from './resultProvenanceView.js';
+import { assertionPassRate } from '../util/resultAssertions.js';
+import { createAssertionOutcomeLine } from './assertionEditor.js';
+import { mergeById } from '../state/appState.js';
+import { highlightMatches, searchSnippet } from '../util/searchEngine.js';
 
 /**
  * Render a single prompt block as a DOM element.
@@ -12,6 +23,9 @@ import { debugLog } from '../util/debugLogger.js';
  * @param {Array} tags - Array of tag objects.
  * @param {Object} [options] - Optional settings.
  * @param {boolean} [options.debug] - Enable debug logging.
+ * @param {Array} [options.allPrompts] - All loaded prompts, for the "forked from" link and fork count.
+ * @param {string[]} [options.highlightTerms] - Search terms (from searchEngine's search()) to mark in the
+ *   title and content; the content preview then shows the part around the first match.
  * @returns {HTMLElement} The prompt block element.
  */
 export function renderPromptBlock(prompt, categories = [], tags = [], options = {}) {
@@ -91,15 +105,15 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
     });
   }
 
-  // Title: fallback and truncation
+  const highlightTerms = Array.isArray(options.highlightTerms) ? options.highlightTerms : [];
+
+  // Title: fallback and truncation (plain text; set with textContent or escaped when highlighted)
   let title = (prompt.title || '').trim();
   if (!title || title.length < 2 || ['s', '1', 'as'].includes(title.toLowerCase())) {
     debugLog('TITLE FALLBACK', { original: prompt.title });
     title = 'Untitled';
   } else if (title.length > 48) {
-    title = escapeHtml(title.slice(0, 45)) + '…';
-  } else {
-    title = escapeHtml(title);
+    title = title.slice(0, 45) + '…';
   }
   debugLog('TITLE FINAL', { title, original: prompt.title });
 
@@ -108,9 +122,10 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
     debugLog('TITLE CONTAINS HTML', { original: prompt.title });
   }
 
-  // Content preview: 1–2 lines, fallback if empty
+  // Content preview: 1–2 lines, fallback if empty; when searching, the part around the first match
   let contentPreview = (prompt.content || '').trim();
   if (!contentPreview) contentPreview = '<span style="color:#bbb;">No content added</span>';
+  else if (highlightTerms.length) contentPreview = highlightMatches(searchSnippet(contentPreview, highlightTerms, 117), highlightTerms);
   else if (contentPreview.length > 120) contentPreview = escapeHtml(contentPreview.slice(0, 117)) + '…';
   else contentPreview = escapeHtml(contentPreview);
 
@@ -131,12 +146,21 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
   }
   const author = escapeHtml(prompt.author || 'Unknown');
 
+  // Template variables ({{name}} placeholders) are filled in from the full view
+  const templateVariables = extractVariables(getPromptText(prompt));
+
+  // Estimated token count for the model selected in the toolbar (unfilled template)
+  const tokenModel = getModel(options.tokenModelId || getSelectedModelId());
+  const tokenCount = estimateTokensForModel(getPromptText(prompt), tokenModel.id);
+  const overContext = tokenCount > tokenModel.contextWindow;
+
   // Create the prompt block element
   const block = document.createElement('div');
   // Set class based on view mode
   block.className = `prompt-block hoverable ${viewMode === 'list' ? 'prompt-block-list' : 'prompt-block-grid'}`;
   block.setAttribute('data-testid', 'prompt-block');
-  block.setAttribute('data-id', escapeHtml(prompt.id));
+  block.setAttribute('data-id', prompt.id);
+  block.setAttribute('data-prompt-id', prompt.id);
   block.setAttribute('tabindex', '0');
   block.setAttribute('aria-label', `Prompt: ${title}`);
   block.setAttribute('role', 'region');
@@ -154,9 +178,18 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
   const h3 = document.createElement('h3');
   h3.className = 'prompt-title';
   h3.setAttribute('data-testid', 'prompt-title');
-  h3.setAttribute('data-id', escapeHtml(prompt.id));
+  h3.setAttribute('data-id', prompt.id);
   h3.setAttribute('title', title);
-  h3.textContent = title;
+  if (highlightTerms.length && title !== 'Untitled') h3.innerHTML = highlightMatches(title, highlightTerms);
+  else h3.textContent = title;
+
+  // Bulk selection checkbox (events registered by the list renderer)
+  const selectBox = document.createElement('input');
+  selectBox.type = 'checkbox';
+  selectBox.className = 'prompt-select-checkbox';
+  selectBox.setAttribute('data-testid', `select-prompt-checkbox-${prompt.id}`);
+  selectBox.setAttribute('aria-label', `Select prompt: ${title}`);
+  selectBox.setAttribute('tabindex', '0');
 
   // Actions
   const actions = document.createElement('div');
@@ -168,7 +201,7 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
   const editBtn = document.createElement('button');
   editBtn.type = 'button';
   editBtn.className = 'edit-btn';
-  editBtn.setAttribute('data-testid', `edit-prompt-btn-${escapeHtml(prompt.id)}`);
+  editBtn.setAttribute('data-testid', `edit-prompt-btn-${prompt.id}`);
   editBtn.setAttribute('aria-label', `Edit prompt: ${title}`);
   editBtn.setAttribute('tabindex', '0');
   editBtn.innerText = '✏️';
@@ -177,7 +210,7 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
   const deleteBtn = document.createElement('button');
   deleteBtn.type = 'button';
   deleteBtn.className = 'delete-btn';
-  deleteBtn.setAttribute('data-testid', `delete-prompt-btn-${escapeHtml(prompt.id)}`);
+  deleteBtn.setAttribute('data-testid', `delete-prompt-btn-${prompt.id}`);
   deleteBtn.setAttribute('aria-label', `Delete prompt: ${title}`);
   deleteBtn.setAttribute('tabindex', '0');
   deleteBtn.innerText = '🗑️';
@@ -188,7 +221,7 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
   const copyBtn = document.createElement('button');
   copyBtn.type = 'button';
   copyBtn.className = 'copy-btn';
-  copyBtn.setAttribute('data-testid', `copy-prompt-btn-${escapeHtml(prompt.id)}`);
+  copyBtn.setAttribute('data-testid', `copy-prompt-btn-${prompt.id}`);
   copyBtn.setAttribute('aria-label', `Copy prompt: ${title}`);
   copyBtn.setAttribute('tabindex', '0');
   copyBtn.innerText = '📋';
@@ -197,13 +230,23 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
   const fullViewBtn = document.createElement('button');
   fullViewBtn.type = 'button';
   fullViewBtn.className = 'fullview-btn';
-  fullViewBtn.setAttribute('data-testid', `fullview-prompt-btn-${escapeHtml(prompt.id)}`);
+  fullViewBtn.setAttribute('data-testid', `fullview-prompt-btn-${prompt.id}`);
   fullViewBtn.setAttribute('aria-label', `Expand full view for prompt: ${title}`);
   fullViewBtn.setAttribute('tabindex', '0');
   fullViewBtn.innerText = '⛶';
 
-  actions.append(editBtn, deleteBtn, copyBtn, fullViewBtn);
-  header.append(h3, actions);
+  // Fork button (handled via event delegation)
+  const forkBtn = document.createElement('button');
+  forkBtn.type = 'button';
+  forkBtn.className = 'fork-btn';
+  forkBtn.setAttribute('data-testid', `fork-prompt-btn-${prompt.id}`);
+  forkBtn.setAttribute('aria-label', `Fork prompt: ${title}`);
+  forkBtn.setAttribute('title', 'Fork: copy this prompt to experiment without changing it');
+  forkBtn.setAttribute('tabindex', '0');
+  forkBtn.innerText = '⑂';
+
+  actions.append(editBtn, deleteBtn, copyBtn, forkBtn, fullViewBtn);
+  header.append(selectBox, h3, actions);
 
   // Content preview
   const contentDiv = document.createElement('div');
@@ -234,8 +277,65 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
     <span>ID: <code>${escapeHtml(prompt.id)}</code></span>
     ${created ? `<span>Created: ${created}</span>` : ''}
     <span>By: ${author}</span>
+    ${templateVariables.length ? `<span class="template-vars-badge" data-testid="template-vars-badge" title="Template variables: ${templateVariables.join(', ')}">{{ }} ${templateVariables.length} variable${templateVariables.length === 1 ? '' : 's'}</span>` : ''}
+    <span class="token-badge" data-testid="token-badge" title="Estimated tokens for ${escapeHtml(tokenModel.label)} (context window ${formatTokenCount(tokenModel.contextWindow)})"${overContext ? ' style="color:#ffb3b3;"' : ''}>≈ ${formatTokenCount(tokenCount)} tokens${overContext ? ' ⚠️' : ''}</span>
   `;
 
+  // Lineage: "forked from" link and fork count (both open the lineage view via event delegation)
+  const allPrompts = Array.isArray(options.allPrompts) ? options.allPrompts : [];
+  if (prompt.parent_id) {
+    const parent = getParent(prompt, allPrompts);
+    const forkedFrom = document.createElement('span');
+    forkedFrom.className = 'lineage-link';
+    forkedFrom.setAttribute('data-testid', 'forked-from');
+    forkedFrom.setAttribute('role', 'button');
+    forkedFrom.setAttribute('tabindex', '0');
+    forkedFrom.style.cursor = 'pointer';
+    forkedFrom.textContent = `⑂ Forked from ${parent ? (parent.title || parent.id) : 'an unavailable prompt'}`;
+    forkedFrom.title = 'Show lineage';
+    metaDiv.appendChild(forkedFrom);
+  }
+  const forkCount = getForks(prompt.id, allPrompts).length;
+  if (forkCount) {
+    const forksBadge = document.createElement('span');
+    forksBadge.className = 'lineage-link';
+    forksBadge.setAttribute('data-testid', 'fork-count');
+    forksBadge.setAttribute('role', 'button');
+    forksBadge.setAttribute('tabindex', '0');
+    forksBadge.style.cursor = 'pointer';
+    forksBadge.textContent = `${forkCount} fork${forkCount === 1 ? '' : 's'}`;
+    forksBadge.title = 'Show lineage';
+    metaDiv.appendChild(forksBadge);
+  }
+
+  // Average/median rating of the prompt's results (kept current when a result is rated below)
+  const scoreBadge = document.createElement('span');
+  scoreBadge.className = 'score-badge';
+  scoreBadge.setAttribute('data-testid', 'score-badge');
+  function renderScoreBadge(resultList) {
+    const stats = scoreStats(resultList);
+    scoreBadge.hidden = stats.rated === 0;
+    scoreBadge.textContent = `★ ${formatScore(stats.average)} avg · ${formatScore(stats.median)} median`;
+    scoreBadge.title = `Average of ${stats.rated} rated result${stats.rated === 1 ? '' : 's'} (${stats.count} total), range ${formatScore(stats.min)}–${formatScore(stats.max)}`;
+  }
+  renderScoreBadge(prompt.results);
+  metaDiv.appendChild(scoreBadge);
+
+  // Share of assertion checks passed by the prompt's results (only results added while it had assertions)
+  const assertionBadge = document.createElement('span');
+  assertionBadge.className = 'assertion-badge';
+  assertionBadge.setAttribute('data-testid', 'assertion-badge');
+  function renderAssertionBadge(resultList) {
+    const stats = assertionPassRate(resultList);
+    assertionBadge.hidden = stats.total === 0;
+    const percent = stats.total ? Math.round(stats.rate * 100) : 0;
+    assertionBadge.textContent = `✔ ${percent}% pass`;
+    assertionBadge.style.color = stats.rate === 1 ? '' : '#FFD98A';
+    assertionBadge.title = `${stats.passed}/${stats.total} assertion checks passed; ${stats.fullyPassing} of ${stats.results} checked result${stats.results === 1 ? '' : 's'} passed every assertion`;
+  }
+  renderAssertionBadge(prompt.results);
+  metaDiv.appendChild(assertionBadge);
+
   // Tags and category
   const tagsDiv = document.createElement('div');
   tagsDiv.className = 'prompt-tags-cats';
@@ -247,8 +347,8 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
   // Category pill
   const catPill = document.createElement('span');
   catPill.className = 'tag-pill category-pill';
-  catPill.setAttribute('data-testid', `category-pill-${escapeHtml(prompt.id)}`);
-  catPill.setAttribute('aria-label', `Category: ${escapeHtml(categoryName)}`);
+  catPill.setAttribute('data-testid', `category-pill-${prompt.id}`);
+  catPill.setAttribute('aria-label', `Category: ${categoryName}`);
   // Add robust data-category-id for event delegation and filtering
   if (categoryId) {
     catPill.setAttribute('data-category-id', categoryId);
@@ -270,7 +370,7 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
     infoIcon.title = 'This category was deleted. The prompt is still shown for reference.';
     catPill.appendChild(infoIcon);
   } else {
-    catPill.setAttribute('title', `Category: ${escapeHtml(categoryName)}`);
+    catPill.setAttribute('title', `Category: ${categoryName}`);
   }
   catPill.textContent = categoryName;
   if (categoryName === 'Deleted Category') {
@@ -297,7 +397,7 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
       if (tag._deleted) {
         const tagPill = document.createElement('span');
         tagPill.className = 'tag-pill';
-        tagPill.setAttribute('data-testid', `tag-pill-${escapeHtml(prompt.id)}-${escapeHtml(tag.id)}-deleted`);
+        tagPill.setAttribute('data-testid', `tag-pill-${prompt.id}-${tag.id}-deleted`);
         tagPill.setAttribute('aria-label', 'Deleted Tag');
         tagPill.setAttribute('title', 'This prompt references a tag that no longer exists. The tag was deleted.');
         tagPill.textContent = 'Deleted Tag';
@@ -319,9 +419,9 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
         tagNames.forEach(name => {
           const tagPill = document.createElement('span');
           tagPill.className = 'tag-pill';
-          tagPill.setAttribute('data-testid', `tag-pill-${escapeHtml(prompt.id)}-${escapeHtml(tag.id)}-${escapeHtml(name)}`);
-          tagPill.setAttribute('aria-label', `Tag: ${escapeHtml(name)}`);
-          tagPill.setAttribute('title', `Tag: ${escapeHtml(name)}`);
+          tagPill.setAttribute('data-testid', `tag-pill-${prompt.id}-${tag.id}-${name}`);
+          tagPill.setAttribute('aria-label', `Tag: ${name}`);
+          tagPill.setAttribute('title', `Tag: ${name}`);
           tagPill.textContent = name;
           tagPill.style.cursor = 'pointer';
           // Accessibility: make tag pill keyboard focusable and act as a button
@@ -384,12 +484,17 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
   addResultForm.style.display = 'flex';
   addResultForm.style.gap = '8px';
   addResultForm.style.marginTop = '8px';
+  addResultForm.style.flexWrap = 'wrap';
   addResultForm.innerHTML = `
     <textarea name="value" placeholder="Add a result (no length limit)..." required
       style="flex:1;min-height:60px;max-height:120px;padding:8px;background:#261A40;border-radius:8px;color:#F3EFFF;border:none;font-size:15px;resize:vertical;"></textarea>
+    <input name="score" type="number" min="0" max="100" step="1" placeholder="Score" aria-label="Result score (0–100, optional)"
+      style="width:80px;height:38px;padding:8px;border-radius:8px;border:none;background:#261A40;color:#F3EFFF;font-size:14px;">
     <button type="submit"
       style="background:linear-gradient(90deg,#7B3FE4 60%,#4F9CFF 100%);color:#fff;padding:8px 16px;border-radius:9999px;font-weight:500;font-size:15px;">Add Result</button>
   `;
+  const provenanceFields = createProvenanceFields();
+  addResultForm.appendChild(provenanceFields);
 
   const addCommentForm = document.createElement('form');
   addCommentForm.className = 'add-comment-form';
@@ -407,6 +512,7 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
   // State
   let results = [];
   let comments = [];
+  let modelFilter = '';
 
   // Renderers
   function renderResults() {
@@ -414,7 +520,22 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
     if (results.length === 0) {
       resultsSection.innerHTML += `<div style="color:#aaa;font-size:0.95em;">No results yet.</div>`;
     } else {
-      results.forEach((r, idx) => {
+      const modelControls = createModelControls(results, modelFilter, (model) => {
+        modelFilter = model;
+        renderResults();
+      });
+      if (modelControls) resultsSection.appendChild(modelControls);
+      if (results.length >= 2) {
+        const evaluateBtn = document.createElement('button');
+        evaluateBtn.type = 'button';
+        evaluateBtn.className = 'utility evaluate-results-btn';
+        evaluateBtn.textContent = '⚖ Evaluate';
+        evaluateBtn.title = 'Judge these results against each other, two at a time';
+        evaluateBtn.style.marginBottom = '0.3em';
+        evaluateBtn.onclick = () => window.dispatchEvent(new CustomEvent('openEvaluation', { detail: { promptIds: [prompt.id] } }));
+        resultsSection.appendChild(evaluateBtn);
+      }
+      filterResultsByModel(results, modelFilter).forEach((r, idx) => {
         const row = document.createElement('div');
         row.className = 'prompt-result-row';
         row.style.display = 'flex';
@@ -430,6 +551,31 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
         content.style.color = '#E0D0FF';
         content.style.whiteSpace = 'pre-wrap';
         content.style.wordBreak = 'break-word';
+        // Model, parameters, latency and usage, when recorded
+        const provenanceLine = createProvenanceLine(r);
+        // Pass/fail of the prompt's assertions, when they were checked
+        const assertionLine = createAssertionOutcomeLine(r);
+        let body = content;
+        if (provenanceLine || assertionLine) {
+          body = document.createElement('div');
+          body.style.flex = '1';
+          body.append(content, ...[provenanceLine, assertionLine].filter(Boolean));
+        }
+
+        const rating = createScoreRating(r.score, {
+          label: `result ${idx + 1}`,
+          onChange: async (score) => {
+            try {
+              const res = await updateResult(r.id, { score });
+              r.score = res && res.result ? res.result.score : score;
+              renderScoreBadge(results);
+              liveRegion.textContent = score === null ? 'Rating cleared.' : `Rated ${formatScore(score)}/100.`;
+            } catch (err) {
+              liveRegion.textContent = 'Failed to save rating.';
+              throw err;
+            }
+          }
+        });
 
         const delBtn = document.createElement('button');
         delBtn.type = 'button';
@@ -443,6 +589,8 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
             await deleteResult(r.id);
             results = results.filter(res => res.id !== r.id);
             renderResults();
+            renderScoreBadge(results);
+            renderAssertionBadge(results);
             liveRegion.textContent = 'Result deleted.';
           } catch (err) {
             liveRegion.textContent = 'Failed to delete result.';
@@ -450,7 +598,7 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
           delBtn.disabled = false;
         };
 
-        row.append(content, delBtn);
+        row.append(body, rating, delBtn);
         resultsSection.appendChild(row);
       });
     }
@@ -474,7 +622,7 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
         author.style.fontWeight = '600';
         author.style.color = '#BFAEF5';
         author.style.fontSize = '13px';
-        author.textContent = c.author ? escapeHtml(c.author) + ': ' : '';
+        author.textContent = c.author ? c.author + ': ' : '';
 
         const content = document.createElement('span');
         content.innerHTML = escapeHtml(c.content || '');
@@ -520,14 +668,33 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
       liveRegion.textContent = 'Result cannot be empty.';
       return;
     }
+    const scoreText = addResultForm.score.value.trim();
+    const score = normalizeScore(scoreText);
+    if (scoreText && score === null) {
+      liveRegion.textContent = 'Score must be a number between 0 and 100.';
+      return;
+    }
+    const { provenance, errors: provenanceErrors } = readProvenanceFields(provenanceFields);
+    if (provenanceErrors.length) {
+      liveRegion.textContent = provenanceErrors.join(' ');
+      provenanceFields.open = true;
+      return;
+    }
     addResultForm.querySelector('button[type="submit"]').disabled = true;
     try {
-      const res = await addResult(prompt.id, { content });
+      const res = await addResult(prompt.id, score === null ? { content, ...provenance } : { content, score, ...provenance }, { assertions: prompt.assertions });
       if (res && res.result) {
         results.push(res.result);
         renderResults();
-        liveRegion.textContent = 'Result added.';
+        renderAssertionBadge(results);
+        const checks = res.result.assertion_results || [];
+        const failed = checks.filter(o => !o.passed).length;
+        liveRegion.textContent = checks.length
+          ? `Result added. ${checks.length - failed}/${checks.length} assertions passed.`
+          : 'Result added.';
         addResultForm.value.value = '';
+        addResultForm.score.value = '';
+        resetProvenanceRunFields(provenanceFields);
         if (typeof window.renderPrompts === 'function') {
           window.renderPrompts();
         }
@@ -603,10 +770,26 @@ export function renderPromptBlock(prompt, categories = [], tags = [], options =
     }
     results = localResults;
     comments = localComments;
+    renderScoreBadge(results);
+    renderAssertionBadge(results);
     renderResults();
     renderComments();
   })();
 
+  // Synced changes from other tabs and users (called by promptListRender.js). The add forms are
+  // re-attached, not rebuilt, so text being typed into them is kept.
+  block.__applyLiveChanges = (list, { records = [], deleted = [] } = {}) => {
+    if (list === 'results') {
+      results = mergeById(results, records, deleted);
+      renderResults();
+      renderScoreBadge(results);
+      renderAssertionBadge(results);
+    } else if (list === 'comments') {
+      comments = mergeById(comments, records, deleted);
+      renderComments();
+    }
+  };
+
   // Add divider between results and comments for visual separation
   const divider = document.createElement('div');
   divider.className = 'results-comments-divider';
@@ -0,0 +1,143 @@
+// resultProvenanceView.js - Provenance inputs, per-result provenance line and per-model filter/summary for results
+
+import { PROVENANCE_NUMBER_FIELDS, parseProvenance, listResultModels, summarizeByModel, formatProvenance, formatLatency, UNKNOWN_MODEL } from '../util/resultProvenance.js';
+import { formatScore } from '../util/resultScores.js';
+
+const INPUT_STYLE = 'padding:6px 8px;border-radius:8px;border:none;background:#261A40;color:#F3EFFF;font-size:14px;';
+// Cleared after each added result; model and parameters stay filled in for the next run
+const PER_RUN_FIELDS = ['run_at', 'latency_ms', 'input_tokens', 'output_tokens'];
+
+/**
+ * Create the collapsible "Model & run details" inputs for an add-result form.
+ * @returns {HTMLDetailsElement} The fieldset; read it with readProvenanceFields().
+ */
+export function createProvenanceFields() {
+  const details = document.createElement('details');
+  details.className = 'result-provenance-fields';
+  details.style.width = '100%';
+  details.style.fontSize = '14px';
+  details.style.color = '#BFAEF5';
+  const field = (name, label, attrs = '') => `
+    <label style="display:flex;flex-direction:column;gap:2px;">${label}
+      <input name="${name}" ${attrs} aria-label="${label}" style="${INPUT_STYLE}">
+    </label>`;
+  details.innerHTML = `
+    <summary style="cursor:pointer;">Model &amp; run details (optional)</summary>
+    <div style="display:grid;grid-template-columns:repeat(auto-fill,minmax(130px,1fr));gap:8px;margin-top:6px;">
+      ${field('model', 'Model', 'type="text" maxlength="100" placeholder="e.g. gpt-4o"')}
+      ${field('model_version', 'Version', 'type="text" maxlength="100" placeholder="e.g. 2024-08-06"')}
+      ${PROVENANCE_NUMBER_FIELDS.map(f => field(f.key, f.label, `type="number" min="${f.min}"${f.max !== undefined ? ` max="${f.max}"` : ''} step="${f.integer ? 1 : 'any'}"`)).join('')}
+      ${field('run_at', 'Run date', 'type="datetime-local"')}
+    </div>
+  `;
+  return details;
+}
+
+/**
+ * Read and validate the provenance inputs created by createProvenanceFields().
+ * @param {HTMLElement} fields - The fieldset.
+ * @returns {{provenance: Object, errors: string[]}} See parseProvenance().
+ */
+export function readProvenanceFields(fields) {
+  const values = {};
+  fields.querySelectorAll('input[name]').forEach(input => {
+    values[input.name] = input.value;
+  });
+  return parseProvenance(values);
+}
+
+/**
+ * Clear the per-run inputs (date, latency, usage) after a result was added.
+ * @param {HTMLElement} fields - The fieldset.
+ */
+export function resetProvenanceRunFields(fields) {
+  PER_RUN_FIELDS.forEach(name => {
+    const input = fields.querySelector(`input[name="${name}"]`);
+    if (input) input.value = '';
+  });
+}
+
+/**
+ * Create the one-line provenance summary shown under a result.
+ * @param {Object} result - The result.
+ * @returns {HTMLElement|null} The line, or null if the result has no provenance.
+ */
+export function createProvenanceLine(result) {
+  const parts = formatProvenance(result);
+  if (!parts.length) return null;
+  const line = document.createElement('div');
+  line.className = 'result-provenance';
+  line.style.fontSize = '12px';
+  line.style.color = '#BFAEF5';
+  line.textContent = parts.join(' · ');
+  return line;
+}
+
+/**
+ * Create the model filter and per-model summary shown above a results list.
+ * @param {Object[]} results - All results of the prompt.
+ * @param {string} selected - Currently selected model label ('' for all).
+ * @param {Function} onSelect - Called with the chosen model label ('' for all).
+ * @returns {HTMLElement|null} The controls, or null when no result names a model.
+ */
+export function createModelControls(results, selected, onSelect) {
+  const models = listResultModels(results);
+  if (!models.some(m => m !== UNKNOWN_MODEL)) return null;
+  const rows = summarizeByModel(results);
+  const wrapper = document.createElement('div');
+  wrapper.className = 'result-model-controls';
+  wrapper.style.margin = '0 0 0.4em 0';
+  wrapper.style.fontSize = '13px';
+  wrapper.style.color = '#BFAEF5';
+
+  const label = document.createElement('label');
+  label.textContent = 'Model: ';
+  const select = document.createElement('select');
+  select.className = 'result-model-filter';
+  select.setAttribute('aria-label', 'Filter results by model');
+  select.add(new Option(`All models (${results.length})`, ''));
+  rows.forEach(row => select.add(new Option(`${row.model} (${row.count})`, row.model)));
+  select.value = models.includes(selected) ? selected : '';
+  select.onchange = () => onSelect(select.value);
+  label.appendChild(select);
+
+  const table = document.createElement('table');
+  table.className = 'result-model-summary';
+  table.style.borderCollapse = 'collapse';
+  table.style.marginTop = '4px';
+  const head = table.createTHead().insertRow();
+  ['Model', 'Results', 'Avg score', 'Avg latency', 'Avg tokens in/out'].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    th.style.textAlign = 'left';
+    th.style.padding = '2px 10px 2px 0';
+    th.style.color = '#E0D0FF';
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  const tokens = value => (value === null ? '—' : String(Math.round(value)));
+  rows.forEach(row => {
+    const tr = body.insertRow();
+    [
+      row.model,
+      String(row.count),
+      row.rated ? `${formatScore(row.averageScore)} (${row.rated} rated)` : '—',
+      formatLatency(row.averageLatencyMs),
+      `${tokens(row.averageInputTokens)} / ${tokens(row.averageOutputTokens)}`
+    ].forEach(text => {
+      const td = tr.insertCell();
+      td.textContent = text;
+      td.style.padding = '2px 10px 2px 0';
+    });
+  });
+
+  const summary = document.createElement('details');
+  summary.style.marginTop = '4px';
+  const summaryTitle = document.createElement('summary');
+  summaryTitle.style.cursor = 'pointer';
+  summaryTitle.textContent = 'Per-model summary';
+  summary.append(summaryTitle, table);
+
+  wrapper.append(label, summary);
+  return wrapper;
+}
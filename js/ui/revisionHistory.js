@@ -0,0 +1,161 @@
+// revisionHistory.js - Revision list, word-level diff between any two revisions, and restore
+
+import { fetchRevisions, restoreRevision } from '../api/revisions.js';
+import { diffSnapshots, diffStats } from '../util/textDiff.js';
+import { escapeHtml } from '../util/dataValidator.js';
+import { applyListChanges } from '../util/deltaSync.js';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  content: 'Content',
+  description: 'Description',
+  author: 'Author',
+  category: 'Category',
+  tags: 'Tags',
+  variables: 'Variables',
+  assertions: 'Assertions'
+};
+
+function formatDate(value) {
+  const date = new Date(value);
+  return isNaN(date) ? String(value || '') : date.toLocaleString();
+}
+
+function revisionLabel(revision) {
+  return `#${revision.revision} · ${formatDate(revision.created_at)} · ${revision.author || 'Unknown'}`;
+}
+
+function renderDiffParts(parts) {
+  return parts.map(part => {
+    const text = escapeHtml(part.text);
+    if (part.type === 'insert') return `<ins style="background:#1f4d2e;color:#c8f7d4;text-decoration:none;">${text}</ins>`;
+    if (part.type === 'delete') return `<del style="background:#5a1f2b;color:#ffb3b3;">${text}</del>`;
+    return text;
+  }).join('');
+}
+
+/**
+ * Render the revision history of a prompt into a container.
+ * Revisions are fetched when `load()` is first called, so the tab costs nothing until it is opened.
+ * @param {HTMLElement} container - Element to render into (its contents are replaced).
+ * @param {Object} prompt - The prompt.
+ * @param {Object} [options]
+ * @param {Function} options.confirm - Asks before a restore: (message, { title, confirmText }) resolves
+ *   to true to go ahead (modals.js passes showConfirmModal, which cannot be imported from here as
+ *   modals.js imports this module).
+ * @param {Function} [options.onRestored] - Called with the restored prompt after a successful restore.
+ * @returns {{load: Function}|null} Controller: `load(force)` fetches (or re-fetches) and renders.
+ */
+export function renderRevisionHistory(container, prompt, options = {}) {
+  if (!container || !prompt) return null;
+  let revisions = [];
+  let loaded = false;
+
+  function renderDiff() {
+    const fromId = container.querySelector('.revision-diff-from').value;
+    const toId = container.querySelector('.revision-diff-to').value;
+    const from = revisions.find(r => r.id === fromId);
+    const to = revisions.find(r => r.id === toId);
+    const output = container.querySelector('.revision-diff');
+    if (!from || !to) {
+      output.innerHTML = '';
+      return;
+    }
+    const fields = diffSnapshots(from.snapshot, to.snapshot).filter(f => f.changed);
+    if (!fields.length) {
+      output.innerHTML = '<p style="color:#BFAEF5;">No differences between these revisions.</p>';
+      return;
+    }
+    output.innerHTML = fields.map(({ field, parts }) => {
+      const stats = diffStats(parts);
+      return `
+        <section style="margin-bottom:0.75em;">
+          <strong style="color:#E0D0FF;">${FIELD_LABELS[field] || escapeHtml(field)}</strong>
+          <span style="color:#BFAEF5;font-size:0.9em;"> +${stats.inserted} / −${stats.deleted} words</span>
+          <pre style="white-space:pre-wrap;word-break:break-word;font-size:14px;color:#F3EFFF;background:#1C1433;border-radius:8px;padding:12px;margin:4px 0;max-height:40vh;overflow:auto;">${renderDiffParts(parts)}</pre>
+        </section>
+      `;
+    }).join('');
+  }
+
+  function render() {
+    if (!revisions.length) {
+      container.innerHTML = '<p style="color:#BFAEF5;">No revisions recorded yet. A revision is stored each time this prompt is saved.</p>';
+      return;
+    }
+    const optionList = revisions.map(r => `<option value="${escapeHtml(r.id)}">${escapeHtml(revisionLabel(r))}</option>`).join('');
+    const latest = revisions[revisions.length - 1];
+    container.innerHTML = `
+      <section class="revision-history" aria-label="Revision history">
+        <ol reversed style="list-style:none;margin:0 0 1em 0;padding:0;max-height:30vh;overflow:auto;">
+          ${revisions.slice().reverse().map(r => `
+            <li style="display:flex;flex-wrap:wrap;gap:8px;align-items:baseline;padding:4px 0;border-bottom:1px solid #261A40;">
+              <strong style="color:#E0D0FF;">#${r.revision}</strong>
+              <span style="color:#F3EFFF;">${escapeHtml(formatDate(r.created_at))}</span>
+              <span style="color:#BFAEF5;">by ${escapeHtml(r.author || 'Unknown')}</span>
+              <span style="flex:1;color:#BFAEF5;font-size:0.9em;">
+                ${(r.changed_fields || []).map(f => `<span class="tag-pill">${FIELD_LABELS[f] || escapeHtml(f)}</span>`).join(' ')}
+                ${r.note ? escapeHtml(r.note) : ''}
+              </span>
+              ${r.id === latest.id
+                ? '<span style="color:#BFAEF5;font-size:0.9em;">Current</span>'
+                : `<button type="button" class="secondary revision-restore" data-revision-id="${escapeHtml(r.id)}">Restore</button>`}
+            </li>
+          `).join('')}
+        </ol>
+        <div style="display:flex;flex-wrap:wrap;align-items:center;gap:8px;margin-bottom:0.5em;">
+          <label style="color:#BFAEF5;">Compare
+            <select class="revision-diff-from" data-testid="revision-diff-from" style="background:#261A40;color:#F3EFFF;border:none;border-radius:8px;padding:4px 8px;">${optionList}</select>
+          </label>
+          <label style="color:#BFAEF5;">with
+            <select class="revision-diff-to" data-testid="revision-diff-to" style="background:#261A40;color:#F3EFFF;border:none;border-radius:8px;padding:4px 8px;">${optionList}</select>
+          </label>
+        </div>
+        <div class="revision-diff" aria-live="polite"></div>
+      </section>
+    `;
+    container.querySelector('.revision-diff-from').value = revisions[Math.max(0, revisions.length - 2)].id;
+    container.querySelector('.revision-diff-to').value = latest.id;
+    container.querySelector('.revision-diff-from').onchange = renderDiff;
+    container.querySelector('.revision-diff-to').onchange = renderDiff;
+    container.querySelectorAll('.revision-restore').forEach(btn => {
+      btn.onclick = () => restore(btn.getAttribute('data-revision-id'));
+    });
+    renderDiff();
+  }
+
+  async function restore(revisionId) {
+    const revision = revisions.find(r => r.id === revisionId);
+    if (!revision) return;
+    const confirmed = await options.confirm(
+      `Restore revision #${revision.revision}? The current version stays in the history.`,
+      { title: 'Restore revision', confirmText: 'Restore' }
+    );
+    if (!confirmed) return;
+    try {
+      const resp = await restoreRevision(revisionId, window.session && window.session.user);
+      if (resp && resp.prompt) applyListChanges('prompts', { records: [resp.prompt] }, 'local');
+      window.dispatchEvent(new CustomEvent('showToast', { detail: { message: `Restored revision #${revision.revision}.`, type: 'success' } }));
+      window.dispatchEvent(new CustomEvent('filterPrompts', { detail: {} }));
+      if (typeof options.onRestored === 'function') options.onRestored(resp.prompt);
+      await load(true);
+    } catch (err) {
+      window.dispatchEvent(new CustomEvent('showToast', { detail: { message: err.message || 'Failed to restore revision.', type: 'error' } }));
+    }
+  }
+
+  async function load(force = false) {
+    if (loaded && !force) return;
+    loaded = true;
+    container.innerHTML = '<p style="color:#BFAEF5;">Loading revisions…</p>';
+    try {
+      revisions = await fetchRevisions(prompt.id);
+      render();
+    } catch (err) {
+      loaded = false;
+      container.innerHTML = `<p role="alert" style="color:#ffb3b3;">${escapeHtml(err.message || 'Failed to load revisions.')}</p>`;
+    }
+  }
+
+  return { load };
+}
@@ -0,0 +1,195 @@
+// runPanel.js - "Run" tab of the full prompt view: send the filled-in prompt to a model provider,
+// stream the answer and save it as a result with its provenance
+
+import { listProviders, getProvider, loadRunnerSettings, saveRunnerSettings, validateRunnerSettings, runPrompt } from '../util/modelProviders.js';
+import { PROVENANCE_NUMBER_FIELDS, formatProvenance } from '../util/resultProvenance.js';
+import { addResult } from '../api/results.js';
+import { escapeHtml } from '../util/dataValidator.js';
+
+const INPUT_STYLE = 'padding:6px 8px;border-radius:8px;border:none;background:#261A40;color:#F3EFFF;font-size:14px;width:100%;';
+const LABEL_STYLE = 'display:flex;flex-direction:column;gap:2px;color:#BFAEF5;font-size:13px;';
+const PARAMETER_FIELDS = PROVENANCE_NUMBER_FIELDS.filter(f => f.group === 'parameters');
+
+/**
+ * Render the provider settings form (provider, model, endpoint, API key, generation parameters),
+ * filled in from the stored runner settings. Shared by the Run and Batch tabs.
+ * @param {HTMLElement} container - Element to render into (its contents are replaced).
+ * @returns {{read: Function}} Controller: `read()` returns the settings as entered.
+ */
+export function renderRunnerSettings(container) {
+  const settings = loadRunnerSettings();
+  container.innerHTML = `
+    <div class="runner-settings" style="display:grid;grid-template-columns:repeat(auto-fill,minmax(160px,1fr));gap:8px;">
+      <label style="${LABEL_STYLE}">Provider
+        <select name="provider" style="${INPUT_STYLE}">
+          ${listProviders().map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.label)}</option>`).join('')}
+        </select>
+      </label>
+      <label style="${LABEL_STYLE}">Model
+        <input name="model" type="text" maxlength="100" placeholder="e.g. llama3" style="${INPUT_STYLE}">
+      </label>
+      <label class="run-endpoint-field" style="${LABEL_STYLE}grid-column:span 2;">Endpoint URL
+        <input name="baseUrl" type="url" placeholder="http://localhost:11434/v1" style="${INPUT_STYLE}">
+      </label>
+      <label class="run-endpoint-field" style="${LABEL_STYLE}">API key (optional)
+        <input name="apiKey" type="password" autocomplete="off" style="${INPUT_STYLE}">
+      </label>
+      ${PARAMETER_FIELDS.map(f => `
+        <label style="${LABEL_STYLE}">${f.label}
+          <input name="${f.key}" type="number" min="${f.min}"${f.max !== undefined ? ` max="${f.max}"` : ''} step="${f.integer ? 1 : 'any'}" style="${INPUT_STYLE}">
+        </label>`).join('')}
+    </div>
+  `;
+  const field = name => container.querySelector(`[name="${name}"]`);
+  field('provider').value = settings.provider;
+  field('model').value = settings.model || '';
+  field('baseUrl').value = settings.baseUrl || '';
+  field('apiKey').value = settings.apiKey || '';
+  PARAMETER_FIELDS.forEach(f => {
+    const value = settings.parameters ? settings.parameters[f.key] : undefined;
+    field(f.key).value = value === undefined || value === null ? '' : value;
+  });
+
+  function showEndpointFields() {
+    const provider = getProvider(field('provider').value);
+    container.querySelectorAll('.run-endpoint-field').forEach(el => {
+      el.hidden = !(provider && provider.needsEndpoint);
+    });
+  }
+  field('provider').onchange = showEndpointFields;
+  showEndpointFields();
+
+  return {
+    read: () => {
+      const parameters = {};
+      PARAMETER_FIELDS.forEach(f => {
+        const value = field(f.key).value.trim();
+        if (value !== '') parameters[f.key] = Number(value);
+      });
+      return {
+        provider: field('provider').value,
+        model: field('model').value.trim(),
+        baseUrl: field('baseUrl').value.trim(),
+        apiKey: field('apiKey').value,
+        parameters
+      };
+    }
+  };
+}
+
+/**
+ * Render the Run panel into a container.
+ * @param {HTMLElement} container - Element to render into (its contents are replaced).
+ * @param {Object} prompt - The prompt being run.
+ * @param {Object} options
+ * @param {Function} options.getText - Resolves to `{text, errors}`: the filled-in prompt, or the reasons it cannot be run yet.
+ * @returns {{destroy: Function}|null} Controller: `destroy()` cancels a run in progress.
+ */
+export function renderRunPanel(container, prompt, options = {}) {
+  if (!container || !prompt) return null;
+  let controller = null;
+
+  container.innerHTML = `
+    <section class="run-panel" aria-label="Run prompt">
+      <p style="margin-top:0;color:#BFAEF5;font-size:0.95em;">Runs the prompt as filled in on the Details tab. Settings are remembered in this browser; the API key only until the page is reloaded.</p>
+      <div class="run-settings"></div>
+      <label style="display:flex;align-items:center;gap:6px;margin-top:8px;color:#BFAEF5;font-size:13px;">
+        <input name="saveResult" type="checkbox" checked> Save the output as a result
+      </label>
+      <div class="modal-actions" style="margin-top:8px;">
+        <button type="button" class="primary" data-run-start data-testid="run-prompt-btn">▶ Run</button>
+        <button type="button" class="secondary" data-run-stop disabled>■ Stop</button>
+      </div>
+      <div class="run-status" role="status" aria-live="polite" style="color:#BFAEF5;font-size:0.95em;min-height:1.2em;"></div>
+      <pre class="run-output" data-testid="run-output" style="white-space:pre-wrap;word-break:break-word;font-size:14px;color:#F3EFFF;background:#1C1433;border-radius:8px;padding:12px;max-height:40vh;overflow:auto;min-height:3em;"></pre>
+    </section>
+  `;
+  const runnerSettings = renderRunnerSettings(container.querySelector('.run-settings'));
+  const status = container.querySelector('.run-status');
+  const output = container.querySelector('.run-output');
+  const saveResult = container.querySelector('[name="saveResult"]');
+  const startBtn = container.querySelector('[data-run-start]');
+  const stopBtn = container.querySelector('[data-run-stop]');
+
+  function setRunning(running) {
+    startBtn.disabled = running;
+    stopBtn.disabled = !running;
+  }
+
+  startBtn.onclick = async () => {
+    const current = runnerSettings.read();
+    const errors = validateRunnerSettings(current);
+    if (errors.length) {
+      status.style.color = '#ffb3b3';
+      status.textContent = errors.join(' ');
+      return;
+    }
+    saveRunnerSettings(current);
+    const { text, errors: textErrors = [] } = await options.getText();
+    if (textErrors.length) {
+      status.style.color = '#ffb3b3';
+      status.textContent = `Fix the template variables on the Details tab first: ${textErrors.join(' ')}`;
+      return;
+    }
+    controller = new AbortController();
+    setRunning(true);
+    output.textContent = '';
+    status.style.color = '#BFAEF5';
+    status.textContent = 'Running…';
+    let run;
+    try {
+      run = await runPrompt(text, current, {
+        signal: controller.signal,
+        onToken: piece => {
+          output.textContent += piece;
+          output.scrollTop = output.scrollHeight;
+        }
+      });
+    } catch (err) {
+      setRunning(false);
+      controller = null;
+      status.style.color = err.name === 'AbortError' ? '#FFD98A' : '#ffb3b3';
+      status.textContent = err.name === 'AbortError' ? 'Run stopped; nothing was saved.' : `Run failed: ${err.message}`;
+      return;
+    }
+    controller = null;
+    setRunning(false);
+    output.textContent = run.text;
+    const summary = formatProvenance(run.provenance).join(' · ');
+    if (!saveResult.checked) {
+      status.textContent = `Done. ${summary}`;
+      return;
+    }
+    if (!run.text.trim()) {
+      status.style.color = '#FFD98A';
+      status.textContent = `The model returned no text; nothing was saved. ${summary}`;
+      return;
+    }
+    try {
+      const res = await addResult(prompt.id, {
+        content: run.text,
+        ...(window.session && window.session.user ? { author: window.session.user } : {}),
+        ...run.provenance
+      }, { assertions: prompt.assertions });
+      const checks = (res && res.result && res.result.assertion_results) || [];
+      const passed = checks.filter(o => o.passed).length;
+      status.textContent = `Saved as a result${checks.length ? ` (${passed}/${checks.length} assertions passed)` : ''}. ${summary}`;
+      if (typeof window.renderPrompts === 'function') {
+        window.renderPrompts();
+      }
+    } catch (err) {
+      status.style.color = '#ffb3b3';
+      status.textContent = `Run finished but saving the result failed: ${err.message}`;
+    }
+  };
+
+  stopBtn.onclick = () => {
+    if (controller) controller.abort();
+  };
+
+  return {
+    destroy: () => {
+      if (controller) controller.abort();
+    }
+  };
+}
@@ -0,0 +1,75 @@
+// scoreRating.js - Star rating control for results (1–5 stars, stored as a 0–100 score)
+
+import { MAX_STARS, starsToScore, scoreToStars, normalizeScore, formatScore } from '../util/resultScores.js';
+
+/**
+ * Create a star rating control for one result.
+ * Clicking the current star rating again clears it.
+ * @param {number|null} score - Current score (0–100) or null when unrated.
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - Called with the new score (or null); may return a promise. The control is disabled until it settles.
+ * @param {string} [options.label='result'] - Used in the buttons' aria-labels.
+ * @returns {HTMLElement} The control.
+ */
+export function createScoreRating(score, options = {}) {
+  const label = options.label || 'result';
+  const wrapper = document.createElement('span');
+  wrapper.className = 'score-rating';
+  wrapper.setAttribute('role', 'group');
+  wrapper.setAttribute('aria-label', `Rate ${label}`);
+  wrapper.style.display = 'inline-flex';
+  wrapper.style.alignItems = 'center';
+  wrapper.style.gap = '2px';
+  wrapper.style.whiteSpace = 'nowrap';
+
+  let current = normalizeScore(score);
+  const stars = [];
+  const value = document.createElement('span');
+  value.className = 'score-value';
+  value.style.marginLeft = '4px';
+  value.style.fontSize = '0.9em';
+  value.style.color = '#BFAEF5';
+
+  function paint() {
+    const filled = scoreToStars(current);
+    stars.forEach((btn, index) => {
+      btn.textContent = index < filled ? '★' : '☆';
+      btn.setAttribute('aria-pressed', index < filled ? 'true' : 'false');
+    });
+    value.textContent = current === null ? 'unrated' : `${formatScore(current)}/100`;
+  }
+
+  for (let n = 1; n <= MAX_STARS; n++) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'score-star';
+    btn.setAttribute('aria-label', `Rate ${label} ${n} of ${MAX_STARS} stars`);
+    btn.title = `${n} star${n === 1 ? '' : 's'} (${starsToScore(n)}/100)`;
+    btn.style.background = 'none';
+    btn.style.border = 'none';
+    btn.style.padding = '0 1px';
+    btn.style.cursor = 'pointer';
+    btn.style.color = '#FFD98A';
+    btn.style.fontSize = '1.1em';
+    btn.onclick = async () => {
+      const next = scoreToStars(current) === n ? null : starsToScore(n);
+      const previous = current;
+      current = next;
+      paint();
+      if (typeof options.onChange !== 'function') return;
+      stars.forEach(star => { star.disabled = true; });
+      try {
+        await options.onChange(next);
+      } catch (err) {
+        current = previous;
+        paint();
+      }
+      stars.forEach(star => { star.disabled = false; });
+    };
+    stars.push(btn);
+  }
+
+  wrapper.append(...stars, value);
+  paint();
+  return wrapper;
+}
@@ -0,0 +1,89 @@
+// searchSyntaxHelp.js - Search box support for the query language (util/searchQuery.js): the
+// syntax error shown under #search-input and the "?" cheat-sheet popover, whose examples can be
+// clicked to try them
+
+import { parseSearchQuery } from '../util/searchQuery.js';
+import { escapeHtml } from '../util/helpers.js';
+
+const CHEAT_SHEET = [
+  ['email summary', 'Both words (words being typed and, with fuzzy search, near spellings match too)'],
+  ['"key points"', 'The exact phrase'],
+  ['title:report', 'In the title; also content:, tag:, category: and author:'],
+  ['tag:"machine learning"', 'A phrase in one field (tags and categories by name or ID)'],
+  ['-draft', 'Leave out matches; NOT draft does the same'],
+  ['email OR chat', 'Either one (OR and AND in capitals; AND is implied)'],
+  ['(tag:work OR tag:ops) -draft', 'Group with parentheses'],
+  ['created:>2025-01-01', 'Created after that day; also >=, <, <= and updated:'],
+  ['created:2025-01-01..2025-03-31', 'Created within those days (UTC)']
+];
+
+/**
+ * Show a syntax error of the search query under the search box, or clear it.
+ * @param {import('../util/searchQuery.js').SearchSyntaxError|null} error
+ */
+export function showSearchSyntaxError(error) {
+  const input = document.getElementById('search-input');
+  const errorEl = document.getElementById('search-error');
+  if (!errorEl) return;
+  errorEl.textContent = error ? `${error.message} (at character ${error.index + 1}); searching the words only.` : '';
+  errorEl.classList.toggle('hidden', !error);
+  if (input) input.setAttribute('aria-invalid', error ? 'true' : 'false');
+}
+
+/**
+ * Check a search query and show or clear its syntax error.
+ * @param {string} text - The query as typed.
+ * @returns {import('../util/searchQuery.js').SearchSyntaxError|null} The error, if any.
+ */
+export function checkSearchSyntax(text) {
+  const { error } = parseSearchQuery(text || '');
+  showSearchSyntaxError(error);
+  return error;
+}
+
+/**
+ * Wire up the "?" button next to the search box and its cheat-sheet popover.
+ */
+export function attachSearchSyntaxHelp() {
+  const button = document.getElementById('search-help-btn');
+  const popover = document.getElementById('search-help');
+  const input = document.getElementById('search-input');
+  if (!button || !popover || button.__searchHelpListenerAdded) return;
+  popover.innerHTML = `
+    <h3 class="search-help-title">Search syntax</h3>
+    <table class="search-help-table">
+      <tbody>
+        ${CHEAT_SHEET.map(([example, meaning]) => `
+          <tr>
+            <td><button type="button" class="search-help-example" data-example="${escapeHtml(example)}" title="Search for this">${escapeHtml(example)}</button></td>
+            <td>${escapeHtml(meaning)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  const setOpen = open => {
+    popover.classList.toggle('hidden', !open);
+    button.setAttribute('aria-expanded', String(open));
+  };
+  button.addEventListener('click', () => setOpen(popover.classList.contains('hidden')));
+  popover.addEventListener('click', e => {
+    const example = e.target.closest('.search-help-example');
+    if (!example || !input) return;
+    input.value = example.getAttribute('data-example');
+    // The search box's own listener runs the search
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    setOpen(false);
+    input.focus();
+  });
+  document.addEventListener('keydown', e => {
+    if (e.key !== 'Escape' || popover.classList.contains('hidden')) return;
+    setOpen(false);
+    button.focus();
+  });
+  document.addEventListener('click', e => {
+    if (!popover.classList.contains('hidden') && !popover.contains(e.target) && !button.contains(e.target)) setOpen(false);
+  });
+  button.__searchHelpListenerAdded = true;
+}
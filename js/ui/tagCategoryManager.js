@@ -10,6 +10,7 @@ import { escapeHtml } from '../util/helpers.js';
 import { getTags, getCategories, subscribe } from '../state/appState.js';
 import { showConfirmModal, openIsolatedModal, closeIsolatedModal } from './modals.js';
 import { trackEvent } from '../util/analytics.js'; // [AUDITFIX] Analytics/event tracking
+import { offlineFetch } from '../util/offlineSync.js';
 
 /**
  * Helper: Log debug messages with context.
@@ -100,7 +101,7 @@ export function initTagCategoryManager({
       if (!validateNameInput(newName, 'Tag', showToast)) return;
       addTagInput.disabled = true;
       try {
-        const res = await fetch('/api/tags.php', {
+        const res = await offlineFetch('/api/tags.php', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ name: newName })
@@ -134,7 +135,7 @@ export function initTagCategoryManager({
         if (!validateNameInput(newName, 'Tag', showToast)) return;
         btn.disabled = true;
         try {
-          const res = await fetch(`/api/tags.php?id=${encodeURIComponent(id)}`, {
+          const res = await offlineFetch(`/api/tags.php?id=${encodeURIComponent(id)}`, {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ name: newName })
@@ -173,7 +174,7 @@ export function initTagCategoryManager({
         const deletedTag = tags.find(t => String(t.id) === String(id));
         let undoTimeout;
         try {
-          const res = await fetch(`/api/tags.php?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+          const res = await offlineFetch(`/api/tags.php?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
           const data = await res.json();
           debugLog('DeleteTag', 'API response', data);
           if (data.ok) {
@@ -196,7 +197,7 @@ export function initTagCategoryManager({
                   undoClicked = true;
                   if (window._lastDeletedTag) {
                     // Restore tag
-                    await fetch('/api/tags.php', {
+                    await offlineFetch('/api/tags.php', {
                       method: 'POST',
                       headers: { 'Content-Type': 'application/json' },
                       body: JSON.stringify({ name: window._lastDeletedTag.name })
@@ -256,7 +257,7 @@ export function initTagCategoryManager({
       if (!validateNameInput(newName, 'Category', showToast)) return;
       addCategoryInput.disabled = true;
       try {
-        const res = await fetch('/api/categories.php', {
+        const res = await offlineFetch('/api/categories.php', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ name: newName })
@@ -290,7 +291,7 @@ export function initTagCategoryManager({
         if (!validateNameInput(newName, 'Category', showToast)) return;
         btn.disabled = true;
         try {
-          const res = await fetch(`/api/categories.php?id=${encodeURIComponent(id)}`, {
+          const res = await offlineFetch(`/api/categories.php?id=${encodeURIComponent(id)}`, {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ name: newName })
@@ -329,7 +330,7 @@ export function initTagCategoryManager({
         const deletedCategory = categories.find(c => String(c.id) === String(id));
         let undoTimeout;
         try {
-          const res = await fetch(`/api/categories.php?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+          const res = await offlineFetch(`/api/categories.php?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
           const data = await res.json();
           debugLog('DeleteCategory', 'API response', data);
           if (data.ok) {
@@ -351,7 +352,7 @@ export function initTagCategoryManager({
                   undoClicked = true;
                   if (window._lastDeletedCategory) {
                     // Restore category
-                    await fetch('/api/categories.php', {
+                    await offlineFetch('/api/categories.php', {
                       method: 'POST',
                       headers: { 'Content-Type': 'application/json' },
                       body: JSON.stringify({ name: window._lastDeletedCategory.name })
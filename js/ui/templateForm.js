@@ -0,0 +1,151 @@
+/**
+ * ui/templateForm.js - Fill-in form for prompt template variables
+ * Generates one control per `{{variable}}` placeholder (typed by the prompt's variable
+ * declarations), live-renders the filled prompt and copies the resolved text.
+ */
+
+import { escapeHtml, validateTemplateValues } from '../util/dataValidator.js';
+import { fillTemplate, getMissingVariables, resolveVariableDefinitions, getDefaultValues } from '../util/templateVars.js';
+import { debugLog } from '../util/debugLogger.js';
+
+const FIELD_STYLE = 'width:100%;padding:8px;background:#261A40;border-radius:8px;color:#F3EFFF;border:none;font-size:15px;';
+
+/**
+ * Build the HTML control for one variable declaration.
+ * @param {Object} definition - Variable declaration.
+ * @param {*} value - Current value.
+ * @returns {string} HTML string.
+ */
+function renderControl(definition, value) {
+  const name = escapeHtml(definition.name);
+  const common = `name="${name}" data-variable="${name}" data-type="${escapeHtml(definition.type)}" aria-label="Value for ${name}"${definition.required ? ' aria-required="true"' : ''}`;
+  const current = value === undefined || value === null ? '' : value;
+  switch (definition.type) {
+    case 'multiline':
+      return `<textarea ${common} rows="4" style="${FIELD_STYLE}resize:vertical;">${escapeHtml(current)}</textarea>`;
+    case 'number':
+      return `<input type="number" step="any" ${common} value="${escapeHtml(current)}" style="${FIELD_STYLE}" />`;
+    case 'enum':
+      return `<select ${common} style="${FIELD_STYLE}">
+          <option value="">Choose…</option>
+          ${(definition.options || []).map(opt => `<option value="${escapeHtml(opt)}"${opt === current ? ' selected' : ''}>${escapeHtml(opt)}</option>`).join('')}
+        </select>`;
+    case 'boolean':
+      return `<input type="checkbox" ${common}${current === true || current === 'true' ? ' checked' : ''} style="width:auto;align-self:flex-start;" />`;
+    case 'text':
+    default:
+      return `<input type="text" ${common} value="${escapeHtml(current)}" style="${FIELD_STYLE}" />`;
+  }
+}
+
+/**
+ * Render the template variable form and live preview into a container.
+ * @param {HTMLElement} container - Element to render into (its contents are replaced).
+ * @param {string} text - The prompt template text.
+ * @param {Object} [options]
+ * @param {Object[]} [options.definitions] - The prompt's variable declarations (`prompt.variables`).
+ * @param {Object<string, *>} [options.initialValues] - Values to pre-fill (override declared defaults).
+ * @param {Function} [options.onChange] - Called with (resolvedText, values) after every edit.
+ * @returns {{getValues: Function, getResolvedText: Function, getMissing: Function, validate: Function}|null}
+ *   Controller for the rendered form, or null if the text has no variables.
+ */
+export function renderTemplateForm(container, text, options = {}) {
+  if (!container) return null;
+  const definitions = resolveVariableDefinitions(text, options.definitions);
+  debugLog('[templateForm] Variables detected:', definitions);
+  if (!definitions.length) {
+    container.innerHTML = '';
+    return null;
+  }
+  // No prototype, so a variable named like an Object member (e.g. `constructor`) starts empty
+  const values = Object.assign(Object.create(null), getDefaultValues(definitions), options.initialValues || {});
+  definitions.forEach(def => {
+    if (def.type === 'boolean') values[def.name] = values[def.name] === true || values[def.name] === 'true';
+  });
+  const touched = new Set();
+
+  container.innerHTML = `
+    <section class="template-form" aria-label="Template variables" style="margin-top:1em;">
+      <h3 style="font-size:16px;font-weight:600;color:#E0D0FF;margin:0 0 8px 0;">Template variables</h3>
+      <form class="template-form-fields" autocomplete="off" novalidate style="display:flex;flex-direction:column;gap:8px;">
+        ${definitions.map(def => `
+          <label style="display:flex;flex-direction:column;gap:4px;color:#BFAEF5;font-size:13px;font-weight:600;">
+            <span>${escapeHtml(def.name)}${def.required ? ' <span aria-hidden="true" style="color:#ffb3b3;">*</span>' : ''}</span>
+            ${renderControl(def, values[def.name])}
+            ${def.description ? `<span class="template-field-help" style="font-weight:400;color:#BFAEF5;opacity:0.85;">${escapeHtml(def.description)}</span>` : ''}
+            <span class="template-field-error" data-error-for="${escapeHtml(def.name)}" style="font-weight:400;color:#ffb3b3;"></span>
+          </label>
+        `).join('')}
+      </form>
+      <h4 style="font-size:14px;font-weight:600;color:#E0D0FF;margin:12px 0 4px 0;">Preview</h4>
+      <pre class="template-preview" aria-live="polite" style="white-space:pre-wrap;word-break:break-word;font-size:15px;color:#F3EFFF;background:#1C1433;border-radius:8px;padding:16px;max-height:40vh;overflow:auto;"></pre>
+      <div class="template-status" aria-live="polite" style="min-height:20px;color:#ffb3b3;font-size:0.95em;margin-top:4px;"></div>
+    </section>
+  `;
+
+  const preview = container.querySelector('.template-preview');
+  const status = container.querySelector('.template-status');
+
+  function validate(showAll = false) {
+    const result = validateTemplateValues(values, definitions);
+    if (showAll) definitions.forEach(def => touched.add(def.name));
+    definitions.forEach(def => {
+      const error = result.errors.find(err => err.field === def.name);
+      const errorEl = container.querySelector(`[data-error-for="${CSS.escape(def.name)}"]`);
+      const field = container.querySelector(`[data-variable="${CSS.escape(def.name)}"]`);
+      const visible = error && touched.has(def.name);
+      if (errorEl) errorEl.textContent = visible ? error.message : '';
+      if (field) field.setAttribute('aria-invalid', visible ? 'true' : 'false');
+    });
+    return result;
+  }
+
+  function update() {
+    const resolved = fillTemplate(text, values);
+    preview.textContent = resolved;
+    const result = validate();
+    const missing = getMissingVariables(text, values);
+    status.textContent = !result.isValid
+      ? `Needs attention: ${result.errors.map(err => err.field).join(', ')}`
+      : (missing.length ? `Still to fill: ${missing.join(', ')}` : '');
+    if (typeof options.onChange === 'function') options.onChange(resolved, { ...values });
+  }
+
+  container.querySelectorAll('[data-variable]').forEach(field => {
+    const name = field.getAttribute('data-variable');
+    const eventName = field.tagName === 'SELECT' || field.type === 'checkbox' ? 'change' : 'input';
+    field.addEventListener(eventName, () => {
+      values[name] = field.type === 'checkbox' ? field.checked : field.value;
+      touched.add(name);
+      update();
+    });
+  });
+  update();
+
+  return {
+    getValues: () => ({ ...values }),
+    getResolvedText: () => fillTemplate(text, values),
+    getMissing: () => getMissingVariables(text, values),
+    /** Validate all values and reveal every field error. @returns {{isValid: boolean, errors: Array}} */
+    validate: () => validate(true)
+  };
+}
+
+/**
+ * Copy text to the clipboard and report the outcome through the global toast event.
+ * @param {string} text - Text to copy.
+ * @param {string} [successMessage] - Toast message shown on success.
+ * @returns {Promise<boolean>} True if the text was copied.
+ */
+export async function copyResolvedText(text, successMessage = 'Prompt copied to clipboard!') {
+  try {
+    if (!navigator.clipboard) throw new Error('Clipboard API not available');
+    await navigator.clipboard.writeText(text);
+    window.dispatchEvent(new CustomEvent('showToast', { detail: { message: successMessage, type: 'success' } }));
+    return true;
+  } catch (err) {
+    debugLog('[templateForm] Copy failed:', err);
+    window.dispatchEvent(new CustomEvent('showToast', { detail: { message: 'Could not copy to clipboard.', type: 'error' } }));
+    return false;
+  }
+}
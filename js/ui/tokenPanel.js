@@ -0,0 +1,60 @@
+// tokenPanel.js - Estimated token count and context-window fit for the full prompt view
+
+import { MODELS, checkContextFit, formatTokenCount, getSelectedModelId, setSelectedModelId } from '../util/tokenEstimator.js';
+
+/**
+ * Render the token panel into a container.
+ * The model choice is shared with the prompt list toolbar (`tokenModelChanged` event).
+ * @param {HTMLElement} container - Element to render into (its contents are replaced).
+ * @param {string} [text=''] - Initial text to estimate.
+ * @returns {{update: Function, destroy: Function}|null} Controller: `update(text)` re-estimates, `destroy()` detaches listeners.
+ */
+export function renderTokenPanel(container, text = '') {
+  if (!container) return null;
+  let currentText = text;
+
+  container.innerHTML = `
+    <section class="token-panel" aria-label="Token estimate" style="margin-top:1em;display:flex;flex-wrap:wrap;align-items:center;gap:8px;">
+      <label style="color:#BFAEF5;font-size:0.95em;">Model:
+        <select class="token-panel-model" data-testid="token-panel-model" style="background:#261A40;color:#F3EFFF;border:none;border-radius:8px;padding:4px 8px;">
+          ${MODELS.map(m => `<option value="${m.id}">${m.label}</option>`).join('')}
+        </select>
+      </label>
+      <span class="token-panel-count" data-testid="token-panel-count" style="color:#F3EFFF;"></span>
+      <div class="token-panel-warning" data-testid="token-panel-warning" role="alert" style="color:#ffb3b3;font-size:0.95em;width:100%;"></div>
+    </section>
+  `;
+  const select = container.querySelector('.token-panel-model');
+  const count = container.querySelector('.token-panel-count');
+  const warning = container.querySelector('.token-panel-warning');
+  select.value = getSelectedModelId();
+
+  function update(nextText) {
+    if (typeof nextText === 'string') currentText = nextText;
+    const fit = checkContextFit(currentText, select.value);
+    const percent = Math.round(fit.ratio * 1000) / 10;
+    count.textContent = `≈ ${formatTokenCount(fit.tokens)} / ${formatTokenCount(fit.contextWindow)} tokens (${percent}% of context)`;
+    warning.textContent = fit.fits
+      ? ''
+      : `⚠️ This prompt is about ${formatTokenCount(fit.tokens - fit.contextWindow)} tokens over the ${fit.model.label} context window.`;
+  }
+
+  function onModelChanged(e) {
+    if (!e.detail || !e.detail.modelId || e.detail.modelId === select.value) return;
+    select.value = e.detail.modelId;
+    update();
+  }
+
+  select.onchange = () => {
+    setSelectedModelId(select.value);
+    update();
+    window.dispatchEvent(new CustomEvent('tokenModelChanged', { detail: { modelId: select.value } }));
+  };
+  window.addEventListener('tokenModelChanged', onModelChanged);
+  update();
+
+  return {
+    update,
+    destroy: () => window.removeEventListener('tokenModelChanged', onModelChanged)
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * ui/variableEditor.js - Editor for a prompt's template variable declarations
+ * Shows one row per `{{variable}}` in the prompt content where its type, default,
+ * required flag, description and (for enums) options can be declared. Declarations whose
+ * placeholder is no longer in the content stay, flagged as unused, until they are removed.
+ */
+
+import { escapeHtml, validateEntity, coerceVariableValue, VARIABLE_TYPES } from '../util/dataValidator.js';
+import { resolveVariableDefinitions } from '../util/templateVars.js';
+import { debugLog } from '../util/debugLogger.js';
+
+const INPUT_STYLE = 'width:100%;padding:6px 8px;background:#261A40;border-radius:8px;color:#F3EFFF;border:none;font-size:14px;';
+const LABEL_STYLE = 'display:flex;flex-direction:column;gap:2px;color:#BFAEF5;font-size:12px;font-weight:600;';
+
+/**
+ * Build the HTML for one declaration row.
+ * @param {Object} def - Variable declaration.
+ * @param {Object} [options]
+ * @param {boolean} [options.unused=false] - The content no longer has this placeholder.
+ * @returns {string} HTML string.
+ */
+function renderRow(def, { unused = false } = {}) {
+  const name = escapeHtml(def.name);
+  const defaultValue = def.default === undefined || def.default === null ? '' : String(def.default);
+  return `
+    <fieldset class="variable-row" data-variable-row="${name}" style="border:1px solid #3a2a5c;border-radius:8px;padding:8px;margin:0 0 8px 0;display:grid;grid-template-columns:1fr 1fr;gap:6px;">
+      <legend style="color:#E0D0FF;font-weight:600;padding:0 4px;">{{${name}}}</legend>
+      ${unused ? `
+        <div class="variable-row-unused" style="grid-column:1 / -1;display:flex;align-items:center;justify-content:space-between;gap:8px;color:#FFD98A;font-size:12px;">
+          ⚠️ Not used in the content; still saved with the prompt.
+          <button type="button" class="secondary variable-remove">Remove</button>
+        </div>
+      ` : ''}
+      <label style="${LABEL_STYLE}">Type
+        <select data-field="type" style="${INPUT_STYLE}">
+          ${VARIABLE_TYPES.map(type => `<option value="${type}"${type === def.type ? ' selected' : ''}>${type}</option>`).join('')}
+        </select>
+      </label>
+      <label style="${LABEL_STYLE}">Default
+        <input type="text" data-field="default" value="${escapeHtml(defaultValue)}" placeholder="${def.type === 'boolean' ? 'true / false' : '(none)'}" style="${INPUT_STYLE}" />
+      </label>
+      <label style="${LABEL_STYLE}grid-column:1 / -1;">Description
+        <input type="text" data-field="description" value="${escapeHtml(def.description || '')}" maxlength="500" placeholder="What should go here?" style="${INPUT_STYLE}" />
+      </label>
+      <label class="variable-options" style="${LABEL_STYLE}grid-column:1 / -1;${def.type === 'enum' ? '' : 'display:none;'}">Options (comma separated)
+        <input type="text" data-field="options" value="${escapeHtml((def.options || []).join(', '))}" style="${INPUT_STYLE}" />
+      </label>
+      <label style="${LABEL_STYLE}flex-direction:row;align-items:center;gap:6px;">
+        <input type="checkbox" data-field="required"${def.required ? ' checked' : ''} /> Required
+      </label>
+      <div class="variable-row-error" style="grid-column:1 / -1;color:#ffb3b3;font-size:12px;"></div>
+    </fieldset>
+  `;
+}
+
+/**
+ * Read a declaration back from its row.
+ * @param {HTMLElement} row - The row element.
+ * @returns {Object} Variable declaration.
+ */
+function readRow(row) {
+  const field = name => row.querySelector(`[data-field="${name}"]`);
+  const def = {
+    name: row.getAttribute('data-variable-row'),
+    type: field('type').value,
+    required: field('required').checked,
+    description: field('description').value.trim()
+  };
+  if (def.type === 'enum') {
+    def.options = field('options').value.split(',').map(opt => opt.trim()).filter(Boolean);
+  }
+  const rawDefault = field('default').value.trim();
+  if (rawDefault !== '') def.default = coerceVariableValue(rawDefault, def);
+  return def;
+}
+
+// A declaration with nothing filled in beyond what an undeclared placeholder gets
+function isBlank(def) {
+  return def.type === 'text' && !def.required && !def.description && def.default === undefined;
+}
+
+/**
+ * Render the variable declaration editor and keep it in sync with the prompt content.
+ * @param {HTMLElement} container - Element to render into.
+ * @param {HTMLTextAreaElement} contentField - The prompt content textarea.
+ * @param {Object[]} [declarations=[]] - Existing declarations (`prompt.variables`).
+ * @returns {{getDefinitions: Function, validate: Function}|null} Editor controller.
+ */
+export function renderVariableEditor(container, contentField, declarations = []) {
+  if (!container || !contentField) return null;
+  // Declarations by name, kept while a placeholder is temporarily removed from the text
+  const known = new Map((Array.isArray(declarations) ? declarations : []).map(def => [def.name, def]));
+  // Saved ones, which stay (flagged as unused) when their placeholder is removed, like any that
+  // were filled in here; a placeholder only passed through while typing leaves no row behind
+  const saved = new Set(known.keys());
+
+  function collect() {
+    container.querySelectorAll('[data-variable-row]').forEach(row => {
+      const def = readRow(row);
+      known.set(def.name, def);
+    });
+  }
+
+  function render() {
+    collect();
+    const resolved = resolveVariableDefinitions(contentField.value, Array.from(known.values()), { keepUnused: true });
+    const definitions = resolved.filter(def => !def.unused);
+    const unused = resolved.filter(def => def.unused && (saved.has(def.name) || !isBlank(def)));
+    debugLog('[variableEditor] Rendering declarations:', definitions, 'unused:', unused);
+    container.innerHTML = definitions.length || unused.length ? `
+      <div class="variable-editor" style="margin-bottom:0.5em;">
+        <h3 style="font-size:15px;font-weight:600;color:#E0D0FF;margin:0.5em 0;">Template variables</h3>
+        ${definitions.map(def => renderRow(def)).join('')}
+        ${unused.map(def => renderRow(def, { unused: true })).join('')}
+      </div>
+    ` : '';
+    container.querySelectorAll('[data-field="type"]').forEach(select => {
+      select.addEventListener('change', () => {
+        const options = select.closest('[data-variable-row]').querySelector('.variable-options');
+        options.style.display = select.value === 'enum' ? '' : 'none';
+      });
+    });
+  }
+
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('.variable-remove');
+    if (!button) return;
+    const row = button.closest('[data-variable-row]');
+    const name = row.getAttribute('data-variable-row');
+    row.remove();
+    known.delete(name);
+    saved.delete(name);
+    render();
+    // Let the lint panel drop its unused-variable warning
+    contentField.dispatchEvent(new Event('input', { bubbles: true }));
+  });
+
+  let renderTimer = null;
+  contentField.addEventListener('input', () => {
+    clearTimeout(renderTimer);
+    renderTimer = setTimeout(render, 300);
+  });
+  render();
+
+  return {
+    /** @returns {Object[]} Declarations for the variables in the content, then the unused ones kept. */
+    getDefinitions: () => Array.from(container.querySelectorAll('[data-variable-row]')).map(readRow),
+    /** Validate all declarations and show errors inline. @returns {{isValid: boolean, errors: string[]}} */
+    validate: () => {
+      const errors = [];
+      container.querySelectorAll('[data-variable-row]').forEach(row => {
+        const result = validateEntity(readRow(row), 'variable');
+        const messages = result.errors.map(err => err.message);
+        row.querySelector('.variable-row-error').textContent = messages.join(' ');
+        messages.forEach(message => errors.push(`${row.getAttribute('data-variable-row')}: ${message}`));
+      });
+      return { isValid: errors.length === 0, errors };
+    }
+  };
+}
@@ -0,0 +1,320 @@
+/**
+ * js/util/batchRunner.js
+ * Batch runs: parse a dataset (CSV or JSONL) whose columns are named after a prompt's
+ * `{{placeholders}}`, prepare one run per row and work through them with a concurrency limit,
+ * pause/resume and retries. Running a row is up to the caller (see ui/batchRunView.js), so the
+ * queue works with any provider, including the offline mock.
+ */
+
+import { extractVariables, fillTemplate, getMissingVariables, resolveVariableDefinitions, getDefaultValues } from './templateVars.js';
+import { validateTemplateValues } from './dataValidator.js';
+
+export const MAX_BATCH_ROWS = 1000;
+
+/**
+ * Parses CSV (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes). The first row is the header.
+ * @param {string} text - CSV text.
+ * @returns {{columns: string[], rows: Object<string, string>[], errors: string[]}} Rows keyed by column; blank lines are skipped.
+ */
+export function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const source = String(text || '').replace(/^﻿/, '');
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  const errors = quoted ? ['Unterminated quoted field at the end of the file.'] : [];
+  const nonBlank = records.filter(r => r.some(value => value.trim() !== ''));
+  if (!nonBlank.length) return { columns: [], rows: [], errors: errors.concat('The file has no header row.') };
+  const columns = nonBlank[0].map(name => name.trim());
+  const rows = nonBlank.slice(1).map((values, index) => {
+    if (values.length !== columns.length) {
+      errors.push(`Row ${index + 1} has ${values.length} fields; the header has ${columns.length}.`);
+    }
+    const row = {};
+    columns.forEach((name, col) => { row[name] = values[col] ?? ''; });
+    return row;
+  });
+  return { columns, rows, errors };
+}
+
+/**
+ * Parses JSON Lines (one object per line) or a JSON array of objects.
+ * Non-string values are kept as text (objects and arrays as JSON).
+ * @param {string} text - JSONL or JSON text.
+ * @returns {{columns: string[], rows: Object<string, string>[], errors: string[]}} Columns in first-seen order.
+ */
+export function parseJSONL(text) {
+  const source = String(text || '').trim();
+  const errors = [];
+  let objects = [];
+  if (source.startsWith('[')) {
+    try {
+      objects = JSON.parse(source);
+    } catch (err) {
+      return { columns: [], rows: [], errors: [`Invalid JSON: ${err.message}`] };
+    }
+  } else {
+    source.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        objects.push(JSON.parse(line));
+      } catch (err) {
+        errors.push(`Line ${index + 1} is not valid JSON.`);
+      }
+    });
+  }
+  const columns = [];
+  const rows = [];
+  objects.forEach((object, index) => {
+    if (!object || typeof object !== 'object' || Array.isArray(object)) {
+      errors.push(`Record ${index + 1} is not an object.`);
+      return;
+    }
+    const row = {};
+    Object.entries(object).forEach(([key, value]) => {
+      if (!columns.includes(key)) columns.push(key);
+      row[key] = value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    });
+    rows.push(row);
+  });
+  // Same keys, in column order, on every row
+  const filled = rows.map(row => Object.fromEntries(columns.map(name => [name, name in row ? row[name] : ''])));
+  return { columns, rows: filled, errors };
+}
+
+/**
+ * Parses a dataset file, choosing the format from the file name or, failing that, the content.
+ * @param {string} text - File content.
+ * @param {string} [fileName=''] - File name.
+ * @returns {{columns: string[], rows: Object<string, string>[], errors: string[]}} See parseCSV().
+ */
+export function parseDataset(text, fileName = '') {
+  const extension = String(fileName).toLowerCase().split('.').pop();
+  const looksJson = /^\s*[[{]/.test(String(text || ''));
+  const parsed = ['jsonl', 'ndjson', 'json'].includes(extension) || (extension !== 'csv' && looksJson)
+    ? parseJSONL(text)
+    : parseCSV(text);
+  if (parsed.rows.length > MAX_BATCH_ROWS) {
+    parsed.errors.push(`Only the first ${MAX_BATCH_ROWS} of ${parsed.rows.length} rows will be used.`);
+    parsed.rows = parsed.rows.slice(0, MAX_BATCH_ROWS);
+  }
+  return parsed;
+}
+
+/**
+ * Compares dataset columns with the placeholders of a prompt template.
+ * @param {string} text - The prompt template.
+ * @param {string[]} columns - Dataset columns.
+ * @returns {{placeholders: string[], matched: string[], missing: string[], unused: string[]}}
+ *   `missing` placeholders have no column (their declared default is used, if any); `unused` columns are ignored.
+ */
+export function matchDatasetColumns(text, columns) {
+  const placeholders = extractVariables(text);
+  return {
+    placeholders,
+    matched: placeholders.filter(name => columns.includes(name)),
+    missing: placeholders.filter(name => !columns.includes(name)),
+    unused: columns.filter(name => !placeholders.includes(name))
+  };
+}
+
+/**
+ * Turns dataset rows into batch items with the filled-in prompt of each row.
+ * Empty cells fall back to the variable's declared default. Rows that leave a placeholder
+ * unfilled or fail their variable declarations are marked 'skipped' with the reason.
+ * @param {string} text - The prompt template.
+ * @param {Object[]} definitions - The prompt's variable declarations.
+ * @param {Object<string, string>[]} rows - Dataset rows.
+ * @returns {Array<{index: number, values: Object, prompt: string, status: string, error: string|null}>} One item per row.
+ */
+export function prepareBatchItems(text, definitions, rows) {
+  const declared = resolveVariableDefinitions(text, definitions);
+  const defaults = getDefaultValues(declared);
+  return rows.map((row, index) => {
+    const values = { ...defaults };
+    Object.entries(row).forEach(([key, value]) => {
+      // Blank cells count as empty, as in getMissingVariables(), so the default applies
+      if (String(value).trim() !== '') values[key] = value;
+    });
+    const missing = getMissingVariables(text, values);
+    const validation = validateTemplateValues(values, declared);
+    let error = null;
+    if (missing.length) {
+      error = `Missing ${missing.join(', ')}`;
+    } else if (!validation.isValid) {
+      error = validation.errors.map(err => `${err.field}: ${err.message}`).join('; ');
+    }
+    return { index, values: row, prompt: fillTemplate(text, values), status: error ? 'skipped' : 'pending', error };
+  });
+}
+
+// Cells starting with these could run as formulas when the CSV is opened in a spreadsheet
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Serializes rows to CSV (RFC 4180), quoting where needed and neutralizing spreadsheet formulas.
+ * @param {string[]} columns - Column names, in order.
+ * @param {Object[]} rows - Rows keyed by column.
+ * @returns {string} CSV text with a header row and CRLF line endings.
+ */
+export function toCSV(columns, rows) {
+  const cell = value => {
+    let text = value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map(row => columns.map(name => row[name]))]
+    .map(values => values.map(cell).join(','))
+    .join('\r\n');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a queue that runs batch items with a worker.
+ * Items move from 'pending' to 'running' to 'done' or 'failed'; 'skipped' items are never run.
+ * A failing item is retried automatically (after a short, growing delay) up to `retries` times.
+ * @param {Object[]} items - Items from prepareBatchItems() (updated in place).
+ * @param {Function} worker - `(item, {signal}) => Promise<{output: string, result?: Object}>`.
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=2] - Items run at the same time.
+ * @param {number} [options.retries=1] - Automatic retries per item.
+ * @param {number} [options.retryDelayMs=1000] - Delay before the first retry; doubles each time.
+ * @param {Function} [options.onUpdate] - Called with the item whenever an item changes.
+ * @returns {{start: Function, pause: Function, resume: Function, retryFailed: Function, abort: Function, stats: Function, whenIdle: Function}}
+ */
+export function createBatchQueue(items, worker, options = {}) {
+  const { retries = 1, retryDelayMs = 1000, onUpdate = () => {} } = options;
+  const concurrency = Math.max(1, Math.floor(options.concurrency || 2));
+  const controllers = new Map();
+  let running = 0;
+  let paused = true;
+  let aborted = false;
+  let idleWaiters = [];
+
+  function settleIdle() {
+    if (running === 0 && (paused || aborted || !items.some(i => i.status === 'pending'))) {
+      idleWaiters.forEach(resolve => resolve());
+      idleWaiters = [];
+    }
+  }
+
+  async function launch(item) {
+    running++;
+    item.status = 'running';
+    item.attempts = (item.attempts || 0) + 1;
+    item.error = null;
+    const controller = new AbortController();
+    controllers.set(item.index, controller);
+    onUpdate(item);
+    try {
+      const outcome = await worker(item, { signal: controller.signal });
+      item.status = 'done';
+      item.output = outcome && outcome.output !== undefined ? outcome.output : '';
+      item.result = outcome && outcome.result ? outcome.result : null;
+    } catch (err) {
+      item.error = err && err.message ? err.message : String(err);
+      if (aborted || (err && err.name === 'AbortError')) {
+        item.status = 'pending';
+        item.attempts--;
+      } else if (item.attempts <= retries) {
+        onUpdate(item);
+        await sleep(retryDelayMs * Math.pow(2, item.attempts - 1));
+        item.status = 'pending';
+      } else {
+        item.status = 'failed';
+      }
+    }
+    controllers.delete(item.index);
+    running--;
+    onUpdate(item);
+    pump();
+  }
+
+  function pump() {
+    while (!paused && !aborted && running < concurrency) {
+      const next = items.find(i => i.status === 'pending');
+      if (!next) break;
+      launch(next);
+    }
+    settleIdle();
+  }
+
+  return {
+    /** Start (or continue) running pending items. */
+    start() {
+      paused = false;
+      pump();
+    },
+    /** Stop starting new items; running ones finish. */
+    pause() {
+      paused = true;
+      settleIdle();
+    },
+    /** Same as start(); reads better next to pause(). */
+    resume() {
+      paused = false;
+      pump();
+    },
+    /** Queue failed items again with a fresh retry budget. */
+    retryFailed() {
+      items.forEach(item => {
+        if (item.status === 'failed') {
+          item.status = 'pending';
+          item.attempts = 0;
+        }
+      });
+      pump();
+    },
+    /** Cancel running items (they go back to pending) and stop the queue for good. */
+    abort() {
+      aborted = true;
+      controllers.forEach(controller => controller.abort());
+      settleIdle();
+    },
+    /** @returns {{total: number, pending: number, running: number, done: number, failed: number, skipped: number, paused: boolean, finished: boolean}} */
+    stats() {
+      const count = status => items.filter(i => i.status === status).length;
+      const stats = { total: items.length, pending: count('pending'), running: count('running'), done: count('done'), failed: count('failed'), skipped: count('skipped'), paused };
+      stats.finished = stats.pending === 0 && stats.running === 0;
+      return stats;
+    },
+    /** @returns {Promise<void>} Resolves once nothing is running and nothing more will start (finished, paused or aborted). */
+    whenIdle() {
+      return new Promise(resolve => {
+        idleWaiters.push(resolve);
+        settleIdle();
+      });
+    }
+  };
+}
@@ -1,43 +1,35 @@
 // categoryTagApi.js
 // Atomic audit fix: Modularize and deduplicate category/tag CRUD logic.
 // Provides: addCategory, addTag, fetchCategories, fetchTags
+// Requests go through the shared API client (api/client.js), which checks the response shape.
 
-export async function fetchCategories() {
-  const res = await fetch('/api/categories.php');
-  if (!res.ok) throw new Error('Failed to fetch categories');
-  const data = await res.json();
-  if (!data.ok || !Array.isArray(data.categories)) throw new Error(data.error || 'Invalid categories response');
-  return data.categories;
-}
+import { apiRequest } from '../api/client.js';
 
-export async function fetchTags() {
-  const res = await fetch('/api/tags.php');
-  if (!res.ok) throw new Error('Failed to fetch tags');
-  const data = await res.json();
-  if (!data.ok || !Array.isArray(data.tags)) throw new Error(data.error || 'Invalid tags response');
-  return data.tags;
-}
+export { fetchCategories } from '../api/categories.js';
+export { fetchTags } from '../api/tags.js';
 
 export async function addCategory(name) {
-  const res = await fetch('/api/categories.php', {
+  const data = await apiRequest('/api/categories.php', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ name })
+    body: { name },
+    expect: 'single',
+    entity: 'category',
+    label: 'addCategory',
+    failMessage: 'Failed to add category'
   });
-  const data = await res.json();
-  if (!data.ok || !data.category) throw new Error(data.error || 'Failed to add category');
   return data.category;
 }
 
 export async function addTag(name) {
-  const res = await fetch('/api/tags.php', {
+  const data = await apiRequest('/api/tags.php', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ name })
+    body: { name },
+    expect: 'single',
+    entity: 'tag',
+    label: 'addTag',
+    failMessage: 'Failed to add tag'
   });
-  const data = await res.json();
-  if (!data.ok || !data.tag) throw new Error(data.error || 'Failed to add tag');
   return data.tag;
 }
 
-// Optionally, add deleteCategory, deleteTag, updateCategory, updateTag, etc. as needed.
\ No newline at end of file
+// Optionally, add deleteCategory, deleteTag, updateCategory, updateTag, etc. as needed.
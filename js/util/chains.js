@@ -0,0 +1,91 @@
+/**
+ * js/util/chains.js
+ * Helpers for prompt chains: ordered steps where the output of step N is bound
+ * to a variable (`input_variable`) of the prompt in step N+1.
+ */
+
+import { extractVariables, getPromptText } from './templateVars.js';
+
+/**
+ * Lists the unique prompt IDs a chain depends on, in step order.
+ * @param {Object} chain - The chain.
+ * @returns {string[]} Prompt IDs.
+ */
+export function getChainPromptIds(chain) {
+  const ids = [];
+  (chain && Array.isArray(chain.steps) ? chain.steps : []).forEach(step => {
+    if (step && step.prompt_id && !ids.includes(step.prompt_id)) ids.push(step.prompt_id);
+  });
+  return ids;
+}
+
+/**
+ * Resolves a chain's steps against the known prompts.
+ * @param {Object} chain - The chain.
+ * @param {Object[]} prompts - All known prompts.
+ * @returns {Array<{index: number, step: Object, prompt: Object|null}>} One entry per step.
+ */
+export function getChainSteps(chain, prompts = []) {
+  return (chain && Array.isArray(chain.steps) ? chain.steps : []).map((step, index) => ({
+    index,
+    step,
+    prompt: prompts.find(p => String(p.id) === String(step.prompt_id)) || null
+  }));
+}
+
+/**
+ * Checks a chain's steps and bindings against the known prompts.
+ * @param {Object} chain - The chain.
+ * @param {Object[]} prompts - All known prompts.
+ * @returns {string[]} Human-readable warnings (empty if the chain is consistent).
+ */
+export function getChainWarnings(chain, prompts = []) {
+  const warnings = [];
+  getChainSteps(chain, prompts).forEach(({ index, step, prompt }) => {
+    const n = index + 1;
+    if (!prompt) {
+      warnings.push(`Step ${n}: prompt "${step.prompt_id}" does not exist.`);
+      return;
+    }
+    if (index === 0) return;
+    if (!step.input_variable) {
+      warnings.push(`Step ${n}: the output of step ${n - 1} is not bound to a variable.`);
+    } else if (!extractVariables(getPromptText(prompt)).includes(step.input_variable)) {
+      warnings.push(`Step ${n}: "${prompt.title || prompt.id}" has no {{${step.input_variable}}} variable.`);
+    }
+  });
+  return warnings;
+}
+
+/**
+ * Filters chains the same way the prompt list is filtered.
+ * @param {Object[]} chains - All chains.
+ * @param {Object} [filters]
+ * @param {string} [filters.category] - Category ID.
+ * @param {string} [filters.tag] - Tag ID.
+ * @param {string} [filters.search] - Case-insensitive text matched against title and description.
+ * @param {string} [filters.promptId] - Only chains that use this prompt.
+ * @returns {Object[]} Matching chains.
+ */
+export function filterChains(chains, filters = {}) {
+  const search = (filters.search || '').trim().toLowerCase();
+  return (chains || []).filter(chain => {
+    if (filters.category && chain.category !== filters.category) return false;
+    if (filters.tag && !(Array.isArray(chain.tags) && chain.tags.includes(filters.tag))) return false;
+    if (filters.promptId && !getChainPromptIds(chain).includes(filters.promptId)) return false;
+    if (search && !`${chain.title || ''} ${chain.description || ''}`.toLowerCase().includes(search)) return false;
+    return true;
+  });
+}
+
+/**
+ * Builds the template values for a step: the previous step's output is bound to the step's input variable.
+ * @param {Object} step - The chain step.
+ * @param {string} previousOutput - Output of the previous step.
+ * @param {Object} [values={}] - Other values for the step's variables.
+ * @returns {Object} Values for the step's prompt template.
+ */
+export function buildStepValues(step, previousOutput, values = {}) {
+  if (!step || !step.input_variable || previousOutput === undefined || previousOutput === null) return { ...values };
+  return { ...values, [step.input_variable]: previousOutput };
+}
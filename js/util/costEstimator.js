@@ -0,0 +1,142 @@
+/**
+ * js/util/costEstimator.js
+ * Per-call cost estimates from a local pricing table.
+ * Defaults come from config.js (MODEL_PRICING); edits made in the UI are stored in localStorage
+ * and merged over the defaults. Nothing is fetched from the network.
+ */
+
+import { MODEL_PRICING, DEFAULT_OUTPUT_TOKENS } from '../config.js';
+import { estimateTokens, getModel, getSelectedModelId } from './tokenEstimator.js';
+import { getPromptText } from './templateVars.js';
+
+const PRICING_STORAGE_KEY = 'modelPricing';
+
+/**
+ * Validates a pricing table.
+ * @param {Object<string, {input: number, output: number}>} table - Prices in USD per 1M tokens, keyed by model ID.
+ * @returns {string[]} Errors (empty if valid).
+ */
+export function validatePricingTable(table) {
+  const errors = [];
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    return ['Pricing table must be an object keyed by model ID.'];
+  }
+  Object.entries(table).forEach(([modelId, price]) => {
+    if (!price || typeof price !== 'object') {
+      errors.push(`${modelId}: price must be an object with input and output.`);
+      return;
+    }
+    ['input', 'output'].forEach(field => {
+      const value = price[field];
+      if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+        errors.push(`${modelId}: ${field} price must be a non-negative number.`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Returns the pricing table in effect: config defaults with local overrides applied.
+ * @returns {Object<string, {input: number, output: number}>} Prices in USD per 1M tokens.
+ */
+export function getPricingTable() {
+  const table = {};
+  Object.entries(MODEL_PRICING).forEach(([id, price]) => { table[id] = { ...price }; });
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRICING_STORAGE_KEY) || 'null');
+    if (stored && validatePricingTable(stored).length === 0) {
+      Object.entries(stored).forEach(([id, price]) => { table[id] = { input: price.input, output: price.output }; });
+    }
+  } catch (_) {
+    // Unreadable override; fall back to the defaults
+  }
+  return table;
+}
+
+/**
+ * Stores local price overrides.
+ * @param {Object<string, {input: number, output: number}>} table - Prices in USD per 1M tokens.
+ * @returns {{ok: boolean, errors: string[]}} Result.
+ */
+export function savePricingTable(table) {
+  const errors = validatePricingTable(table);
+  if (errors.length) return { ok: false, errors };
+  try {
+    localStorage.setItem(PRICING_STORAGE_KEY, JSON.stringify(table));
+  } catch (err) {
+    return { ok: false, errors: ['Could not save pricing (storage unavailable).'] };
+  }
+  return { ok: true, errors: [] };
+}
+
+/**
+ * Removes local price overrides, restoring the config defaults.
+ */
+export function resetPricingTable() {
+  try {
+    localStorage.removeItem(PRICING_STORAGE_KEY);
+  } catch (_) {
+    // Nothing to reset
+  }
+}
+
+/**
+ * Estimates the cost of one call.
+ * @param {string} text - The prompt text sent to the model.
+ * @param {string} [modelId] - Model ID (defaults to the selected model).
+ * @param {Object} [options]
+ * @param {number} [options.outputTokens] - Expected completion tokens (defaults to DEFAULT_OUTPUT_TOKENS).
+ * @param {Object} [options.pricing] - Pricing table (defaults to getPricingTable()).
+ * @returns {{model: Object, inputTokens: number, outputTokens: number, inputCost: number, outputCost: number, total: number, priced: boolean}}
+ *   Costs in USD; `priced` is false when the table has no entry for the model.
+ */
+export function estimateCost(text, modelId = getSelectedModelId(), options = {}) {
+  const model = getModel(modelId);
+  const pricing = options.pricing || getPricingTable();
+  const price = pricing[model.id];
+  const inputTokens = estimateTokens(text, model.family);
+  const outputTokens = Math.max(0, Number(options.outputTokens ?? DEFAULT_OUTPUT_TOKENS) || 0);
+  const inputCost = price ? (inputTokens / 1000000) * price.input : 0;
+  const outputCost = price ? (outputTokens / 1000000) * price.output : 0;
+  return { model, inputTokens, outputTokens, inputCost, outputCost, total: inputCost + outputCost, priced: !!price };
+}
+
+/**
+ * Rolls up per-call costs for a set of prompts (one call each).
+ * @param {Object[]} prompts - The prompts.
+ * @param {string} [modelId] - Model ID (defaults to the selected model).
+ * @param {Object} [options] - Same options as estimateCost().
+ * @returns {{count: number, inputTokens: number, outputTokens: number, inputCost: number, outputCost: number, total: number, priced: boolean, items: Array<{prompt: Object, cost: Object}>}}
+ */
+export function estimateBulkCost(prompts, modelId = getSelectedModelId(), options = {}) {
+  const pricing = options.pricing || getPricingTable();
+  const items = (prompts || []).map(prompt => ({
+    prompt,
+    cost: estimateCost(getPromptText(prompt), modelId, { ...options, pricing })
+  }));
+  const sum = field => items.reduce((acc, item) => acc + item.cost[field], 0);
+  return {
+    count: items.length,
+    inputTokens: sum('inputTokens'),
+    outputTokens: sum('outputTokens'),
+    inputCost: sum('inputCost'),
+    outputCost: sum('outputCost'),
+    total: sum('total'),
+    priced: items.every(item => item.cost.priced),
+    items
+  };
+}
+
+/**
+ * Formats a USD amount, keeping precision for fractions of a cent.
+ * @param {number} amount - Amount in USD.
+ * @returns {string} e.g. "$1.25", "$0.0042".
+ */
+export function formatCost(amount) {
+  if (!isFinite(amount)) return '—';
+  if (amount === 0) return '$0.00';
+  if (amount < 0.0001) return '<$0.0001';
+  if (amount < 0.01) return `$${amount.toPrecision(2)}`;
+  return `$${amount.toFixed(2)}`;
+}
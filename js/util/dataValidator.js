@@ -53,6 +53,10 @@ export class ValidationError extends Error {
   }
 }
 
+// --- Template Variable Types ---
+// Types a prompt template variable can declare (see SCHEMAS.variable).
+export const VARIABLE_TYPES = ['text', 'multiline', 'number', 'enum', 'boolean'];
+
 // --- Entity Schemas ---
 // Schemas define the expected structure and validation rules for data entities.
 // Based on db_parts/config.php but adapted for client-side validation needs.
@@ -68,7 +72,33 @@ const SCHEMAS = {
     user_id: { type: 'string', required: false, pattern: /^[a-zA-Z0-9_@.-]+$/, maxLength: 60, label: 'User ID' }, // Usually set by backend
     created_at: { type: 'string', format: 'iso8601', label: 'Creation Date' },
     updated_at: { type: 'string', format: 'iso8601', label: 'Update Date' },
-    schemaVersion: { type: 'string', pattern: /^\d+\.\d+$/, label: 'Schema Version' }
+    schemaVersion: { type: 'string', pattern: /^\d+\.\d+$/, label: 'Schema Version' },
+    version: { type: 'number', min: 1, label: 'Version' }, // Bumped by the server on every save; sent back as If-Match
+    variables: { type: 'array', items: { type: 'object' }, label: 'Variables' }, // Each item is validated against SCHEMAS.variable
+    assertions: { type: 'array', items: { type: 'object' }, label: 'Assertions' } // See util/resultAssertions.js validateAssertions()
+  },
+  variable: {
+    name: { type: 'string', required: true, pattern: /^[a-zA-Z_][\w.-]*$/, maxLength: 60, label: 'Variable Name' },
+    type: { type: 'string', required: true, enum: VARIABLE_TYPES, label: 'Variable Type' },
+    required: { type: 'boolean', label: 'Required' },
+    description: { type: 'string', maxLength: 500, label: 'Variable Description' },
+    options: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 200 }, label: 'Options' } // Required for 'enum' variables
+    // 'default' is checked against the declared type in validateEntity
+  },
+  chain: {
+    id: { type: 'string', required: true, pattern: /^[a-zA-Z0-9_.-]+$/, maxLength: 40, label: 'Chain ID' },
+    title: { type: 'string', required: true, minLength: 1, maxLength: 255, label: 'Title' },
+    description: { type: 'string', maxLength: 5000, label: 'Description' },
+    category: { type: 'string', pattern: /^[a-zA-Z0-9_.-]+$/, label: 'Category ID' },
+    tags: { type: 'array', items: { type: 'string', pattern: /^[a-zA-Z0-9_.-]+$/, maxLength: 50 }, label: 'Tags' },
+    steps: { type: 'array', required: true, items: { type: 'object' }, label: 'Steps' }, // Each item is validated against SCHEMAS.chainStep
+    author: { type: 'string', maxLength: 100, label: 'Author' },
+    created_at: { type: 'string', format: 'iso8601', label: 'Creation Date' },
+    updated_at: { type: 'string', format: 'iso8601', label: 'Update Date' }
+  },
+  chainStep: {
+    prompt_id: { type: 'string', required: true, pattern: /^[a-zA-Z0-9_.-]+$/, label: 'Step Prompt' }, // Should exist in prompts
+    input_variable: { type: 'string', pattern: /^[a-zA-Z_][\w.-]*$/, maxLength: 60, label: 'Input Variable' } // Receives the previous step's output
   },
   category: {
     id: { type: 'string', required: true, pattern: /^[a-zA-Z0-9_.-]+$/, maxLength: 40, label: 'Category ID' },
@@ -96,6 +126,14 @@ const SCHEMAS = {
     prompt_id: { type: 'string', required: true, pattern: /^[a-zA-Z0-9_.-]+$/, label: 'Prompt ID' }, // Should exist in prompts
     output: { type: 'string', required: true, minLength: 1, maxLength: 20000, label: 'Output Text' }, // 'output' field as per schema
     score: { type: 'number', min: 0, max: 100, label: 'Score' },
+    model: { type: 'string', maxLength: 100, label: 'Model' },
+    model_version: { type: 'string', maxLength: 100, label: 'Model Version' },
+    parameters: { type: 'object', label: 'Generation Parameters' }, // { temperature, top_p, max_tokens }
+    run_at: { type: 'string', format: 'iso8601', label: 'Run Date' },
+    latency_ms: { type: 'number', min: 0, label: 'Latency (ms)' },
+    usage: { type: 'object', label: 'Token Usage' }, // { input_tokens, output_tokens }
+    assertion_results: { type: 'array', items: { type: 'object' }, label: 'Assertion Results' }, // [{ assertion_id, type, passed, message }]
+    input: { type: 'object', label: 'Input Row' }, // { batch_id, row, values } for batch run results
     user_id: { type: 'string', required: false, pattern: /^[a-zA-Z0-9_@.-]+$/, maxLength: 60, label: 'User ID' },
     created_at: { type: 'string', format: 'iso8601', label: 'Creation Date' },
     updated_at: { type: 'string', format: 'iso8601', label: 'Update Date' }
@@ -152,6 +190,9 @@ function validateValue(value, rule, fieldName) {
     if (rule.pattern && !rule.pattern.test(value)) { // Check original value for pattern
       return { isValid: false, message: `${label} has an invalid format.` };
     }
+    if (rule.enum && !rule.enum.includes(value)) {
+      return { isValid: false, message: `${label} must be one of: ${rule.enum.join(', ')}.` };
+    }
     if (rule.format === 'iso8601') {
       const iso8601Pattern = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/;
       if (!iso8601Pattern.test(value)) {
@@ -227,6 +268,57 @@ export function validateEntity(entity, entityType, datasets = {}) {
           }
         });
       }
+      if (fieldName === 'variables' && entityType === 'prompt' && Array.isArray(value)) {
+        const seenNames = new Set();
+        value.forEach((definition, index) => {
+          const definitionValidation = validateEntity(definition, 'variable');
+          definitionValidation.errors.forEach(err => {
+            errors.push({ field: `variables[${index}].${err.field}`, message: err.message, value: err.value });
+          });
+          if (definition && seenNames.has(definition.name)) {
+            errors.push({ field: `variables[${index}].name`, message: `Variable "${definition.name}" is declared more than once.`, value: definition.name });
+          }
+          if (definition) seenNames.add(definition.name);
+        });
+      }
+      if (fieldName === 'steps' && entityType === 'chain' && Array.isArray(value)) {
+        if (value.length === 0) {
+          errors.push({ field: fieldName, message: 'A chain needs at least one step.', value });
+        }
+        value.forEach((step, index) => {
+          validateEntity(step || {}, 'chainStep', datasets).errors.forEach(err => {
+            errors.push({ field: `steps[${index}].${err.field}`, message: `Step ${index + 1}: ${err.message}`, value: err.value });
+          });
+        });
+      }
+      if (fieldName === 'prompt_id' && entityType === 'chainStep' && datasets.prompts) {
+        if (!datasets.prompts.some(p => p.id === value)) {
+          errors.push({ field: fieldName, message: `Prompt ID "${value}" does not exist.`, value });
+        }
+      }
+      if ((fieldName === 'category' || fieldName === 'tags') && entityType === 'chain' && value !== '') {
+        if (fieldName === 'category' && datasets.categories && !datasets.categories.some(cat => cat.id === value)) {
+          errors.push({ field: fieldName, message: `Category ID "${value}" does not exist.`, value });
+        }
+        if (fieldName === 'tags' && Array.isArray(value) && datasets.tags) {
+          value.forEach(tagId => {
+            if (!datasets.tags.some(tag => tag.id === tagId)) {
+              errors.push({ field: fieldName, message: `Tag ID "${tagId}" does not exist.`, value: tagId });
+            }
+          });
+        }
+      }
+      if (fieldName === 'type' && entityType === 'variable') {
+        if (value === 'enum' && (!Array.isArray(entity.options) || entity.options.length === 0)) {
+          errors.push({ field: 'options', message: 'Enum variables must list at least one option.', value: entity.options });
+        }
+        if (entity.default !== undefined && entity.default !== null && entity.default !== '') {
+          const defaultValidation = validateValue(entity.default, getVariableRule({ ...entity, required: false }), 'default');
+          if (!defaultValidation.isValid) {
+            errors.push({ field: 'default', message: `Default value: ${defaultValidation.message}`, value: entity.default });
+          }
+        }
+      }
       if (fieldName === 'prompt_id' && (entityType === 'comment' || entityType === 'result') && datasets.prompts) {
          if (!datasets.prompts.some(p => p.id === value)) {
             errors.push({ field: fieldName, message: `Prompt ID "${value}" does not exist.`, value });
@@ -259,6 +351,72 @@ export function formatValidationErrors(errors, format = 'string') {
   return messages.join('\n');
 }
 
+// --- Template Variable Validation ---
+
+/**
+ * Builds the validation rule for a value of a declared template variable.
+ * @param {object} definition - Variable declaration ({ name, type, required, options, description }).
+ * @returns {object} A rule usable by validateValue.
+ */
+function getVariableRule(definition) {
+  const rule = { required: !!definition.required, label: definition.name || 'Variable' };
+  switch (definition.type) {
+    case 'number':
+      return { ...rule, type: 'number' };
+    case 'boolean':
+      return { ...rule, type: 'boolean', required: false }; // An unchecked box is still a valid answer
+    case 'enum':
+      return { ...rule, type: 'string', enum: Array.isArray(definition.options) ? definition.options : [] };
+    case 'multiline':
+    case 'text':
+    default:
+      return { ...rule, type: 'string', maxLength: 20000 };
+  }
+}
+
+/**
+ * Converts raw form input into the type a template variable declares.
+ * Empty input stays empty so required checks still apply.
+ * @param {*} value - Raw value (usually a string from a form control).
+ * @param {object} definition - Variable declaration.
+ * @returns {*} The coerced value.
+ */
+export function coerceVariableValue(value, definition) {
+  if (value === undefined || value === null) return value;
+  if (definition.type === 'boolean') {
+    return value === true || value === 'true' || value === 'on';
+  }
+  if (definition.type === 'number') {
+    if (typeof value === 'number') return value;
+    if (String(value).trim() === '') return '';
+    const parsed = Number(value);
+    return isNaN(parsed) ? value : parsed;
+  }
+  return value;
+}
+
+/**
+ * Validates the values entered for a prompt's template variables against their declarations.
+ * @param {object} values - Map of variable name to raw value.
+ * @param {object[]} definitions - Variable declarations (see SCHEMAS.variable).
+ * @returns {{isValid: boolean, errors: Array<{field: string, message: string, value: any}>, values: object}}
+ *   Validation result; `values` holds the type-coerced values.
+ */
+export function validateTemplateValues(values, definitions) {
+  const errors = [];
+  const coerced = {};
+  (definitions || []).forEach(definition => {
+    const supplied = values && Object.prototype.hasOwnProperty.call(values, definition.name);
+    const value = coerceVariableValue(supplied ? values[definition.name] : undefined, definition);
+    coerced[definition.name] = value;
+    const result = validateValue(value, getVariableRule(definition), definition.name);
+    if (!result.isValid) {
+      errors.push({ field: definition.name, message: result.message, value });
+    }
+  });
+  return { isValid: errors.length === 0, errors, values: coerced };
+}
+
 // --- Form Validation ---
 
 /**
@@ -380,9 +538,13 @@ export function validateForm(formElement, entityType, datasets = {}) {
  * @param {object} responseData - The data part of the API response.
  * @param {'list' | 'single' | 'status'} expectedType - The expected type of response.
  * @param {string} [entityType] - If 'list' or 'single', the type of entity expected (e.g., 'prompt').
+ * @param {object} [options]
+ * @param {boolean} [options.checkEntity=true] - Validate a 'single' entity against its schema. The API client
+ *   turns this off: it only checks the shape, and entity types without a schema (e.g. 'judgment') are accepted.
  * @returns {{isValid: boolean, errors: Array<{field: string, message: string}>}}
  */
-export function validateApiResponse(responseData, expectedType, entityType) {
+export function validateApiResponse(responseData, expectedType, entityType, options = {}) {
+  const { checkEntity = true } = options;
   const errors = [];
   if (typeof responseData !== 'object' || responseData === null) {
     errors.push({ field: 'response', message: 'Response data must be an object.' });
@@ -406,11 +568,11 @@ export function validateApiResponse(responseData, expectedType, entityType) {
   // If 'ok' is true, proceed with payload validation based on expectedType
   switch (expectedType) {
     case 'list':
-      if (!entityType || !SCHEMAS[entityType]) {
+      if (!entityType || (checkEntity && !SCHEMAS[entityType])) {
         errors.push({ field: '_schema', message: `Invalid entityType "${entityType}" for list validation.` });
         break;
       }
-      const listKey = `${entityType}s`; // e.g., 'prompts', 'categories'
+      const listKey = entityType.endsWith('y') ? `${entityType.slice(0, -1)}ies` : `${entityType}s`; // e.g., 'prompts', 'categories'
       if (!responseData.hasOwnProperty(listKey) || !Array.isArray(responseData[listKey])) {
         errors.push({ field: listKey, message: `Response missing or invalid "${listKey}" array.` });
       } else {
@@ -424,13 +586,13 @@ export function validateApiResponse(responseData, expectedType, entityType) {
       }
       break;
     case 'single':
-      if (!entityType || !SCHEMAS[entityType]) {
+      if (!entityType || (checkEntity && !SCHEMAS[entityType])) {
         errors.push({ field: '_schema', message: `Invalid entityType "${entityType}" for single entity validation.` });
         break;
       }
-      if (!responseData.hasOwnProperty(entityType) || typeof responseData[entityType] !== 'object') {
+      if (!responseData.hasOwnProperty(entityType) || typeof responseData[entityType] !== 'object' || responseData[entityType] === null) {
         errors.push({ field: entityType, message: `Response missing or invalid "${entityType}" object.` });
-      } else {
+      } else if (checkEntity) {
         const itemValidation = validateEntity(responseData[entityType], entityType);
         if (!itemValidation.isValid) {
           errors.push({ field: entityType, message: `Invalid ${entityType} data: ${formatValidationErrors(itemValidation.errors)}` });
@@ -0,0 +1,125 @@
+/**
+ * js/util/deltaSync.js
+ * Keeps the open page current by polling the list endpoints with `?since=` (api/fetchChanges)
+ * instead of downloading every list again. Each list remembers the `server_time` of its last
+ * answer and sends it as the next `since`.
+ *  - Prompts, categories and tags are merged into appState (applyChanges), which re-renders
+ *    whatever subscribes to it.
+ *  - Every list that changed is also announced with a `sync:changes` window event
+ *    ({list, records, deleted, full, source}) so views showing comments or results can refresh.
+ * Polling pauses while the page is hidden or offline; answers served from the offline cache are
+ * ignored so the `since` of a list only moves on with the server.
+ */
+
+import { fetchChanges, SYNC_LISTS } from '../api/sync.js';
+import { applyChanges } from '../state/appState.js';
+import { isOnline } from './offlineSync.js';
+import { DELTA_SYNC } from '../config.js';
+
+// Lists held in appState; the others are only announced
+const STATE_LISTS = ['prompts', 'categories', 'tags'];
+
+/**
+ * Applies the changes of one list: appState lists are merged, and every list is announced with
+ * a `sync:changes` event. Also used for pushed changes (util/liveUpdates.js) and changes another
+ * tab received (util/tabSync.js).
+ * @param {string} list - One of SYNC_LISTS.
+ * @param {Object} changes - { records, deleted, full }.
+ * @param {string} [source='server'] - Where the changes came from, passed on in the event: 'server',
+ *   'tab' (another tab) or 'local' (saved in this tab; util/tabSync.js passes them on to the others).
+ * @returns {boolean} Whether there was anything to apply.
+ */
+export function applyListChanges(list, { records = [], deleted = [], full = false } = {}, source = 'server') {
+  if (!full && !records.length && !deleted.length) return false;
+  if (STATE_LISTS.includes(list)) applyChanges(list, { records, deleted, full });
+  if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function') {
+    window.dispatchEvent(new CustomEvent('sync:changes', { detail: { list, records, deleted, full, source } }));
+  }
+  return true;
+}
+
+/**
+ * Creates a poller with its own `since` per list.
+ * @param {Object} [options]
+ * @param {string} [options.since] - Where every list starts (ISO 8601); defaults to
+ *   DELTA_SYNC.lookbackMs before now.
+ * @param {string[]} [options.lists] - Lists to poll (keys of SYNC_LISTS).
+ * @returns {{poll: Function, getSince: Function}} `poll(options)` fetches and applies the changes of
+ *   every list and resolves to the lists that changed; calls made while one runs share it.
+ */
+export function createDeltaSync({ since, lists = Object.keys(SYNC_LISTS) } = {}) {
+  const start = since || new Date(Date.now() - DELTA_SYNC.lookbackMs).toISOString();
+  const cursors = Object.fromEntries(lists.map(list => [list, start]));
+  let running = null;
+
+  async function pollLists(options) {
+    const changed = [];
+    for (const list of lists) {
+      let changes;
+      try {
+        changes = await fetchChanges(list, cursors[list], { retries: 0, ...options });
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        // One failing endpoint should not hold up the others; it is asked again next time
+        console.warn(`[deltaSync] Could not fetch ${list} changes:`, err.message || err);
+        continue;
+      }
+      if (changes.offline) continue;
+      if (changes.serverTime) cursors[list] = changes.serverTime;
+      if (applyListChanges(list, changes)) changed.push(list);
+    }
+    return changed;
+  }
+
+  function poll(options = {}) {
+    if (!running) {
+      running = pollLists(options).finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  return {
+    poll,
+    getSince: list => cursors[list]
+  };
+}
+
+/**
+ * Starts polling for changes every DELTA_SYNC.intervalMs, and right away when the page becomes
+ * visible again, the connection returns or queued offline changes have been sent.
+ * `setPaused(true)` skips polls, e.g. while live updates are connected or another tab polls.
+ * @param {Object} [options] - createDeltaSync() options, plus `intervalMs` and `paused` (start paused).
+ * @returns {{poll: Function, getSince: Function, setPaused: Function, stop: Function}}
+ */
+export function startDeltaSync({ intervalMs = DELTA_SYNC.intervalMs, paused: startPaused = false, ...options } = {}) {
+  const sync = createDeltaSync(options);
+  let paused = Boolean(startPaused);
+  const tick = () => {
+    if (paused || !isOnline() || document.visibilityState === 'hidden') return;
+    sync.poll().catch(err => console.warn('[deltaSync] Polling failed:', err));
+  };
+  const onVisibility = () => {
+    if (document.visibilityState === 'visible') tick();
+  };
+  const timer = setInterval(tick, intervalMs);
+  document.addEventListener('visibilitychange', onVisibility);
+  window.addEventListener('online', tick);
+  window.addEventListener('offline:replayed', tick);
+  return {
+    ...sync,
+    setPaused(value) {
+      const resumed = paused && !value;
+      paused = Boolean(value);
+      // Catch up on anything missed while the other channel was in charge
+      if (resumed) tick();
+    },
+    stop() {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', onVisibility);
+      window.removeEventListener('online', tick);
+      window.removeEventListener('offline:replayed', tick);
+    }
+  };
+}
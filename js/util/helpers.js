@@ -37,6 +37,25 @@ export function getSelectedOptions(select) {
   return values;
 }
 
+/**
+ * Trigger a browser download of text content.
+ * @param {string} fileName - Name of the downloaded file.
+ * @param {string} content - File content.
+ * @param {string} [mimeType='text/plain'] - MIME type of the content.
+ */
+export function downloadFile(fileName, content, mimeType = 'text/plain') {
+  debugLog('downloadFile: called with', fileName, mimeType);
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 /**
  * Escape HTML special characters to prevent XSS.
  * @param {string} str
@@ -46,10 +65,10 @@ export function escapeHtml(str) {
   debugLog('escapeHtml: called with', str);
   const escaped = String(str).replace(/[&<>"']/g, function (c) {
     switch (c) {
-      case '&': return '&';
-      case '<': return '<';
-      case '>': return '>';
-      case '"': return '"';
+      case '&': return '&amp;';
+      case '<': return '&lt;';
+      case '>': return '&gt;';
+      case '"': return '&quot;';
       case "'": return '&#39;';
       default: return c;
     }
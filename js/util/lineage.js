@@ -0,0 +1,96 @@
+/**
+ * js/util/lineage.js
+ * Fork lineage: prompts created with "Fork" carry a `parent_id` pointing at the prompt they were copied from.
+ * These helpers walk those pointers over a list of prompts. Missing parents and cycles in hand-edited
+ * data are tolerated: a walk stops at the first prompt it has already seen or cannot find.
+ */
+
+const byId = prompts => new Map((prompts || []).map(p => [String(p.id), p]));
+
+/**
+ * Returns the parent of a prompt.
+ * @param {Object} prompt - The prompt.
+ * @param {Object[]} prompts - All prompts.
+ * @returns {Object|null} The parent prompt, or null if it has none or the parent is not loaded.
+ */
+export function getParent(prompt, prompts) {
+  if (!prompt || !prompt.parent_id) return null;
+  return byId(prompts).get(String(prompt.parent_id)) || null;
+}
+
+/**
+ * Returns the direct forks of a prompt.
+ * @param {string} promptId - The prompt ID.
+ * @param {Object[]} prompts - All prompts.
+ * @returns {Object[]} Prompts whose parent_id is promptId.
+ */
+export function getForks(promptId, prompts) {
+  return (prompts || []).filter(p => p.parent_id && String(p.parent_id) === String(promptId));
+}
+
+/**
+ * Returns the ancestors of a prompt, nearest first.
+ * @param {string} promptId - The prompt ID.
+ * @param {Object[]} prompts - All prompts.
+ * @returns {Object[]} Parent, grandparent, … up to the root.
+ */
+export function getAncestors(promptId, prompts) {
+  const index = byId(prompts);
+  const seen = new Set([String(promptId)]);
+  const ancestors = [];
+  let current = index.get(String(promptId));
+  while (current && current.parent_id && !seen.has(String(current.parent_id))) {
+    seen.add(String(current.parent_id));
+    current = index.get(String(current.parent_id));
+    if (current) ancestors.push(current);
+  }
+  return ancestors;
+}
+
+/**
+ * Counts all descendants (forks, forks of forks, …) of a prompt.
+ * @param {string} promptId - The prompt ID.
+ * @param {Object[]} prompts - All prompts.
+ * @returns {number} Descendant count.
+ */
+export function countDescendants(promptId, prompts) {
+  const seen = new Set([String(promptId)]);
+  const queue = [String(promptId)];
+  let count = 0;
+  while (queue.length) {
+    getForks(queue.shift(), prompts).forEach(fork => {
+      const id = String(fork.id);
+      if (seen.has(id)) return;
+      seen.add(id);
+      queue.push(id);
+      count++;
+    });
+  }
+  return count;
+}
+
+/**
+ * Builds the lineage tree containing a prompt: rooted at its oldest loaded ancestor,
+ * with every descendant of that root.
+ * @param {string} promptId - The prompt ID.
+ * @param {Object[]} prompts - All prompts.
+ * @returns {{prompt: Object, children: Array}|null} Tree nodes, or null if the prompt is not loaded.
+ */
+export function buildLineageTree(promptId, prompts) {
+  const index = byId(prompts);
+  const prompt = index.get(String(promptId));
+  if (!prompt) return null;
+  const ancestors = getAncestors(promptId, prompts);
+  const root = ancestors.length ? ancestors[ancestors.length - 1] : prompt;
+  const seen = new Set();
+  const build = node => {
+    seen.add(String(node.id));
+    return {
+      prompt: node,
+      children: getForks(node.id, prompts)
+        .filter(fork => !seen.has(String(fork.id)))
+        .map(build)
+    };
+  };
+  return build(root);
+}
@@ -0,0 +1,82 @@
+/**
+ * js/util/liveUpdates.js
+ * Live updates pushed by api/events.php (Server-Sent Events). Whenever prompts, comments,
+ * results, tags or categories change on the server, the change is applied like a polled delta
+ * (applyListChanges in util/deltaSync.js): appState is merged and `sync:changes` announces it,
+ * so open views update without a reload. EventSource reconnects by itself and resumes from the
+ * last event ID; while connected, polling can rest (see main.js).
+ */
+
+import { applyListChanges } from './deltaSync.js';
+import { SYNC_LISTS } from '../api/sync.js';
+import { LIVE_UPDATES } from '../config.js';
+
+/**
+ * Reads the data of a `change` event.
+ * @param {string|Object} data - Event data ({list, records, deleted, full}).
+ * @returns {{list: string, records: Object[], deleted: string[], full: boolean}|null} null when malformed.
+ */
+export function parseChangeEvent(data) {
+  let change;
+  try {
+    change = typeof data === 'string' ? JSON.parse(data) : data;
+  } catch {
+    return null;
+  }
+  if (!change || !SYNC_LISTS[change.list] || !Array.isArray(change.records)) return null;
+  return {
+    list: change.list,
+    records: change.records,
+    deleted: Array.isArray(change.deleted) ? change.deleted : [],
+    full: Boolean(change.full)
+  };
+}
+
+/**
+ * Connects to the live updates stream.
+ * @param {Object} [options]
+ * @param {string} [options.url] - Stream URL (default LIVE_UPDATES.url).
+ * @param {string} [options.since] - Also send changes made since this time (ISO 8601), e.g. page load.
+ * @param {Function} [options.onStatus] - Called with true once connected and false when the stream
+ *   is lost; the short gaps of routine reconnects are not reported.
+ * @returns {{close: Function}|null} null when the browser has no EventSource. `close()` ends the
+ *   stream without reporting it lost: whoever closes it decides what happens next.
+ */
+export function startLiveUpdates({ url = LIVE_UPDATES.url, since, onStatus = () => {} } = {}) {
+  if (typeof EventSource === 'undefined') return null;
+  const source = new EventSource(since ? `${url}?since=${encodeURIComponent(since)}` : url);
+  let connected = false;
+  let lostTimer = null;
+  const setConnected = value => {
+    clearTimeout(lostTimer);
+    lostTimer = null;
+    if (value === connected) return;
+    connected = value;
+    onStatus(value);
+  };
+  source.addEventListener('open', () => setConnected(true));
+  source.addEventListener('error', () => {
+    // The server ends each connection after a while and EventSource reconnects; only a stream
+    // that stays down (or is given up on) counts as lost
+    if (source.readyState === EventSource.CLOSED) {
+      setConnected(false);
+    } else if (connected && !lostTimer) {
+      lostTimer = setTimeout(() => setConnected(false), LIVE_UPDATES.reconnectGraceMs);
+    }
+  });
+  source.addEventListener('change', event => {
+    const change = parseChangeEvent(event.data);
+    if (!change) {
+      console.warn('[liveUpdates] Ignoring a malformed change event:', event.data);
+      return;
+    }
+    applyListChanges(change.list, change);
+  });
+  return {
+    close() {
+      clearTimeout(lostTimer);
+      onStatus = () => {};
+      source.close();
+    }
+  };
+}
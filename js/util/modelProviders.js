@@ -0,0 +1,288 @@
+/**
+ * js/util/modelProviders.js
+ * Pluggable model providers for running prompts from the app.
+ * A provider is `{id, label, needsEndpoint, run(request, {onToken, signal})}`; `run` streams text
+ * through `onToken` and resolves to `{text, model?, usage?}`. Two are built in:
+ *  - `openai-compatible`: POST {baseUrl}/chat/completions with `stream: true` (Ollama, llama.cpp,
+ *    vLLM, LM Studio, OpenAI...), reading the server-sent events as they arrive.
+ *  - `mock`: a deterministic offline echo, so the Run panel works and can be tested without a server.
+ * More can be added with registerProvider(). Settings (except the API key, which is kept in memory
+ * only) are stored in localStorage.
+ */
+
+import { RUNNER_DEFAULTS } from '../config.js';
+import { estimateTokens } from './tokenEstimator.js';
+import { parseProvenance } from './resultProvenance.js';
+
+const SETTINGS_STORAGE_KEY = 'runnerSettings';
+let sessionApiKey = '';
+
+const providers = new Map();
+
+function abortError() {
+  const err = new Error('Run cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Registers (or replaces) a provider.
+ * @param {{id: string, label: string, needsEndpoint?: boolean, run: Function}} provider - The provider.
+ * @returns {Object} The provider.
+ */
+export function registerProvider(provider) {
+  if (!provider || typeof provider.id !== 'string' || !provider.id || typeof provider.run !== 'function') {
+    throw new Error('A provider needs an id and a run() function');
+  }
+  providers.set(provider.id, { needsEndpoint: false, label: provider.id, ...provider });
+  return providers.get(provider.id);
+}
+
+/**
+ * Looks up a provider.
+ * @param {string} id - Provider ID.
+ * @returns {Object|null} The provider, or null if none is registered under that ID.
+ */
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Lists registered providers in registration order.
+ * @returns {Object[]} Providers.
+ */
+export function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Line-based parser for a server-sent event stream. Feed it decoded chunks as they arrive; every
+ * `data:` payload is passed to `onData` (JSON-decoded when possible) until `data: [DONE]`.
+ * @param {Function} onData - Called with each payload.
+ * @returns {{push: Function, flush: Function, isDone: Function}} `push(chunk)` parses, `flush()` handles a trailing line.
+ */
+export function createSSEParser(onData) {
+  let buffer = '';
+  let done = false;
+  const handleLine = line => {
+    if (done || !line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (!payload) return;
+    if (payload === '[DONE]') {
+      done = true;
+      return;
+    }
+    let data = payload;
+    try {
+      data = JSON.parse(payload);
+    } catch (_) {
+      // Not JSON; pass the raw text on
+    }
+    onData(data);
+  };
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    },
+    flush() {
+      if (buffer) handleLine(buffer);
+      buffer = '';
+    },
+    isDone: () => done
+  };
+}
+
+function readUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  const result = {};
+  if (Number.isInteger(usage.prompt_tokens)) result.input_tokens = usage.prompt_tokens;
+  if (Number.isInteger(usage.completion_tokens)) result.output_tokens = usage.completion_tokens;
+  return Object.keys(result).length ? result : null;
+}
+
+/**
+ * Provider for OpenAI-compatible chat completion servers.
+ */
+export const openAICompatibleProvider = {
+  id: 'openai-compatible',
+  label: 'OpenAI-compatible endpoint',
+  needsEndpoint: true,
+  async run(request, { onToken = () => {}, signal } = {}) {
+    const baseUrl = String(request.baseUrl || '').trim().replace(/\/+$/, '');
+    if (!baseUrl) throw new Error('Set the endpoint URL of your model server');
+    const headers = { 'Content-Type': 'application/json', Accept: 'text/event-stream, application/json' };
+    if (request.apiKey) headers.Authorization = `Bearer ${request.apiKey}`;
+    const res = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: request.model,
+        messages: [{ role: 'user', content: request.prompt }],
+        stream: true,
+        stream_options: { include_usage: true },
+        ...(request.parameters || {})
+      })
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`Model server returned ${res.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+    let text = '';
+    let model = request.model;
+    let usage = null;
+    const contentType = (res.headers && res.headers.get('content-type')) || '';
+    if (!contentType.includes('text/event-stream') || !res.body) {
+      // Server ignored `stream`; one JSON response
+      const data = await res.json();
+      text = data?.choices?.[0]?.message?.content || '';
+      if (text) onToken(text);
+      return { text, model: data.model || model, usage: readUsage(data.usage) };
+    }
+    const parser = createSSEParser(data => {
+      if (!data || typeof data !== 'object') return;
+      if (data.error) throw new Error(data.error.message || String(data.error));
+      if (data.model) model = data.model;
+      usage = readUsage(data.usage) || usage;
+      const delta = data?.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    });
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    while (!parser.isDone()) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+    parser.flush();
+    if (!parser.isDone()) reader.cancel().catch(() => {});
+    return { text, model, usage };
+  }
+};
+
+/**
+ * Creates a mock provider that streams a deterministic echo of the prompt word by word.
+ * @param {Object} [options]
+ * @param {number} [options.delayMs=15] - Pause between words (0 for tests).
+ * @param {Function} [options.respond] - `(request) => string` producing the response instead of the echo.
+ * @returns {Object} The provider.
+ */
+export function createMockProvider(options = {}) {
+  const { delayMs = 15, respond } = options;
+  return {
+    id: 'mock',
+    label: 'Mock (offline)',
+    needsEndpoint: false,
+    async run(request, { onToken = () => {}, signal } = {}) {
+      const prompt = String(request.prompt || '');
+      const model = request.model || 'mock';
+      const full = typeof respond === 'function'
+        ? String(respond(request))
+        : `Mock response from ${model} to a ${prompt.split(/\s+/).filter(Boolean).length}-word prompt:\n\n${prompt.slice(0, 280)}${prompt.length > 280 ? '…' : ''}`;
+      // Each word counts as one token for max_tokens
+      const maxTokens = request.parameters && request.parameters.max_tokens;
+      const pieces = (full.match(/\s*\S+/g) || []).slice(0, maxTokens || undefined);
+      let text = '';
+      for (const piece of pieces) {
+        if (signal && signal.aborted) throw abortError();
+        if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+        text += piece;
+        onToken(piece);
+      }
+      return { text, model, usage: { input_tokens: estimateTokens(prompt), output_tokens: estimateTokens(text) } };
+    }
+  };
+}
+
+registerProvider(openAICompatibleProvider);
+registerProvider(createMockProvider());
+
+/**
+ * Returns the Run panel settings: config defaults with the stored choices applied.
+ * @returns {{provider: string, baseUrl: string, model: string, apiKey: string, parameters: Object}} Settings.
+ */
+export function loadRunnerSettings() {
+  const settings = { ...RUNNER_DEFAULTS, parameters: { ...RUNNER_DEFAULTS.parameters } };
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+    if (stored && typeof stored === 'object') {
+      ['provider', 'baseUrl', 'model'].forEach(key => {
+        if (typeof stored[key] === 'string') settings[key] = stored[key];
+      });
+      if (stored.parameters && typeof stored.parameters === 'object') settings.parameters = { ...stored.parameters };
+    }
+  } catch (_) {
+    // Unreadable settings; use the defaults
+  }
+  if (!getProvider(settings.provider)) settings.provider = RUNNER_DEFAULTS.provider;
+  return { ...settings, apiKey: sessionApiKey };
+}
+
+/**
+ * Stores the Run panel settings. The API key is only kept for this page session.
+ * @param {Object} settings - Settings as returned by loadRunnerSettings().
+ */
+export function saveRunnerSettings(settings) {
+  sessionApiKey = settings.apiKey || '';
+  try {
+    const { provider, baseUrl, model, parameters } = settings;
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ provider, baseUrl, model, parameters }));
+  } catch (_) {
+    // Ignore; the settings simply won't persist
+  }
+}
+
+/**
+ * Validates run settings, reusing the provenance ranges for the generation parameters.
+ * @param {Object} settings - Settings ({provider, baseUrl, model, parameters}).
+ * @returns {string[]} Errors (empty if the settings can be run).
+ */
+export function validateRunnerSettings(settings) {
+  const errors = [];
+  const provider = getProvider(settings && settings.provider);
+  if (!provider) return ['Choose a provider.'];
+  if (provider.needsEndpoint && !/^https?:\/\/\S+$/i.test(String(settings.baseUrl || '').trim())) {
+    errors.push('Endpoint URL must start with http:// or https://.');
+  }
+  if (provider.needsEndpoint && !String(settings.model || '').trim()) {
+    errors.push('Enter the model name the server should use.');
+  }
+  const { errors: parameterErrors } = parseProvenance({ model: settings.model, ...(settings.parameters || {}) });
+  return errors.concat(parameterErrors);
+}
+
+/**
+ * Runs a prompt text through a provider and measures it.
+ * @param {string} text - The filled-in prompt.
+ * @param {Object} settings - Settings ({provider, baseUrl, model, apiKey, parameters}).
+ * @param {Object} [options]
+ * @param {Function} [options.onToken] - Called with each streamed piece of text.
+ * @param {AbortSignal} [options.signal] - Cancels the run.
+ * @returns {Promise<{text: string, provenance: Object}>} The output and result provenance (model, parameters, run_at, latency_ms, usage).
+ */
+export async function runPrompt(text, settings, options = {}) {
+  const errors = validateRunnerSettings(settings);
+  if (errors.length) throw new Error(errors.join(' '));
+  const provider = getProvider(settings.provider);
+  const parameters = parseProvenance(settings.parameters || {}).provenance.parameters || {};
+  const runAt = new Date();
+  const started = Date.now();
+  const output = await provider.run(
+    { prompt: text, model: settings.model, baseUrl: settings.baseUrl, apiKey: settings.apiKey, parameters },
+    { onToken: options.onToken, signal: options.signal }
+  );
+  const provenance = {
+    model: String(output.model || settings.model || provider.id).slice(0, 100),
+    run_at: runAt.toISOString(),
+    latency_ms: Date.now() - started
+  };
+  if (Object.keys(parameters).length) provenance.parameters = parameters;
+  if (output.usage) provenance.usage = output.usage;
+  return { text: output.text || '', provenance };
+}
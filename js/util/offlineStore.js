@@ -0,0 +1,219 @@
+/**
+ * js/util/offlineStore.js
+ * Local storage for offline mode: a cache of the API's records (prompts, categories, tags,
+ * comments, results), the outbox of changes waiting to be sent, and sync metadata.
+ * Records live in IndexedDB; where it is unavailable (private windows, tests) an in-memory
+ * backend with the same interface is used, so the app still works for the session.
+ * See offlineSync.js for how the API clients use it.
+ */
+
+const DB_NAME = 'prompt-factory-offline';
+const DB_VERSION = 1;
+
+/** Cached record stores, keyed by record `id`. */
+export const RECORD_STORES = ['prompts', 'categories', 'tags', 'comments', 'results'];
+
+// Key of each store: records use `id`, outbox entries `seq`, sync metadata `key`
+const STORE_KEYS = { ...Object.fromEntries(RECORD_STORES.map(name => [name, 'id'])), outbox: 'seq', meta: 'key' };
+
+/**
+ * In-memory backend (lost on reload).
+ * @returns {{getAll: Function, get: Function, put: Function, delete: Function, clear: Function}}
+ */
+export function createMemoryBackend() {
+  const stores = new Map(Object.keys(STORE_KEYS).map(name => [name, new Map()]));
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  return {
+    async getAll(store) {
+      return [...stores.get(store).values()].map(copy);
+    },
+    async get(store, key) {
+      return copy(stores.get(store).get(key));
+    },
+    async put(store, value) {
+      stores.get(store).set(value[STORE_KEYS[store]], copy(value));
+    },
+    async delete(store, key) {
+      stores.get(store).delete(key);
+    },
+    async clear(store) {
+      stores.get(store).clear();
+    }
+  };
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDB backend. If the database cannot be opened (blocked storage, private windows in
+ * some browsers) it quietly falls back to memory.
+ * @param {IDBFactory} [factory=indexedDB] - IndexedDB implementation.
+ * @returns {{getAll: Function, get: Function, put: Function, delete: Function, clear: Function}}
+ */
+export function createIndexedDBBackend(factory = globalThis.indexedDB) {
+  let dbPromise = null;
+  let fallback = null;
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = factory.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          Object.entries(STORE_KEYS).forEach(([name, keyPath]) => {
+            if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(err => {
+        console.warn('[offlineStore] IndexedDB unavailable; keeping offline data in memory:', err);
+        fallback = createMemoryBackend();
+        return null;
+      });
+    }
+    return dbPromise;
+  }
+  function method(name, mode, action, after = result => result) {
+    return async (store, arg) => {
+      const db = await open();
+      if (!db) return fallback[name](store, arg);
+      return after(await promisify(action(db.transaction(store, mode).objectStore(store), arg)));
+    };
+  }
+  const done = () => undefined;
+  return {
+    getAll: method('getAll', 'readonly', s => s.getAll()),
+    get: method('get', 'readonly', (s, key) => s.get(key)),
+    put: method('put', 'readwrite', (s, value) => s.put(value), done),
+    delete: method('delete', 'readwrite', (s, key) => s.delete(key), done),
+    clear: method('clear', 'readwrite', s => s.clear(), done)
+  };
+}
+
+let backend = null;
+
+/**
+ * The backend in use: IndexedDB when the browser has it, memory otherwise.
+ * @returns {Object} Backend.
+ */
+export function getOfflineBackend() {
+  if (!backend) {
+    backend = globalThis.indexedDB ? createIndexedDBBackend() : createMemoryBackend();
+  }
+  return backend;
+}
+
+/**
+ * Replaces the backend (used by tests).
+ * @param {Object} next - Backend.
+ */
+export function setOfflineBackend(next) {
+  backend = next;
+}
+
+/**
+ * Stores records fetched from the API.
+ * @param {string} store - One of RECORD_STORES.
+ * @param {Object[]} records - Records with an `id`.
+ * @param {Object} [options]
+ * @param {Function} [options.replace] - `(record) => boolean`: cached records this response replaces
+ *   (e.g. every comment of the prompt that was listed); they are dropped unless present in `records`.
+ * @param {boolean} [options.merge] - The records carry only some fields; keep the cached values of the others.
+ */
+export async function cacheRecords(store, records, options = {}) {
+  const db = getOfflineBackend();
+  if (typeof options.replace === 'function') {
+    const keep = new Set(records.map(r => String(r.id)));
+    const stale = (await db.getAll(store)).filter(r => options.replace(r) && !keep.has(String(r.id)));
+    for (const record of stale) await db.delete(store, record.id);
+  }
+  for (const record of records) {
+    if (!record || record.id === undefined || record.id === null) continue;
+    await db.put(store, options.merge ? { ...(await db.get(store, record.id)), ...record } : record);
+  }
+  await db.put('meta', { key: `synced:${store}`, at: new Date().toISOString() });
+}
+
+/**
+ * Reads cached records.
+ * @param {string} store - One of RECORD_STORES.
+ * @param {Function} [filter] - `(record) => boolean`.
+ * @returns {Promise<{records: Object[], syncedAt: string|null}>} `syncedAt` is null if the store was never filled from the API.
+ */
+export async function readCachedRecords(store, filter) {
+  const db = getOfflineBackend();
+  const [records, synced] = await Promise.all([db.getAll(store), db.get('meta', `synced:${store}`)]);
+  return { records: filter ? records.filter(filter) : records, syncedAt: synced ? synced.at : null };
+}
+
+/**
+ * Reads one cached record.
+ * @param {string} store - One of RECORD_STORES.
+ * @param {string} id - Record ID.
+ * @returns {Promise<Object|null>} The record, or null.
+ */
+export async function readCachedRecord(store, id) {
+  return (await getOfflineBackend().get(store, id)) || null;
+}
+
+/**
+ * Adds, replaces or removes one cached record.
+ * @param {string} store - One of RECORD_STORES.
+ * @param {Object|null} record - The record, or null to remove `id`.
+ * @param {string} [id] - ID to remove when `record` is null.
+ */
+export async function writeCachedRecord(store, record, id) {
+  const db = getOfflineBackend();
+  if (record) {
+    await db.put(store, record);
+  } else {
+    await db.delete(store, id);
+  }
+}
+
+/**
+ * Outbox entries in the order they were queued.
+ * @returns {Promise<Object[]>} Entries ({seq, method, url, body, ifMatch, store, kind, recordId, label, status, error, rejected_status, queued_at}).
+ */
+export async function listOutbox() {
+  return (await getOfflineBackend().getAll('outbox')).sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Queues a change.
+ * @param {Object} entry - Entry without `seq`; `status` defaults to 'pending'.
+ * @returns {Promise<Object>} The stored entry.
+ */
+export async function addToOutbox(entry) {
+  const entries = await listOutbox();
+  const stored = {
+    status: 'pending',
+    error: null,
+    queued_at: new Date().toISOString(),
+    ...entry,
+    seq: entries.length ? entries[entries.length - 1].seq + 1 : 1
+  };
+  await getOfflineBackend().put('outbox', stored);
+  return stored;
+}
+
+/**
+ * Saves a changed outbox entry.
+ * @param {Object} entry - Entry with its `seq`.
+ */
+export async function updateOutboxEntry(entry) {
+  await getOfflineBackend().put('outbox', entry);
+}
+
+/**
+ * Removes an outbox entry.
+ * @param {number} seq - Entry sequence number.
+ */
+export async function removeFromOutbox(seq) {
+  await getOfflineBackend().delete('outbox', seq);
+}
@@ -0,0 +1,540 @@
+/**
+ * js/util/offlineSync.js
+ * Offline-first transport for the API clients. offlineFetch() is a drop-in replacement for
+ * fetch() on the prompts, categories, tags, comments and results endpoints:
+ *  - Reads go to the server and are cached (offlineStore.js); when the server cannot be
+ *    reached the cached records are returned instead, marked `offline: true`.
+ *  - Creates, updates and deletes that cannot reach the server are applied to the cache and
+ *    queued in the outbox; the caller gets a 202 with the optimistic record and `queued: true`.
+ *    Records created offline get a temporary `offline_...` ID, swapped for the server's ID
+ *    (in the cache and in later queued changes) once the create goes through.
+ *  - The outbox is replayed in order when the connection returns. A change the server rejects
+ *    is kept as a conflict for the user to retry or discard (see ui/offlineStatus.js).
+ * Progress is announced with window events: `offline:status` ({online, pending, conflicts})
+ * and `offline:replayed` ({sent, conflicts, pending}).
+ */
+
+import {
+  RECORD_STORES, cacheRecords, readCachedRecords, readCachedRecord, writeCachedRecord, getOfflineBackend,
+  listOutbox, addToOutbox, updateOutboxEntry, removeFromOutbox
+} from './offlineStore.js';
+import { queryPrompts } from './promptQuery.js';
+
+const ROUTES = [
+  // Prompt lists can be filtered, sorted and paged; `query` answers that from the cache
+  { path: '/api/prompts.php', store: 'prompts', list: 'prompts', item: 'prompt', query: queryPrompts },
+  { path: '/api/categories.php', store: 'categories', list: 'categories', item: 'category' },
+  { path: '/api/tags.php', store: 'tags', list: 'tags', item: 'tag' },
+  { path: '/api/comments.php', store: 'comments', list: 'comments', item: 'comment', scope: 'prompt_id' },
+  { path: '/api/results.php', store: 'results', list: 'results', item: 'result', scope: 'prompt_id' }
+];
+
+// Gateway errors mean the PHP backend is down, not that it rejected the request
+const UNREACHABLE_STATUSES = [502, 503, 504];
+const TEMP_ID_PREFIX = 'offline_';
+const RETRY_INTERVAL_MS = 30000;
+
+let online = typeof navigator === 'undefined' || navigator.onLine !== false;
+let replaying = null;
+let tempCounter = 0;
+
+function notify(type, detail) {
+  if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function') {
+    window.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
+
+function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+// If-Match of a request (prompt edits carry the version they started from), or null
+function ifMatchOf(init) {
+  const { headers } = init || {};
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get('If-Match');
+  return headers['If-Match'] || headers['if-match'] || null;
+}
+
+/**
+ * Whether an ID was assigned locally to a record created offline.
+ * @param {*} id - Record ID.
+ * @returns {boolean}
+ */
+export function isTempId(id) {
+  return typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+}
+
+function newTempId() {
+  tempCounter++;
+  return `${TEMP_ID_PREFIX}${Date.now().toString(36)}_${tempCounter}`;
+}
+
+/**
+ * Whether a fetch() failure means the server could not be reached (as opposed to a cancelled request).
+ * @param {Error} err - The error fetch() rejected with.
+ * @returns {boolean}
+ */
+export function isNetworkError(err) {
+  return Boolean(err) && err.name !== 'AbortError' && err instanceof TypeError;
+}
+
+/**
+ * Whether the API was reachable on the last attempt.
+ * @returns {boolean}
+ */
+export function isOnline() {
+  return online;
+}
+
+/**
+ * Classifies an API call.
+ * @param {string} url - Request URL.
+ * @param {Object} [init] - fetch() options.
+ * @returns {{route: Object|null, method: string, kind: string, id: string|null, body: Object|null, params: URLSearchParams}}
+ *   `kind` is 'list', 'get', 'create', 'fork', 'update', 'delete' or 'import'.
+ */
+export function describeRequest(url, init = {}) {
+  const parsed = new URL(url, 'http://localhost');
+  const route = ROUTES.find(r => parsed.pathname.endsWith(r.path)) || null;
+  const method = String(init.method || 'GET').toUpperCase();
+  let body = null;
+  if (typeof init.body === 'string') {
+    try {
+      body = JSON.parse(init.body);
+    } catch (_) {
+      body = null;
+    }
+  }
+  let kind;
+  let id = parsed.searchParams.get('id');
+  if (method === 'GET') {
+    kind = id ? 'get' : 'list';
+  } else if (method === 'PUT' || method === 'PATCH') {
+    kind = 'update';
+  } else if (method === 'DELETE') {
+    kind = 'delete';
+  } else {
+    const action = body && body.action;
+    if (['update', 'delete', 'fork'].includes(action)) {
+      kind = action;
+      id = body.id;
+    } else if (action === 'import' || action === 'batch_import') {
+      kind = 'import';
+    } else {
+      kind = 'create';
+    }
+  }
+  return { route, method, kind, id: id === null || id === undefined ? null : String(id), body, params: parsed.searchParams };
+}
+
+function fieldsOf(body) {
+  const { action, id, ...fields } = body || {};
+  return fields;
+}
+
+async function hasPendingChanges() {
+  return (await listOutbox()).some(entry => entry.status === 'pending');
+}
+
+async function announceStatus() {
+  const entries = await listOutbox();
+  notify('offline:status', {
+    online,
+    pending: entries.filter(e => e.status === 'pending').length,
+    conflicts: entries.filter(e => e.status === 'conflict').length
+  });
+}
+
+function setOnline(value) {
+  if (online === value) return;
+  online = value;
+  announceStatus().catch(() => {});
+  if (online) {
+    replayOutbox().catch(err => console.error('[offlineSync] Replay failed:', err));
+  }
+}
+
+// Keep the cache in step with what the server returned
+async function cacheResponse(request, data) {
+  const { route, kind, params } = request;
+  if (kind === 'get') {
+    if (data && data[route.item]) await writeCachedRecord(route.store, data[route.item]);
+    return;
+  }
+  const records = data && Array.isArray(data[route.list]) ? data[route.list] : null;
+  if (!records) return;
+  // Delta answers (`since`) name the records deleted since then
+  if (Array.isArray(data.deleted)) {
+    for (const id of data.deleted) await writeCachedRecord(route.store, null, id);
+  }
+  // A field selection leaves out fields, not records
+  const merge = params.has('fields');
+  // ...and a `full` delta answer is the whole list again
+  const unfiltered = key => key === route.scope || key === 'fields' || (key === 'since' && data.full);
+  if ([...params.keys()].some(key => !unfiltered(key))) {
+    // A filtered or paged list says nothing about the records it left out
+    await cacheRecords(route.store, records, { merge });
+    return;
+  }
+  const scopeValue = route.scope ? params.get(route.scope) : null;
+  await cacheRecords(route.store, records, {
+    merge,
+    // Records created offline stay until their create has been sent
+    replace: record => !isTempId(record.id) && (!scopeValue || String(record[route.scope]) === scopeValue)
+  });
+}
+
+async function cachedResponse(request, error) {
+  const { route, kind, id, params } = request;
+  if (kind === 'get') {
+    const record = await readCachedRecord(route.store, id);
+    return record
+      ? jsonResponse({ ok: true, [route.item]: record, offline: true })
+      : jsonResponse({ ok: false, error: 'Not available offline', offline: true }, 404);
+  }
+  const scopeValue = route.scope ? params.get(route.scope) : null;
+  const { records, syncedAt } = await readCachedRecords(
+    route.store,
+    scopeValue ? record => String(record[route.scope]) === scopeValue : null
+  );
+  if (!syncedAt && !records.length) throw error;
+  if (route.query) {
+    const [results, comments] = await Promise.all([readCachedRecords('results'), readCachedRecords('comments')]);
+    const page = route.query(records, params, { results: results.records, comments: comments.records });
+    if (page.error) return jsonResponse({ ok: false, error: page.error, offline: true }, 400);
+    return jsonResponse({ ok: true, [route.list]: page[route.list], total: page.total, next_cursor: page.next_cursor, offline: true, synced_at: syncedAt });
+  }
+  return jsonResponse({ ok: true, [route.list]: records, offline: true, synced_at: syncedAt });
+}
+
+async function applyServerResponse(request, data) {
+  const { route, kind, id, body } = request;
+  if (kind === 'delete') {
+    await writeCachedRecord(route.store, null, id);
+    return;
+  }
+  const record = data && data[route.item];
+  if (record && record.id !== undefined && record.id !== null) {
+    await writeCachedRecord(route.store, record);
+  } else if (kind === 'update' && id) {
+    const cached = await readCachedRecord(route.store, id);
+    if (cached) await writeCachedRecord(route.store, { ...cached, ...fieldsOf(body) });
+  }
+}
+
+// Apply a queued change to the cache and build the response the caller sees
+async function applyLocally(request, tempId) {
+  const { route, kind, id, body } = request;
+  const now = new Date().toISOString();
+  if (kind === 'create') {
+    const record = { ...fieldsOf(body), id: tempId, created_at: now, updated_at: now };
+    await writeCachedRecord(route.store, record);
+    return { ok: true, [route.item]: record };
+  }
+  if (kind === 'fork') {
+    const source = await readCachedRecord(route.store, id);
+    if (!source) return { ok: true };
+    const record = { ...source, ...fieldsOf(body), id: tempId, parent_id: source.id, created_at: now, updated_at: now };
+    await writeCachedRecord(route.store, record);
+    return { ok: true, [route.item]: record };
+  }
+  if (kind === 'update') {
+    const cached = (await readCachedRecord(route.store, id)) || { id };
+    const record = { ...cached, ...fieldsOf(body), updated_at: now };
+    // Bump the version as the server will, so a second offline edit names the version the first one creates
+    if (typeof cached.version === 'number') record.version = cached.version + 1;
+    await writeCachedRecord(route.store, record);
+    return { ok: true, [route.item]: record };
+  }
+  if (kind === 'delete') {
+    await writeCachedRecord(route.store, null, id);
+  }
+  // Imports are only queued; the imported prompts appear once they reach the server
+  return { ok: true };
+}
+
+function describeChange(request) {
+  const { route, kind, body } = request;
+  const verbs = { create: 'Create', fork: 'Fork', update: 'Update', delete: 'Delete', import: 'Import' };
+  const name = body && (body.title || body.name);
+  const what = kind === 'import' ? `${(body && body.prompts ? body.prompts.length : 0)} prompt(s)` : route.item;
+  return `${verbs[kind] || kind} ${what}${name ? ` “${String(name).slice(0, 60)}”` : ''}`;
+}
+
+async function queueChange(request, url, init) {
+  const { route, kind, id } = request;
+  // A record created offline and deleted again never has to reach the server
+  if (kind === 'delete' && isTempId(id)) {
+    for (const entry of await listOutbox()) {
+      if (entry.recordId === id) await removeFromOutbox(entry.seq);
+    }
+    await writeCachedRecord(route.store, null, id);
+    await announceStatus();
+    return jsonResponse({ ok: true, queued: false });
+  }
+  const tempId = kind === 'create' || kind === 'fork' ? newTempId() : null;
+  const data = await applyLocally(request, tempId);
+  await addToOutbox({
+    method: request.method,
+    url,
+    body: typeof init.body === 'string' ? init.body : null,
+    ifMatch: ifMatchOf(init),
+    store: route.store,
+    kind,
+    recordId: tempId || id,
+    label: describeChange(request)
+  });
+  await announceStatus();
+  return jsonResponse({ ...data, queued: true }, 202, { 'X-Offline-Queued': '1' });
+}
+
+// Swap a temporary ID for the server's everywhere it was used
+async function remapTempId(tempId, realId) {
+  const inJson = JSON.stringify(String(realId)).slice(1, -1);
+  for (const entry of await listOutbox()) {
+    const changed = { ...entry };
+    if (entry.url.includes(tempId)) changed.url = entry.url.split(tempId).join(encodeURIComponent(realId));
+    if (entry.body && entry.body.includes(tempId)) changed.body = entry.body.split(tempId).join(inJson);
+    if (entry.recordId === tempId) changed.recordId = String(realId);
+    if (changed.url !== entry.url || changed.body !== entry.body || changed.recordId !== entry.recordId) {
+      await updateOutboxEntry(changed);
+    }
+  }
+  const db = getOfflineBackend();
+  for (const store of RECORD_STORES) {
+    for (const record of await db.getAll(store)) {
+      if (record.id === tempId) {
+        await db.delete(store, tempId);
+        continue;
+      }
+      const json = JSON.stringify(record);
+      if (json.includes(tempId)) await db.put(store, JSON.parse(json.split(tempId).join(inJson)));
+    }
+  }
+  notify('offline:idChanged', { from: tempId, to: String(realId) });
+}
+
+function describeRejection(status, text) {
+  let message = text;
+  try {
+    const data = JSON.parse(text);
+    if (data && data.error) message = data.error;
+  } catch (_) {
+    // Not JSON; use the text
+  }
+  return `${status}${message ? `: ${String(message).slice(0, 200)}` : ''}`;
+}
+
+async function sendQueued() {
+  let sent = 0;
+  const conflicts = [];
+  const attempted = new Set();
+  for (;;) {
+    // Re-read every time: a create that went through may have rewritten later entries
+    const entry = (await listOutbox()).find(e => e.status === 'pending' && !attempted.has(e.seq));
+    if (!entry) break;
+    attempted.add(entry.seq);
+    let res;
+    try {
+      res = await fetch(entry.url, {
+        method: entry.method,
+        headers: { 'Content-Type': 'application/json', ...(entry.ifMatch ? { 'If-Match': entry.ifMatch } : {}) },
+        ...(entry.body !== null ? { body: entry.body } : {})
+      });
+    } catch (err) {
+      console.warn('[offlineSync] Server still unreachable:', err);
+      online = false;
+      break;
+    }
+    if (UNREACHABLE_STATUSES.includes(res.status)) {
+      online = false;
+      break;
+    }
+    online = true;
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      const conflict = { ...entry, status: 'conflict', error: describeRejection(res.status, text), rejected_status: res.status };
+      await updateOutboxEntry(conflict);
+      conflicts.push(conflict);
+      continue;
+    }
+    const data = await res.json().catch(() => ({}));
+    await removeFromOutbox(entry.seq);
+    const request = describeRequest(entry.url, { method: entry.method, body: entry.body });
+    const record = data && data[request.route.item];
+    if (isTempId(entry.recordId) && record && record.id !== undefined && record.id !== null) {
+      await remapTempId(entry.recordId, record.id);
+    }
+    await applyServerResponse(request, data);
+    sent++;
+  }
+  const pending = (await listOutbox()).filter(e => e.status === 'pending').length;
+  if (sent || conflicts.length) {
+    notify('offline:replayed', { sent, conflicts, pending });
+  }
+  if (sent) {
+    notify('showToast', { message: `Synced ${sent} change(s) made offline.`, type: 'success' });
+  }
+  if (conflicts.length) {
+    notify('showToast', { message: `${conflicts.length} change(s) made offline were rejected by the server. Open the sync status to review them.`, type: 'error', duration: 6000 });
+  }
+  await announceStatus();
+  return { sent, conflicts, pending };
+}
+
+/**
+ * Sends the queued changes in order. Stops (leaving the rest queued) when the server is still unreachable.
+ * @returns {Promise<{sent: number, conflicts: Object[], pending: number}>} What was sent, which changes were rejected, what is left.
+ */
+export function replayOutbox() {
+  if (!replaying) {
+    replaying = sendQueued().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
+
+/**
+ * fetch() with an offline cache and outbox for the API endpoints (other URLs are passed through).
+ * @param {string} url - Request URL.
+ * @param {Object} [init] - fetch() options; bodies are JSON strings.
+ * @returns {Promise<Response>} The server's response, a cached one (`offline: true`), or a 202 for a queued change (`queued: true`).
+ */
+export async function offlineFetch(url, init = {}) {
+  const request = describeRequest(url, init);
+  if (!request.route) return fetch(url, init);
+
+  if (request.method === 'GET') {
+    // Send our own changes first so the list we get back includes them
+    if (online && await hasPendingChanges()) await replayOutbox();
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch (err) {
+      if (!isNetworkError(err)) throw err;
+      setOnline(false);
+      return cachedResponse(request, err);
+    }
+    if (UNREACHABLE_STATUSES.includes(res.status)) {
+      setOnline(false);
+      return cachedResponse(request, new Error(`Server returned ${res.status}`)).catch(() => res);
+    }
+    setOnline(true);
+    if (res.ok) {
+      try {
+        await cacheResponse(request, await res.clone().json());
+      } catch (err) {
+        console.warn('[offlineFetch] Could not cache response:', err);
+      }
+    }
+    return res;
+  }
+
+  // Later changes wait behind queued ones so the server sees them in order
+  if (await hasPendingChanges()) {
+    const response = await queueChange(request, url, init);
+    if (online) replayOutbox().catch(err => console.error('[offlineSync] Replay failed:', err));
+    return response;
+  }
+  let res;
+  try {
+    res = await fetch(url, init);
+  } catch (err) {
+    if (!isNetworkError(err)) throw err;
+    setOnline(false);
+    return queueChange(request, url, init);
+  }
+  if (UNREACHABLE_STATUSES.includes(res.status)) {
+    setOnline(false);
+    return queueChange(request, url, init);
+  }
+  setOnline(true);
+  if (res.ok) {
+    try {
+      await applyServerResponse(request, await res.clone().json());
+    } catch (err) {
+      console.warn('[offlineFetch] Could not update cache:', err);
+    }
+  }
+  return res;
+}
+
+/**
+ * Current sync state.
+ * @returns {Promise<{online: boolean, entries: Object[], pending: number, conflicts: number}>}
+ */
+export async function getSyncStatus() {
+  const entries = await listOutbox();
+  return {
+    online,
+    entries,
+    pending: entries.filter(e => e.status === 'pending').length,
+    conflicts: entries.filter(e => e.status === 'conflict').length
+  };
+}
+
+/**
+ * Queues a rejected change again and replays the outbox. A prompt edit rejected because someone
+ * else saved first is sent without its If-Match, so it overwrites their version.
+ * @param {number} seq - Outbox entry.
+ * @returns {Promise<Object>} See replayOutbox().
+ */
+export async function retryOutboxEntry(seq) {
+  const entry = (await listOutbox()).find(e => e.seq === seq);
+  if (entry) {
+    // Someone else saved the record first (409): retrying means keeping this change anyway
+    const ifMatch = entry.rejected_status === 409 ? null : entry.ifMatch;
+    await updateOutboxEntry({ ...entry, status: 'pending', error: null, ifMatch });
+  }
+  return replayOutbox();
+}
+
+/**
+ * Drops a queued or rejected change. A record that only exists locally is removed with it,
+ * along with the other queued changes to it; other records are refreshed on the next load.
+ * @param {number} seq - Outbox entry.
+ */
+export async function discardOutboxEntry(seq) {
+  const entries = await listOutbox();
+  const entry = entries.find(e => e.seq === seq);
+  if (!entry) return;
+  await removeFromOutbox(seq);
+  if (isTempId(entry.recordId)) {
+    for (const other of entries) {
+      if (other.seq !== seq && other.recordId === entry.recordId) await removeFromOutbox(other.seq);
+    }
+    await writeCachedRecord(entry.store, null, entry.recordId);
+  }
+  await announceStatus();
+}
+
+/**
+ * Starts watching connectivity: replays the outbox when the browser comes back online and,
+ * while changes are queued, retries every 30 seconds (the server may come back without the
+ * browser noticing). Safe to call more than once.
+ */
+export function initOfflineSync() {
+  if (typeof window === 'undefined' || window.__offlineSyncInitialized) return;
+  window.__offlineSyncInitialized = true;
+  window.addEventListener('online', () => setOnline(true));
+  window.addEventListener('offline', () => setOnline(false));
+  setInterval(async () => {
+    if (!replaying && await hasPendingChanges()) replayOutbox().catch(() => {});
+  }, RETRY_INTERVAL_MS);
+  announceStatus().then(() => hasPendingChanges()).then(pending => {
+    if (pending && online) replayOutbox();
+  }).catch(err => console.error('[offlineSync] Could not read the outbox:', err));
+}
+
+/**
+ * Registers the service worker that serves the app shell offline (sw.js at the app root).
+ */
+export function registerServiceWorker() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+  // Resolved from this module so pages in subfolders (e.g. test/) register the same worker
+  navigator.serviceWorker.register(new URL('../../sw.js', import.meta.url)).catch(err => {
+    console.warn('[offlineSync] Service worker registration failed:', err);
+  });
+}
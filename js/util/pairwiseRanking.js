@@ -0,0 +1,162 @@
+/**
+ * js/util/pairwiseRanking.js
+ * Rankings from pairwise judgments ("A is better than B", or a tie). Two models are computed:
+ *  - Elo: judgments are replayed oldest first, so recent form counts; shown as the main rating.
+ *  - Bradley–Terry: order-independent maximum-likelihood strengths, reported on the Elo scale so the
+ *    two can be read side by side. A virtual tie against an average opponent keeps items that never
+ *    won (or never lost) finite.
+ * Ties count as half a win for each side in both models.
+ */
+
+export const ELO_DEFAULTS = { initial: 1500, k: 32 };
+
+const OUTCOMES = { left: 1, right: 0, tie: 0.5 };
+
+/**
+ * Probability that a player rated `ratingA` beats one rated `ratingB`.
+ * @param {number} ratingA - Elo rating of A.
+ * @param {number} ratingB - Elo rating of B.
+ * @returns {number} Expected score of A (0–1).
+ */
+export function expectedScore(ratingA, ratingB) {
+  return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+/**
+ * Turns stored judgments into matches between results or between prompts.
+ * At prompt level, judgments between two results of the same prompt say nothing about the prompt and are skipped.
+ * @param {Object[]} judgments - Judgments from the API ({left_result_id, right_result_id, left_prompt_id, right_prompt_id, winner}).
+ * @param {'result'|'prompt'} [level='result'] - What is being ranked.
+ * @returns {Array<{a: string, b: string, outcome: number}>} `outcome` is A's score: 1 win, 0.5 tie, 0 loss.
+ */
+export function judgmentsToMatches(judgments, level = 'result') {
+  const key = level === 'prompt' ? 'prompt_id' : 'result_id';
+  return (judgments || [])
+    .filter(j => j && j.winner in OUTCOMES && j[`left_${key}`] && j[`right_${key}`] && j[`left_${key}`] !== j[`right_${key}`])
+    .map(j => ({ a: String(j[`left_${key}`]), b: String(j[`right_${key}`]), outcome: OUTCOMES[j.winner] }));
+}
+
+function emptyRecord(id, rating) {
+  return { id, rating, wins: 0, losses: 0, ties: 0, games: 0 };
+}
+
+/**
+ * Replays matches in order and returns Elo ratings with win/loss/tie records.
+ * @param {Array<{a: string, b: string, outcome: number}>} matches - Matches, oldest first.
+ * @param {{initial?: number, k?: number}} [options] - Starting rating and K-factor.
+ * @returns {Map<string, {id: string, rating: number, wins: number, losses: number, ties: number, games: number}>}
+ */
+export function computeElo(matches, options = {}) {
+  const { initial, k } = { ...ELO_DEFAULTS, ...options };
+  const records = new Map();
+  const get = id => {
+    if (!records.has(id)) records.set(id, emptyRecord(id, initial));
+    return records.get(id);
+  };
+  matches.forEach(({ a, b, outcome }) => {
+    const left = get(a);
+    const right = get(b);
+    const expected = expectedScore(left.rating, right.rating);
+    left.rating += k * (outcome - expected);
+    right.rating += k * ((1 - outcome) - (1 - expected));
+    left.games++;
+    right.games++;
+    if (outcome === 1) { left.wins++; right.losses++; }
+    else if (outcome === 0) { left.losses++; right.wins++; }
+    else { left.ties++; right.ties++; }
+  });
+  return records;
+}
+
+/**
+ * Bradley–Terry strengths by minorization–maximization, on the Elo scale (average opponent = initial rating).
+ * @param {Array<{a: string, b: string, outcome: number}>} matches - Matches (order does not matter).
+ * @param {{iterations?: number, tolerance?: number, initial?: number}} [options]
+ * @returns {Map<string, number>} Rating per ID.
+ */
+export function bradleyTerry(matches, options = {}) {
+  const { iterations = 200, tolerance = 1e-9, initial = ELO_DEFAULTS.initial } = options;
+  const ids = [...new Set(matches.flatMap(m => [m.a, m.b]))];
+  // Prior: half a win and half a loss against a fixed opponent of strength 1
+  const wins = new Map(ids.map(id => [id, 0.5]));
+  matches.forEach(({ a, b, outcome }) => {
+    wins.set(a, wins.get(a) + outcome);
+    wins.set(b, wins.get(b) + 1 - outcome);
+  });
+  let strength = new Map(ids.map(id => [id, 1]));
+  for (let i = 0; i < iterations; i++) {
+    const denominators = new Map(ids.map(id => [id, 1 / (strength.get(id) + 1)]));
+    matches.forEach(({ a, b }) => {
+      const shared = 1 / (strength.get(a) + strength.get(b));
+      denominators.set(a, denominators.get(a) + shared);
+      denominators.set(b, denominators.get(b) + shared);
+    });
+    const next = new Map(ids.map(id => [id, wins.get(id) / denominators.get(id)]));
+    const change = Math.max(0, ...ids.map(id => Math.abs(next.get(id) - strength.get(id))));
+    strength = next;
+    if (change < tolerance) break;
+  }
+  return new Map(ids.map(id => [id, initial + 400 * Math.log10(strength.get(id))]));
+}
+
+/**
+ * Leaderboard of results or prompts, best Elo rating first.
+ * @param {Object[]} judgments - Judgments from the API, oldest first.
+ * @param {'result'|'prompt'} [level='result'] - What is being ranked.
+ * @param {{initial?: number, k?: number}} [options] - Elo options.
+ * @returns {Array<{id: string, rating: number, btRating: number, wins: number, losses: number, ties: number, games: number}>}
+ */
+export function rankFromJudgments(judgments, level = 'result', options = {}) {
+  const matches = judgmentsToMatches(judgments, level);
+  const elo = computeElo(matches, options);
+  const bt = bradleyTerry(matches, { initial: options.initial });
+  return [...elo.values()]
+    .map(record => ({ ...record, btRating: bt.get(record.id) }))
+    .sort((x, y) => y.rating - x.rating || y.wins - x.wins || x.id.localeCompare(y.id));
+}
+
+/**
+ * Order-independent key of a result pair, as used by nextPair()'s `skip` option.
+ * @param {string} a - Result ID.
+ * @param {string} b - Result ID.
+ * @returns {string} "idA|idB" with the IDs sorted.
+ */
+export function pairKey(a, b) {
+  return [String(a), String(b)].sort().join('|');
+}
+
+/**
+ * Picks the next pair of results to judge: the least-judged pair, so every pair gets coverage.
+ * Sides alternate with the number of earlier judgments of the pair to offset position bias.
+ * @param {Object[]} results - Candidate results.
+ * @param {Object[]} judgments - Existing judgments.
+ * @param {Object} [options]
+ * @param {boolean} [options.crossPrompt=false] - Only pair results of different prompts.
+ * @param {Set<string>} [options.skip] - Pair keys ("idA|idB", sorted) to leave out, e.g. pairs skipped this session.
+ * @returns {{left: Object, right: Object, key: string}|null} The pair, or null if none is left.
+ */
+export function nextPair(results, judgments, options = {}) {
+  const { crossPrompt = false, skip = new Set() } = options;
+  const counts = new Map();
+  (judgments || []).forEach(j => {
+    const key = pairKey(j.left_result_id, j.right_result_id);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  let best = null;
+  const list = results || [];
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const a = list[i];
+      const b = list[j];
+      if (crossPrompt && String(a.prompt_id) === String(b.prompt_id)) continue;
+      const key = pairKey(a.id, b.id);
+      if (skip.has(key)) continue;
+      const count = counts.get(key) || 0;
+      if (!best || count < best.count) best = { a, b, key, count };
+    }
+  }
+  if (!best) return null;
+  return best.count % 2
+    ? { left: best.b, right: best.a, key: best.key }
+    : { left: best.a, right: best.b, key: best.key };
+}
@@ -0,0 +1,129 @@
+/**
+ * js/util/promptCompare.js
+ * Side-by-side comparison of two prompts: word-level diffs of the text fields, tag overlap,
+ * differing metadata and a content similarity score. Used by the bulk "Compare" action to
+ * pick between near-duplicates.
+ */
+
+import { diffWords } from './textDiff.js';
+import { estimateTokensForModel, getSelectedModelId } from './tokenEstimator.js';
+
+/** Text fields shown side by side, in display order. */
+export const COMPARE_TEXT_FIELDS = [
+  { field: 'title', label: 'Title' },
+  { field: 'description', label: 'Description' },
+  { field: 'content', label: 'Content' }
+];
+
+// Shown for context but not counted as differences (they almost always differ)
+const INFO_ONLY_KEYS = ['created_at', 'updated_at'];
+
+const countWords = text => (String(text || '').match(/[^\s]+/g) || []).length;
+
+/**
+ * Splits two tag lists into shared and one-sided tags.
+ * @param {string[]} leftTags - Tags of the left prompt.
+ * @param {string[]} rightTags - Tags of the right prompt.
+ * @returns {{shared: string[], onlyLeft: string[], onlyRight: string[]}}
+ */
+export function compareTags(leftTags, rightTags) {
+  const left = Array.isArray(leftTags) ? leftTags.map(String) : [];
+  const right = Array.isArray(rightTags) ? rightTags.map(String) : [];
+  return {
+    shared: left.filter(t => right.includes(t)),
+    onlyLeft: left.filter(t => !right.includes(t)),
+    onlyRight: right.filter(t => !left.includes(t))
+  };
+}
+
+/**
+ * Share of words two texts have in common (Dice coefficient over the word diff).
+ * @param {Array<{type: string, text: string}>} parts - Output of diffWords().
+ * @returns {number} 0 (nothing shared) to 1 (identical); 1 when both texts are empty.
+ */
+export function similarityFromDiff(parts) {
+  let equal = 0;
+  let left = 0;
+  let right = 0;
+  parts.forEach(part => {
+    const words = countWords(part.text);
+    if (part.type === 'equal') equal += words;
+    if (part.type !== 'insert') left += words;
+    if (part.type !== 'delete') right += words;
+  });
+  return left + right === 0 ? 1 : (2 * equal) / (left + right);
+}
+
+/**
+ * Compares two prompts.
+ * @param {Object} left - First prompt.
+ * @param {Object} right - Second prompt.
+ * @param {Object} [options]
+ * @param {Function} [options.categoryName] - Maps a category ID to a display name.
+ * @param {Function} [options.tagName] - Maps a tag ID to a display name.
+ * @param {string} [options.modelId] - Model for token estimates (defaults to the selected model).
+ * @param {{results?: number[], comments?: number[]}} [options.counts] - `[left, right]` result and comment counts, if known.
+ * @returns {{
+ *   fields: Array<{field: string, label: string, left: string, right: string, same: boolean, parts: Array}>,
+ *   tags: {shared: string[], onlyLeft: string[], onlyRight: string[]},
+ *   metadata: Array<{key: string, label: string, left: *, right: *, same: boolean}>,
+ *   similarity: number,
+ *   differences: string[]
+ * }} Comparison; `differences` lists the labels of the fields and metadata that differ (timestamps excluded).
+ */
+export function comparePrompts(left, right, options = {}) {
+  const categoryName = options.categoryName || (id => id);
+  const tagName = options.tagName || (id => id);
+  const modelId = options.modelId || getSelectedModelId();
+  const counts = options.counts || {};
+
+  const fields = COMPARE_TEXT_FIELDS.map(({ field, label }) => {
+    const leftText = String(left[field] ?? '');
+    const rightText = String(right[field] ?? '');
+    return {
+      field,
+      label,
+      left: leftText,
+      right: rightText,
+      same: leftText === rightText,
+      parts: diffWords(leftText, rightText)
+    };
+  });
+
+  const tagIds = compareTags(left.tags, right.tags);
+  const tags = {
+    shared: tagIds.shared.map(tagName),
+    onlyLeft: tagIds.onlyLeft.map(tagName),
+    onlyRight: tagIds.onlyRight.map(tagName)
+  };
+
+  const variableNames = p => (Array.isArray(p.variables) ? p.variables.map(v => v.name) : []).sort().join(', ');
+  const rows = [
+    ['category', 'Category', p => categoryName(p.category || '')],
+    ['author', 'Author', p => p.author || ''],
+    ['variables', 'Variables', variableNames],
+    ['tokens', 'Estimated tokens', p => estimateTokensForModel(p.content || '', modelId)],
+    ['created_at', 'Created', p => p.created_at || ''],
+    ['updated_at', 'Updated', p => p.updated_at || '']
+  ];
+  if (Array.isArray(counts.results)) rows.push(['results', 'Results', (p, side) => counts.results[side]]);
+  if (Array.isArray(counts.comments)) rows.push(['comments', 'Comments', (p, side) => counts.comments[side]]);
+  const metadata = rows.map(([key, label, read]) => {
+    const leftValue = read(left, 0);
+    const rightValue = read(right, 1);
+    return { key, label, left: leftValue, right: rightValue, same: leftValue === rightValue };
+  });
+
+  const tagsDiffer = tags.onlyLeft.length > 0 || tags.onlyRight.length > 0;
+  return {
+    fields,
+    tags,
+    metadata,
+    similarity: similarityFromDiff(fields.find(f => f.field === 'content').parts),
+    differences: [
+      ...fields.filter(f => !f.same).map(f => f.label),
+      ...(tagsDiffer ? ['Tags'] : []),
+      ...metadata.filter(m => !m.same && !INFO_ONLY_KEYS.includes(m.key)).map(m => m.label)
+    ]
+  };
+}
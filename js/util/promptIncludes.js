@@ -0,0 +1,128 @@
+/**
+ * js/util/promptIncludes.js
+ * Prompt composition: `{{> prompt_id}}` includes another prompt's text by reference.
+ * Includes are resolved recursively with cycle detection and missing-reference warnings.
+ */
+
+import { fetchPromptById } from '../api/prompts.js';
+import { getPromptText } from './templateVars.js';
+
+// --- Configuration ---
+// Include IDs follow the prompt ID format from SCHEMAS.prompt in dataValidator.js.
+const INCLUDE_PATTERN = /\{\{>\s*([a-zA-Z0-9_.-]+)\s*\}\}/g;
+const DEFAULT_MAX_DEPTH = 8;
+
+/**
+ * Lists the prompt IDs a text includes, in order of first appearance.
+ * @param {string} text - The prompt text.
+ * @returns {string[]} Unique included prompt IDs.
+ */
+export function findIncludeRefs(text) {
+  if (!text || typeof text !== 'string') return [];
+  const ids = [];
+  for (const match of text.matchAll(INCLUDE_PATTERN)) {
+    if (!ids.includes(match[1])) ids.push(match[1]);
+  }
+  return ids;
+}
+
+/**
+ * Checks whether a text contains at least one include.
+ * @param {string} text - The prompt text.
+ * @returns {boolean} True if the text includes other prompts.
+ */
+export function hasIncludes(text) {
+  return findIncludeRefs(text).length > 0;
+}
+
+/**
+ * Resolves all includes in a text, recursively.
+ * Unresolvable includes (missing prompt, cycle, too deep) are left in place and reported as warnings.
+ * @param {string} text - The prompt text.
+ * @param {Object} [options]
+ * @param {string} [options.rootId] - ID of the prompt the text belongs to (so self-includes are caught as cycles).
+ * @param {Function} [options.fetchPrompt=fetchPromptById] - Async lookup of a prompt by ID.
+ * @param {number} [options.maxDepth=8] - Maximum include nesting.
+ * @returns {Promise<{text: string, warnings: Array<{type: string, id: string, path: string[], message: string}>, included: string[], variables: Object[]}>}
+ *   The resolved text, warnings, IDs of all included prompts and the variable declarations they carry.
+ */
+export async function resolveIncludes(text, options = {}) {
+  const fetchPrompt = options.fetchPrompt || fetchPromptById;
+  const maxDepth = options.maxDepth || DEFAULT_MAX_DEPTH;
+  const cache = new Map(); // id -> Promise<prompt|null>
+  const warnings = [];
+  const included = [];
+  const variables = [];
+
+  function lookup(id) {
+    if (!cache.has(id)) {
+      cache.set(id, Promise.resolve()
+        .then(() => fetchPrompt(id))
+        .then(prompt => ({ prompt: prompt || null }))
+        .catch(err => ({ prompt: null, error: err })));
+    }
+    return cache.get(id);
+  }
+
+  async function expand(source, stack) {
+    const replacements = new Map();
+    for (const id of findIncludeRefs(source)) {
+      const path = [...stack, id];
+      if (stack.includes(id)) {
+        warnings.push({ type: 'cycle', id, path, message: `Include cycle: ${path.join(' → ')}` });
+        continue;
+      }
+      if (stack.length > maxDepth) {
+        warnings.push({ type: 'depth', id, path, message: `Includes nested more than ${maxDepth} levels deep at "${id}"` });
+        continue;
+      }
+      const { prompt, error } = await lookup(id);
+      if (!prompt) {
+        const notFound = !error || error.status === 404;
+        warnings.push({
+          type: notFound ? 'missing' : 'error',
+          id,
+          path,
+          message: notFound ? `Included prompt "${id}" was not found` : `Could not load included prompt "${id}"`
+        });
+        continue;
+      }
+      if (!included.includes(id)) included.push(id);
+      (Array.isArray(prompt.variables) ? prompt.variables : []).forEach(def => {
+        if (def && !variables.some(v => v.name === def.name)) variables.push(def);
+      });
+      replacements.set(id, await expand(getPromptText(prompt), path));
+    }
+    return source.replace(INCLUDE_PATTERN, (placeholder, id) => (replacements.has(id) ? replacements.get(id) : placeholder));
+  }
+
+  const resolved = await expand(typeof text === 'string' ? text : '', options.rootId ? [options.rootId] : []);
+  return { text: resolved, warnings, included, variables };
+}
+
+/**
+ * Resolves the includes of a prompt and merges the variable declarations of included prompts
+ * into the prompt's own (the prompt's declarations win on name clashes).
+ * @param {Object} prompt - The prompt object.
+ * @param {Object} [options] - Options for resolveIncludes.
+ * @returns {Promise<{text: string, warnings: Array, included: string[], variables: Object[]}>}
+ */
+export async function resolvePromptIncludes(prompt, options = {}) {
+  const own = Array.isArray(prompt?.variables) ? prompt.variables : [];
+  const result = await resolveIncludes(getPromptText(prompt), { rootId: prompt?.id, ...options });
+  return {
+    ...result,
+    variables: [...own, ...result.variables.filter(def => !own.some(v => v.name === def.name))]
+  };
+}
+
+/**
+ * Finds the prompts that include a given prompt directly.
+ * @param {string} promptId - ID of the included prompt.
+ * @param {Object[]} prompts - All known prompts.
+ * @returns {Object[]} Prompts whose text contains `{{> promptId}}`.
+ */
+export function findUsedBy(promptId, prompts) {
+  if (!promptId || !Array.isArray(prompts)) return [];
+  return prompts.filter(p => p && p.id !== promptId && findIncludeRefs(getPromptText(p)).includes(String(promptId)));
+}
@@ -0,0 +1,267 @@
+/**
+ * js/util/promptLinter.js
+ * Lint rules for prompt text. Each diagnostic carries a line/column position and,
+ * where the problem can be fixed mechanically, a quick fix expressed as text edits.
+ */
+
+import { extractVariables, getPromptText } from './templateVars.js';
+import { estimateTokens } from './tokenEstimator.js';
+
+// --- Configuration ---
+export const LINT_RULES = {
+  'unresolved-variable': 'Placeholder that cannot be resolved (malformed, unclosed or including an unknown prompt)',
+  'unused-variable': 'Declared variable that the text never uses',
+  'duplicate-instruction': 'Instruction repeated verbatim',
+  'contradictory-directives': 'Directives that contradict each other',
+  'trailing-whitespace': 'Whitespace at the end of a line',
+  'invisible-unicode': 'Invisible or look-alike Unicode character',
+  'excessive-length': 'Prompt longer than the configured token budget'
+};
+const DEFAULT_MAX_TOKENS = 4000;
+const MIN_DUPLICATE_LENGTH = 20; // Shorter sentences repeat legitimately ("Be specific.")
+
+// Zero-width, bidi control and soft-hyphen characters are removed; look-alike spaces become a space.
+const INVISIBLE_CHARS = {
+  '\u200B': { name: 'zero-width space', replacement: '' },
+  '\u200C': { name: 'zero-width non-joiner', replacement: '' },
+  '\u200D': { name: 'zero-width joiner', replacement: '' },
+  '\u2060': { name: 'word joiner', replacement: '' },
+  '\uFEFF': { name: 'byte order mark', replacement: '' },
+  '\u00AD': { name: 'soft hyphen', replacement: '' },
+  '\u202A': { name: 'left-to-right embedding', replacement: '' },
+  '\u202B': { name: 'right-to-left embedding', replacement: '' },
+  '\u202C': { name: 'pop directional formatting', replacement: '' },
+  '\u202D': { name: 'left-to-right override', replacement: '' },
+  '\u202E': { name: 'right-to-left override', replacement: '' },
+  '\u2066': { name: 'left-to-right isolate', replacement: '' },
+  '\u2067': { name: 'right-to-left isolate', replacement: '' },
+  '\u2068': { name: 'first strong isolate', replacement: '' },
+  '\u2069': { name: 'pop directional isolate', replacement: '' },
+  '\u00A0': { name: 'non-breaking space', replacement: ' ' },
+  '\u2007': { name: 'figure space', replacement: ' ' },
+  '\u202F': { name: 'narrow non-breaking space', replacement: ' ' }
+};
+const INVISIBLE_PATTERN = new RegExp(`[${Object.keys(INVISIBLE_CHARS).join('')}]`, 'g');
+
+// Pairs of directive families that should not appear in the same prompt.
+const CONTRADICTIONS = [
+  { a: /\b(be (brief|concise|short)|keep it (brief|short)|briefly|concisely|in one sentence)\b/i, b: /\b(be (detailed|thorough|comprehensive|exhaustive)|in (great )?detail|in depth|elaborate)\b/i, label: 'brevity and detail' },
+  { a: /\b(be|use a|keep it) formal\b|\bformal (tone|language)\b/i, b: /\b(be|use a|keep it) (casual|informal)\b|\b(casual|informal) (tone|language)\b/i, label: 'formal and casual tone' },
+  { a: /\buse (bullet points|bullets|a list)\b/i, b: /\b(no|avoid|don't use|do not use) (bullet points|bullets|lists)\b/i, label: 'using and avoiding bullet points' },
+  { a: /\b(respond|answer|reply) (only )?in json\b|\bjson only\b/i, b: /\b(respond|answer|reply) in (plain text|prose|markdown)\b/i, label: 'JSON and non-JSON output' },
+  { a: /\binclude (examples|an example)\b/i, b: /\b(no|without|don't include|do not include) examples?\b/i, label: 'including and omitting examples' }
+];
+
+// --- Helpers ---
+
+/**
+ * Converts a string offset into a 1-based line/column position.
+ * @param {string} text - The text.
+ * @param {number} offset - 0-based offset.
+ * @returns {{line: number, column: number}} Position.
+ */
+export function offsetToPosition(text, offset) {
+  const before = text.slice(0, offset);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+function diagnostic(text, rule, severity, message, start, end, fix) {
+  const { line, column } = offsetToPosition(text, start);
+  const result = { rule, severity, message, line, column, start, end };
+  if (fix) result.fix = fix;
+  return result;
+}
+
+// --- Rules ---
+
+function checkPlaceholders(text, options) {
+  const results = [];
+  // Anything in double braces that is neither a variable nor an include
+  for (const match of text.matchAll(/\{\{([^{}]*)\}\}/g)) {
+    const inner = match[1].trim();
+    if (/^[a-zA-Z_][\w.-]*$/.test(inner) || /^>\s*[a-zA-Z0-9_.-]+$/.test(inner)) continue;
+    results.push(diagnostic(text, 'unresolved-variable', 'error',
+      inner ? `Malformed placeholder "${match[0]}": variable names start with a letter or underscore and contain no spaces.` : 'Empty placeholder "{{}}".',
+      match.index, match.index + match[0].length));
+  }
+  // Opening braces that are never closed on the same line
+  for (const match of text.matchAll(/\{\{(?![^\n]*?\}\})[^\n]*/g)) {
+    results.push(diagnostic(text, 'unresolved-variable', 'error', 'Unclosed placeholder: "{{" has no matching "}}".',
+      match.index, match.index + 2));
+  }
+  // Single-brace look-alikes such as {name}
+  for (const match of text.matchAll(/(?<!\{)\{([a-zA-Z_][\w.-]*)\}(?!\})/g)) {
+    results.push(diagnostic(text, 'unresolved-variable', 'warning', `"${match[0]}" uses single braces and will not be filled in.`,
+      match.index, match.index + match[0].length,
+      { label: `Use {{${match[1]}}}`, edits: [{ start: match.index, end: match.index + match[0].length, text: `{{${match[1]}}}` }] }));
+  }
+  // Includes that point at prompts we know do not exist
+  if (Array.isArray(options.prompts)) {
+    const known = new Set(options.prompts.map(p => String(p.id)));
+    for (const match of text.matchAll(/\{\{>\s*([a-zA-Z0-9_.-]+)\s*\}\}/g)) {
+      if (!known.has(match[1])) {
+        results.push(diagnostic(text, 'unresolved-variable', 'error', `Included prompt "${match[1]}" does not exist.`,
+          match.index, match.index + match[0].length));
+      }
+    }
+  }
+  return results;
+}
+
+function checkUnusedVariables(text, options) {
+  if (!Array.isArray(options.variables)) return [];
+  const used = extractVariables(text);
+  return options.variables
+    .filter(def => def && def.name && !used.includes(def.name))
+    .map(def => diagnostic(text, 'unused-variable', 'warning', `Variable "${def.name}" is declared but never used in the text.`, 0, 0));
+}
+
+function checkDuplicates(text) {
+  const results = [];
+  const seen = new Map();
+  // Sentences (or whole lines without terminal punctuation)
+  for (const match of text.matchAll(/[^.!?\n]+[.!?]*/g)) {
+    const sentence = match[0];
+    const normalized = sentence.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (normalized.length < MIN_DUPLICATE_LENGTH) continue;
+    const leading = sentence.length - sentence.trimStart().length;
+    const start = match.index + leading;
+    const end = match.index + sentence.trimEnd().length;
+    if (seen.has(normalized)) {
+      const first = seen.get(normalized);
+      // Remove the repeat together with the whitespace before it
+      let removeFrom = start;
+      while (removeFrom > 0 && /[ \t]/.test(text[removeFrom - 1])) removeFrom--;
+      results.push(diagnostic(text, 'duplicate-instruction', 'warning',
+        `Instruction repeated (first seen on line ${first.line}): "${sentence.trim().slice(0, 60)}"`,
+        start, end, { label: 'Remove repeat', edits: [{ start: removeFrom, end, text: '' }] }));
+    } else {
+      seen.set(normalized, offsetToPosition(text, start));
+    }
+  }
+  return results;
+}
+
+function checkContradictions(text) {
+  const results = [];
+  CONTRADICTIONS.forEach(({ a, b, label }) => {
+    const matchA = text.match(a);
+    const matchB = text.match(b);
+    if (!matchA || !matchB) return;
+    const [first, second] = matchA.index <= matchB.index ? [matchA, matchB] : [matchB, matchA];
+    const { line } = offsetToPosition(text, first.index);
+    results.push(diagnostic(text, 'contradictory-directives', 'warning',
+      `Contradictory directives (${label}): "${second[0]}" conflicts with "${first[0]}" on line ${line}.`,
+      second.index, second.index + second[0].length));
+  });
+  return results;
+}
+
+function checkTrailingWhitespace(text) {
+  const results = [];
+  for (const match of text.matchAll(/[ \t]+(?=\r?\n|$)/g)) {
+    results.push(diagnostic(text, 'trailing-whitespace', 'info', 'Trailing whitespace.',
+      match.index, match.index + match[0].length,
+      { label: 'Trim', edits: [{ start: match.index, end: match.index + match[0].length, text: '' }] }));
+  }
+  return results;
+}
+
+function checkInvisibleUnicode(text) {
+  const results = [];
+  for (const match of text.matchAll(INVISIBLE_PATTERN)) {
+    const info = INVISIBLE_CHARS[match[0]];
+    const code = `U+${match[0].charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+    results.push(diagnostic(text, 'invisible-unicode', 'warning', `Invisible character: ${info.name} (${code}).`,
+      match.index, match.index + 1,
+      { label: info.replacement ? 'Replace with space' : 'Remove', edits: [{ start: match.index, end: match.index + 1, text: info.replacement }] }));
+  }
+  return results;
+}
+
+function checkLength(text, options) {
+  const maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+  const tokens = estimateTokens(text, options.family);
+  if (tokens <= maxTokens) return [];
+  return [diagnostic(text, 'excessive-length', 'warning', `Prompt is about ${tokens} tokens, over the ${maxTokens}-token budget.`, 0, 0)];
+}
+
+// --- Public API ---
+
+/**
+ * Lints prompt text.
+ * @param {string} text - The prompt text.
+ * @param {Object} [options]
+ * @param {Object[]} [options.variables] - Variable declarations (`prompt.variables`) to check for unused entries.
+ * @param {Object[]} [options.prompts] - Known prompts; enables checking `{{> prompt_id}}` includes.
+ * @param {number} [options.maxTokens=4000] - Token budget for the length rule.
+ * @param {string} [options.family] - Tokenizer family used for the length rule.
+ * @param {string[]} [options.disabledRules] - Rule IDs to skip.
+ * @returns {Array<{rule: string, severity: string, message: string, line: number, column: number, start: number, end: number, fix?: {label: string, edits: Array<{start: number, end: number, text: string}>}}>}
+ *   Diagnostics sorted by position.
+ */
+export function lintPrompt(text, options = {}) {
+  if (!text || typeof text !== 'string') return [];
+  const disabled = new Set(options.disabledRules || []);
+  const checks = {
+    'unresolved-variable': checkPlaceholders,
+    'unused-variable': checkUnusedVariables,
+    'duplicate-instruction': checkDuplicates,
+    'contradictory-directives': checkContradictions,
+    'trailing-whitespace': checkTrailingWhitespace,
+    'invisible-unicode': checkInvisibleUnicode,
+    'excessive-length': checkLength
+  };
+  const diagnostics = [];
+  Object.entries(checks).forEach(([rule, check]) => {
+    if (!disabled.has(rule)) diagnostics.push(...check(text, options));
+  });
+  return diagnostics.sort((a, b) => a.start - b.start || a.line - b.line);
+}
+
+/**
+ * Applies the quick fixes of the given diagnostics. Overlapping edits are skipped.
+ * @param {string} text - The prompt text the diagnostics were computed for.
+ * @param {Object[]} diagnostics - Diagnostics (those without a fix are ignored).
+ * @returns {string} The fixed text.
+ */
+export function applyFixes(text, diagnostics) {
+  const edits = diagnostics
+    .filter(d => d.fix)
+    .flatMap(d => d.fix.edits)
+    .sort((a, b) => b.start - a.start);
+  let result = text;
+  let lowestStart = Infinity;
+  edits.forEach(edit => {
+    if (edit.end > lowestStart) return; // Overlaps an edit already applied
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    lowestStart = edit.start;
+  });
+  return result;
+}
+
+/**
+ * Lints every prompt in a library.
+ * @param {Object[]} prompts - All prompts.
+ * @param {Object} [options] - Same options as lintPrompt() (variables and prompts are filled in per prompt).
+ * @returns {{entries: Array<{prompt: Object, diagnostics: Object[]}>, totals: Object<string, number>, promptCount: number, issueCount: number}}
+ *   Entries only for prompts with diagnostics; totals per rule.
+ */
+export function lintLibrary(prompts, options = {}) {
+  const list = Array.isArray(prompts) ? prompts : [];
+  const totals = {};
+  const entries = [];
+  list.forEach(prompt => {
+    const diagnostics = lintPrompt(getPromptText(prompt), { ...options, variables: prompt.variables, prompts: list });
+    if (!diagnostics.length) return;
+    diagnostics.forEach(d => { totals[d.rule] = (totals[d.rule] || 0) + 1; });
+    entries.push({ prompt, diagnostics });
+  });
+  return {
+    entries,
+    totals,
+    promptCount: list.length,
+    issueCount: entries.reduce((sum, entry) => sum + entry.diagnostics.length, 0)
+  };
+}
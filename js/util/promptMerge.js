@@ -0,0 +1,172 @@
+/**
+ * js/util/promptMerge.js
+ * Three-way merge of prompt edits. When a save is rejected because someone else saved the prompt
+ * first (409 from api/prompts.php), each field is merged from the version the edit started from
+ * (base), the editor's values (mine) and the stored prompt (theirs):
+ * - a field only one side changed takes that side's value;
+ * - text changed on both sides is merged line by line when the changes touch different lines;
+ * - tags changed on both sides keep every tag either side added and drop every tag either side removed;
+ * - anything else changed on both sides is a conflict the user resolves (see ui/promptMergeDialog.js).
+ */
+
+import { REVISION_FIELDS } from './textDiff.js';
+
+/** Fields merged as text; the other fields are compared as whole values. */
+export const MERGE_TEXT_FIELDS = ['title', 'content', 'description'];
+
+// Above this many LCS cells a side's change is treated as one block (and conflicts with any other change)
+const MAX_LCS_CELLS = 4000000;
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Changed blocks of `other` relative to `base`: base lines [start, end) replaced by `lines`
+function lineHunks(base, other) {
+  const n = base.length;
+  const m = other.length;
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    return same(base, other) ? [] : [{ start: 0, end: n, lines: other }];
+  }
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = base[i] === other[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+  const hunks = [];
+  let hunk = null;
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && base[i] === other[j]) {
+      if (hunk) hunks.push(hunk);
+      hunk = null;
+      i++;
+      j++;
+      continue;
+    }
+    if (!hunk) hunk = { start: i, end: i, lines: [] };
+    if (j < m && (i === n || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+      hunk.lines.push(other[j++]);
+    } else {
+      hunk.end = ++i;
+    }
+  }
+  if (hunk) hunks.push(hunk);
+  return hunks;
+}
+
+/**
+ * Merges two edits of the same text line by line.
+ * Changes that touch the same or adjacent lines conflict unless both sides made the same change.
+ * @param {string} base - Text both edits started from.
+ * @param {string} mine - One edit.
+ * @param {string} theirs - The other edit.
+ * @returns {{clean: boolean, text: string|null}} The merged text, or `clean: false` and null.
+ */
+export function mergeText(base, mine, theirs) {
+  base = String(base ?? '');
+  mine = String(mine ?? '');
+  theirs = String(theirs ?? '');
+  if (mine === theirs || theirs === base) return { clean: true, text: mine };
+  if (mine === base) return { clean: true, text: theirs };
+
+  const baseLines = base.split('\n');
+  const hunks = [
+    ...lineHunks(baseLines, mine.split('\n')).map(h => ({ ...h, side: 'mine' })),
+    ...lineHunks(baseLines, theirs.split('\n')).map(h => ({ ...h, side: 'theirs' }))
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const out = [];
+  let pos = 0;
+  let k = 0;
+  while (k < hunks.length) {
+    // A cluster is a run of hunks that overlap or touch
+    const cluster = [hunks[k]];
+    let end = hunks[k].end;
+    k++;
+    while (k < hunks.length && hunks[k].start <= end) {
+      cluster.push(hunks[k]);
+      end = Math.max(end, hunks[k].end);
+      k++;
+    }
+    let lines;
+    if (cluster.length === 1) {
+      lines = cluster[0].lines;
+    } else if (cluster.length === 2 && cluster[0].side !== cluster[1].side
+      && cluster[0].start === cluster[1].start && cluster[0].end === cluster[1].end
+      && same(cluster[0].lines, cluster[1].lines)) {
+      lines = cluster[0].lines;
+    } else {
+      return { clean: false, text: null };
+    }
+    out.push(...baseLines.slice(pos, cluster[0].start), ...lines);
+    pos = end;
+  }
+  out.push(...baseLines.slice(pos));
+  return { clean: true, text: out.join('\n') };
+}
+
+/**
+ * Merges two edits of a tag list as sets: tags added by either side are kept, tags removed by
+ * either side are dropped. Order follows theirs, then tags only I added.
+ * @param {string[]} base - Tags both edits started from.
+ * @param {string[]} mine - One edit.
+ * @param {string[]} theirs - The other edit.
+ * @returns {string[]} Merged tags.
+ */
+export function mergeTags(base, mine, theirs) {
+  const baseSet = new Set(base || []);
+  const mineSet = new Set(mine || []);
+  const removedByMe = [...baseSet].filter(tag => !mineSet.has(tag));
+  const merged = [...(theirs || []), ...(mine || []).filter(tag => !baseSet.has(tag))];
+  return [...new Set(merged)].filter(tag => !removedByMe.includes(tag));
+}
+
+/**
+ * Merges my edit of a prompt with the version someone else saved in the meantime.
+ * @param {Object} base - The prompt as it was when I started editing.
+ * @param {Object} mine - My values; fields left out count as unchanged.
+ * @param {Object} theirs - The prompt as it is stored now.
+ * @param {string[]} [fields=REVISION_FIELDS] - Fields to merge.
+ * @returns {{merged: Object, conflicts: string[], fields: Array<{field: string, base: *, mine: *, theirs: *, outcome: string, value: *}>}}
+ *   `merged` holds every field (conflicting ones set to my value); `outcome` is 'unchanged', 'mine',
+ *   'theirs', 'same' (both made the same change), 'merged' or 'conflict'.
+ */
+export function mergePrompt(base, mine, theirs, fields = REVISION_FIELDS) {
+  const merged = {};
+  const conflicts = [];
+  const report = fields.map(field => {
+    const baseValue = base ? base[field] : undefined;
+    const mineValue = mine && mine[field] !== undefined ? mine[field] : baseValue;
+    const theirValue = theirs ? theirs[field] : undefined;
+    const text = MERGE_TEXT_FIELDS.includes(field) ? mergeText(baseValue, mineValue, theirValue) : null;
+    let outcome;
+    let value;
+    if (same(mineValue, theirValue)) {
+      outcome = same(mineValue, baseValue) ? 'unchanged' : 'same';
+      value = mineValue;
+    } else if (same(mineValue, baseValue)) {
+      outcome = 'theirs';
+      value = theirValue;
+    } else if (same(theirValue, baseValue)) {
+      outcome = 'mine';
+      value = mineValue;
+    } else if (text && text.clean) {
+      outcome = 'merged';
+      value = text.text;
+    } else if (field === 'tags' && Array.isArray(mineValue) && Array.isArray(theirValue)) {
+      outcome = 'merged';
+      value = mergeTags(baseValue, mineValue, theirValue);
+    } else {
+      outcome = 'conflict';
+      value = mineValue;
+      conflicts.push(field);
+    }
+    merged[field] = value;
+    return { field, base: baseValue, mine: mineValue, theirs: theirValue, outcome, value };
+  });
+  return { merged, conflicts, fields: report };
+}
@@ -0,0 +1,298 @@
+/**
+ * js/util/promptQuery.js
+ * Prompt list queries: filtering, sorting, paging and field selection, as done by
+ * api/prompts.php for `GET /api/prompts.php?...` (keep the two in step). offlineSync.js uses
+ * queryPrompts() to answer the same query from the offline cache, and the prompt list turns its
+ * toolbar state into a query with listQueryFromParams() and patches synced changes into its
+ * loaded pages with mergeIntoPage().
+ *
+ * Query parameters (all optional):
+ * - q: case-insensitive text in the title, content or description
+ * - category, tag, author: exact match (category and tag by ID)
+ * - ids: comma-separated prompt IDs; only those prompts
+ * - from, to, date_field: date range on created_at (default) or updated_at; a bare YYYY-MM-DD
+ *   `to` includes that whole day (UTC)
+ * - sort: one of PROMPT_SORT_FIELDS, prefixed with - for descending; default is storage order
+ * - limit (at most PROMPT_LIST_MAX_LIMIT; 0 or none returns every match), cursor: the
+ *   `next_cursor` of the previous page
+ * - fields: comma-separated prompt fields to send (`*` for all), plus `results` and/or
+ *   `comments` to attach those; without `fields` every field, results and comments are sent
+ */
+
+/** Largest page the API returns. */
+export const PROMPT_LIST_MAX_LIMIT = 200;
+
+/** Fields the list can be sorted by. */
+export const PROMPT_SORT_FIELDS = ['title', 'author', 'created_at', 'updated_at'];
+
+/** Fields a date range can apply to. */
+export const PROMPT_DATE_FIELDS = ['created_at', 'updated_at'];
+
+/** Fields the prompt list requests: the stored prompt and its results (score badges); comments load when opened. */
+export const PROMPT_LIST_FIELDS = '*,results';
+
+/** Sort options of the toolbar (`sortBy`) the server handles, and the `sort` value each maps to. */
+export const LIST_SORTS = {
+  'updated-desc': '-updated_at',
+  'created-desc': '-created_at',
+  'created-asc': 'created_at',
+  'title-asc': 'title'
+};
+
+const DAY_SECONDS = 86400;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+function param(params, key) {
+  const value = params instanceof URLSearchParams ? params.get(key) : params[key];
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function seconds(value) {
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+function parseQueryDate(value, endOfDay) {
+  if (DATE_ONLY.test(value)) {
+    const time = seconds(`${value}T00:00:00Z`);
+    return time === null ? null : (endOfDay ? time + DAY_SECONDS - 1 : time);
+  }
+  return ISO_TIME.test(value) ? seconds(value) : null;
+}
+
+/**
+ * Parses list query parameters the way the API does.
+ * @param {URLSearchParams|Object} params - Query parameters.
+ * @returns {{query: Object}|{error: string}} The parsed query, or the message the API answers 400 with.
+ */
+export function parsePromptQuery(params = {}) {
+  const query = {
+    limit: null,
+    offset: 0,
+    q: param(params, 'q').toLowerCase(),
+    category: param(params, 'category'),
+    tag: param(params, 'tag'),
+    author: param(params, 'author'),
+    ids: null,
+    dateField: 'created_at',
+    from: null,
+    to: null,
+    sort: null,
+    desc: false,
+    fields: null
+  };
+  const limit = param(params, 'limit');
+  if (limit !== '') {
+    if (!/^\d+$/.test(limit)) return { error: 'limit must be a whole number' };
+    query.limit = Number(limit) === 0 ? null : Math.min(Number(limit), PROMPT_LIST_MAX_LIMIT);
+  }
+  const cursor = param(params, 'cursor');
+  if (cursor !== '') {
+    if (!/^\d+$/.test(cursor)) return { error: 'Invalid cursor' };
+    query.offset = Number(cursor);
+  }
+  const ids = param(params, 'ids');
+  if (ids !== '') query.ids = ids.split(',').map(id => id.trim()).filter(Boolean);
+  const dateField = param(params, 'date_field');
+  if (dateField !== '') {
+    if (!PROMPT_DATE_FIELDS.includes(dateField)) return { error: `date_field must be one of ${PROMPT_DATE_FIELDS.join(', ')}` };
+    query.dateField = dateField;
+  }
+  for (const key of ['from', 'to']) {
+    const value = param(params, key);
+    if (value === '') continue;
+    query[key] = parseQueryDate(value, key === 'to');
+    if (query[key] === null) return { error: `Invalid ${key} date (use YYYY-MM-DD or an ISO 8601 time with a time zone)` };
+  }
+  const sort = param(params, 'sort');
+  if (sort !== '') {
+    const field = sort.replace(/^-+/, '');
+    if (!PROMPT_SORT_FIELDS.includes(field)) {
+      return { error: `sort must be one of ${PROMPT_SORT_FIELDS.join(', ')} (prefix - for descending)` };
+    }
+    query.sort = field;
+    query.desc = sort[0] === '-';
+  }
+  const fields = param(params, 'fields');
+  if (fields !== '') query.fields = fields.split(',').map(f => f.trim()).filter(Boolean);
+  return { query };
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.toLowerCase() : '';
+}
+
+function matches(prompt, query) {
+  if (query.category && (prompt.category ?? '') !== query.category) return false;
+  if (query.tag && !(Array.isArray(prompt.tags) && prompt.tags.includes(query.tag))) return false;
+  if (query.author && (prompt.author ?? '') !== query.author) return false;
+  if (query.ids && !query.ids.includes(String(prompt.id))) return false;
+  if (query.q && !['title', 'content', 'description'].some(field => text(prompt[field]).includes(query.q))) return false;
+  if (query.from !== null || query.to !== null) {
+    const time = seconds(prompt[query.dateField]);
+    if (time === null) return false;
+    if (query.from !== null && time < query.from) return false;
+    if (query.to !== null && time > query.to) return false;
+  }
+  return true;
+}
+
+function compare(a, b, field) {
+  if (PROMPT_DATE_FIELDS.includes(field)) return (seconds(a[field]) || 0) - (seconds(b[field]) || 0);
+  const x = text(a[field]);
+  const y = text(b[field]);
+  return x < y ? -1 : (x > y ? 1 : 0);
+}
+
+function selectFields(prompt, fields) {
+  if (!fields || fields.includes('*')) return { ...prompt };
+  const selected = { id: prompt.id, version: prompt.version ?? 1 };
+  fields.forEach(field => {
+    if (field in prompt) selected[field] = prompt[field];
+  });
+  return selected;
+}
+
+function byPrompt(rows) {
+  const grouped = new Map();
+  (rows || []).forEach(row => {
+    if (!row || row.prompt_id === undefined) return;
+    if (!grouped.has(row.prompt_id)) grouped.set(row.prompt_id, []);
+    grouped.get(row.prompt_id).push(row);
+  });
+  return grouped;
+}
+
+// Rows the record carries, updated and extended by the related rows with the same ID
+function withRelated(own, related) {
+  const rows = new Map((Array.isArray(own) ? own : []).map(row => [row && row.id, row]));
+  (related || []).forEach(row => rows.set(row.id, row));
+  return [...rows.values()];
+}
+
+/**
+ * Answers a list query over a set of prompts, like the API does.
+ * @param {Object[]} prompts - Prompts in storage order.
+ * @param {URLSearchParams|Object} params - Query parameters (see the top of this file).
+ * @param {Object} [related] - `results` and `comments` to attach by prompt_id, on top of any the
+ *   prompt records already carry.
+ * @returns {{prompts: Object[], total: number, next_cursor: string|null}|{error: string}}
+ *   The page, the number of prompts matching the filters and the cursor of the next page.
+ */
+export function queryPrompts(prompts, params = {}, related = {}) {
+  const parsed = parsePromptQuery(params);
+  if (parsed.error) return { error: parsed.error };
+  const { query } = parsed;
+  let found = (prompts || []).filter(p => p && matches(p, query));
+  if (query.sort) {
+    const sign = query.desc ? -1 : 1;
+    found = found.slice().sort((a, b) => sign * compare(a, b, query.sort));
+  }
+  const total = found.length;
+  const page = found.slice(query.offset, query.limit === null ? undefined : query.offset + query.limit);
+  const nextOffset = query.offset + page.length;
+  const withResults = !query.fields || query.fields.includes('results');
+  const withComments = !query.fields || query.fields.includes('comments');
+  const results = related.results ? byPrompt(related.results) : null;
+  const comments = related.comments ? byPrompt(related.comments) : null;
+  return {
+    prompts: page.map(p => {
+      const item = selectFields(p, query.fields);
+      if (withResults) item.results = withRelated(p.results, results && results.get(p.id));
+      else delete item.results;
+      if (withComments) item.comments = withRelated(p.comments, comments && comments.get(p.id));
+      else delete item.comments;
+      return item;
+    }),
+    total,
+    next_cursor: nextOffset < total ? String(nextOffset) : null
+  };
+}
+
+/**
+ * Applies synced prompt changes (util/deltaSync.js, util/liveUpdates.js) to the prompts a list has
+ * loaded. Changed prompts are updated where they are, keeping the results they were loaded with;
+ * deleted prompts and ones that no longer match the query are dropped; with `add`, new matches are
+ * added where the query's sort puts them (at the end without a sort).
+ * @param {Object[]} loaded - Loaded prompts, in list order.
+ * @param {Object} changes - { records, deleted, full }; with `full`, loaded prompts missing from
+ *   `records` count as deleted.
+ * @param {URLSearchParams|Object} params - The list query (see the top of this file).
+ * @param {Object} [options]
+ * @param {boolean} [options.add=true] - Add new matches; when the browser filters the list further, it has to filter them too.
+ * @returns {{prompts: Object[], added: number, removed: number, updated: string[]}} The new list,
+ *   how many prompts it gained and lost, and the IDs of the prompts updated in it.
+ */
+export function mergeIntoPage(loaded, { records = [], deleted = [], full = false } = {}, params = {}, { add = true } = {}) {
+  const parsed = parsePromptQuery(params);
+  const query = parsed.error ? null : parsed.query;
+  const fits = prompt => !query || matches(prompt, query);
+  const changed = new Map(records.filter(r => r && r.id !== undefined && r.id !== null).map(r => [String(r.id), r]));
+  const gone = new Set(deleted.map(String));
+  if (full) loaded.forEach(p => {
+    if (!changed.has(String(p.id))) gone.add(String(p.id));
+  });
+  const prompts = [];
+  const updated = [];
+  let removed = 0;
+  loaded.forEach(p => {
+    const id = String(p.id);
+    const record = changed.get(id);
+    changed.delete(id);
+    if (gone.has(id)) {
+      removed++;
+    } else if (!record) {
+      prompts.push(p);
+    } else if (fits({ ...p, ...record })) {
+      prompts.push({ ...p, ...record });
+      updated.push(id);
+    } else {
+      removed++;
+    }
+  });
+  let added = 0;
+  if (add) {
+    changed.forEach((record, id) => {
+      if (gone.has(id) || !fits(record)) return;
+      prompts.push({ results: [], ...record });
+      added++;
+    });
+  }
+  if (query && query.sort && (added || updated.length)) {
+    const sign = query.desc ? -1 : 1;
+    prompts.sort((a, b) => sign * compare(a, b, query.sort));
+  }
+  return { prompts, added, removed, updated };
+}
+
+/** Toolbar settings only the browser can apply: token estimates depend on the chosen model, scores on each prompt's results. */
+export function needsClientFiltering(params = {}) {
+  const set = value => value !== undefined && value !== null && value !== '';
+  return set(params.minTokens) || set(params.maxTokens) || set(params.minScore)
+    || /^(length|score)-/.test(params.sortBy || '');
+}
+
+/**
+ * Turns the prompt list's toolbar state (window.currentParams) into an API list query.
+ * Filters the server handles are sent; when a browser-only setting is active (see
+ * needsClientFiltering) the query asks for every match so the browser can filter and sort them all.
+ * Search text is never sent as `q`: the browser ranks it (util/searchEngine.js), see renderPrompts().
+ * @param {Object} params - { search, category, tag, userId, from, to, sortBy, minTokens, maxTokens, minScore }.
+ * @param {Object} [options]
+ * @param {string} [options.user] - Signed-in user, for `userId: 'me'`.
+ * @param {number} [options.pageSize] - Page size when paging.
+ * @returns {{query: Object, paged: boolean}} `paged` is false when the query asks for every match.
+ */
+export function listQueryFromParams(params = {}, { user, pageSize = 50 } = {}) {
+  const paged = !needsClientFiltering(params);
+  const query = { fields: PROMPT_LIST_FIELDS };
+  if (params.category) query.category = params.category;
+  if (params.tag) query.tag = params.tag;
+  if (params.userId === 'me' && user) query.author = user;
+  if (params.from) query.from = params.from;
+  if (params.to) query.to = params.to;
+  if (LIST_SORTS[params.sortBy]) query.sort = LIST_SORTS[params.sortBy];
+  if (paged) query.limit = pageSize;
+  return { query, paged };
+}
@@ -0,0 +1,246 @@
+/**
+ * js/util/resultAssertions.js
+ * Output assertions: regression checks a prompt owner attaches to a prompt (`prompt.assertions`).
+ * They are evaluated client-side on the content of every result added through addResult(), and
+ * the outcome of each is stored on the result as `assertion_results`
+ * ([{assertion_id, type, passed, message}]). api/api_utils.php applies the same limits when a
+ * prompt is saved.
+ */
+
+/** Supported assertion types, in the order the editor lists them. */
+export const ASSERTION_TYPES = [
+  { type: 'contains', label: 'Must contain', needsValue: true, text: true },
+  { type: 'not_contains', label: 'Must not contain', needsValue: true, text: true },
+  { type: 'regex', label: 'Matches regex', needsValue: true, text: true },
+  { type: 'json', label: 'Is valid JSON', needsValue: false },
+  { type: 'json_schema', label: 'JSON matches schema', needsValue: true },
+  { type: 'max_length', label: 'Max length (characters)', needsValue: true }
+];
+
+export const MAX_ASSERTIONS = 50;
+const MAX_TEXT_LENGTH = 2000;
+
+const typeInfo = type => ASSERTION_TYPES.find(t => t.type === type);
+
+// Accepts a schema object or its JSON text; returns null when it is neither
+function parseSchema(value) {
+  let schema = value;
+  if (typeof value === 'string') {
+    try {
+      schema = JSON.parse(value);
+    } catch (err) {
+      return null;
+    }
+  }
+  return schema && typeof schema === 'object' && !Array.isArray(schema) ? schema : null;
+}
+
+/**
+ * Checks assertion definitions before a prompt is saved.
+ * @param {Object[]} assertions - Assertions as edited.
+ * @returns {string[]} Error messages; empty when every assertion is usable.
+ */
+export function validateAssertions(assertions) {
+  const errors = [];
+  const list = Array.isArray(assertions) ? assertions : [];
+  if (list.length > MAX_ASSERTIONS) errors.push(`At most ${MAX_ASSERTIONS} assertions are allowed.`);
+  list.forEach((assertion, index) => {
+    const n = index + 1;
+    const info = typeInfo(assertion && assertion.type);
+    if (!info) {
+      errors.push(`Assertion ${n} has an unknown type.`);
+      return;
+    }
+    const value = assertion.value;
+    if (info.text) {
+      if (typeof value !== 'string' || value === '' || value.length > MAX_TEXT_LENGTH) {
+        errors.push(`Assertion ${n} (${info.label}) needs a value of at most ${MAX_TEXT_LENGTH} characters.`);
+        return;
+      }
+      if (assertion.type === 'regex') {
+        try {
+          new RegExp(value);
+        } catch (err) {
+          errors.push(`Assertion ${n} has an invalid regex: ${err.message}`);
+        }
+      }
+    } else if (assertion.type === 'json_schema' && !parseSchema(value)) {
+      errors.push(`Assertion ${n} needs a JSON schema object.`);
+    } else if (assertion.type === 'max_length' && !(Number.isInteger(Number(value)) && Number(value) >= 1)) {
+      errors.push(`Assertion ${n} needs a positive whole number as max length.`);
+    }
+  });
+  return errors;
+}
+
+function typeOfJson(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOfJson(value);
+  return actual === expected || (expected === 'number' && actual === 'integer');
+}
+
+/**
+ * Validates a value against a JSON Schema subset: type (string or list), enum, const, required,
+ * properties, additionalProperties (false or a schema), items, minItems/maxItems,
+ * minLength/maxLength/pattern and minimum/maximum.
+ * @param {*} value - Parsed JSON value.
+ * @param {Object} schema - The schema.
+ * @param {string} [path='$'] - Location used in error messages.
+ * @returns {string[]} Errors; empty when the value conforms.
+ */
+export function validateJsonSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      return [`${path} should be ${types.join(' or ')}, got ${typeOfJson(value)}`];
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} should be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} should equal ${JSON.stringify(schema.const)}`);
+  }
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push(`${path} should have at least ${schema.minLength} characters`);
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) errors.push(`${path} should have at most ${schema.maxLength} characters`);
+    if (typeof schema.pattern === 'string') {
+      try {
+        if (!new RegExp(schema.pattern).test(value)) errors.push(`${path} should match /${schema.pattern}/`);
+      } catch (err) {
+        errors.push(`${path}: invalid pattern in schema`);
+      }
+    }
+  }
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path} should be at least ${schema.minimum}`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path} should be at most ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+  if (typeOfJson(value) === 'object') {
+    (Array.isArray(schema.required) ? schema.required : []).forEach(key => {
+      if (!(key in value)) errors.push(`${path} is missing required property "${key}"`);
+    });
+    const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+    Object.keys(value).forEach(key => {
+      if (key in properties) {
+        errors.push(...validateJsonSchema(value[key], properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path} has unexpected property "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+      }
+    });
+  }
+  return errors;
+}
+
+function parseJson(output) {
+  try {
+    return { ok: true, value: JSON.parse(output) };
+  } catch (err) {
+    return { ok: false, message: `Not valid JSON: ${err.message}` };
+  }
+}
+
+/**
+ * Evaluates one assertion against a result's output.
+ * @param {Object} assertion - {type, value?, case_sensitive?}.
+ * @param {string} output - The result content.
+ * @returns {{passed: boolean, message: string}} Outcome; `message` explains a failure.
+ */
+export function evaluateAssertion(assertion, output) {
+  const text = output === null || output === undefined ? '' : String(output);
+  const value = assertion ? assertion.value : undefined;
+  const caseSensitive = !!(assertion && assertion.case_sensitive);
+  const fold = s => (caseSensitive ? s : s.toLowerCase());
+  switch (assertion && assertion.type) {
+    case 'contains': {
+      const passed = fold(text).includes(fold(String(value)));
+      return { passed, message: passed ? '' : `Output does not contain "${value}"` };
+    }
+    case 'not_contains': {
+      const passed = !fold(text).includes(fold(String(value)));
+      return { passed, message: passed ? '' : `Output contains "${value}"` };
+    }
+    case 'regex': {
+      let pattern;
+      try {
+        pattern = new RegExp(String(value), caseSensitive ? '' : 'i');
+      } catch (err) {
+        return { passed: false, message: `Invalid regex: ${err.message}` };
+      }
+      const passed = pattern.test(text);
+      return { passed, message: passed ? '' : `Output does not match /${value}/` };
+    }
+    case 'json': {
+      const parsed = parseJson(text);
+      return { passed: parsed.ok, message: parsed.ok ? '' : parsed.message };
+    }
+    case 'json_schema': {
+      const schema = parseSchema(value);
+      if (!schema) return { passed: false, message: 'Invalid JSON schema' };
+      const parsed = parseJson(text);
+      if (!parsed.ok) return { passed: false, message: parsed.message };
+      const errors = validateJsonSchema(parsed.value, schema);
+      return { passed: errors.length === 0, message: errors.slice(0, 3).join('; ') + (errors.length > 3 ? ` (+${errors.length - 3} more)` : '') };
+    }
+    case 'max_length': {
+      const max = Number(value);
+      const passed = text.length <= max;
+      return { passed, message: passed ? '' : `Output is ${text.length} characters (max ${max})` };
+    }
+    default:
+      return { passed: false, message: `Unknown assertion type "${assertion && assertion.type}"` };
+  }
+}
+
+/**
+ * Evaluates all assertions of a prompt against a result's output.
+ * @param {Object[]} assertions - The prompt's assertions.
+ * @param {string} output - The result content.
+ * @returns {Array<{assertion_id: string|null, type: string, passed: boolean, message: string}>} In the same order as `assertions`.
+ */
+export function evaluateAssertions(assertions, output) {
+  return (Array.isArray(assertions) ? assertions : []).map(assertion => ({
+    assertion_id: assertion.id || null,
+    type: assertion.type,
+    ...evaluateAssertion(assertion, output)
+  }));
+}
+
+/**
+ * Pass rate of the assertion outcomes stored on a list of results.
+ * Results added before the prompt had assertions carry none and are ignored.
+ * @param {Object[]} results - Results.
+ * @returns {{passed: number, total: number, rate: number|null, results: number, fullyPassing: number}}
+ *   `rate` is passed/total (0–1), null when nothing was checked; `results` counts results with outcomes,
+ *   `fullyPassing` those where every assertion passed.
+ */
+export function assertionPassRate(results) {
+  const checked = (results || []).filter(r => r && Array.isArray(r.assertion_results) && r.assertion_results.length);
+  let passed = 0;
+  let total = 0;
+  let fullyPassing = 0;
+  checked.forEach(r => {
+    const own = r.assertion_results.filter(o => o.passed).length;
+    passed += own;
+    total += r.assertion_results.length;
+    if (own === r.assertion_results.length) fullyPassing++;
+  });
+  return { passed, total, rate: total ? passed / total : null, results: checked.length, fullyPassing };
+}
@@ -0,0 +1,163 @@
+/**
+ * js/util/resultProvenance.js
+ * Result provenance: which model produced a result and how. Results may carry
+ * `model`, `model_version`, `parameters` ({temperature, top_p, max_tokens}), `run_at`,
+ * `latency_ms` and `usage` ({input_tokens, output_tokens}); all are optional and older
+ * results have none of them. The same ranges are enforced by api/results.php.
+ */
+
+import { scoreStats } from './resultScores.js';
+
+/** Label used for results that do not name a model. */
+export const UNKNOWN_MODEL = 'Unknown model';
+
+/** Numeric provenance fields: group (null for top level), key, label and allowed range. */
+export const PROVENANCE_NUMBER_FIELDS = [
+  { group: 'parameters', key: 'temperature', label: 'Temperature', min: 0, max: 2 },
+  { group: 'parameters', key: 'top_p', label: 'Top P', min: 0, max: 1 },
+  { group: 'parameters', key: 'max_tokens', label: 'Max tokens', min: 1, integer: true },
+  { group: null, key: 'latency_ms', label: 'Latency (ms)', min: 0 },
+  { group: 'usage', key: 'input_tokens', label: 'Input tokens', min: 0, integer: true },
+  { group: 'usage', key: 'output_tokens', label: 'Output tokens', min: 0, integer: true }
+];
+
+const MAX_MODEL_LENGTH = 100;
+
+const isBlank = value => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Parses provenance form values into the shape sent to the results API.
+ * @param {Object<string, string>} values - Raw values keyed by field (model, model_version, run_at and the keys of PROVENANCE_NUMBER_FIELDS).
+ * @returns {{provenance: Object, errors: string[]}} Only filled-in fields are included in `provenance`.
+ */
+export function parseProvenance(values = {}) {
+  const provenance = {};
+  const errors = [];
+  ['model', 'model_version'].forEach(key => {
+    if (isBlank(values[key])) return;
+    const text = String(values[key]).trim();
+    if (text.length > MAX_MODEL_LENGTH) {
+      errors.push(`${key === 'model' ? 'Model' : 'Model version'} must be at most ${MAX_MODEL_LENGTH} characters.`);
+      return;
+    }
+    provenance[key] = text;
+  });
+  if (!isBlank(values.run_at)) {
+    const date = new Date(values.run_at);
+    if (isNaN(date)) {
+      errors.push('Run date is not a valid date.');
+    } else {
+      provenance.run_at = date.toISOString();
+    }
+  }
+  PROVENANCE_NUMBER_FIELDS.forEach(({ group, key, label, min, max, integer }) => {
+    if (isBlank(values[key])) return;
+    const number = Number(values[key]);
+    const inRange = Number.isFinite(number) && number >= min && (max === undefined || number <= max) && (!integer || Number.isInteger(number));
+    if (!inRange) {
+      errors.push(`${label} must be ${integer ? 'a whole number' : 'a number'} ${max === undefined ? `of at least ${min}` : `between ${min} and ${max}`}.`);
+      return;
+    }
+    if (group) {
+      provenance[group] = { ...(provenance[group] || {}), [key]: number };
+    } else {
+      provenance[key] = number;
+    }
+  });
+  return { provenance, errors };
+}
+
+/**
+ * Display name of the model that produced a result, including its version.
+ * @param {Object} result - The result.
+ * @returns {string} e.g. "gpt-4o 2024-08-06", or UNKNOWN_MODEL.
+ */
+export function resultModelLabel(result) {
+  const model = result && !isBlank(result.model) ? String(result.model).trim() : '';
+  if (!model) return UNKNOWN_MODEL;
+  return isBlank(result.model_version) ? model : `${model} ${String(result.model_version).trim()}`;
+}
+
+/**
+ * Distinct model labels of a list of results, sorted, with UNKNOWN_MODEL last.
+ * @param {Object[]} results - Results.
+ * @returns {string[]} Model labels.
+ */
+export function listResultModels(results) {
+  const labels = [...new Set((results || []).map(resultModelLabel))];
+  return labels.sort((a, b) => (a === UNKNOWN_MODEL) - (b === UNKNOWN_MODEL) || a.localeCompare(b));
+}
+
+/**
+ * Keeps the results produced by one model.
+ * @param {Object[]} results - Results.
+ * @param {string} [model] - Model label from listResultModels(); empty keeps every result.
+ * @returns {Object[]} Filtered results.
+ */
+export function filterResultsByModel(results, model) {
+  if (!model) return results || [];
+  return (results || []).filter(r => resultModelLabel(r) === model);
+}
+
+const average = values => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+const numbersOf = (results, read) => results.map(read).filter(v => typeof v === 'number' && Number.isFinite(v));
+
+/**
+ * Per-model summary of a list of results.
+ * @param {Object[]} results - Results.
+ * @returns {Array<{model: string, count: number, rated: number, averageScore: number|null, averageLatencyMs: number|null, averageInputTokens: number|null, averageOutputTokens: number|null}>}
+ *   One row per model in listResultModels() order; averages are null when no result of that model has the value.
+ */
+export function summarizeByModel(results) {
+  return listResultModels(results).map(model => {
+    const own = filterResultsByModel(results, model);
+    const scores = scoreStats(own);
+    return {
+      model,
+      count: own.length,
+      rated: scores.rated,
+      averageScore: scores.average,
+      averageLatencyMs: average(numbersOf(own, r => r.latency_ms)),
+      averageInputTokens: average(numbersOf(own, r => r.usage && r.usage.input_tokens)),
+      averageOutputTokens: average(numbersOf(own, r => r.usage && r.usage.output_tokens))
+    };
+  });
+}
+
+/**
+ * Formats a latency for display.
+ * @param {number|null} ms - Milliseconds.
+ * @returns {string} e.g. "850 ms", "1.2 s", or "—".
+ */
+export function formatLatency(ms) {
+  if (typeof ms !== 'number' || !Number.isFinite(ms)) return '—';
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Short provenance facts of a result, in display order.
+ * @param {Object} result - The result.
+ * @returns {string[]} e.g. ["gpt-4o 2024-08-06", "temp 0.7", "top_p 0.9", "max 512", "1.2 s", "120 in / 340 out tokens", "run 5/1/2025, 10:00:00 AM"].
+ */
+export function formatProvenance(result) {
+  if (!result) return [];
+  const parts = [];
+  if (!isBlank(result.model)) parts.push(resultModelLabel(result));
+  const params = result.parameters || {};
+  if (typeof params.temperature === 'number') parts.push(`temp ${params.temperature}`);
+  if (typeof params.top_p === 'number') parts.push(`top_p ${params.top_p}`);
+  if (typeof params.max_tokens === 'number') parts.push(`max ${params.max_tokens}`);
+  if (typeof result.latency_ms === 'number') parts.push(formatLatency(result.latency_ms));
+  const usage = result.usage || {};
+  const hasIn = typeof usage.input_tokens === 'number';
+  const hasOut = typeof usage.output_tokens === 'number';
+  if (hasIn || hasOut) {
+    parts.push([hasIn ? `${usage.input_tokens} in` : '', hasOut ? `${usage.output_tokens} out` : ''].filter(Boolean).join(' / ') + ' tokens');
+  }
+  if (result.run_at) {
+    const date = new Date(result.run_at);
+    if (!isNaN(date)) parts.push(`run ${date.toLocaleString()}`);
+  }
+  if (result.input && Number.isInteger(result.input.row)) parts.push(`batch row ${result.input.row}`);
+  return parts;
+}
@@ -0,0 +1,85 @@
+/**
+ * js/util/resultScores.js
+ * Result ratings: each result may carry a `score` from 0 to 100 (see SCHEMAS.result in dataValidator.js).
+ * The UI rates with 1–5 stars, stored as multiples of 20, while the API and the add-result form accept
+ * any value in range. Unrated results (no score) are left out of every aggregate.
+ */
+
+export const MAX_SCORE = 100;
+export const MAX_STARS = 5;
+
+/**
+ * Parses a score.
+ * @param {*} value - Number or numeric string.
+ * @returns {number|null} The score, or null if the value is empty, not a number or outside 0–100.
+ */
+export function normalizeScore(value) {
+  if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) return null;
+  const score = Number(value);
+  if (!Number.isFinite(score) || score < 0 || score > MAX_SCORE) return null;
+  return score;
+}
+
+/**
+ * Converts a star rating to a score (1 star = 20 … 5 stars = 100).
+ * @param {number} stars - Star count; clamped to 0–5.
+ * @returns {number} Score.
+ */
+export function starsToScore(stars) {
+  const count = Math.min(MAX_STARS, Math.max(0, Math.round(Number(stars) || 0)));
+  return count * (MAX_SCORE / MAX_STARS);
+}
+
+/**
+ * Converts a score to the nearest star rating.
+ * @param {*} score - Score (0–100).
+ * @returns {number} 0–5 stars; 0 for unrated.
+ */
+export function scoreToStars(score) {
+  const value = normalizeScore(score);
+  return value === null ? 0 : Math.round(value / (MAX_SCORE / MAX_STARS));
+}
+
+/**
+ * Aggregates the scores of a list of results.
+ * @param {Object[]} results - Result objects.
+ * @returns {{count: number, rated: number, average: number|null, median: number|null, min: number|null, max: number|null}}
+ *   `count` is every result, `rated` those with a score; the statistics are null when nothing is rated.
+ */
+export function scoreStats(results) {
+  const list = Array.isArray(results) ? results : [];
+  const scores = list
+    .map(r => normalizeScore(r && r.score))
+    .filter(score => score !== null)
+    .sort((a, b) => a - b);
+  if (!scores.length) {
+    return { count: list.length, rated: 0, average: null, median: null, min: null, max: null };
+  }
+  const middle = Math.floor(scores.length / 2);
+  return {
+    count: list.length,
+    rated: scores.length,
+    average: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+    median: scores.length % 2 ? scores[middle] : (scores[middle - 1] + scores[middle]) / 2,
+    min: scores[0],
+    max: scores[scores.length - 1]
+  };
+}
+
+/**
+ * Average score of a prompt's attached results (the list API attaches `results` to every prompt).
+ * @param {Object} prompt - The prompt.
+ * @returns {number|null} Average score, or null if no result is rated.
+ */
+export function getPromptScore(prompt) {
+  return scoreStats(prompt && prompt.results).average;
+}
+
+/**
+ * Formats a score for display, rounded to a whole number.
+ * @param {number|null} score - Score.
+ * @returns {string} e.g. "82", or "—" when unrated.
+ */
+export function formatScore(score) {
+  return score === null || score === undefined ? '—' : String(Math.round(score));
+}
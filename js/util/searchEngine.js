@@ -1,17 +1,26 @@
 /**
  * js/util/searchEngine.js
  * Powerful client-side search engine for prompts.
- * Features: Full-text search, ranking, highlighting, advanced filtering,
+ * Features: Full-text search with a query language (qualifiers, phrases, negation, OR/AND,
+ * parentheses and date ranges; see searchQuery.js), ranking, highlighting, advanced filtering,
  * result caching, fuzzy matching, and stubs for analytics/saved searches.
  */
 
+import { estimateTokensForModel } from './tokenEstimator.js';
+import { getPromptText } from './templateVars.js';
+import { getPromptScore } from './resultScores.js';
+import { escapeHtml } from './helpers.js';
+import { parseSearchQuery, looseQuery } from './searchQuery.js';
+
 // --- Configuration ---
-const SCORE_THRESHOLD = 0.1; // Minimum score for a prompt to be included in search results
 const FUZZY_MATCH_THRESHOLD = 2; // Max Levenshtein distance for a fuzzy match (lower is stricter)
-const CACHE_MAX_SIZE = 100;    // Max number of search results to cache
+const MIN_PREFIX_LENGTH = 2;   // Shortest search term that also matches the words it starts ("summ" → "summarise")
+const PARTIAL_MATCH_WEIGHT = 0.5; // Share of a field's weight for prefix and fuzzy matches
+const CACHE_MAX_SIZE = 100;    // Max number of search results to cache per prompt list
 
 // --- Cache ---
-const searchCache = new Map();
+// Results per prompt list: a list that changed is a new array, so cached results never go stale
+let searchCache = new WeakMap();
 
 // --- Helper Functions ---
 
@@ -67,25 +76,43 @@ function levenshteinDistance(s1, s2) {
 }
 
 /**
- * Checks if a search term matches a token in the text, possibly with fuzzy matching.
+ * Checks if a search term matches a token in the text: the same word, a word it starts (the user
+ * is still typing) or, with fuzzy matching, a word within a few edits of it.
  * @param {string} term - The normalized search term.
  * @param {string[]} textTokens - Array of normalized tokens from the text field.
  * @param {boolean} fuzzy - Whether to enable fuzzy matching.
  * @param {number} fuzzyThreshold - Max Levenshtein distance for a fuzzy match.
- * @returns {boolean} True if the term matches, false otherwise.
+ * @returns {{exact: boolean, tokens: string[]}|null} How the term matched and the words it matched, or null.
  */
 function termMatches(term, textTokens, fuzzy, fuzzyThreshold) {
   if (textTokens.includes(term)) {
-    return true;
-  }
-  if (fuzzy) {
-    for (const token of textTokens) {
-      if (levenshteinDistance(term, token) <= fuzzyThreshold) {
-        return true;
-      }
-    }
+    return { exact: true, tokens: [term] };
   }
-  return false;
+  // Short terms get fewer edits, or "cat" would match nearly every three-letter word
+  const maxDistance = Math.min(fuzzyThreshold, Math.floor(term.length / 3));
+  const tokens = textTokens.filter(token => {
+    if (term.length >= MIN_PREFIX_LENGTH && token.startsWith(term)) return true;
+    return fuzzy && maxDistance > 0 && Math.abs(token.length - term.length) <= maxDistance
+      && levenshteinDistance(term, token) <= maxDistance;
+  });
+  return tokens.length ? { exact: false, tokens } : null;
+}
+
+/**
+ * Names of a prompt's tags and category, looked up by ID; IDs without an entry are kept as they are.
+ * @param {object} prompt - The prompt object.
+ * @param {{categories?: object[], tags?: object[]}} lookups - Category and tag lists.
+ * @returns {{tags: string[], category: string}}
+ */
+function lookupNames(prompt, lookups) {
+  const nameOf = (list, id) => {
+    const entry = Array.isArray(list) ? list.find(item => item && String(item.id) === String(id)) : null;
+    return entry && entry.name ? entry.name : String(id);
+  };
+  return {
+    tags: Array.isArray(prompt.tags) ? prompt.tags.map(id => nameOf(lookups.tags, id)) : [],
+    category: prompt.category ? nameOf(lookups.categories, prompt.category) : ''
+  };
 }
 
 /**
@@ -93,9 +120,11 @@ function termMatches(term, textTokens, fuzzy, fuzzyThreshold) {
  * @param {object} prompt - The prompt object.
  * @param {string[]} queryTokens - Array of normalized search query tokens.
  * @param {boolean} fuzzy - Whether to enable fuzzy matching.
+ * @param {{categories?: object[], tags?: object[]}} [lookups={}] - Lists to look tag and category names up in.
+ * @param {string[]} [phrases] - Lower-cased quoted phrases, which earn the phrase bonus too.
  * @returns {number} The relevance score.
  */
-function calculateScore(prompt, queryTokens, fuzzy) {
+function calculateScore(prompt, queryTokens, fuzzy, lookups = {}, phrases = []) {
   let score = 0;
   const matchedQueryTerms = new Set();
 
@@ -104,55 +133,146 @@ function calculateScore(prompt, queryTokens, fuzzy) {
     description: 5,
     content: 3,
     tags: 7, // Assuming tags are relevant keywords
+    category: 4,
   };
 
   // Pre-tokenize prompt fields once
-  const promptFieldTokens = {
-    title: tokenizeAndNormalize(prompt.title),
-    description: tokenizeAndNormalize(prompt.description),
-    content: tokenizeAndNormalize(prompt.content),
-    tags: Array.isArray(prompt.tags) ? tokenizeAndNormalize(prompt.tags.join(' ')) : [],
-  };
+  const promptFieldTokens = promptFields(prompt, lookups).tokens;
 
   queryTokens.forEach(queryToken => {
-    let termFoundInPromptThisIteration = false;
-    if (prompt.title && termMatches(queryToken, promptFieldTokens.title, fuzzy, FUZZY_MATCH_THRESHOLD)) {
-      score += weights.title;
-      termFoundInPromptThisIteration = true;
-    }
-    if (prompt.description && termMatches(queryToken, promptFieldTokens.description, fuzzy, FUZZY_MATCH_THRESHOLD)) {
-      score += weights.description;
-      termFoundInPromptThisIteration = true;
-    }
-    if (prompt.content && termMatches(queryToken, promptFieldTokens.content, fuzzy, FUZZY_MATCH_THRESHOLD)) {
-      score += weights.content;
-      termFoundInPromptThisIteration = true;
-    }
-    if (prompt.tags && prompt.tags.length > 0 && termMatches(queryToken, promptFieldTokens.tags, fuzzy, FUZZY_MATCH_THRESHOLD)) {
-      score += weights.tags;
-      termFoundInPromptThisIteration = true;
-    }
-
-    if (termFoundInPromptThisIteration) {
-        matchedQueryTerms.add(queryToken);
-    }
+    Object.keys(weights).forEach(field => {
+      const match = termMatches(queryToken, promptFieldTokens[field], fuzzy, FUZZY_MATCH_THRESHOLD);
+      if (!match) return;
+      score += match.exact ? weights[field] : weights[field] * PARTIAL_MATCH_WEIGHT;
+      matchedQueryTerms.add(queryToken);
+    });
   });
 
   // Bonus for matching more unique terms from the query
   score += matchedQueryTerms.size * 5;
 
-  // Simple phrase matching bonus: if all query tokens appear in order in any single field's raw text
+  // Simple phrase matching bonus: if all query tokens appear in order in any single field's raw text,
+  // and the same for each quoted phrase
   const fullQueryString = queryTokens.join(' ');
-  if (fullQueryString.length > 0) { // Only apply if there's a multi-word query
-      const checkPhrase = (text) => text && text.toLowerCase().includes(fullQueryString);
-      if (checkPhrase(prompt.title)) score += 20;
-      else if (checkPhrase(prompt.description)) score += 15;
-      else if (checkPhrase(prompt.content)) score += 10;
-  }
+  [...new Set([fullQueryString, ...phrases])].forEach(phrase => {
+    if (phrase.length === 0) return; // Only apply if there's a query
+    const checkPhrase = (text) => typeof text === 'string' && text.toLowerCase().includes(phrase);
+    if (checkPhrase(prompt.title)) score += 20;
+    else if (checkPhrase(prompt.description)) score += 15;
+    else if (checkPhrase(prompt.content)) score += 10;
+  });
 
   return score;
 }
 
+// --- Query Evaluation ---
+
+// Fields searched by words and phrases without a qualifier
+const FREE_TEXT_FIELDS = ['title', 'description', 'content', 'tags', 'category'];
+
+/**
+ * Tokens and lower-cased text of each searchable field of a prompt. Tags and the category are
+ * searched by name and by ID.
+ * @param {object} prompt - The prompt object.
+ * @param {{categories?: object[], tags?: object[]}} lookups - Category and tag lists.
+ * @returns {{tokens: Object<string, string[]>, text: Object<string, string>}}
+ */
+function promptFields(prompt, lookups) {
+  const names = lookupNames(prompt, lookups);
+  const raw = {
+    title: prompt.title,
+    description: prompt.description,
+    content: prompt.content,
+    tags: [...names.tags, ...(Array.isArray(prompt.tags) ? prompt.tags : [])].join(' '),
+    category: prompt.category ? `${names.category} ${prompt.category}` : '',
+    author: prompt.author,
+  };
+  const tokens = {};
+  const text = {};
+  Object.keys(raw).forEach(field => {
+    const value = typeof raw[field] === 'string' ? raw[field] : '';
+    tokens[field] = tokenizeAndNormalize(value);
+    text[field] = value.toLowerCase();
+  });
+  return { tokens, text };
+}
+
+/**
+ * Whether a prompt matches a query syntax tree (see searchQuery.js).
+ * @param {object} node - Syntax tree node.
+ * @param {object} prompt - The prompt object.
+ * @param {{tokens: object, text: object}} fields - From promptFields().
+ * @param {boolean} fuzzy - Whether to enable fuzzy matching.
+ * @returns {boolean}
+ */
+function matchesQuery(node, prompt, fields, fuzzy) {
+  switch (node.type) {
+    case 'and': return node.children.every(child => matchesQuery(child, prompt, fields, fuzzy));
+    case 'or': return node.children.some(child => matchesQuery(child, prompt, fields, fuzzy));
+    case 'not': return !matchesQuery(node.child, prompt, fields, fuzzy);
+    case 'date': {
+      const time = Date.parse(prompt[node.field]);
+      if (isNaN(time)) return false;
+      return (node.from === null || time >= node.from) && (node.to === null || time <= node.to);
+    }
+    case 'phrase': {
+      const phrase = node.value.toLowerCase();
+      return (node.field ? [node.field] : FREE_TEXT_FIELDS).some(field => fields.text[field].includes(phrase));
+    }
+    default: {
+      // Every word of the term (punctuation splits nothing: "e-mail" is "email") in one of the fields
+      const searched = node.field ? [node.field] : FREE_TEXT_FIELDS;
+      return tokenizeAndNormalize(node.value).every(token =>
+        searched.some(field => termMatches(token, fields.tokens[field], fuzzy, FUZZY_MATCH_THRESHOLD) !== null));
+    }
+  }
+}
+
+/**
+ * The words and phrases a query looks for, leaving out what it excludes: they rank the matches,
+ * and those of the title, the content or no field are highlighted. `shownWords` are the highlighted
+ * words with the fields each one searches, for finding what they match by prefix or fuzzy matching.
+ * @param {object|null} node - Syntax tree node.
+ * @param {{words: string[], phrases: string[], highlight: string[], shownWords: object[]}} [terms] - Collected so far.
+ * @returns {{words: string[], phrases: string[], highlight: string[], shownWords: {token: string, fields: string[]}[]}}
+ */
+function wantedTerms(node, terms = { words: [], phrases: [], highlight: [], shownWords: [] }) {
+  if (!node || node.type === 'not' || node.type === 'date') return terms;
+  if (node.children) {
+    node.children.forEach(child => wantedTerms(child, terms));
+    return terms;
+  }
+  const shown = !node.field || node.field === 'title' || node.field === 'content';
+  if (node.type === 'phrase') {
+    terms.phrases.push(node.value.toLowerCase());
+    terms.words.push(...tokenizeAndNormalize(node.value));
+    if (shown) terms.highlight.push(node.value.toLowerCase());
+  } else {
+    const tokens = tokenizeAndNormalize(node.value);
+    terms.words.push(...tokens);
+    if (shown) {
+      terms.highlight.push(...tokens);
+      tokens.forEach(token => terms.shownWords.push({ token, fields: node.field ? [node.field] : FREE_TEXT_FIELDS }));
+    }
+  }
+  return terms;
+}
+
+/**
+ * Adds the words of a prompt that highlighted query words match by prefix or fuzzy matching,
+ * looking only in the fields each query word searches.
+ * @param {{token: string, fields: string[]}[]} shownWords - From wantedTerms().
+ * @param {{tokens: object}} fields - From promptFields().
+ * @param {boolean} fuzzy - Whether to enable fuzzy matching.
+ * @param {Set<string>} matchedWords - Collects the words.
+ */
+function collectMatchedWords(shownWords, fields, fuzzy, matchedWords) {
+  shownWords.forEach(({ token, fields: searched }) => searched.forEach(field => {
+    const match = termMatches(token, fields.tokens[field], fuzzy, FUZZY_MATCH_THRESHOLD);
+    if (match && !match.exact) match.tokens.forEach(word => matchedWords.add(word));
+  }));
+}
+
 /**
  * Applies various filters to the list of prompts.
  * @param {object[]} prompts - Array of prompt objects.
@@ -160,6 +280,8 @@ function calculateScore(prompt, queryTokens, fuzzy) {
  * @param {string} [filters.category] - Category ID to filter by.
  * @param {string[]} [filters.tags] - Array of tag IDs (prompt must have ALL specified tags).
  * @param {{startDate?: string, endDate?: string}} [filters.dateRange] - Date range for 'updated_at' or 'created_at'.
+ * @param {{min?: number, max?: number, model?: string}} [filters.tokenRange] - Estimated token count range.
+ * @param {number} [filters.minScore] - Minimum average result score (0–100).
  * @returns {object[]} Filtered array of prompts.
  */
 function applyFilters(prompts, filters) {
@@ -203,33 +325,121 @@ function applyFilters(prompts, filters) {
       });
     }
   }
+
+  // Token range filter
+  if (filters.tokenRange) {
+    filteredPrompts = filterByTokenRange(filteredPrompts, filters.tokenRange);
+  }
+
+  // Minimum average result score
+  if (filters.minScore !== undefined) {
+    filteredPrompts = filterByMinScore(filteredPrompts, filters.minScore);
+  }
   return filteredPrompts;
 }
 
+/**
+ * Keeps prompts whose estimated token count lies within a range (inclusive).
+ * @param {object[]} prompts - Array of prompt objects.
+ * @param {{min?: number, max?: number, model?: string}} range - Bounds (either may be omitted) and the model to estimate for.
+ * @returns {object[]} Filtered array of prompts.
+ */
+export function filterByTokenRange(prompts, range = {}) {
+  const toBound = value => (value === '' || value === null || value === undefined || !Number.isFinite(Number(value)) ? null : Number(value));
+  const min = toBound(range.min);
+  const max = toBound(range.max);
+  if (min === null && max === null) return prompts;
+  return prompts.filter(p => {
+    const tokens = estimateTokensForModel(getPromptText(p), range.model);
+    if (min !== null && tokens < min) return false;
+    if (max !== null && tokens > max) return false;
+    return true;
+  });
+}
+
+/**
+ * Sorts prompts by estimated token count. Does not mutate the input.
+ * @param {object[]} prompts - Array of prompt objects.
+ * @param {'asc'|'desc'} [direction='asc'] - Shortest first ('asc') or longest first ('desc').
+ * @param {string} [model] - Model ID to estimate for (defaults to the selected model).
+ * @returns {object[]} Sorted copy of the prompts.
+ */
+export function sortByLength(prompts, direction = 'asc', model) {
+  const sign = direction === 'desc' ? -1 : 1;
+  return prompts
+    .map(prompt => ({ prompt, tokens: estimateTokensForModel(getPromptText(prompt), model) }))
+    .sort((a, b) => sign * (a.tokens - b.tokens))
+    .map(entry => entry.prompt);
+}
+
+/**
+ * Keeps prompts whose average result score is at least `min`. Prompts without rated results are dropped.
+ * @param {object[]} prompts - Array of prompt objects (with attached `results`).
+ * @param {number|string} [min] - Minimum average score (0–100); empty keeps every prompt.
+ * @returns {object[]} Filtered array of prompts.
+ */
+export function filterByMinScore(prompts, min) {
+  if (min === '' || min === null || min === undefined || !Number.isFinite(Number(min))) return prompts;
+  return prompts.filter(p => {
+    const score = getPromptScore(p);
+    return score !== null && score >= Number(min);
+  });
+}
+
+/**
+ * Sorts prompts by average result score. Unrated prompts go last in either direction. Does not mutate the input.
+ * @param {object[]} prompts - Array of prompt objects (with attached `results`).
+ * @param {'asc'|'desc'} [direction='desc'] - Highest first ('desc') or lowest first ('asc').
+ * @returns {object[]} Sorted copy of the prompts.
+ */
+export function sortByScore(prompts, direction = 'desc') {
+  const sign = direction === 'asc' ? 1 : -1;
+  return prompts
+    .map(prompt => ({ prompt, score: getPromptScore(prompt) }))
+    .sort((a, b) => {
+      if (a.score === null || b.score === null) return (a.score === null) - (b.score === null);
+      return sign * (a.score - b.score);
+    })
+    .map(entry => entry.prompt);
+}
+
 // --- Main Search Function ---
 
 /**
  * Searches, filters, and ranks prompts.
  * @param {object[]} allPrompts - The complete list of prompt objects to search within.
- * @param {string} searchQuery - The user's search query string.
+ * @param {string} searchQuery - The user's search query string, in the query language of searchQuery.js.
+ *   A query with a syntax error is searched by its words alone (looseQuery) and the error returned.
  * @param {object} [options={}] - Search configuration options.
  * @param {object} [options.filters={}] - Filtering criteria.
  *   @param {string} [options.filters.category] - Category ID.
  *   @param {string[]} [options.filters.tags] - Array of tag IDs.
  *   @param {{startDate?: string, endDate?: string}} [options.filters.dateRange] - Date range.
+ *   @param {{min?: number, max?: number, model?: string}} [options.filters.tokenRange] - Estimated token count range.
+ *   @param {number} [options.filters.minScore] - Minimum average result score (0–100).
  * @param {boolean} [options.fuzzy=false] - Enable fuzzy matching for search terms.
+ * @param {{categories?: object[], tags?: object[]}} [options.lookups] - Category and tag lists, so their names are searched too.
+ * @param {boolean} [options.rank=true] - Order matches by relevance; false keeps the order of allPrompts (e.g. sorted by the server).
+ * @param {string} [options.sortBy] - 'length-asc'/'length-desc' (estimated tokens) or 'score-desc'/'score-asc' (average result score) instead of relevance/recency.
+ * @param {string} [options.model] - Model ID used for length sorting.
  * @param {boolean} [options.useCache=true] - Whether to use the search cache.
- * @returns {{results: object[], highlightTerms: string[]}} An object containing the search results and terms to highlight.
+ * @returns {{results: object[], highlightTerms: string[], error: import('./searchQuery.js').SearchSyntaxError|null}}
+ *   An object containing the search results, terms to highlight (the query terms and the words they
+ *   matched by prefix or fuzzy matching) and the syntax error of the query, if any.
  */
 export function search(allPrompts, searchQuery, options = {}) {
-  const { filters = {}, fuzzy = false, useCache = true } = options;
+  const { filters = {}, fuzzy = false, useCache = true, sortBy = '', model, lookups = {}, rank = true } = options;
   const normalizedQuery = (searchQuery || '').trim();
-  const queryTokens = tokenizeAndNormalize(normalizedQuery);
+  const parsed = parseSearchQuery(normalizedQuery);
+  const query = parsed.error ? looseQuery(normalizedQuery) : parsed.ast;
+  const terms = wantedTerms(query);
 
-  const cacheKey = useCache ? `${normalizedQuery}|${JSON.stringify(filters)}|fuzzy:${fuzzy}` : null;
+  const lookupKey = ['categories', 'tags'].map(key => (Array.isArray(lookups[key]) ? lookups[key].map(item => `${item.id}:${item.name}`).join(',') : '')).join('|');
+  const cacheKey = useCache ? `${normalizedQuery}|${JSON.stringify(filters)}|fuzzy:${fuzzy}|rank:${rank}|sort:${sortBy}:${model || ''}|${lookupKey}` : null;
+  const listCache = useCache ? (searchCache.get(allPrompts) || new Map()) : null;
 
-  if (useCache && cacheKey && searchCache.has(cacheKey)) {
-    const cachedResult = searchCache.get(cacheKey);
+  if (listCache && listCache.has(cacheKey)) {
+    const cachedResult = listCache.get(cacheKey);
     logSearchQuery(normalizedQuery, filters, cachedResult.results.length, true); // Analytics stub
     return cachedResult;
   }
@@ -242,15 +452,18 @@ export function search(allPrompts, searchQuery, options = {}) {
   }
 
   // 2. Perform search and scoring if a search query is provided
-  if (queryTokens.length > 0) {
+  const matchedWords = new Set();
+  if (query) {
     processedPrompts = processedPrompts
-      .map(prompt => {
-        const score = calculateScore(prompt, queryTokens, fuzzy);
+      .map(prompt => ({ prompt, fields: promptFields(prompt, lookups) }))
+      .filter(({ prompt, fields }) => matchesQuery(query, prompt, fields, fuzzy))
+      .map(({ prompt, fields }) => {
+        collectMatchedWords(terms.shownWords, fields, fuzzy, matchedWords);
+        const score = calculateScore(prompt, terms.words, fuzzy, lookups, terms.phrases);
         return { ...prompt, _searchScore: score }; // Attach score temporarily
-      })
-      .filter(prompt => prompt._searchScore >= SCORE_THRESHOLD) // Filter by score threshold
-      .sort((a, b) => b._searchScore - a._searchScore); // Sort by score descending
-  } else {
+      });
+    if (rank) processedPrompts.sort((a, b) => b._searchScore - a._searchScore); // Sort by score descending (stable for ties)
+  } else if (rank) {
     // If no search query, but filters might have been applied,
     // sort by most recently updated by default.
     processedPrompts.sort((a, b) =>
@@ -258,19 +471,28 @@ export function search(allPrompts, searchQuery, options = {}) {
     );
   }
 
+  // 3. Optional length or score ordering overrides relevance/recency
+  if (sortBy === 'length-asc' || sortBy === 'length-desc') {
+    processedPrompts = sortByLength(processedPrompts, sortBy === 'length-desc' ? 'desc' : 'asc', model);
+  } else if (sortBy === 'score-asc' || sortBy === 'score-desc') {
+    processedPrompts = sortByScore(processedPrompts, sortBy === 'score-asc' ? 'asc' : 'desc');
+  }
+
   const finalResults = {
     results: processedPrompts.map(({ _searchScore, ...prompt }) => prompt), // Remove temporary score
-    highlightTerms: queryTokens, // Pass normalized query tokens for highlighting
+    highlightTerms: [...new Set([...terms.highlight, ...matchedWords])], // Pass normalized query tokens for highlighting
+    error: parsed.error,
   };
 
   // Update cache if enabled
-  if (useCache && cacheKey) {
-    if (searchCache.size >= CACHE_MAX_SIZE) {
+  if (listCache) {
+    if (listCache.size >= CACHE_MAX_SIZE) {
       // Simple LRU: delete the first (oldest) key
-      const oldestKey = searchCache.keys().next().value;
-      searchCache.delete(oldestKey);
+      const oldestKey = listCache.keys().next().value;
+      listCache.delete(oldestKey);
     }
-    searchCache.set(cacheKey, finalResults);
+    listCache.set(cacheKey, finalResults);
+    searchCache.set(allPrompts, listCache);
   }
 
   logSearchQuery(normalizedQuery, filters, finalResults.results.length, false); // Analytics stub
@@ -282,25 +504,54 @@ export function search(allPrompts, searchQuery, options = {}) {
 
 /**
  * Wraps matching terms in a string with <mark> tags for highlighting.
- * This function is case-insensitive.
+ * This function is case-insensitive. The text is HTML-escaped, so the result is safe for innerHTML.
  * @param {string} text - The text in which to highlight terms.
  * @param {string[]} termsToHighlight - An array of normalized terms to highlight.
- * @returns {string} The text with specified terms highlighted.
+ * @returns {string} HTML of the text with specified terms highlighted.
  */
 export function highlightMatches(text, termsToHighlight) {
-  if (!text || typeof text !== 'string' || !termsToHighlight || termsToHighlight.length === 0) {
-    return text;
+  if (text === null || text === undefined) return '';
+  const source = String(text);
+  const terms = Array.isArray(termsToHighlight) ? termsToHighlight.filter(term => typeof term === 'string' && term) : [];
+  if (!source || terms.length === 0) {
+    return escapeHtml(source);
   }
 
-  // Escape special regex characters in each term and join with OR operator
-  const escapedTerms = termsToHighlight.map(term =>
+  // Escape special regex characters in each term and join with OR operator; longer terms first so
+  // a prefix does not cut a longer match short
+  const escapedTerms = [...terms].sort((a, b) => b.length - a.length).map(term =>
     term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') // $& means the whole matched string
   );
 
-  if (escapedTerms.length === 0) return text;
-
+  // Splitting on a capturing group puts the matches at the odd indexes
   const regex = new RegExp(`(${escapedTerms.join('|')})`, 'gi');
-  return text.replace(regex, '<mark>$1</mark>');
+  return source
+    .split(regex)
+    .map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+/**
+ * Cuts a snippet of about maxLength characters out of a long text, around the first match of the
+ * terms (the start of the text when none match). Plain text; pass it to highlightMatches() for display.
+ * @param {string} text - The full text, e.g. a prompt's content.
+ * @param {string[]} terms - Terms from search(), as for highlightMatches().
+ * @param {number} [maxLength=120] - Length of the snippet, without the ellipses.
+ * @returns {string} The snippet, with … where text was cut off.
+ */
+export function searchSnippet(text, terms, maxLength = 120) {
+  const source = typeof text === 'string' ? text.trim() : '';
+  if (source.length <= maxLength) return source;
+  const lower = source.toLowerCase();
+  const positions = (Array.isArray(terms) ? terms : [])
+    .filter(term => typeof term === 'string' && term)
+    .map(term => lower.indexOf(term.toLowerCase()))
+    .filter(pos => pos >= 0);
+  const first = positions.length ? Math.min(...positions) : 0;
+  // Some words before the match for context
+  const start = Math.max(0, Math.min(first - Math.floor(maxLength / 4), source.length - maxLength));
+  const end = start + maxLength;
+  return `${start > 0 ? '…' : ''}${source.slice(start, end).trim()}${end < source.length ? '…' : ''}`;
 }
 
 
@@ -361,6 +612,6 @@ export async function loadSavedSearches() {
  * Clears the entire search cache.
  */
 export function clearSearchCache() {
-  searchCache.clear();
+  searchCache = new WeakMap();
   console.info('Search cache cleared.');
 }
@@ -0,0 +1,240 @@
+/**
+ * js/util/searchQuery.js
+ * Parser for the search box's query language; util/searchEngine.js evaluates the result.
+ *
+ * - Words: every word must match (prefix and fuzzy matching apply), e.g. `email summary`
+ * - "Quoted phrases": the exact text, e.g. `"key points"`
+ * - Qualifiers: `title:`, `content:`, `tag:`, `category:`, `author:` limit a word or phrase to that
+ *   field (tags and categories by name or ID), e.g. `tag:travel`, `title:"weekly report"`; any other
+ *   `word:` is part of a word, e.g. `http://example.com`
+ * - Dates: `created:` and `updated:` with `>`, `>=`, `<`, `<=`, a single day or a `from..to` range
+ *   (YYYY-MM-DD, UTC, whole days), e.g. `created:>2025-01-01`, `updated:2025-03-01..2025-03-31`
+ * - `-` (or NOT) excludes, e.g. `-tag:draft`; `OR` and `AND` (upper case) combine; AND is implied
+ *   between parts and binds tighter than OR; parentheses group, e.g. `(tag:work OR tag:ops) -draft`
+ *
+ * The syntax tree is made of plain objects:
+ * - { type: 'term', value, field? }, { type: 'phrase', value, field? }: field is one of TEXT_FIELDS
+ * - { type: 'date', field: 'created_at'|'updated_at', from, to }: inclusive bounds in ms, null when open
+ * - { type: 'not', child }, { type: 'and', children }, { type: 'or', children }
+ */
+
+/** Qualifiers that match text, and the prompt field each one searches. */
+export const TEXT_FIELDS = {
+  title: 'title',
+  content: 'content',
+  tag: 'tags',
+  category: 'category',
+  author: 'author'
+};
+
+/** Qualifiers that compare dates, and the prompt field each one compares. */
+export const DATE_FIELDS = {
+  created: 'created_at',
+  updated: 'updated_at'
+};
+
+const DAY_MS = 86400000;
+const QUALIFIERS = [...Object.keys(TEXT_FIELDS), ...Object.keys(DATE_FIELDS)];
+const QUALIFIER_PREFIX = new RegExp(`\\b(?:${QUALIFIERS.join('|')}):`, 'gi');
+
+/** A query that cannot be parsed; `index` is where in the query the problem is. */
+export class SearchSyntaxError extends Error {
+  constructor(message, index) {
+    super(message);
+    this.name = 'SearchSyntaxError';
+    this.index = index;
+  }
+}
+
+// Start of a YYYY-MM-DD day in UTC (ms), or null when it is not a real date
+function parseDay(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!match) return null;
+  const [, y, m, d] = match.map(Number);
+  const time = Date.UTC(y, m - 1, d);
+  const date = new Date(time);
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d ? time : null;
+}
+
+// A `created:`/`updated:` value as an inclusive range
+function parseDateValue(qualifier, value, index) {
+  const invalid = () => new SearchSyntaxError(`Invalid date in ${qualifier}:${value} (use YYYY-MM-DD, e.g. ${qualifier}:>2025-01-01)`, index);
+  const field = DATE_FIELDS[qualifier];
+  const range = /^(.+)\.\.(.+)$/.exec(value);
+  if (range) {
+    const from = parseDay(range[1]);
+    const to = parseDay(range[2]);
+    if (from === null || to === null) throw invalid();
+    if (from > to) throw new SearchSyntaxError(`The range in ${qualifier}:${value} ends before it starts`, index);
+    return { type: 'date', field, from, to: to + DAY_MS - 1 };
+  }
+  const [, op = '', day] = /^(>=|<=|>|<)?(.*)$/.exec(value);
+  const start = parseDay(day);
+  if (start === null) throw invalid();
+  switch (op) {
+    case '>': return { type: 'date', field, from: start + DAY_MS, to: null };
+    case '>=': return { type: 'date', field, from: start, to: null };
+    case '<': return { type: 'date', field, from: null, to: start - 1 };
+    case '<=': return { type: 'date', field, from: null, to: start + DAY_MS - 1 };
+    default: return { type: 'date', field, from: start, to: start + DAY_MS - 1 };
+  }
+}
+
+// Splits the query into ( ) - OR AND NOT, phrases, words and qualifier:value pairs
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  const readPhrase = start => {
+    const end = text.indexOf('"', start + 1);
+    if (end === -1) throw new SearchSyntaxError('Missing closing quote', start);
+    const value = text.slice(start + 1, end).trim();
+    if (!value) throw new SearchSyntaxError('Empty quotes', start);
+    i = end + 1;
+    return value;
+  };
+  while (i < text.length) {
+    const ch = text[i];
+    const start = i;
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, index: start });
+      i++;
+    } else if (ch === '"') {
+      tokens.push({ type: 'phrase', value: readPhrase(start), index: start });
+    } else if (ch === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      tokens.push({ type: 'not', index: start });
+      i++;
+    } else {
+      while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+      const word = text.slice(start, i);
+      // Any other `prefix:` (a URL, `note:`) is an ordinary word
+      const qualified = /^([a-z]+):(.*)$/i.exec(word);
+      const qualifier = qualified && qualified[1].toLowerCase();
+      if (word === 'OR' || word === 'AND' || word === 'NOT') {
+        tokens.push({ type: word.toLowerCase(), index: start });
+      } else if (QUALIFIERS.includes(qualifier)) {
+        let value = qualified[2];
+        let phrase = false;
+        if (!value && text[i] === '"' && !DATE_FIELDS[qualifier]) {
+          value = readPhrase(i);
+          phrase = true;
+        }
+        if (!value) throw new SearchSyntaxError(`${qualifier}: needs a value, e.g. ${DATE_FIELDS[qualifier] ? `${qualifier}:>2025-01-01` : `${qualifier}:word or ${qualifier}:"some words"`}`, start);
+        tokens.push({ type: 'qualified', qualifier, value, phrase, index: start });
+      } else {
+        tokens.push({ type: 'word', value: word, index: start });
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses a search query (see the top of this file).
+ * @param {string} text - The query as typed.
+ * @returns {{ast: Object|null, error: SearchSyntaxError|null}} The syntax tree (null for an empty
+ *   query), or the first syntax error.
+ */
+export function parseSearchQuery(text) {
+  const source = typeof text === 'string' ? text : '';
+  let tokens;
+  try {
+    tokens = tokenize(source);
+  } catch (err) {
+    if (err instanceof SearchSyntaxError) return { ast: null, error: err };
+    throw err;
+  }
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const atEndOfGroup = () => !peek() || peek().type === ')' || peek().type === 'or';
+  // An operator followed by nothing it can apply to
+  const needsOperand = token => {
+    if (!atEndOfGroup() && peek().type !== 'and') return;
+    const message = token.type === 'not'
+      ? `Nothing to exclude after ${source[token.index] === '-' ? '-' : 'NOT'}`
+      : `${token.type.toUpperCase()} needs something after it`;
+    throw new SearchSyntaxError(message, token.index);
+  };
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      needsOperand(tokens[pos++]);
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (!atEndOfGroup()) {
+      if (peek().type === 'and') needsOperand(tokens[pos++]);
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token.type !== 'not') return parsePrimary();
+    pos++;
+    needsOperand(token);
+    return { type: 'not', child: parseUnary() };
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    switch (token.type) {
+      case '(': {
+        if (peek() && peek().type === ')') throw new SearchSyntaxError('Empty parentheses', token.index);
+        if (!peek()) throw new SearchSyntaxError('Missing closing parenthesis', token.index);
+        const inner = parseOr();
+        if (!peek() || peek().type !== ')') throw new SearchSyntaxError('Missing closing parenthesis', token.index);
+        pos++;
+        return inner;
+      }
+      case ')':
+        throw new SearchSyntaxError('Unexpected ) without an opening parenthesis', token.index);
+      case 'or':
+      case 'and':
+        throw new SearchSyntaxError(`${token.type.toUpperCase()} needs something before it`, token.index);
+      case 'phrase':
+        return { type: 'phrase', value: token.value };
+      case 'qualified':
+        if (DATE_FIELDS[token.qualifier]) return parseDateValue(token.qualifier, token.value, token.index);
+        return { type: token.phrase ? 'phrase' : 'term', value: token.value, field: TEXT_FIELDS[token.qualifier] };
+      default:
+        return { type: 'term', value: token.value };
+    }
+  }
+
+  if (!tokens.length) return { ast: null, error: null };
+  try {
+    const ast = parseOr();
+    if (pos < tokens.length) {
+      // Only a stray ) stops the parser early
+      throw new SearchSyntaxError('Unexpected ) without an opening parenthesis', tokens[pos].index);
+    }
+    return { ast, error: null };
+  } catch (err) {
+    if (err instanceof SearchSyntaxError) return { ast: null, error: err };
+    throw err;
+  }
+}
+
+/**
+ * What a query that does not parse is searched as while it is being fixed: its words, every one
+ * of which must match, without qualifiers, quotes, parentheses or operators.
+ * @param {string} text - The query as typed.
+ * @returns {Object|null} A syntax tree as returned by parseSearchQuery(), null when no words are left.
+ */
+export function looseQuery(text) {
+  const words = (typeof text === 'string' ? text : '')
+    .replace(QUALIFIER_PREFIX, ' ')
+    .split(/[\s()"]+/)
+    .map(word => word.replace(/^-+/, ''))
+    .filter(word => word && !['OR', 'AND', 'NOT'].includes(word));
+  if (!words.length) return null;
+  return words.length === 1 ? { type: 'term', value: words[0] } : { type: 'and', children: words.map(value => ({ type: 'term', value })) };
+}
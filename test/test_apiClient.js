@@ -0,0 +1,252 @@
+import { setOfflineBackend, createMemoryBackend } from '../js/util/offlineStore.js';
+import { apiRequest, errorFromResponse, retryDelay, ApiError, NotFoundError, ValidationError, ConflictError, RateLimitedError, ServerError, NetworkError } from '../js/api/client.js';
+import { fetchPromptById, fetchPromptPage, fetchPromptLibrary, forkPrompt, updatePrompt } from '../js/api/prompts.js';
+import { fetchCategories } from '../js/api/categories.js';
+import { fetchChains } from '../js/api/chains.js';
+import { addTag } from '../js/util/categoryTagApi.js';
+import { validateApiResponse } from '../js/util/dataValidator.js';
+
+const json = (data, status = 200, headers = {}) => new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+const fast = { retryDelayMs: 0 };
+// A server that never answers; only an abort ends the request
+const hanging = (url, init) => new Promise((resolve, reject) => {
+  init.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+});
+
+QUnit.module('api/client.js', hooks => {
+  const originalFetch = globalThis.fetch;
+  hooks.beforeEach(() => {
+    setOfflineBackend(createMemoryBackend());
+  });
+  hooks.afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  QUnit.test('failed responses become typed errors', assert => {
+    const cases = [[404, NotFoundError], [400, ValidationError], [422, ValidationError], [429, RateLimitedError], [500, ServerError], [503, ServerError], [409, ConflictError], [418, ApiError]];
+    cases.forEach(([status, Type]) => {
+      const err = errorFromResponse('Failed', status, JSON.stringify({ ok: false, error: 'Nope' }));
+      assert.ok(err instanceof Type && err instanceof ApiError, `${status} → ${Type.name}`);
+      assert.equal(err.status, status);
+    });
+    const invalid = errorFromResponse('Failed to create chain', 400, JSON.stringify({ ok: false, error: 'Invalid steps', details: [{ field: 'steps' }] }));
+    assert.equal(invalid.message, 'Failed to create chain: Invalid steps');
+    assert.deepEqual(invalid.details, [{ field: 'steps' }]);
+    assert.equal(errorFromResponse('Prompt not found', 404, '{"ok":false,"error":"Prompt not found"}').message, 'Prompt not found', 'No repeated message');
+    assert.equal(errorFromResponse('Failed', 502, '<html>').message, 'Failed', 'Non-JSON bodies keep the generic message');
+    const limited = errorFromResponse('Failed', 429, '', new Headers({ 'Retry-After': '2' }));
+    assert.equal(limited.retryAfterMs, 2000);
+  });
+
+  QUnit.test('the API modules keep their messages and statuses', async assert => {
+    globalThis.fetch = async () => json({ ok: false, error: 'Prompt not found' }, 404);
+    const err = await fetchPromptById('nope').catch(e => e);
+    assert.ok(err instanceof NotFoundError);
+    assert.equal(err.message, 'Prompt not found');
+    assert.equal(err.status, 404);
+    await assert.rejects(forkPrompt('nope'), /^NotFoundError: Prompt not found$/);
+
+    globalThis.fetch = async () => json({ ok: true, categories: [{ id: 'c1', name: 'Work' }] });
+    assert.deepEqual(await fetchCategories(), [{ id: 'c1', name: 'Work' }]);
+    globalThis.fetch = async () => json({ ok: false, error: 'Tag already exists' }, 400);
+    await assert.rejects(addTag('dup'), e => e instanceof ValidationError && e.message === 'Failed to add tag: Tag already exists');
+  });
+
+  QUnit.test('fetchPromptPage sends the list query and returns the page with its counts', async assert => {
+    let requested = '';
+    globalThis.fetch = async url => {
+      requested = url;
+      return json({ ok: true, prompts: [{ id: 'p3' }], total: 7, next_cursor: '3' });
+    };
+    const page = await fetchPromptPage({ category: 'c1', sort: '-updated_at', limit: 2, cursor: '2', fields: '*,results' });
+    assert.equal(requested, '/api/prompts.php?category=c1&sort=-updated_at&limit=2&cursor=2&fields=*%2Cresults');
+    assert.deepEqual(page, { prompts: [{ id: 'p3' }], total: 7, nextCursor: '3' });
+
+    globalThis.fetch = async () => json({ ok: true, prompts: [{ id: 'p1' }, { id: 'p2' }] });
+    assert.deepEqual(await fetchPromptPage({ limit: 50 }), { prompts: [{ id: 'p1' }, { id: 'p2' }], total: 2, nextCursor: null }, 'A server without paging sends everything');
+  });
+
+  QUnit.test('fetchPromptLibrary follows the cursor to the last page', async assert => {
+    const requested = [];
+    const pages = {
+      '': { prompts: [{ id: 'p1' }, { id: 'p2' }], total: 4, next_cursor: '2' },
+      '2': { prompts: [{ id: 'p2' }, { id: 'p3' }], total: 4, next_cursor: '4' },
+      '4': { prompts: [{ id: 'p4' }], total: 4, next_cursor: null }
+    };
+    globalThis.fetch = async url => {
+      requested.push(url);
+      return json({ ok: true, ...pages[new URL(url, 'http://localhost').searchParams.get('cursor') || ''] });
+    };
+    const prompts = await fetchPromptLibrary({ fields: '*', limit: 2 });
+    assert.deepEqual(prompts.map(p => p.id), ['p1', 'p2', 'p3', 'p4'], 'A prompt that moved to the next page comes once');
+    assert.deepEqual(requested, ['/api/prompts.php?fields=*&limit=2', '/api/prompts.php?fields=*&limit=2&cursor=2', '/api/prompts.php?fields=*&limit=2&cursor=4']);
+
+    requested.length = 0;
+    globalThis.fetch = async url => {
+      requested.push(url);
+      return json({ ok: true, prompts: [], total: 0, next_cursor: '0' });
+    };
+    assert.deepEqual(await fetchPromptLibrary({ limit: 2 }), []);
+    assert.equal(requested.length, 1, 'An empty page ends the load');
+  });
+
+  QUnit.test('prompt updates send the version they started from and surface conflicts', async assert => {
+    let ifMatch;
+    const stored = { id: 'p1', title: 'Theirs', version: 5 };
+    globalThis.fetch = async (url, init) => {
+      ifMatch = init.headers['If-Match'];
+      return json({ ok: false, error: 'This prompt was changed by someone else after you opened it', code: 'version_conflict', current: stored }, 409);
+    };
+    const err = await updatePrompt('p1', { title: 'Mine', content: 'x' }, { version: 4, retries: 0 }).catch(e => e);
+    assert.equal(ifMatch, '"4"');
+    assert.ok(err instanceof ConflictError);
+    assert.equal(err.code, 'version_conflict');
+    assert.deepEqual(err.current, stored);
+
+    globalThis.fetch = async (url, init) => {
+      ifMatch = init.headers['If-Match'];
+      return json({ ok: true, prompt: { id: 'p1', version: 2 } });
+    };
+    await updatePrompt('p1', { title: 'Mine', content: 'x' });
+    assert.equal(ifMatch, undefined, 'No If-Match without a version');
+
+    let calls = 0;
+    globalThis.fetch = async () => {
+      calls++;
+      return json({ ok: false, error: 'Internal error' }, 500);
+    };
+    await updatePrompt('p1', { title: 'Mine', content: 'x' }, { version: 4, retries: 2 }).catch(e => e);
+    assert.equal(calls, 1, 'A versioned update is not retried: a lost response would come back as a conflict');
+  });
+
+  QUnit.test('updatePrompt sends the signed-in user for the revision', async assert => {
+    const originalSession = window.session;
+    let body = null;
+    globalThis.fetch = async (url, init) => {
+      body = JSON.parse(init.body);
+      return json({ ok: true, prompt: { id: 'p1', version: 2 } });
+    };
+    try {
+      window.session = { user: 'dana' };
+      await updatePrompt('p1', { title: 'Mine', content: 'x', author: 'Sam' });
+      assert.equal(body.session_user, 'dana', 'The editor goes with the update');
+      assert.equal(body.author, 'Sam', 'The prompt\'s author is left alone');
+      window.session = undefined;
+      await updatePrompt('p1', { title: 'Mine', content: 'x' });
+      assert.notOk('session_user' in body, 'Nothing is sent without a signed-in user');
+    } finally {
+      window.session = originalSession;
+    }
+  });
+
+  QUnit.test('idempotent calls are retried with backoff; others are not', async assert => {
+    let calls = 0;
+    globalThis.fetch = async () => {
+      calls++;
+      if (calls < 3) throw new TypeError('Failed to fetch');
+      return json({ ok: true, chains: [{ id: 'ch1' }] });
+    };
+    const data = await apiRequest('/api/chains.php', { ...fast, expect: 'list', entity: 'chain' });
+    assert.deepEqual([calls, data.chains.length], [3, 1]);
+
+    calls = 0;
+    globalThis.fetch = async () => {
+      calls++;
+      return json({ ok: false, error: 'Down' }, 500);
+    };
+    await assert.rejects(apiRequest('/api/chains.php', { ...fast, retries: 1 }), ServerError);
+    assert.equal(calls, 2, 'One retry');
+
+    calls = 0;
+    await assert.rejects(apiRequest('/api/chains.php', { ...fast, method: 'POST', body: {} }), ServerError);
+    assert.equal(calls, 1, 'POST is not retried');
+
+    calls = 0;
+    await assert.rejects(apiRequest('/api/chains.php', { ...fast, method: 'POST', body: {}, idempotent: true, retries: 1 }), ServerError);
+    assert.equal(calls, 2, 'Unless the caller says it is idempotent');
+
+    calls = 0;
+    globalThis.fetch = async () => {
+      calls++;
+      return json({ ok: false, error: 'Bad id' }, 400);
+    };
+    await assert.rejects(apiRequest('/api/chains.php', fast), ValidationError);
+    assert.equal(calls, 1, 'Client errors are not retried');
+  });
+
+  QUnit.test('retry delays double and honour Retry-After', assert => {
+    const delays = [0, 1, 2].map(n => retryDelay(n, 100));
+    assert.ok(delays[0] >= 100 && delays[0] <= 120);
+    assert.ok(delays[1] >= 200 && delays[1] <= 240);
+    assert.ok(delays[2] >= 400 && delays[2] <= 480);
+    assert.equal(retryDelay(0, 100, new RateLimitedError('Slow down', { status: 429, retryAfterMs: 1500 })), 1500);
+    assert.equal(retryDelay(20, 100), 10000, 'Capped');
+  });
+
+  QUnit.test('requests time out with a NetworkError', async assert => {
+    globalThis.fetch = hanging;
+    const err = await apiRequest('/api/chains.php', { timeoutMs: 20, retries: 0 }).catch(e => e);
+    assert.ok(err instanceof NetworkError);
+    assert.ok(err.timedOut);
+    assert.equal(err.status, 0);
+  });
+
+  QUnit.test('cancelling rejects with AbortError, also while waiting to retry', async assert => {
+    globalThis.fetch = hanging;
+    const controller = new AbortController();
+    const pending = apiRequest('/api/chains.php', { signal: controller.signal });
+    controller.abort();
+    const err = await pending.catch(e => e);
+    assert.equal(err.name, 'AbortError');
+    assert.notOk(err instanceof ApiError);
+
+    let calls = 0;
+    globalThis.fetch = async () => {
+      calls++;
+      throw new TypeError('Failed to fetch');
+    };
+    const retrying = new AbortController();
+    const waiting = apiRequest('/api/chains.php', { signal: retrying.signal, retryDelayMs: 5000 });
+    setTimeout(() => retrying.abort(), 20);
+    assert.equal((await waiting.catch(e => e)).name, 'AbortError');
+    assert.equal(calls, 1, 'No retry after cancelling');
+
+    await assert.rejects(fetchChains({}, { signal: AbortSignal.abort() }), e => e.name === 'AbortError', 'Already cancelled');
+  });
+
+  QUnit.test('responses are checked against the expected shape', async assert => {
+    globalThis.fetch = async () => json({ ok: true, items: [] });
+    const err = await fetchChains().catch(e => e);
+    assert.ok(err instanceof ServerError);
+    assert.equal(err.code, 'invalid_response');
+    assert.ok(/"chains"/.test(err.message));
+
+    globalThis.fetch = async () => new Response('<b>Fatal error</b>', { status: 200 });
+    await assert.rejects(fetchChains(), e => e instanceof ServerError && /did not send JSON/.test(e.message));
+
+    globalThis.fetch = async () => json({ ok: false, error: 'Storage is read-only' });
+    await assert.rejects(apiRequest('/api/chains.php', { failMessage: 'Failed to save' }), /Failed to save: Storage is read-only/);
+  });
+
+  QUnit.test('query values that are not set are left out', async assert => {
+    let requested = '';
+    globalThis.fetch = async url => {
+      requested = url;
+      return json({ ok: true });
+    };
+    await apiRequest('/api/chains.php', { query: { id: 'a b', tag: undefined, category: null } });
+    assert.equal(requested, '/api/chains.php?id=a+b');
+  });
+});
+
+QUnit.module('util/dataValidator.js validateApiResponse', () => {
+  QUnit.test('list keys are pluralised and entity checks can be skipped', assert => {
+    assert.ok(validateApiResponse({ ok: true, categories: [] }, 'list', 'category').isValid);
+    assert.notOk(validateApiResponse({ ok: true, categorys: [] }, 'list', 'category').isValid);
+    assert.notOk(validateApiResponse({ ok: true, judgments: [] }, 'list', 'judgment').isValid, 'Unknown entity types need checkEntity: false');
+    assert.ok(validateApiResponse({ ok: true, judgments: [] }, 'list', 'judgment', { checkEntity: false }).isValid);
+    assert.notOk(validateApiResponse({ ok: true, result: { id: 'r1', prompt_id: 'p1', content: 'x' } }, 'single', 'result').isValid);
+    assert.ok(validateApiResponse({ ok: true, result: { id: 'r1', prompt_id: 'p1', content: 'x' } }, 'single', 'result', { checkEntity: false }).isValid);
+    assert.notOk(validateApiResponse({ ok: true, result: null }, 'single', 'result', { checkEntity: false }).isValid);
+  });
+});
@@ -0,0 +1,151 @@
+import { parseCSV, parseJSONL, parseDataset, matchDatasetColumns, prepareBatchItems, toCSV, createBatchQueue } from '../js/util/batchRunner.js';
+
+QUnit.module('util/batchRunner.js', () => {
+  QUnit.test('parseCSV handles quotes, escaped quotes, CRLF and line breaks in fields', assert => {
+    const { columns, rows, errors } = parseCSV('name,notes\r\n"Smith, Ann","said ""hi""\nthen left"\r\n\r\nBob,\n');
+    assert.deepEqual(columns, ['name', 'notes']);
+    assert.deepEqual(rows, [
+      { name: 'Smith, Ann', notes: 'said "hi"\nthen left' },
+      { name: 'Bob', notes: '' }
+    ]);
+    assert.deepEqual(errors, []);
+  });
+
+  QUnit.test('parseCSV reports ragged rows and empty files', assert => {
+    const ragged = parseCSV('a,b\n1\n1,2,3');
+    assert.deepEqual(ragged.rows, [{ a: '1', b: '' }, { a: '1', b: '2' }]);
+    assert.equal(ragged.errors.length, 2);
+    assert.deepEqual(parseCSV('  \n').columns, []);
+    assert.ok(parseCSV('').errors.length);
+  });
+
+  QUnit.test('parseJSONL reads lines or an array and stringifies values', assert => {
+    const lines = parseJSONL('{"topic":"cats","n":3}\n\n{"topic":"dogs","extra":{"x":1}}\nnot json');
+    assert.deepEqual(lines.columns, ['topic', 'n', 'extra']);
+    assert.deepEqual(lines.rows, [
+      { topic: 'cats', n: '3', extra: '' },
+      { topic: 'dogs', n: '', extra: '{"x":1}' }
+    ]);
+    assert.deepEqual(lines.errors, ['Line 4 is not valid JSON.']);
+    const array = parseJSONL('[{"a":null}, 5]');
+    assert.deepEqual(array.rows, [{ a: '' }]);
+    assert.deepEqual(array.errors, ['Record 2 is not an object.']);
+  });
+
+  QUnit.test('parseDataset picks the format from the file name or content', assert => {
+    assert.deepEqual(parseDataset('{"a":"1"}', 'rows.txt').rows, [{ a: '1' }]);
+    assert.deepEqual(parseDataset('a\n1', 'rows.csv').rows, [{ a: '1' }]);
+    assert.deepEqual(parseDataset('{"a":"1"}', 'rows.csv').columns, ['{"a":"1"}'], 'The extension wins');
+    const big = parseDataset('n\n' + Array.from({ length: 1005 }, (_, i) => i).join('\n'), 'big.csv');
+    assert.equal(big.rows.length, 1000);
+    assert.ok(/first 1000 of 1005/.test(big.errors[0]));
+  });
+
+  QUnit.test('matchDatasetColumns compares placeholders with columns', assert => {
+    assert.deepEqual(matchDatasetColumns('Write about {{topic}} for {{audience}}', ['topic', 'notes']), {
+      placeholders: ['topic', 'audience'],
+      matched: ['topic'],
+      missing: ['audience'],
+      unused: ['notes']
+    });
+  });
+
+  QUnit.test('prepareBatchItems fills rows, applies defaults and skips invalid rows', assert => {
+    const definitions = [{ name: 'tone', type: 'enum', options: ['friendly', 'dry'], default: 'friendly' }];
+    const items = prepareBatchItems('A {{tone}} post about {{topic}} in {{words}} words', definitions, [
+      { topic: 'tea', words: '50', tone: '' },
+      { topic: '', words: '50', tone: 'dry' },
+      { topic: 'tea', words: '50', tone: 'snarky' },
+      { topic: 'tea', words: '50', tone: '  ' }
+    ]);
+    assert.equal(items[0].prompt, 'A friendly post about tea in 50 words');
+    assert.equal(items[0].status, 'pending');
+    assert.deepEqual(items[0].values, { topic: 'tea', words: '50', tone: '' }, 'The row is kept as uploaded');
+    assert.equal(items[1].status, 'skipped');
+    assert.equal(items[1].error, 'Missing topic');
+    assert.equal(items[2].status, 'skipped');
+    assert.ok(/^tone: /.test(items[2].error), items[2].error);
+    assert.equal(items[3].prompt, 'A friendly post about tea in 50 words', 'A blank cell uses the default too');
+  });
+
+  QUnit.test('toCSV quotes fields and neutralizes formulas', assert => {
+    const csv = toCSV(['a', 'b'], [{ a: 'x, "y"', b: '=SUM(A1)' }, { a: 'line\nbreak', b: null }]);
+    assert.equal(csv, 'a,b\r\n"x, ""y""",\'=SUM(A1)\r\n"line\nbreak",');
+    assert.deepEqual(parseCSV(csv).rows[0], { a: 'x, "y"', b: "'=SUM(A1)" }, 'Round-trips through parseCSV');
+  });
+
+  QUnit.test('createBatchQueue respects the concurrency limit and skips skipped rows', async assert => {
+    const items = [0, 1, 2, 3, 4].map(index => ({ index, values: {}, prompt: `p${index}`, status: index === 2 ? 'skipped' : 'pending' }));
+    let active = 0;
+    let peak = 0;
+    const seen = [];
+    const queue = createBatchQueue(items, async item => {
+      active++;
+      peak = Math.max(peak, active);
+      seen.push(item.index);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return { output: item.prompt.toUpperCase(), result: { id: `r${item.index}` } };
+    }, { concurrency: 2 });
+    queue.start();
+    await queue.whenIdle();
+    assert.equal(peak, 2);
+    assert.deepEqual(seen.sort(), [0, 1, 3, 4]);
+    assert.deepEqual(items.map(i => i.status), ['done', 'done', 'skipped', 'done', 'done']);
+    assert.equal(items[3].output, 'P3');
+    assert.equal(items[3].result.id, 'r3');
+    const stats = queue.stats();
+    assert.equal(stats.done, 4);
+    assert.ok(stats.finished);
+  });
+
+  QUnit.test('createBatchQueue retries failures and can retry failed rows later', async assert => {
+    const attempts = {};
+    let healthy = false;
+    const items = [{ index: 0, status: 'pending' }, { index: 1, status: 'pending' }];
+    const queue = createBatchQueue(items, async item => {
+      attempts[item.index] = (attempts[item.index] || 0) + 1;
+      if (item.index === 0 && attempts[0] === 1) throw new Error('flaky');
+      if (item.index === 1 && !healthy) throw new Error('down');
+      return { output: 'ok' };
+    }, { retries: 1, retryDelayMs: 1 });
+    queue.start();
+    await queue.whenIdle();
+    assert.equal(items[0].status, 'done', 'Recovered on the automatic retry');
+    assert.equal(items[1].status, 'failed');
+    assert.equal(items[1].error, 'down');
+    assert.equal(attempts[1], 2);
+    healthy = true;
+    queue.retryFailed();
+    await queue.whenIdle();
+    assert.equal(items[1].status, 'done');
+    assert.equal(items[1].error, null);
+  });
+
+  QUnit.test('createBatchQueue pauses, resumes and aborts', async assert => {
+    const items = [0, 1, 2].map(index => ({ index, status: 'pending' }));
+    const queue = createBatchQueue(items, async (item, { signal }) => {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, 5);
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          const err = new Error('Run cancelled');
+          err.name = 'AbortError';
+          reject(err);
+        });
+      });
+      return { output: 'ok' };
+    }, { concurrency: 1 });
+    queue.start();
+    queue.pause();
+    await queue.whenIdle();
+    assert.deepEqual(items.map(i => i.status), ['done', 'pending', 'pending'], 'The running row finishes; no new ones start');
+    assert.ok(queue.stats().paused);
+    queue.resume();
+    queue.abort();
+    await queue.whenIdle();
+    assert.equal(items[1].status, 'pending', 'An aborted row goes back to pending');
+    assert.equal(items[1].attempts, 0);
+    assert.equal(items[2].status, 'pending');
+  });
+});
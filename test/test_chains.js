@@ -0,0 +1,49 @@
+import { getChainPromptIds, getChainWarnings, filterChains, buildStepValues } from '../js/util/chains.js';
+import { validateEntity } from '../js/util/dataValidator.js';
+
+const prompts = [
+  { id: 'extract', title: 'Extract facts', content: 'List the facts in {{document}}' },
+  { id: 'summarize', title: 'Summarize', content: 'Summarize these facts: {{facts}}' }
+];
+const chain = {
+  id: 'chain_1',
+  title: 'Facts to summary',
+  category: 'research',
+  tags: ['summary'],
+  steps: [
+    { prompt_id: 'extract', input_variable: '' },
+    { prompt_id: 'summarize', input_variable: 'facts' }
+  ]
+};
+
+QUnit.module('util/chains.js', hooks => {
+  QUnit.test('getChainPromptIds and getChainWarnings describe dependencies', assert => {
+    assert.deepEqual(getChainPromptIds(chain), ['extract', 'summarize'], 'Step prompts in order');
+    assert.deepEqual(getChainWarnings(chain, prompts), [], 'Consistent chain has no warnings');
+    const broken = { ...chain, steps: [{ prompt_id: 'extract' }, { prompt_id: 'summarize', input_variable: 'nope' }, { prompt_id: 'gone' }] };
+    const warnings = getChainWarnings(broken, prompts);
+    assert.equal(warnings.length, 2, 'Unknown binding and missing prompt reported');
+    assert.ok(warnings[0].includes('{{nope}}'), 'Binding to an absent variable');
+    assert.ok(warnings[1].includes('"gone"'), 'Missing step prompt');
+  });
+
+  QUnit.test('filterChains filters by category, tag, prompt and text', assert => {
+    const other = { id: 'chain_2', title: 'Other', category: 'code', tags: [], steps: [{ prompt_id: 'extract' }] };
+    assert.deepEqual(filterChains([chain, other], { category: 'research' }).map(c => c.id), ['chain_1'], 'Category');
+    assert.deepEqual(filterChains([chain, other], { tag: 'summary' }).map(c => c.id), ['chain_1'], 'Tag');
+    assert.deepEqual(filterChains([chain, other], { promptId: 'extract' }).map(c => c.id), ['chain_1', 'chain_2'], 'Prompt dependency');
+    assert.deepEqual(filterChains([chain, other], { search: 'OTHER' }).map(c => c.id), ['chain_2'], 'Case-insensitive text');
+  });
+
+  QUnit.test('buildStepValues binds the previous output', assert => {
+    assert.deepEqual(buildStepValues(chain.steps[1], 'fact A', { tone: 'brief' }), { tone: 'brief', facts: 'fact A' }, 'Output bound to input variable');
+    assert.deepEqual(buildStepValues(chain.steps[0], 'ignored'), {}, 'First step has no binding');
+  });
+
+  QUnit.test('validateEntity checks chains and their steps', assert => {
+    assert.ok(validateEntity(chain, 'chain', { prompts }).isValid, 'Valid chain');
+    assert.notOk(validateEntity({ ...chain, steps: [] }, 'chain').isValid, 'Chain needs steps');
+    const result = validateEntity({ ...chain, steps: [{ prompt_id: 'missing' }] }, 'chain', { prompts });
+    assert.equal(result.errors[0].field, 'steps[0].prompt_id', 'Unknown step prompt reported per step');
+  });
+});
@@ -0,0 +1,49 @@
+import { estimateCost, estimateBulkCost, formatCost, validatePricingTable, getPricingTable, savePricingTable, resetPricingTable } from '../js/util/costEstimator.js';
+import { MODEL_PRICING } from '../js/config.js';
+
+const pricing = { 'gpt-4o': { input: 2, output: 10 } };
+const text = `word${' word'.repeat(999)}`; // 1000 tokens
+
+QUnit.module('util/costEstimator.js', hooks => {
+  QUnit.test('estimateCost prices input and output tokens per 1M', assert => {
+    const cost = estimateCost(text, 'gpt-4o', { pricing, outputTokens: 500 });
+    assert.equal(cost.inputTokens, 1000, 'Input tokens come from the token estimator');
+    assert.equal(cost.inputCost.toFixed(4), '0.0020', 'Input cost');
+    assert.equal(cost.outputCost.toFixed(4), '0.0050', 'Output cost');
+    assert.equal(cost.total.toFixed(4), '0.0070', 'Total per call');
+    assert.ok(cost.priced, 'Model has a price');
+    const unpriced = estimateCost(text, 'claude-3-haiku', { pricing });
+    assert.notOk(unpriced.priced, 'Missing price is reported');
+    assert.equal(unpriced.total, 0, 'Unpriced model costs nothing rather than NaN');
+  });
+
+  QUnit.test('estimateBulkCost rolls up one call per prompt', assert => {
+    const prompts = [{ id: 'a', content: text }, { id: 'b', content: text }];
+    const rollup = estimateBulkCost(prompts, 'gpt-4o', { pricing, outputTokens: 500 });
+    assert.equal(rollup.count, 2);
+    assert.equal(rollup.inputTokens, 2000, 'Summed input tokens');
+    assert.equal(rollup.outputTokens, 1000, 'Summed output tokens');
+    assert.equal(rollup.total.toFixed(3), '0.014', 'Summed total');
+    assert.equal(rollup.items.length, 2, 'Per-prompt breakdown');
+  });
+
+  QUnit.test('pricing table defaults, overrides and validation', assert => {
+    assert.deepEqual(getPricingTable()['gpt-4o'], MODEL_PRICING['gpt-4o'], 'Defaults come from config');
+    assert.deepEqual(validatePricingTable({ 'gpt-4o': { input: 1, output: 2 } }), [], 'Valid table');
+    assert.equal(validatePricingTable({ 'gpt-4o': { input: -1, output: 'x' } }).length, 2, 'Negative and non-numeric prices rejected');
+    assert.equal(validatePricingTable([]).length, 1, 'Arrays rejected');
+    assert.notOk(savePricingTable({ 'gpt-4o': { input: NaN, output: 1 } }).ok, 'Invalid table is not saved');
+    assert.ok(savePricingTable({ 'gpt-4o': { input: 1, output: 2 } }).ok, 'Valid table saved');
+    assert.deepEqual(getPricingTable()['gpt-4o'], { input: 1, output: 2 }, 'Override applied');
+    assert.deepEqual(getPricingTable()['claude-3-haiku'], MODEL_PRICING['claude-3-haiku'], 'Other models keep defaults');
+    resetPricingTable();
+    assert.deepEqual(getPricingTable()['gpt-4o'], MODEL_PRICING['gpt-4o'], 'Reset restores defaults');
+  });
+
+  QUnit.test('formatCost keeps sub-cent precision', assert => {
+    assert.equal(formatCost(0), '$0.00');
+    assert.equal(formatCost(1.234), '$1.23');
+    assert.equal(formatCost(0.0042), '$0.0042');
+    assert.equal(formatCost(0.00001), '<$0.0001');
+  });
+});
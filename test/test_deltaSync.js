@@ -0,0 +1,84 @@
+import { setOfflineBackend, createMemoryBackend, readCachedRecords } from '../js/util/offlineStore.js';
+import { offlineFetch } from '../js/util/offlineSync.js';
+import { mergeById, applyChanges, setPrompts, getPrompts, setTags, getTags } from '../js/state/appState.js';
+import { fetchChanges } from '../js/api/sync.js';
+import { createDeltaSync } from '../js/util/deltaSync.js';
+
+const json = (data, status = 200) => new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+
+QUnit.module('util/deltaSync.js', hooks => {
+  const originalFetch = globalThis.fetch;
+  hooks.beforeEach(() => {
+    setOfflineBackend(createMemoryBackend());
+    setPrompts([]);
+    setTags([]);
+  });
+  hooks.afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  QUnit.test('mergeById updates in place, appends new records and drops deleted ones', assert => {
+    const list = [{ id: 'a', title: 'A', results: [1] }, { id: 'b', title: 'B' }, { id: 3, title: 'C' }];
+    const merged = mergeById(list, [{ id: 'a', title: 'A2' }, { id: 'd', title: 'D' }, { id: '3', title: 'C2' }], ['b', 'd']);
+    assert.deepEqual(merged, [{ id: 'a', title: 'A2', results: [1] }, { id: '3', title: 'C2' }], 'IDs compare as strings; fields the delta leaves out are kept');
+    assert.equal(list[0].title, 'A', 'The original list is not modified');
+    assert.deepEqual(mergeById(undefined, [{ id: 'x' }]), [{ id: 'x' }]);
+  });
+
+  QUnit.test('applyChanges merges, or replaces with a full answer', assert => {
+    setTags([{ id: 't1', name: 'old' }, { id: 't2', name: 'gone' }]);
+    assert.ok(applyChanges('tags', { records: [{ id: 't1', name: 'new' }, { id: 't3', name: 'added' }], deleted: ['t2'] }));
+    assert.deepEqual(getTags().map(t => t.name), ['new', 'added']);
+    assert.notOk(applyChanges('tags', { records: [], deleted: [] }), 'Nothing to apply');
+    applyChanges('tags', { records: [{ id: 't9', name: 'only' }], full: true });
+    assert.deepEqual(getTags().map(t => t.id), ['t9']);
+    assert.throws(() => applyChanges('comments', { records: [{ id: 'c1' }] }), 'Only appState lists');
+  });
+
+  QUnit.test('fetchChanges sends since and reports what the server answered', async assert => {
+    let requested = '';
+    globalThis.fetch = async url => {
+      requested = url;
+      return json({ ok: true, prompts: [{ id: 'p1', title: 'x' }], deleted: ['p2'], server_time: '2025-05-01T10:00:00+00:00' });
+    };
+    const changes = await fetchChanges('prompts', '2025-05-01T09:00:00Z');
+    assert.equal(requested, '/api/prompts.php?since=2025-05-01T09%3A00%3A00Z&fields=*');
+    assert.deepEqual(changes, { records: [{ id: 'p1', title: 'x' }], deleted: ['p2'], full: false, serverTime: '2025-05-01T10:00:00+00:00', offline: false });
+
+    globalThis.fetch = async () => json({ ok: true, tags: [{ id: 't1', name: 'a' }] });
+    assert.ok((await fetchChanges('tags', '2025-05-01T09:00:00Z')).full, 'A server without delta support sends the whole list');
+    await assert.rejects(fetchChanges('chains', 'x'), /unknown list/);
+  });
+
+  QUnit.test('polling merges changes into appState and moves each list on to its server_time', async assert => {
+    setPrompts([{ id: 'p1', title: 'Old' }, { id: 'p2', title: 'Deleted elsewhere' }]);
+    const requested = [];
+    globalThis.fetch = async url => {
+      requested.push(url);
+      if (url.startsWith('/api/prompts.php')) return json({ ok: true, prompts: [{ id: 'p1', title: 'New' }], deleted: ['p2'], server_time: '2025-05-01T10:00:00+00:00' });
+      if (url.startsWith('/api/comments.php')) return json({ ok: true, comments: [{ id: 'c1', prompt_id: 'p1', content: 'hi' }], deleted: [], server_time: '2025-05-01T10:00:01+00:00' });
+      return json({ ok: false, error: 'Down' }, 500);
+    };
+    const sync = createDeltaSync({ since: '2025-05-01T09:00:00Z', lists: ['prompts', 'tags', 'comments'] });
+    const changed = await sync.poll();
+    assert.deepEqual(changed, ['prompts', 'comments'], 'A failing list does not stop the others');
+    assert.deepEqual(getPrompts(), [{ id: 'p1', title: 'New' }]);
+    assert.equal(sync.getSince('prompts'), '2025-05-01T10:00:00+00:00');
+    assert.equal(sync.getSince('tags'), '2025-05-01T09:00:00Z', 'Asked again from the same time');
+
+    globalThis.fetch = async () => { throw new TypeError('Failed to fetch'); };
+    assert.deepEqual(await sync.poll(), [], 'Answers from the offline cache are not applied');
+    assert.equal(sync.getSince('prompts'), '2025-05-01T10:00:00+00:00', 'The offline cache does not move since on');
+  });
+
+  QUnit.test('deleted records are dropped from the offline cache', async assert => {
+    globalThis.fetch = async () => json({ ok: true, comments: [{ id: 'c1', prompt_id: 'p1' }, { id: 'c2', prompt_id: 'p1' }] });
+    await offlineFetch('/api/comments.php');
+    globalThis.fetch = async () => json({ ok: true, comments: [{ id: 'c3', prompt_id: 'p1' }], deleted: ['c1'], server_time: '2025-05-01T10:00:00+00:00' });
+    await offlineFetch('/api/comments.php?since=2025-05-01T09:00:00Z');
+    assert.deepEqual((await readCachedRecords('comments')).records.map(c => c.id).sort(), ['c2', 'c3'], 'A delta keeps records it does not mention');
+    globalThis.fetch = async () => json({ ok: true, comments: [{ id: 'c3', prompt_id: 'p1' }], deleted: [], full: true, server_time: '2025-05-01T10:00:00+00:00' });
+    await offlineFetch('/api/comments.php?since=2025-01-01');
+    assert.deepEqual((await readCachedRecords('comments')).records.map(c => c.id), ['c3'], 'A full answer replaces the list');
+  });
+});
@@ -0,0 +1,14 @@
+import { escapeHtml } from '../js/util/helpers.js';
+
+QUnit.module('escapeHtml', () => {
+  QUnit.test('replaces the characters that are special in HTML with entities', assert => {
+    assert.equal(escapeHtml('<b>"Tom" & \'Jerry\'</b>'), '&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+    assert.equal(escapeHtml('&amp;'), '&amp;amp;', 'Existing entities are escaped again');
+  });
+
+  QUnit.test('leaves other text alone and stringifies non-strings', assert => {
+    assert.equal(escapeHtml('Plain text, ünïcode ✓'), 'Plain text, ünïcode ✓');
+    assert.equal(escapeHtml(42), '42');
+    assert.equal(escapeHtml(''), '');
+  });
+});
@@ -0,0 +1,50 @@
+import { getParent, getForks, getAncestors, countDescendants, buildLineageTree } from '../js/util/lineage.js';
+
+// root ─┬─ a ── a1
+//       └─ b
+// orphan (parent deleted), loop1 <-> loop2 (corrupt data)
+const prompts = [
+  { id: 'root', title: 'Root' },
+  { id: 'a', title: 'A', parent_id: 'root' },
+  { id: 'b', title: 'B', parent_id: 'root' },
+  { id: 'a1', title: 'A1', parent_id: 'a' },
+  { id: 'orphan', title: 'Orphan', parent_id: 'gone' },
+  { id: 'loop1', parent_id: 'loop2' },
+  { id: 'loop2', parent_id: 'loop1' }
+];
+
+const ids = list => list.map(p => p.id);
+const shape = node => ({ id: node.prompt.id, children: node.children.map(shape) });
+
+QUnit.module('util/lineage.js', hooks => {
+  QUnit.test('parents and direct forks', assert => {
+    assert.equal(getParent(prompts[3], prompts).id, 'a');
+    assert.equal(getParent(prompts[0], prompts), null, 'Root has no parent');
+    assert.equal(getParent(prompts[4], prompts), null, 'Missing parent');
+    assert.deepEqual(ids(getForks('root', prompts)), ['a', 'b']);
+    assert.deepEqual(getForks('b', prompts), [], 'No forks');
+  });
+
+  QUnit.test('ancestors are listed nearest first', assert => {
+    assert.deepEqual(ids(getAncestors('a1', prompts)), ['a', 'root']);
+    assert.deepEqual(getAncestors('root', prompts), []);
+    assert.deepEqual(getAncestors('orphan', prompts), [], 'Stops at a missing parent');
+    assert.deepEqual(ids(getAncestors('loop1', prompts)), ['loop2'], 'Stops at a cycle');
+  });
+
+  QUnit.test('descendant counts', assert => {
+    assert.equal(countDescendants('root', prompts), 3);
+    assert.equal(countDescendants('a', prompts), 1);
+    assert.equal(countDescendants('a1', prompts), 0);
+    assert.equal(countDescendants('loop1', prompts), 1, 'Cycles are counted once');
+  });
+
+  QUnit.test('lineage tree is rooted at the oldest ancestor', assert => {
+    const expected = { id: 'root', children: [{ id: 'a', children: [{ id: 'a1', children: [] }] }, { id: 'b', children: [] }] };
+    assert.deepEqual(shape(buildLineageTree('a1', prompts)), expected, 'From a leaf');
+    assert.deepEqual(shape(buildLineageTree('root', prompts)), expected, 'From the root');
+    assert.deepEqual(shape(buildLineageTree('orphan', prompts)), { id: 'orphan', children: [] }, 'Orphan is its own root');
+    assert.equal(buildLineageTree('missing', prompts), null, 'Unknown prompt');
+    assert.equal(shape(buildLineageTree('loop1', prompts)).id, 'loop2', 'Cycle terminates');
+  });
+});
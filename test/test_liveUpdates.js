@@ -0,0 +1,86 @@
+import { parseChangeEvent, startLiveUpdates } from '../js/util/liveUpdates.js';
+import { setPrompts, getPrompts, setCategories, getCategories } from '../js/state/appState.js';
+
+// Stands in for the browser's EventSource; tests push events with emit()
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeEventSource.CONNECTING;
+    this.listeners = {};
+    FakeEventSource.last = this;
+  }
+  addEventListener(type, fn) {
+    (this.listeners[type] = this.listeners[type] || []).push(fn);
+  }
+  emit(type, data) {
+    if (type === 'open') this.readyState = FakeEventSource.OPEN;
+    (this.listeners[type] || []).forEach(fn => fn({ data: data === undefined ? undefined : JSON.stringify(data) }));
+  }
+  close() {
+    this.readyState = FakeEventSource.CLOSED;
+  }
+}
+FakeEventSource.CONNECTING = 0;
+FakeEventSource.OPEN = 1;
+FakeEventSource.CLOSED = 2;
+
+QUnit.module('util/liveUpdates.js', hooks => {
+  const originalEventSource = globalThis.EventSource;
+  hooks.beforeEach(() => {
+    globalThis.EventSource = FakeEventSource;
+    setPrompts([]);
+    setCategories([]);
+  });
+  hooks.afterEach(() => {
+    globalThis.EventSource = originalEventSource;
+  });
+
+  QUnit.test('parseChangeEvent accepts the lists the API streams', assert => {
+    assert.deepEqual(parseChangeEvent('{"list":"comments","records":[{"id":"c1"}]}'), { list: 'comments', records: [{ id: 'c1' }], deleted: [], full: false });
+    assert.equal(parseChangeEvent('{"list":"chains","records":[]}'), null, 'Unknown list');
+    assert.equal(parseChangeEvent('{"list":"tags"}'), null, 'No records');
+    assert.equal(parseChangeEvent('not json'), null);
+  });
+
+  QUnit.test('change events are merged into appState', assert => {
+    setPrompts([{ id: 'p1', title: 'Old', results: [{ id: 'r1' }] }, { id: 'p2', title: 'Gone' }]);
+    const live = startLiveUpdates({ url: '/api/events.php', since: '2025-05-01T10:00:00Z' });
+    const source = FakeEventSource.last;
+    assert.equal(source.url, '/api/events.php?since=2025-05-01T10%3A00%3A00Z');
+    source.emit('change', { list: 'prompts', records: [{ id: 'p1', title: 'New' }, { id: 'p3', title: 'Added' }], deleted: ['p2'], full: false });
+    assert.deepEqual(getPrompts(), [{ id: 'p1', title: 'New', results: [{ id: 'r1' }] }, { id: 'p3', title: 'Added' }]);
+    source.emit('change', { list: 'categories', records: [{ id: 'c1', name: 'Work' }], deleted: [], full: true });
+    assert.deepEqual(getCategories(), [{ id: 'c1', name: 'Work' }]);
+    source.emit('change', 'garbage');
+    assert.equal(getPrompts().length, 2, 'Malformed events are ignored');
+    live.close();
+    assert.equal(source.readyState, FakeEventSource.CLOSED);
+  });
+
+  QUnit.test('status reports connections; routine reconnects are not reported as lost', async assert => {
+    const statuses = [];
+    const live = startLiveUpdates({ onStatus: connected => statuses.push(connected) });
+    const source = FakeEventSource.last;
+    source.emit('open');
+    source.readyState = FakeEventSource.CONNECTING;
+    source.emit('error');
+    source.emit('open');
+    assert.deepEqual(statuses, [true], 'Reconnected within the grace period');
+    source.readyState = FakeEventSource.CLOSED;
+    source.emit('error');
+    assert.deepEqual(statuses, [true, false], 'A closed stream is lost at once');
+    live.close();
+    assert.deepEqual(statuses, [true, false]);
+
+    const closedStatuses = [];
+    const closed = startLiveUpdates({ onStatus: connected => closedStatuses.push(connected) });
+    FakeEventSource.last.emit('open');
+    closed.close();
+    assert.deepEqual(closedStatuses, [true], 'Closing on purpose is not reported as lost');
+  });
+
+  QUnit.test('without EventSource nothing is started', assert => {
+    globalThis.EventSource = undefined;
+    assert.equal(startLiveUpdates(), null);
+  });
+});
@@ -0,0 +1,122 @@
+import { registerProvider, getProvider, listProviders, createSSEParser, createMockProvider, openAICompatibleProvider, validateRunnerSettings, runPrompt } from '../js/util/modelProviders.js';
+
+function streamResponse(chunks, contentType = 'text/event-stream') {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+  return new Response(body, { status: 200, headers: { 'Content-Type': contentType } });
+}
+
+QUnit.module('util/modelProviders.js', hooks => {
+  const originalFetch = globalThis.fetch;
+  hooks.beforeEach(() => {
+    registerProvider(createMockProvider({ delayMs: 0 }));
+  });
+  hooks.afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+  hooks.after(() => {
+    registerProvider(createMockProvider());
+  });
+
+  QUnit.test('built-in providers are registered', assert => {
+    assert.deepEqual(listProviders().map(p => p.id), ['openai-compatible', 'mock']);
+    assert.ok(getProvider('openai-compatible').needsEndpoint);
+    assert.notOk(getProvider('mock').needsEndpoint);
+    assert.equal(getProvider('nope'), null);
+    assert.throws(() => registerProvider({ id: 'broken' }), /run\(\) function/);
+  });
+
+  QUnit.test('createSSEParser handles split chunks, comments and [DONE]', assert => {
+    const seen = [];
+    const parser = createSSEParser(data => seen.push(data));
+    parser.push(': keep-alive\n\ndata: {"a"');
+    parser.push(':1}\n\ndata: plain text\r\n');
+    parser.push('data: [DONE]\n\ndata: {"late":true}\n');
+    parser.flush();
+    assert.deepEqual(seen, [{ a: 1 }, 'plain text'], 'Payloads after [DONE] are ignored');
+    assert.ok(parser.isDone());
+  });
+
+  QUnit.test('mock provider streams a deterministic echo and honours max_tokens', async assert => {
+    const pieces = [];
+    const output = await getProvider('mock').run({ prompt: 'Say hello to the team', model: 'tiny' }, { onToken: piece => pieces.push(piece) });
+    assert.equal(output.text, 'Mock response from tiny to a 5-word prompt:\n\nSay hello to the team');
+    assert.equal(pieces.join(''), output.text, 'Streamed pieces add up to the text');
+    assert.ok(pieces.length > 1, 'Streamed in several pieces');
+    assert.ok(output.usage.input_tokens > 0 && output.usage.output_tokens > 0);
+    const short = await getProvider('mock').run({ prompt: 'x', parameters: { max_tokens: 2 } });
+    assert.equal(short.text, 'Mock response');
+  });
+
+  QUnit.test('mock provider stops when aborted', async assert => {
+    registerProvider(createMockProvider({ delayMs: 0, respond: () => 'one two three' }));
+    const controller = new AbortController();
+    const pieces = [];
+    try {
+      await getProvider('mock').run({ prompt: 'x' }, {
+        signal: controller.signal,
+        onToken: piece => { pieces.push(piece); controller.abort(); }
+      });
+      assert.ok(false, 'Should have thrown');
+    } catch (err) {
+      assert.equal(err.name, 'AbortError');
+    }
+    assert.deepEqual(pieces, ['one']);
+  });
+
+  QUnit.test('openai-compatible provider streams chat completion chunks', async assert => {
+    let request = null;
+    globalThis.fetch = async (url, init) => {
+      request = { url, init, body: JSON.parse(init.body) };
+      return streamResponse([
+        'data: {"model":"llama3:8b","choices":[{"delta":{"role":"assistant"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices":[{"delta":{"content":"lo"}}]}\n',
+        '\ndata: {"choices":[],"usage":{"prompt_tokens":7,"completion_tokens":2}}\n\n',
+        'data: [DONE]\n\n'
+      ]);
+    };
+    const pieces = [];
+    const output = await openAICompatibleProvider.run(
+      { prompt: 'Hi', model: 'llama3', baseUrl: 'http://localhost:11434/v1/', apiKey: 'secret', parameters: { temperature: 0.2 } },
+      { onToken: piece => pieces.push(piece) }
+    );
+    assert.equal(request.url, 'http://localhost:11434/v1/chat/completions');
+    assert.equal(request.init.headers.Authorization, 'Bearer secret');
+    assert.deepEqual(request.body.messages, [{ role: 'user', content: 'Hi' }]);
+    assert.equal(request.body.temperature, 0.2);
+    assert.ok(request.body.stream);
+    assert.deepEqual(pieces, ['Hel', 'lo']);
+    assert.deepEqual(output, { text: 'Hello', model: 'llama3:8b', usage: { input_tokens: 7, output_tokens: 2 } });
+  });
+
+  QUnit.test('openai-compatible provider accepts a non-streamed reply and reports HTTP errors', async assert => {
+    globalThis.fetch = async () => new Response(JSON.stringify({ model: 'm', choices: [{ message: { content: 'Whole answer' } }] }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    const output = await openAICompatibleProvider.run({ prompt: 'Hi', model: 'm', baseUrl: 'http://x' });
+    assert.equal(output.text, 'Whole answer');
+    globalThis.fetch = async () => new Response('model "nope" not found', { status: 404 });
+    await assert.rejects(openAICompatibleProvider.run({ prompt: 'Hi', model: 'nope', baseUrl: 'http://x' }), /404: model "nope" not found/);
+  });
+
+  QUnit.test('validateRunnerSettings checks provider, endpoint, model and parameters', assert => {
+    assert.deepEqual(validateRunnerSettings({ provider: 'mock', parameters: {} }), []);
+    assert.deepEqual(validateRunnerSettings({ provider: 'missing' }), ['Choose a provider.']);
+    const errors = validateRunnerSettings({ provider: 'openai-compatible', baseUrl: 'localhost:11434', model: '', parameters: { temperature: 5 } });
+    assert.equal(errors.length, 3, errors.join(' | '));
+  });
+
+  QUnit.test('runPrompt returns the output with result provenance', async assert => {
+    const { text, provenance } = await runPrompt('Summarize this', { provider: 'mock', model: 'tiny', parameters: { temperature: '0.5', max_tokens: 3 } });
+    assert.equal(text, 'Mock response from');
+    assert.equal(provenance.model, 'tiny');
+    assert.deepEqual(provenance.parameters, { temperature: 0.5, max_tokens: 3 });
+    assert.ok(provenance.latency_ms >= 0);
+    assert.notOk(isNaN(new Date(provenance.run_at)));
+    assert.equal(typeof provenance.usage.output_tokens, 'number');
+    await assert.rejects(runPrompt('x', { provider: 'openai-compatible', baseUrl: '', model: 'm' }), /Endpoint URL/);
+  });
+});
@@ -0,0 +1,204 @@
+import { setOfflineBackend, createMemoryBackend, readCachedRecords, listOutbox } from '../js/util/offlineStore.js';
+import { offlineFetch, replayOutbox, describeRequest, isTempId, getSyncStatus, retryOutboxEntry, discardOutboxEntry } from '../js/util/offlineSync.js';
+
+const json = (data, status = 200) => new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+const post = body => ({ method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+const offline = async () => { throw new TypeError('Failed to fetch'); };
+
+QUnit.module('util/offlineSync.js', hooks => {
+  const originalFetch = globalThis.fetch;
+  hooks.beforeEach(async () => {
+    setOfflineBackend(createMemoryBackend());
+    // Start every test online with an empty outbox
+    globalThis.fetch = async () => json({ ok: true, prompts: [] });
+    await offlineFetch('/api/prompts.php');
+  });
+  hooks.afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  QUnit.test('describeRequest classifies API calls', assert => {
+    const get = describeRequest('/api/comments.php?prompt_id=p1');
+    assert.equal(get.route.store, 'comments');
+    assert.equal(get.kind, 'list');
+    assert.equal(describeRequest('/api/prompts.php?id=7').kind, 'get');
+    assert.deepEqual(
+      ['create', 'update', 'delete', 'fork', 'import'].map(action => describeRequest('/api/prompts.php', post({ action, id: 'p1' })).kind),
+      ['create', 'update', 'delete', 'fork', 'import']
+    );
+    const put = describeRequest('/api/results.php?id=r1', { method: 'PUT', body: '{}' });
+    assert.deepEqual([put.kind, put.id], ['update', 'r1']);
+    assert.equal(describeRequest('/api/tags.php', post({ name: 'x' })).kind, 'create');
+    assert.equal(describeRequest('/api/chains.php').route, null, 'Other endpoints are not cached');
+  });
+
+  QUnit.test('reads are cached and served from the cache when the server is unreachable', async assert => {
+    globalThis.fetch = async () => json({ ok: true, comments: [{ id: 'c1', prompt_id: 'p1' }, { id: 'c2', prompt_id: 'p1' }] });
+    await offlineFetch('/api/comments.php?prompt_id=p1');
+    globalThis.fetch = async () => json({ ok: true, comments: [{ id: 'c3', prompt_id: 'p2' }] });
+    await offlineFetch('/api/comments.php?prompt_id=p2');
+    globalThis.fetch = async () => json({ ok: true, comments: [{ id: 'c2', prompt_id: 'p1' }] });
+    await offlineFetch('/api/comments.php?prompt_id=p1');
+
+    globalThis.fetch = offline;
+    const res = await offlineFetch('/api/comments.php?prompt_id=p1');
+    const data = await res.json();
+    assert.ok(data.offline);
+    assert.deepEqual(data.comments.map(c => c.id), ['c2'], 'c1 was deleted on the server; p2 comments are left out');
+    assert.notOk((await getSyncStatus()).online);
+
+    globalThis.fetch = async () => json({ ok: false }, 503);
+    const viaGateway = await (await offlineFetch('/api/comments.php?prompt_id=p2')).json();
+    assert.deepEqual(viaGateway.comments.map(c => c.id), ['c3'], 'A gateway error also counts as unreachable');
+  });
+
+  QUnit.test('reads with nothing cached still fail', async assert => {
+    globalThis.fetch = offline;
+    await assert.rejects(offlineFetch('/api/tags.php'), /Failed to fetch/);
+    const missing = await offlineFetch('/api/prompts.php?id=nope');
+    assert.equal(missing.status, 404);
+  });
+
+  QUnit.test('prompt list queries are answered from the cache; field selections keep cached fields', async assert => {
+    globalThis.fetch = async () => json({ ok: true, prompts: [
+      { id: 'p1', title: 'Alpha', content: 'one', category: 'c1', results: [{ id: 'r1', prompt_id: 'p1' }] },
+      { id: 'p2', title: 'Beta', content: 'two', category: 'c2' },
+      { id: 'p3', title: 'Gamma', content: 'three', category: 'c1' }
+    ] });
+    await offlineFetch('/api/prompts.php');
+    // A library load without results must not wipe the cached ones
+    globalThis.fetch = async () => json({ ok: true, prompts: [{ id: 'p1', title: 'Alpha 2', content: 'one', category: 'c1' }], total: 3, next_cursor: '1' });
+    await offlineFetch('/api/prompts.php?fields=*&limit=1');
+
+    globalThis.fetch = offline;
+    const page = await (await offlineFetch('/api/prompts.php?category=c1&sort=-title&limit=1&fields=title,results')).json();
+    assert.deepEqual(page.prompts, [{ id: 'p3', version: 1, title: 'Gamma', results: [] }]);
+    assert.deepEqual([page.total, page.next_cursor, page.offline], [2, '1', true]);
+    const next = await (await offlineFetch('/api/prompts.php?category=c1&sort=-title&limit=1&cursor=1&fields=title,results')).json();
+    assert.equal(next.prompts[0].title, 'Alpha 2');
+    assert.deepEqual(next.prompts[0].results.map(r => r.id), ['r1']);
+    assert.equal(next.next_cursor, null);
+    const invalid = await offlineFetch('/api/prompts.php?sort=length');
+    assert.equal(invalid.status, 400);
+  });
+
+  QUnit.test('changes made offline are applied locally, queued and replayed in order', async assert => {
+    globalThis.fetch = offline;
+    const created = await offlineFetch('/api/prompts.php', post({ action: 'create', title: 'Draft', content: 'Hi' }));
+    assert.equal(created.status, 202);
+    const { prompt, queued } = await created.json();
+    assert.ok(queued);
+    assert.ok(isTempId(prompt.id));
+    const added = await (await offlineFetch('/api/results.php', post({ action: 'add', prompt_id: prompt.id, content: 'Out' }))).json();
+    await offlineFetch('/api/prompts.php', post({ action: 'update', id: prompt.id, title: 'Final' }));
+    const cachedPrompts = (await readCachedRecords('prompts')).records;
+    assert.deepEqual(cachedPrompts.map(p => p.title), ['Final'], 'The update is applied to the cached record');
+    assert.equal((await listOutbox()).length, 3);
+
+    const sent = [];
+    globalThis.fetch = async (url, init) => {
+      const body = init.body ? JSON.parse(init.body) : null;
+      sent.push({ url, body });
+      if (body.action === 'create') return json({ ok: true, prompt: { id: 'p9', title: body.title } }, 201);
+      if (body.action === 'add') return json({ ok: true, result: { id: 'r9', prompt_id: body.prompt_id, content: body.content } }, 201);
+      return json({ ok: true, prompt: { id: body.id, title: body.title } });
+    };
+    const outcome = await replayOutbox();
+    assert.deepEqual([outcome.sent, outcome.conflicts.length, outcome.pending], [3, 0, 0]);
+    assert.deepEqual(sent.map(s => s.body.action), ['create', 'add', 'update']);
+    assert.equal(sent[1].body.prompt_id, 'p9', 'Later changes use the ID the server assigned');
+    assert.equal(sent[2].body.id, 'p9');
+    assert.deepEqual((await readCachedRecords('prompts')).records, [{ id: 'p9', title: 'Final' }]);
+    assert.deepEqual((await readCachedRecords('results')).records.map(r => [r.id, r.prompt_id]), [['r9', 'p9']], `${added.result.id} was replaced`);
+  });
+
+  QUnit.test('a record created and deleted offline never reaches the server', async assert => {
+    globalThis.fetch = offline;
+    const { comment } = await (await offlineFetch('/api/comments.php', post({ action: 'add', prompt_id: 'p1', content: 'oops' }))).json();
+    const res = await offlineFetch(`/api/comments.php?id=${comment.id}`, { method: 'DELETE' });
+    assert.notOk((await res.json()).queued);
+    assert.deepEqual(await listOutbox(), []);
+    assert.deepEqual((await readCachedRecords('comments')).records, []);
+  });
+
+  QUnit.test('rejected changes are kept as conflicts; the rest still sync', async assert => {
+    globalThis.fetch = offline;
+    await offlineFetch('/api/results.php?id=gone', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ score: 90 }) });
+    await offlineFetch('/api/tags.php', post({ name: 'travel' }));
+    globalThis.fetch = async url => (url.includes('gone')
+      ? json({ ok: false, error: 'Result not found' }, 404)
+      : json({ ok: true, tag: { id: 't1', name: 'travel' } }, 201));
+    const outcome = await replayOutbox();
+    assert.equal(outcome.sent, 1);
+    assert.equal(outcome.conflicts.length, 1);
+    assert.equal(outcome.conflicts[0].error, '404: Result not found');
+    let status = await getSyncStatus();
+    assert.deepEqual([status.pending, status.conflicts], [0, 1]);
+
+    globalThis.fetch = async () => json({ ok: true });
+    await retryOutboxEntry(status.entries[0].seq);
+    status = await getSyncStatus();
+    assert.deepEqual([status.pending, status.conflicts], [0, 0], 'Retried successfully');
+  });
+
+  QUnit.test('prompt edits keep their If-Match; overwriting a 409 drops it', async assert => {
+    globalThis.fetch = async () => json({ ok: true, prompts: [{ id: 'p1', title: 'A', version: 2 }] });
+    await offlineFetch('/api/prompts.php');
+    globalThis.fetch = offline;
+    const edit = (title, version) => offlineFetch('/api/prompts.php', { ...post({ action: 'update', id: 'p1', title }), headers: { 'Content-Type': 'application/json', 'If-Match': `"${version}"` } });
+    const { prompt } = await (await edit('B', 2)).json();
+    assert.equal(prompt.version, 3, 'The local copy gets the version the server will assign');
+    await edit('C', prompt.version);
+
+    const sent = [];
+    globalThis.fetch = async (url, init) => {
+      sent.push(init.headers['If-Match']);
+      return sent.length === 1
+        ? json({ ok: true, prompt: { id: 'p1', title: 'B', version: 3 } })
+        : json({ ok: false, error: 'Changed by someone else' }, 409);
+    };
+    await replayOutbox();
+    assert.deepEqual(sent, ['"2"', '"3"']);
+    const [rejected] = await listOutbox();
+    assert.equal(rejected.rejected_status, 409);
+
+    globalThis.fetch = async (url, init) => {
+      sent.push(init.headers['If-Match']);
+      return json({ ok: true, prompt: { id: 'p1', title: 'C', version: 5 } });
+    };
+    await retryOutboxEntry(rejected.seq);
+    assert.equal(sent[2], undefined, 'Sent without If-Match');
+    assert.deepEqual(await listOutbox(), []);
+  });
+
+  QUnit.test('discarding a queued create drops the local record and its follow-ups', async assert => {
+    globalThis.fetch = offline;
+    const { category } = await (await offlineFetch('/api/categories.php', post({ name: 'Work' }))).json();
+    await offlineFetch(`/api/categories.php?id=${category.id}`, { method: 'PUT', body: JSON.stringify({ name: 'Jobs' }) });
+    const [first] = await listOutbox();
+    await discardOutboxEntry(first.seq);
+    assert.deepEqual(await listOutbox(), []);
+    assert.deepEqual((await readCachedRecords('categories')).records, []);
+  });
+
+  QUnit.test('online changes update the cache; changes wait behind queued ones', async assert => {
+    globalThis.fetch = async () => json({ ok: true, tags: [{ id: 't1', name: 'old' }] });
+    await offlineFetch('/api/tags.php');
+    await offlineFetch('/api/tags.php?id=t1', { method: 'PUT', body: JSON.stringify({ name: 'new' }) });
+    assert.deepEqual((await readCachedRecords('tags')).records, [{ id: 't1', name: 'new' }]);
+    await offlineFetch('/api/tags.php?id=t1', { method: 'DELETE' });
+    assert.deepEqual((await readCachedRecords('tags')).records, []);
+
+    globalThis.fetch = offline;
+    await offlineFetch('/api/tags.php', post({ name: 'a' }));
+    let calls = 0;
+    globalThis.fetch = async () => {
+      calls++;
+      throw new TypeError('Failed to fetch');
+    };
+    const res = await offlineFetch('/api/tags.php', post({ name: 'b' }));
+    assert.equal(res.status, 202, 'Queued behind the pending change');
+    assert.equal((await listOutbox()).length, 2);
+    assert.equal(calls, 0, 'Not sent ahead of the earlier change while offline');
+  });
+});
@@ -0,0 +1,80 @@
+import { expectedScore, judgmentsToMatches, computeElo, bradleyTerry, rankFromJudgments, nextPair, pairKey } from '../js/util/pairwiseRanking.js';
+
+const judge = (left, right, winner, leftPrompt = 'p1', rightPrompt = 'p1') => ({
+  left_result_id: left, right_result_id: right, left_prompt_id: leftPrompt, right_prompt_id: rightPrompt, winner
+});
+
+QUnit.module('util/pairwiseRanking.js', hooks => {
+  QUnit.test('expectedScore follows the Elo curve', assert => {
+    assert.equal(expectedScore(1500, 1500), 0.5, 'Equal ratings');
+    assert.ok(Math.abs(expectedScore(1900, 1500) - 10 / 11) < 1e-9, '400 points ≈ 10:1 odds');
+  });
+
+  QUnit.test('judgmentsToMatches maps winners and skips same-prompt pairs at prompt level', assert => {
+    const judgments = [judge('a', 'b', 'left'), judge('a', 'c', 'tie', 'p1', 'p2'), judge('c', 'b', 'right', 'p2', 'p1'), { winner: 'bogus' }];
+    assert.deepEqual(judgmentsToMatches(judgments), [
+      { a: 'a', b: 'b', outcome: 1 },
+      { a: 'a', b: 'c', outcome: 0.5 },
+      { a: 'c', b: 'b', outcome: 0 }
+    ]);
+    assert.deepEqual(judgmentsToMatches(judgments, 'prompt'), [
+      { a: 'p1', b: 'p2', outcome: 0.5 },
+      { a: 'p2', b: 'p1', outcome: 0 }
+    ]);
+  });
+
+  QUnit.test('computeElo is zero-sum and keeps records', assert => {
+    const elo = computeElo([{ a: 'x', b: 'y', outcome: 1 }, { a: 'y', b: 'x', outcome: 0.5 }]);
+    const x = elo.get('x');
+    const y = elo.get('y');
+    assert.ok(Math.abs(x.rating - (1516 - 32 * (0.5 - expectedScore(1484, 1516)))) < 1e-9, 'Win then tie against a weaker opponent');
+    assert.ok(Math.abs(x.rating + y.rating - 3000) < 1e-9, 'Ratings sum is preserved');
+    assert.ok(x.rating > y.rating, 'Winner stays ahead');
+    assert.deepEqual([x.wins, x.losses, x.ties, x.games], [1, 0, 1, 2]);
+    assert.deepEqual([y.wins, y.losses, y.ties, y.games], [0, 1, 1, 2]);
+  });
+
+  QUnit.test('bradleyTerry orders by strength and stays finite', assert => {
+    const matches = [
+      { a: 'strong', b: 'mid', outcome: 1 },
+      { a: 'strong', b: 'weak', outcome: 1 },
+      { a: 'mid', b: 'weak', outcome: 1 },
+      { a: 'mid', b: 'strong', outcome: 0.5 }
+    ];
+    const bt = bradleyTerry(matches);
+    assert.ok(bt.get('strong') > bt.get('mid') && bt.get('mid') > bt.get('weak'), 'Strong > mid > weak');
+    assert.ok([...bt.values()].every(Number.isFinite), 'Undefeated and winless items are finite');
+    const reversed = bradleyTerry([...matches].reverse());
+    assert.ok(Math.abs(reversed.get('strong') - bt.get('strong')) < 1e-6, 'Order-independent');
+  });
+
+  QUnit.test('rankFromJudgments sorts best first for results and prompts', assert => {
+    const judgments = [
+      judge('a', 'c', 'left', 'p1', 'p2'),
+      judge('b', 'c', 'left', 'p1', 'p2'),
+      judge('a', 'b', 'right')
+    ];
+    const results = rankFromJudgments(judgments);
+    assert.equal(results[results.length - 1].id, 'c', 'Loser of both is last');
+    assert.deepEqual(results.map(r => r.id).slice(0, 2).sort(), ['a', 'b']);
+    const prompts = rankFromJudgments(judgments, 'prompt');
+    assert.deepEqual(prompts.map(r => [r.id, r.wins, r.losses]), [['p1', 2, 0], ['p2', 0, 2]], 'Same-prompt judgment ignored');
+    assert.deepEqual(rankFromJudgments([]), [], 'No judgments');
+  });
+
+  QUnit.test('nextPair serves the least-judged pair and alternates sides', assert => {
+    const results = [{ id: 'a', prompt_id: 'p1' }, { id: 'b', prompt_id: 'p1' }, { id: 'c', prompt_id: 'p2' }];
+    const first = nextPair(results, []);
+    assert.deepEqual([first.left.id, first.right.id], ['a', 'b'], 'First unjudged pair');
+    const second = nextPair(results, [judge('a', 'b', 'left')]);
+    assert.deepEqual([second.left.id, second.right.id], ['a', 'c'], 'Moves on to an unjudged pair');
+    const all = [judge('a', 'b', 'left'), judge('a', 'c', 'left'), judge('b', 'c', 'tie')];
+    const again = nextPair(results, all);
+    assert.deepEqual([again.left.id, again.right.id], ['b', 'a'], 'Second round swaps sides');
+    const cross = nextPair(results, [], { crossPrompt: true });
+    assert.deepEqual([cross.left.id, cross.right.id], ['a', 'c'], 'Cross-prompt skips same-prompt pairs');
+    const skip = new Set([pairKey('a', 'b'), pairKey('a', 'c'), pairKey('b', 'c')]);
+    assert.equal(nextPair(results, [], { skip }), null, 'Everything skipped');
+    assert.equal(nextPair(results.slice(0, 1), []), null, 'Needs two results');
+  });
+});
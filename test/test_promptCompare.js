@@ -0,0 +1,68 @@
+import { comparePrompts, compareTags, similarityFromDiff } from '../js/util/promptCompare.js';
+import { diffWords } from '../js/util/textDiff.js';
+
+const base = {
+  id: 'a',
+  title: 'Summarize article',
+  description: 'Short summary',
+  content: 'Summarize {{text}} in three bullet points.',
+  category: 'cat_writing',
+  tags: ['tag_summary', 'tag_news'],
+  author: 'Sam',
+  variables: [{ name: 'text', type: 'multiline' }],
+  created_at: '2025-01-01T00:00:00Z',
+  updated_at: '2025-01-02T00:00:00Z'
+};
+
+QUnit.module('util/promptCompare.js', hooks => {
+  QUnit.test('compareTags splits shared and one-sided tags', assert => {
+    assert.deepEqual(compareTags(['a', 'b'], ['b', 'c']), { shared: ['b'], onlyLeft: ['a'], onlyRight: ['c'] });
+    assert.deepEqual(compareTags(undefined, ['x']), { shared: [], onlyLeft: [], onlyRight: ['x'] }, 'Missing tags');
+  });
+
+  QUnit.test('similarityFromDiff', assert => {
+    assert.equal(similarityFromDiff(diffWords('one two three', 'one two three')), 1, 'Identical');
+    assert.equal(similarityFromDiff(diffWords('one two', 'three four')), 0, 'Nothing shared');
+    assert.equal(similarityFromDiff(diffWords('one two three four', 'one two five six')), 0.5, 'Half shared');
+    assert.equal(similarityFromDiff([]), 1, 'Both empty');
+  });
+
+  QUnit.test('identical prompts only differ in timestamps', assert => {
+    const result = comparePrompts(base, { ...base, id: 'b', updated_at: '2025-03-01T00:00:00Z' }, { modelId: 'gpt-4o' });
+    assert.deepEqual(result.differences, [], 'Timestamps are not differences');
+    assert.equal(result.similarity, 1);
+    assert.ok(result.fields.every(f => f.same), 'All text fields equal');
+    assert.notOk(result.metadata.find(m => m.key === 'updated_at').same, 'Timestamp row still shows the change');
+  });
+
+  QUnit.test('near-duplicates report differing fields, tags and metadata', assert => {
+    const other = {
+      ...base,
+      id: 'b',
+      content: 'Summarize {{text}} in five bullet points.',
+      tags: ['tag_summary', 'tag_blog'],
+      author: 'Alex',
+      variables: [{ name: 'text', type: 'multiline' }, { name: 'tone', type: 'text' }]
+    };
+    const names = { tag_summary: 'Summary', tag_news: 'News', tag_blog: 'Blog' };
+    const result = comparePrompts(base, other, {
+      modelId: 'gpt-4o',
+      tagName: id => names[id],
+      counts: { results: [3, 0], comments: [1, 1] }
+    });
+    assert.deepEqual(result.differences, ['Content', 'Tags', 'Author', 'Variables', 'Results']);
+    assert.deepEqual(result.tags, { shared: ['Summary'], onlyLeft: ['News'], onlyRight: ['Blog'] }, 'Tag names are mapped');
+    const content = result.fields.find(f => f.field === 'content');
+    assert.deepEqual(content.parts.filter(p => p.type !== 'equal').map(p => p.text), ['three', 'five']);
+    assert.ok(result.similarity > 0.8 && result.similarity < 1, 'High but not full similarity');
+    const results = result.metadata.find(m => m.key === 'results');
+    assert.deepEqual([results.left, results.right], [3, 0], 'Result counts');
+    assert.ok(result.metadata.find(m => m.key === 'comments').same, 'Equal comment counts');
+  });
+
+  QUnit.test('count rows are omitted until counts are known', assert => {
+    const keys = comparePrompts(base, base, { modelId: 'gpt-4o' }).metadata.map(m => m.key);
+    assert.notOk(keys.includes('results'));
+    assert.notOk(keys.includes('comments'));
+  });
+});
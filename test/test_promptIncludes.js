@@ -0,0 +1,50 @@
+import { findIncludeRefs, resolveIncludes, resolvePromptIncludes, findUsedBy } from '../js/util/promptIncludes.js';
+
+const library = {
+  tone: { id: 'tone', content: 'Be friendly.' },
+  format: { id: 'format', content: '{{> tone}} Answer in {{format_style}}.', variables: [{ name: 'format_style', type: 'enum', options: ['JSON', 'Markdown'] }] },
+  loop_a: { id: 'loop_a', content: 'A {{> loop_b}}' },
+  loop_b: { id: 'loop_b', content: 'B {{> loop_a}}' }
+};
+const fetchPrompt = async id => {
+  if (!library[id]) {
+    const err = new Error('Prompt not found');
+    err.status = 404;
+    throw err;
+  }
+  return library[id];
+};
+
+QUnit.module('util/promptIncludes.js', hooks => {
+  QUnit.test('findIncludeRefs lists included prompt IDs', assert => {
+    assert.deepEqual(findIncludeRefs('{{> tone}} {{>format}} {{ > tone }} {{name}}'), ['tone', 'format'], 'Unique IDs; variables ignored');
+    assert.deepEqual(findIncludeRefs(''), [], 'Empty text');
+  });
+
+  QUnit.test('resolveIncludes expands nested includes and collects variables', async assert => {
+    const result = await resolvePromptIncludes({ id: 'main', content: 'Intro. {{> format}}' }, { fetchPrompt });
+    assert.equal(result.text, 'Intro. Be friendly. Answer in {{format_style}}.', 'Nested includes resolved');
+    assert.deepEqual(result.included, ['format', 'tone'], 'Included IDs recorded');
+    assert.deepEqual(result.variables.map(v => v.name), ['format_style'], 'Declarations from included prompts merged');
+    assert.deepEqual(result.warnings, [], 'No warnings');
+  });
+
+  QUnit.test('resolveIncludes reports cycles and missing references', async assert => {
+    const cycle = await resolveIncludes('{{> loop_a}}', { fetchPrompt });
+    assert.equal(cycle.text, 'A B {{> loop_a}}', 'Cyclic include left in place');
+    assert.equal(cycle.warnings[0].type, 'cycle', 'Cycle reported');
+    assert.deepEqual(cycle.warnings[0].path, ['loop_a', 'loop_b', 'loop_a'], 'Cycle path reported');
+
+    const self = await resolveIncludes('X {{> me}}', { fetchPrompt, rootId: 'me' });
+    assert.equal(self.warnings[0].type, 'cycle', 'Self-include is a cycle');
+
+    const missing = await resolveIncludes('{{> nope}}', { fetchPrompt });
+    assert.equal(missing.text, '{{> nope}}', 'Missing include left in place');
+    assert.equal(missing.warnings[0].type, 'missing', 'Missing reference reported');
+  });
+
+  QUnit.test('findUsedBy lists prompts that include a prompt', assert => {
+    const usedBy = findUsedBy('tone', Object.values(library));
+    assert.deepEqual(usedBy.map(p => p.id), ['format'], 'Direct includers only');
+  });
+});
@@ -0,0 +1,65 @@
+import { lintPrompt, applyFixes, lintLibrary, offsetToPosition } from '../js/util/promptLinter.js';
+
+const rules = diagnostics => diagnostics.map(d => d.rule);
+
+QUnit.module('util/promptLinter.js', hooks => {
+  QUnit.test('offsetToPosition reports 1-based line and column', assert => {
+    assert.deepEqual(offsetToPosition('ab\ncd', 0), { line: 1, column: 1 });
+    assert.deepEqual(offsetToPosition('ab\ncd', 4), { line: 2, column: 2 });
+  });
+
+  QUnit.test('clean prompts have no diagnostics', assert => {
+    assert.deepEqual(lintPrompt('Summarize {{text}} in three bullet points.'), []);
+    assert.deepEqual(lintPrompt(''), [], 'Empty text');
+  });
+
+  QUnit.test('unresolved and unused variables', assert => {
+    const malformed = lintPrompt('Hello {{first name}} and {{}}');
+    assert.deepEqual(rules(malformed), ['unresolved-variable', 'unresolved-variable'], 'Malformed and empty placeholders');
+    assert.equal(malformed[0].column, 7, 'Column of the placeholder');
+    assert.deepEqual(rules(lintPrompt('Use {{topic and more')), ['unresolved-variable'], 'Unclosed placeholder');
+    const single = lintPrompt('Write about {topic}.');
+    assert.equal(single[0].fix.label, 'Use {{topic}}', 'Single braces have a quick fix');
+    assert.equal(applyFixes('Write about {topic}.', single), 'Write about {{topic}}.', 'Fix converts to double braces');
+    const include = lintPrompt('{{> header}} {{> missing}}', { prompts: [{ id: 'header' }] });
+    assert.equal(include.length, 1, 'Only the unknown include is flagged');
+    assert.ok(include[0].message.includes('missing'));
+    const unused = lintPrompt('Hi {{name}}', { variables: [{ name: 'name' }, { name: 'tone' }] });
+    assert.deepEqual(rules(unused), ['unused-variable'], 'Declared but unused variable');
+  });
+
+  QUnit.test('duplicated instructions and contradictory directives', assert => {
+    const text = 'Always cite your sources carefully.\nBe brief.\nAlways cite your sources carefully.\nExplain in detail.';
+    const diagnostics = lintPrompt(text);
+    const duplicate = diagnostics.find(d => d.rule === 'duplicate-instruction');
+    assert.equal(duplicate.line, 3, 'Repeat reported where it occurs');
+    assert.equal(applyFixes(text, [duplicate]), 'Always cite your sources carefully.\nBe brief.\n\nExplain in detail.', 'Quick fix removes the repeat');
+    const contradiction = diagnostics.find(d => d.rule === 'contradictory-directives');
+    assert.ok(contradiction, 'Brief vs detailed flagged');
+    assert.equal(contradiction.line, 4, 'Reported at the second directive');
+  });
+
+  QUnit.test('whitespace, invisible characters and length', assert => {
+    const text = 'Line one  \nLine\u200B two\u00A0here';
+    const diagnostics = lintPrompt(text);
+    assert.deepEqual(rules(diagnostics), ['trailing-whitespace', 'invisible-unicode', 'invisible-unicode']);
+    assert.equal(diagnostics[1].line, 2, 'Invisible character line');
+    assert.equal(diagnostics[1].column, 5, 'Invisible character column');
+    assert.equal(applyFixes(text, diagnostics), 'Line one\nLine two here', 'Fix all trims, removes and replaces');
+    const long = lintPrompt('word '.repeat(50).trim(), { maxTokens: 10 });
+    assert.deepEqual(rules(long), ['excessive-length'], 'Over the token budget');
+    assert.deepEqual(lintPrompt('Fine text.', { disabledRules: ['excessive-length'], maxTokens: 1 }), [], 'Rules can be disabled');
+  });
+
+  QUnit.test('lintLibrary reports per prompt with totals', assert => {
+    const report = lintLibrary([
+      { id: 'a', content: 'Clean prompt.' },
+      { id: 'b', content: 'Trailing ' },
+      { id: 'c', content: 'Uses {{> a}} and {{> nope}}' }
+    ]);
+    assert.equal(report.promptCount, 3);
+    assert.deepEqual(report.entries.map(e => e.prompt.id), ['b', 'c'], 'Only prompts with issues');
+    assert.deepEqual(report.totals, { 'trailing-whitespace': 1, 'unresolved-variable': 1 }, 'Totals per rule');
+    assert.equal(report.issueCount, 2);
+  });
+});
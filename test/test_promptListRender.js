@@ -0,0 +1,53 @@
+import { setOfflineBackend, createMemoryBackend } from '../js/util/offlineStore.js';
+import { setPrompts } from '../js/state/appState.js';
+import { renderPrompts } from '../js/ui/promptListRender.js';
+
+const json = (data, status = 200) => new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+// Resolves once check() is true, polling while the list loads
+const waitFor = (check, timeoutMs = 2000) => new Promise((resolve, reject) => {
+  const started = Date.now();
+  (function poll() {
+    if (check()) return resolve();
+    if (Date.now() - started > timeoutMs) return reject(new Error('Timed out waiting for the list'));
+    setTimeout(poll, 10);
+  })();
+});
+
+QUnit.module('ui/promptListRender.js', hooks => {
+  const originalFetch = globalThis.fetch;
+  let list = null;
+  hooks.beforeEach(() => {
+    setOfflineBackend(createMemoryBackend());
+    setPrompts([], { broadcast: false });
+    globalThis.fetch = async url => {
+      if (String(url).startsWith('/api/categories.php')) return json({ ok: true, categories: [] });
+      if (String(url).startsWith('/api/tags.php')) return json({ ok: true, tags: [] });
+      return json({ ok: true, prompts: [{ id: 'p1', title: 'First', content: 'Hello', tags: [], category: '' }], total: 1, next_cursor: null });
+    };
+    window.currentParams = {};
+    list = document.createElement('div');
+    list.id = 'prompt-list';
+    (document.getElementById('qunit-fixture') || document.body).appendChild(list);
+  });
+  hooks.afterEach(() => {
+    globalThis.fetch = originalFetch;
+    list.remove();
+  });
+
+  QUnit.test('a list rendered twice handles a click once', async assert => {
+    renderPrompts();
+    await waitFor(() => list.querySelector('.fork-btn'));
+    renderPrompts();
+    // The second render clears the list before it loads again
+    await waitFor(() => list.querySelector('.fork-btn'));
+    let forks = 0;
+    const onFork = () => forks++;
+    window.addEventListener('prompt:fork', onFork);
+    try {
+      list.querySelector('.fork-btn').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    } finally {
+      window.removeEventListener('prompt:fork', onFork);
+    }
+    assert.equal(forks, 1, 'One fork per click, not one per render');
+  });
+});
@@ -0,0 +1,57 @@
+import { mergeText, mergeTags, mergePrompt } from '../js/util/promptMerge.js';
+
+QUnit.module('util/promptMerge.js', () => {
+  QUnit.test('mergeText takes the side that changed', assert => {
+    assert.deepEqual(mergeText('a', 'b', 'a'), { clean: true, text: 'b' });
+    assert.deepEqual(mergeText('a', 'a', 'c'), { clean: true, text: 'c' });
+    assert.deepEqual(mergeText('a', 'x', 'x'), { clean: true, text: 'x' }, 'Same change on both sides');
+  });
+
+  QUnit.test('mergeText combines changes to different lines', assert => {
+    const base = 'You are a helpful assistant.\nAnswer briefly.\nUse {{language}}.\nSign off politely.';
+    const mine = 'You are a friendly assistant.\nAnswer briefly.\nUse {{language}}.\nSign off politely.';
+    const theirs = 'You are a helpful assistant.\nAnswer briefly.\nUse {{language}}.\nSign off with "Cheers".\nAdd a summary.';
+    assert.deepEqual(mergeText(base, mine, theirs), {
+      clean: true,
+      text: 'You are a friendly assistant.\nAnswer briefly.\nUse {{language}}.\nSign off with "Cheers".\nAdd a summary.'
+    });
+    assert.deepEqual(mergeText('a\nb\nc', 'a\nb\nc\nmine', 'top\na\nb\nc'), { clean: true, text: 'top\na\nb\nc\nmine' }, 'Insertions at both ends');
+  });
+
+  QUnit.test('mergeText reports overlapping or adjacent changes as conflicts', assert => {
+    assert.deepEqual(mergeText('a\nb\nc', 'a\nB1\nc', 'a\nB2\nc'), { clean: false, text: null });
+    assert.notOk(mergeText('a\nb\nc\nd', 'a\nB\nc\nd', 'a\nb\nC\nd').clean, 'Adjacent lines');
+    assert.notOk(mergeText('one line', 'my line', 'their line').clean);
+    assert.deepEqual(mergeText('a\nb\nc\nd\ne', 'a\nX\nc\nd\ne', 'a\nX\nc\nd\nE'), { clean: true, text: 'a\nX\nc\nd\nE' }, 'Identical change plus a separate one');
+  });
+
+  QUnit.test('mergeTags keeps additions and removals from both sides', assert => {
+    assert.deepEqual(mergeTags(['a', 'b', 'c'], ['a', 'c', 'mine'], ['a', 'b', 'theirs']), ['a', 'theirs', 'mine']);
+    assert.deepEqual(mergeTags(['a'], ['a', 'x'], ['a', 'x']), ['a', 'x']);
+  });
+
+  QUnit.test('mergePrompt classifies every field', assert => {
+    const base = { title: 'T', content: 'l1\nl2\nl3', description: 'd', author: 'ann', category: 'c1', tags: ['t1'], variables: [], assertions: [], version: 3 };
+    const theirs = { ...base, title: 'Their title', content: 'l1\nl2\nl3 (theirs)', category: 'c2', tags: ['t1', 't2'], version: 4 };
+    const mine = { ...base, content: 'l1 (mine)\nl2\nl3', category: 'c3', tags: [], description: 'd' };
+    delete mine.author;
+    const { merged, conflicts, fields } = mergePrompt(base, mine, theirs);
+    const outcome = Object.fromEntries(fields.map(f => [f.field, f.outcome]));
+    assert.deepEqual(outcome, {
+      title: 'theirs',
+      content: 'merged',
+      description: 'unchanged',
+      author: 'unchanged',
+      category: 'conflict',
+      tags: 'merged',
+      variables: 'unchanged',
+      assertions: 'unchanged'
+    });
+    assert.deepEqual(conflicts, ['category']);
+    assert.equal(merged.title, 'Their title');
+    assert.equal(merged.content, 'l1 (mine)\nl2\nl3 (theirs)');
+    assert.equal(merged.category, 'c3', 'Conflicts default to my value');
+    assert.deepEqual(merged.tags, ['t2'], 'I removed t1, they added t2');
+    assert.equal(merged.author, 'ann', 'Fields I did not send count as unchanged');
+  });
+});
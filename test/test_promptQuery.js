@@ -0,0 +1,99 @@
+import { parsePromptQuery, queryPrompts, listQueryFromParams, needsClientFiltering, mergeIntoPage, PROMPT_LIST_MAX_LIMIT } from '../js/util/promptQuery.js';
+
+const prompts = [
+  { id: 'p1', title: 'Summarise', content: 'Summarise {{text}}', description: '', category: 'c1', tags: ['t1'], author: 'ann', created_at: '2025-01-10T09:00:00+00:00', updated_at: '2025-03-01T10:00:00+00:00', version: 2 },
+  { id: 'p2', title: 'translate', content: 'Translate to French', description: 'Handy for travel', category: 'c2', tags: ['t1', 't2'], author: 'bob', created_at: '2025-02-05T12:00:00+02:00', updated_at: '2025-02-05T12:00:00+02:00' },
+  { id: 'p3', title: 'Classify', content: 'Label the ticket', category: 'c1', tags: [], author: 'ann', created_at: '2025-02-28T23:30:00-01:00', updated_at: '2025-04-01T08:00:00+00:00' },
+  { id: 'p4', title: 'Draft email', content: 'Write an email', category: 'c2', tags: ['t2'], author: 'cy' }
+];
+const ids = page => page.prompts.map(p => p.id);
+
+QUnit.module('util/promptQuery.js', () => {
+  QUnit.test('filters by category, tag, author and text', assert => {
+    assert.deepEqual(ids(queryPrompts(prompts, { category: 'c1' })), ['p1', 'p3']);
+    assert.deepEqual(ids(queryPrompts(prompts, { tag: 't2' })), ['p2', 'p4']);
+    assert.deepEqual(ids(queryPrompts(prompts, { author: 'ann', tag: 't1' })), ['p1']);
+    assert.deepEqual(ids(queryPrompts(prompts, { q: 'TRAVEL' })), ['p2'], 'Description, case-insensitive');
+    assert.deepEqual(ids(queryPrompts(prompts, { q: 'email' })), ['p4']);
+    assert.equal(queryPrompts(prompts, { category: 'nope' }).total, 0);
+  });
+
+  QUnit.test('ids limits the list to those prompts, in storage order', assert => {
+    assert.deepEqual(ids(queryPrompts(prompts, { ids: 'p4, p2,missing' })), ['p2', 'p4']);
+    assert.deepEqual(ids(queryPrompts(prompts, { ids: 'p1,p2', tag: 't2' })), ['p2'], 'Other filters still apply');
+    assert.deepEqual(ids(queryPrompts(prompts, { ids: ',' })), [], 'No IDs, no prompts');
+  });
+
+  QUnit.test('date ranges compare instants; a bare `to` date includes the whole day', assert => {
+    assert.deepEqual(ids(queryPrompts(prompts, { from: '2025-02-01', to: '2025-02-28' })), ['p2'], 'p3 is 1 March UTC');
+    assert.deepEqual(ids(queryPrompts(prompts, { from: '2025-02-01', to: '2025-03-01' })), ['p2', 'p3']);
+    assert.deepEqual(ids(queryPrompts(prompts, { to: '2025-01-10T08:59:59Z' })), [], 'Prompts without the date are left out');
+    assert.deepEqual(ids(queryPrompts(prompts, { date_field: 'updated_at', from: '2025-03-01T10:00:00Z' })), ['p1', 'p3']);
+  });
+
+  QUnit.test('sorts are stable, case-insensitive and can be descending', assert => {
+    assert.deepEqual(ids(queryPrompts(prompts, { sort: 'title' })), ['p3', 'p4', 'p1', 'p2']);
+    assert.deepEqual(ids(queryPrompts(prompts, { sort: '-updated_at' })), ['p3', 'p1', 'p2', 'p4'], 'Missing dates last when descending');
+    assert.deepEqual(ids(queryPrompts(prompts, { sort: '-author' })), ['p4', 'p2', 'p1', 'p3'], 'Ties keep storage order');
+  });
+
+  QUnit.test('pages follow next_cursor until it is null', assert => {
+    const first = queryPrompts(prompts, { limit: 3 });
+    assert.deepEqual([ids(first), first.total, first.next_cursor], [['p1', 'p2', 'p3'], 4, '3']);
+    const second = queryPrompts(prompts, { limit: 3, cursor: first.next_cursor });
+    assert.deepEqual([ids(second), second.total, second.next_cursor], [['p4'], 4, null]);
+    assert.equal(queryPrompts(prompts, { limit: 0 }).prompts.length, 4, 'limit=0 means every match');
+    assert.equal(parsePromptQuery({ limit: 5000 }).query.limit, PROMPT_LIST_MAX_LIMIT);
+  });
+
+  QUnit.test('fields picks what is sent; results and comments are attached on request', assert => {
+    const results = [{ id: 'r1', prompt_id: 'p1', content: 'out' }];
+    const page = queryPrompts(prompts, new URLSearchParams('fields=title,results&limit=2'), { results, comments: [{ id: 'c1', prompt_id: 'p1' }] });
+    assert.deepEqual(page.prompts, [
+      { id: 'p1', version: 2, title: 'Summarise', results },
+      { id: 'p2', version: 1, title: 'translate', results: [] }
+    ]);
+    const all = queryPrompts(prompts, { fields: '*' });
+    assert.deepEqual(all.prompts[0], prompts[0], 'Every stored field, no results or comments');
+    const legacy = queryPrompts(prompts, {});
+    assert.deepEqual([legacy.prompts[0].results, legacy.prompts[0].comments], [[], []], 'Without fields both are attached');
+  });
+
+  QUnit.test('invalid parameters are reported like the API does', assert => {
+    assert.equal(queryPrompts(prompts, { limit: '-1' }).error, 'limit must be a whole number');
+    assert.equal(queryPrompts(prompts, { cursor: 'abc' }).error, 'Invalid cursor');
+    assert.ok(/^sort must be one of title, author/.test(queryPrompts(prompts, { sort: 'score' }).error));
+    assert.ok(/^Invalid from date/.test(queryPrompts(prompts, { from: 'yesterday' }).error));
+    assert.ok(/^Invalid to date/.test(queryPrompts(prompts, { to: '2025-02-01T10:00' }).error), 'Times need a time zone');
+    assert.ok(/^date_field must be/.test(queryPrompts(prompts, { date_field: 'title' }).error));
+  });
+
+  QUnit.test('mergeIntoPage patches synced changes into loaded prompts', assert => {
+    const loaded = queryPrompts(prompts, { category: 'c1', sort: 'title', fields: '*,results' }).prompts;
+    const patched = mergeIntoPage(loaded, {
+      records: [{ id: 'p1', title: 'Abstract' }, { id: 'p4', category: 'c1', title: 'Brainstorm' }, { id: 'p9', category: 'c2', title: 'Other' }]
+    }, { category: 'c1', sort: 'title' });
+    assert.deepEqual(ids(patched), ['p1', 'p4', 'p3'], 'New matches are sorted in; others are left out');
+    assert.deepEqual([patched.added, patched.removed, patched.updated], [1, 0, ['p1']]);
+    assert.deepEqual(patched.prompts[0].results, [], 'Updated prompts keep the results they were loaded with');
+    const moved = mergeIntoPage(loaded, { records: [{ id: 'p3', category: 'c2' }], deleted: ['p1'] }, { category: 'c1' });
+    assert.deepEqual([ids(moved), moved.removed], [[], 2], 'Deleted and no longer matching');
+    assert.deepEqual(ids(mergeIntoPage(loaded, { records: [{ id: 'p4', category: 'c1' }] }, { category: 'c1' }, { add: false })), ['p3', 'p1']);
+    assert.deepEqual(ids(mergeIntoPage(loaded, { records: [{ id: 'p3' }], full: true }, {})), ['p3'], 'A full list drops what it does not name');
+  });
+
+  QUnit.test('listQueryFromParams maps toolbar settings to an API query', assert => {
+    assert.deepEqual(listQueryFromParams({ category: 'c2', tag: 't2', userId: 'me', sortBy: 'updated-desc', from: '2025-01-01' }, { user: 'ann', pageSize: 25 }), {
+      query: { fields: '*,results', category: 'c2', tag: 't2', author: 'ann', from: '2025-01-01', sort: '-updated_at', limit: 25 },
+      paged: true
+    });
+    assert.deepEqual(listQueryFromParams({ search: ' email ', category: 'c2' }, { pageSize: 25 }), {
+      query: { fields: '*,results', category: 'c2', limit: 25 },
+      paged: true
+    }, 'Search text is ranked in the browser and does not turn paging off');
+    const byScore = listQueryFromParams({ sortBy: 'score-desc', category: 'c1' });
+    assert.deepEqual(byScore, { query: { fields: '*,results', category: 'c1' }, paged: false }, 'Score sorting needs every match');
+    assert.ok(needsClientFiltering({ minTokens: 0 }));
+    assert.notOk(needsClientFiltering({ minScore: '', sortBy: 'title-asc', search: 'email' }));
+  });
+});
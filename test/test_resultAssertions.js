@@ -0,0 +1,116 @@
+import { ASSERTION_TYPES, validateAssertions, validateJsonSchema, evaluateAssertion, evaluateAssertions, assertionPassRate } from '../js/util/resultAssertions.js';
+
+QUnit.module('util/resultAssertions.js', hooks => {
+  QUnit.test('contains and not_contains are case-insensitive unless asked', assert => {
+    assert.ok(evaluateAssertion({ type: 'contains', value: 'summary' }, 'SUMMARY: ok').passed);
+    assert.notOk(evaluateAssertion({ type: 'contains', value: 'summary', case_sensitive: true }, 'SUMMARY: ok').passed);
+    const failed = evaluateAssertion({ type: 'not_contains', value: 'As an AI' }, 'as an ai model I think...');
+    assert.notOk(failed.passed);
+    assert.equal(failed.message, 'Output contains "As an AI"');
+    assert.deepEqual(evaluateAssertion({ type: 'not_contains', value: 'sorry' }, 'Here you go'), { passed: true, message: '' });
+  });
+
+  QUnit.test('regex matches anywhere, honouring case sensitivity', assert => {
+    assert.ok(evaluateAssertion({ type: 'regex', value: '^\\d{3}-\\d{4}$' }, '555-1234').passed);
+    assert.ok(evaluateAssertion({ type: 'regex', value: 'answer:' }, 'Final ANSWER: 42').passed);
+    assert.notOk(evaluateAssertion({ type: 'regex', value: 'answer:', case_sensitive: true }, 'Final ANSWER: 42').passed);
+    const broken = evaluateAssertion({ type: 'regex', value: '(' }, 'anything');
+    assert.notOk(broken.passed, 'An invalid regex fails instead of throwing');
+    assert.ok(broken.message.startsWith('Invalid regex'));
+  });
+
+  QUnit.test('json checks that the output parses', assert => {
+    assert.ok(evaluateAssertion({ type: 'json' }, ' {"a": 1} ').passed);
+    const bad = evaluateAssertion({ type: 'json' }, 'Sure! {"a": 1}');
+    assert.notOk(bad.passed);
+    assert.ok(bad.message.startsWith('Not valid JSON'));
+  });
+
+  QUnit.test('json_schema validates parsed output against the schema', assert => {
+    const schema = {
+      type: 'object',
+      required: ['answer', 'confidence'],
+      properties: {
+        answer: { type: 'string', minLength: 1 },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        tags: { type: 'array', items: { type: 'string' } }
+      },
+      additionalProperties: false
+    };
+    assert.ok(evaluateAssertion({ type: 'json_schema', value: schema }, '{"answer":"yes","confidence":0.9,"tags":["a"]}').passed);
+    assert.ok(evaluateAssertion({ type: 'json_schema', value: JSON.stringify(schema) }, '{"answer":"yes","confidence":1}').passed, 'Schema may be stored as JSON text');
+    const outcome = evaluateAssertion({ type: 'json_schema', value: schema }, '{"answer":"","confidence":2,"tags":[1],"extra":true}');
+    assert.notOk(outcome.passed);
+    assert.ok(outcome.message.includes('$.answer should have at least 1 characters'), outcome.message);
+    assert.ok(outcome.message.includes('(+1 more)'), 'Long error lists are truncated');
+    assert.notOk(evaluateAssertion({ type: 'json_schema', value: schema }, 'not json').passed);
+    assert.equal(evaluateAssertion({ type: 'json_schema', value: '{oops' }, '{}').message, 'Invalid JSON schema');
+  });
+
+  QUnit.test('validateJsonSchema covers the supported keywords', assert => {
+    assert.deepEqual(validateJsonSchema(3, { type: 'integer' }), []);
+    assert.deepEqual(validateJsonSchema(3.5, { type: 'integer' }), ['$ should be integer, got number']);
+    assert.deepEqual(validateJsonSchema(3, { type: 'number' }), [], 'Integers are numbers');
+    assert.deepEqual(validateJsonSchema(null, { type: ['string', 'null'] }), []);
+    assert.deepEqual(validateJsonSchema('c', { enum: ['a', 'b'] }), ['$ should be one of "a", "b"']);
+    assert.deepEqual(validateJsonSchema('v2', { const: 'v1' }), ['$ should equal "v1"']);
+    assert.deepEqual(validateJsonSchema('abc', { pattern: '^\\d+$' }), ['$ should match /^\\d+$/']);
+    assert.deepEqual(validateJsonSchema([1], { minItems: 2 }), ['$ should have at least 2 items']);
+    assert.deepEqual(validateJsonSchema({ a: { b: 'x' } }, { properties: { a: { required: ['c'] } } }), ['$.a is missing required property "c"']);
+    assert.deepEqual(validateJsonSchema({ x: 1 }, { additionalProperties: { type: 'string' } }), ['$.x should be string, got integer']);
+  });
+
+  QUnit.test('max_length counts characters', assert => {
+    assert.ok(evaluateAssertion({ type: 'max_length', value: 5 }, 'hello').passed);
+    assert.deepEqual(evaluateAssertion({ type: 'max_length', value: 4 }, 'hello'), { passed: false, message: 'Output is 5 characters (max 4)' });
+  });
+
+  QUnit.test('unknown types fail', assert => {
+    assert.notOk(evaluateAssertion({ type: 'sentiment' }, 'x').passed);
+  });
+
+  QUnit.test('evaluateAssertions keeps order and assertion IDs', assert => {
+    const outcomes = evaluateAssertions([
+      { id: 'a1', type: 'contains', value: 'foo' },
+      { id: 'a2', type: 'max_length', value: 2 }
+    ], 'foo');
+    assert.deepEqual(outcomes, [
+      { assertion_id: 'a1', type: 'contains', passed: true, message: '' },
+      { assertion_id: 'a2', type: 'max_length', passed: false, message: 'Output is 3 characters (max 2)' }
+    ]);
+    assert.deepEqual(evaluateAssertions(undefined, 'foo'), [], 'No assertions, no outcomes');
+    assert.deepEqual(evaluateAssertions([{ type: 'json' }], null).map(o => o.passed), [false], 'Missing output is treated as empty');
+  });
+
+  QUnit.test('validateAssertions reports unusable definitions', assert => {
+    assert.deepEqual(validateAssertions([
+      { type: 'contains', value: 'x' },
+      { type: 'json' },
+      { type: 'json_schema', value: '{"type":"object"}' },
+      { type: 'max_length', value: 10 }
+    ]), []);
+    const errors = validateAssertions([
+      { type: 'contains', value: '' },
+      { type: 'regex', value: '[' },
+      { type: 'json_schema', value: '[1, 2]' },
+      { type: 'max_length', value: 0 },
+      { type: 'bogus' }
+    ]);
+    assert.equal(errors.length, 5);
+    assert.ok(errors[1].startsWith('Assertion 2 has an invalid regex'));
+    assert.equal(errors[4], 'Assertion 5 has an unknown type.');
+    assert.equal(validateAssertions(new Array(51).fill({ type: 'json' })).length, 1, 'Too many assertions');
+    assert.equal(ASSERTION_TYPES.length, 6);
+  });
+
+  QUnit.test('assertionPassRate aggregates stored outcomes', assert => {
+    const stats = assertionPassRate([
+      { assertion_results: [{ passed: true }, { passed: true }] },
+      { assertion_results: [{ passed: true }, { passed: false }] },
+      { content: 'added before the prompt had assertions' },
+      { assertion_results: [] }
+    ]);
+    assert.deepEqual(stats, { passed: 3, total: 4, rate: 0.75, results: 2, fullyPassing: 1 });
+    assert.deepEqual(assertionPassRate([]), { passed: 0, total: 0, rate: null, results: 0, fullyPassing: 0 });
+  });
+});
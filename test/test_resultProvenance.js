@@ -0,0 +1,65 @@
+import { parseProvenance, resultModelLabel, listResultModels, filterResultsByModel, summarizeByModel, formatProvenance, formatLatency, UNKNOWN_MODEL } from '../js/util/resultProvenance.js';
+
+const results = [
+  { id: 'a', model: 'gpt-4o', model_version: '2024-08-06', score: 80, latency_ms: 1000, usage: { input_tokens: 100, output_tokens: 300 } },
+  { id: 'b', model: 'gpt-4o', model_version: '2024-08-06', score: 60, latency_ms: 2000, usage: { input_tokens: 120, output_tokens: 100 } },
+  { id: 'c', model: 'claude-3-haiku', latency_ms: 500 },
+  { id: 'd', content: 'legacy result' }
+];
+
+QUnit.module('util/resultProvenance.js', hooks => {
+  QUnit.test('parseProvenance builds the API shape from form values', assert => {
+    const { provenance, errors } = parseProvenance({
+      model: ' gpt-4o ', model_version: '', temperature: '0.7', top_p: '1', max_tokens: '512',
+      latency_ms: '850', input_tokens: '10', output_tokens: '', run_at: '2025-05-01T10:00:00Z'
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(provenance, {
+      model: 'gpt-4o',
+      run_at: '2025-05-01T10:00:00.000Z',
+      parameters: { temperature: 0.7, top_p: 1, max_tokens: 512 },
+      latency_ms: 850,
+      usage: { input_tokens: 10 }
+    });
+    assert.deepEqual(parseProvenance({}), { provenance: {}, errors: [] }, 'Everything is optional');
+  });
+
+  QUnit.test('parseProvenance rejects out-of-range values', assert => {
+    const { provenance, errors } = parseProvenance({ temperature: '3', top_p: '-0.1', max_tokens: '1.5', latency_ms: 'fast', run_at: 'not a date' });
+    assert.equal(errors.length, 5, 'One error per bad field');
+    assert.deepEqual(provenance, {}, 'Bad fields are dropped');
+    assert.ok(errors.some(e => e.includes('Temperature') && e.includes('between 0 and 2')));
+    assert.ok(errors.some(e => e.includes('Max tokens') && e.includes('whole number')));
+  });
+
+  QUnit.test('model labels, listing and filtering', assert => {
+    assert.equal(resultModelLabel(results[0]), 'gpt-4o 2024-08-06', 'Version appended');
+    assert.equal(resultModelLabel(results[2]), 'claude-3-haiku');
+    assert.equal(resultModelLabel(results[3]), UNKNOWN_MODEL);
+    assert.deepEqual(listResultModels(results), ['claude-3-haiku', 'gpt-4o 2024-08-06', UNKNOWN_MODEL], 'Sorted, unknown last');
+    assert.deepEqual(filterResultsByModel(results, 'gpt-4o 2024-08-06').map(r => r.id), ['a', 'b']);
+    assert.equal(filterResultsByModel(results, '').length, 4, 'Empty filter keeps all');
+  });
+
+  QUnit.test('summarizeByModel aggregates score, latency and usage', assert => {
+    const summary = summarizeByModel(results);
+    assert.deepEqual(summary.find(r => r.model === 'gpt-4o 2024-08-06'), {
+      model: 'gpt-4o 2024-08-06', count: 2, rated: 2, averageScore: 70,
+      averageLatencyMs: 1500, averageInputTokens: 110, averageOutputTokens: 200
+    });
+    const haiku = summary.find(r => r.model === 'claude-3-haiku');
+    assert.equal(haiku.averageScore, null, 'No rated results');
+    assert.equal(haiku.averageInputTokens, null, 'No usage recorded');
+  });
+
+  QUnit.test('formatProvenance and formatLatency', assert => {
+    assert.deepEqual(
+      formatProvenance({ model: 'gpt-4o', parameters: { temperature: 0.2, max_tokens: 256 }, latency_ms: 1234, usage: { output_tokens: 40 } }),
+      ['gpt-4o', 'temp 0.2', 'max 256', '1.2 s', '40 out tokens']
+    );
+    assert.deepEqual(formatProvenance({ content: 'legacy' }), [], 'Nothing recorded');
+    assert.deepEqual(formatProvenance({ model: 'mock', input: { batch_id: 'batch_x', row: 3, values: {} } }), ['mock', 'batch row 3']);
+    assert.equal(formatLatency(850), '850 ms');
+    assert.equal(formatLatency(null), '—');
+  });
+});
@@ -0,0 +1,61 @@
+import { normalizeScore, starsToScore, scoreToStars, scoreStats, getPromptScore, formatScore } from '../js/util/resultScores.js';
+import { filterByMinScore, sortByScore } from '../js/util/searchEngine.js';
+
+const rated = (...scores) => scores.map((score, i) => ({ id: `r${i}`, content: 'x', score }));
+
+QUnit.module('util/resultScores.js', hooks => {
+  QUnit.test('normalizeScore accepts 0–100 and rejects everything else', assert => {
+    assert.equal(normalizeScore(0), 0);
+    assert.equal(normalizeScore('85'), 85, 'Numeric strings');
+    assert.equal(normalizeScore(100), 100);
+    assert.equal(normalizeScore(101), null, 'Above range');
+    assert.equal(normalizeScore(-1), null, 'Below range');
+    assert.equal(normalizeScore('abc'), null, 'Not a number');
+    assert.equal(normalizeScore(''), null, 'Empty string is unrated');
+    assert.equal(normalizeScore(null), null);
+    assert.equal(normalizeScore(undefined), null);
+  });
+
+  QUnit.test('stars map to multiples of 20', assert => {
+    assert.equal(starsToScore(1), 20);
+    assert.equal(starsToScore(5), 100);
+    assert.equal(starsToScore(9), 100, 'Clamped to 5 stars');
+    assert.equal(scoreToStars(100), 5);
+    assert.equal(scoreToStars(69), 3, 'Rounded to the nearest star');
+    assert.equal(scoreToStars(null), 0, 'Unrated');
+  });
+
+  QUnit.test('scoreStats aggregates rated results only', assert => {
+    assert.deepEqual(scoreStats(rated(80, 60, null, 100)), { count: 4, rated: 3, average: 80, median: 80, min: 60, max: 100 });
+    assert.equal(scoreStats(rated(10, 20, 30, 100)).median, 25, 'Even count uses the mean of the middle pair');
+    assert.deepEqual(scoreStats([]), { count: 0, rated: 0, average: null, median: null, min: null, max: null });
+    assert.equal(scoreStats(undefined).rated, 0, 'Missing list');
+  });
+
+  QUnit.test('getPromptScore and formatScore', assert => {
+    assert.equal(getPromptScore({ results: rated(50, 75) }), 62.5);
+    assert.equal(getPromptScore({}), null, 'Prompt without results');
+    assert.equal(formatScore(62.5), '63');
+    assert.equal(formatScore(null), '—');
+  });
+});
+
+QUnit.module('util/searchEngine.js score helpers', hooks => {
+  const prompts = [
+    { id: 'low', results: rated(20) },
+    { id: 'none', results: [] },
+    { id: 'high', results: rated(90, 100) },
+    { id: 'mid', results: rated(60) }
+  ];
+
+  QUnit.test('filterByMinScore drops unrated and low-scoring prompts', assert => {
+    assert.deepEqual(filterByMinScore(prompts, 60).map(p => p.id), ['high', 'mid']);
+    assert.deepEqual(filterByMinScore(prompts, '').map(p => p.id), ['low', 'none', 'high', 'mid'], 'Empty minimum keeps everything');
+  });
+
+  QUnit.test('sortByScore orders by average with unrated prompts last', assert => {
+    assert.deepEqual(sortByScore(prompts).map(p => p.id), ['high', 'mid', 'low', 'none'], 'Highest first');
+    assert.deepEqual(sortByScore(prompts, 'asc').map(p => p.id), ['low', 'mid', 'high', 'none'], 'Lowest first');
+    assert.deepEqual(prompts.map(p => p.id), ['low', 'none', 'high', 'mid'], 'Input not mutated');
+  });
+});
@@ -0,0 +1,112 @@
+import { search, highlightMatches, searchSnippet, clearSearchCache } from '../js/util/searchEngine.js';
+
+const prompts = [
+  { id: 'p1', title: 'Meeting notes', content: 'Summarise the meeting transcript', tags: ['t1'], category: 'c1', updated_at: '2025-03-01T10:00:00Z' },
+  { id: 'p2', title: 'Summarise an article', content: 'Give the key points', tags: [], category: 'c2', updated_at: '2025-01-01T10:00:00Z' },
+  { id: 'p3', title: 'Translate', content: 'Translate to French', description: 'Handy for travel', tags: ['t2'], category: 'c1', updated_at: '2025-02-01T10:00:00Z' }
+];
+const lookups = {
+  categories: [{ id: 'c1', name: 'Writing' }, { id: 'c2', name: 'Research' }],
+  tags: [{ id: 't1', name: 'minutes' }, { id: 't2', name: 'language' }]
+};
+const ids = ({ results }) => results.map(p => p.id);
+
+QUnit.module('util/searchEngine.js search and highlighting', hooks => {
+  hooks.beforeEach(() => clearSearchCache());
+
+  QUnit.test('matches are ranked by where they are found', assert => {
+    assert.deepEqual(ids(search(prompts, 'summarise', { useCache: false })), ['p2', 'p1'], 'Title before content');
+    assert.deepEqual(ids(search(prompts, 'summ', { useCache: false })), ['p2', 'p1'], 'Words being typed match by prefix');
+    assert.deepEqual(ids(search(prompts, 'minutes', { lookups, useCache: false })), ['p1'], 'Tag names');
+    assert.deepEqual(ids(search(prompts, 'research', { lookups, useCache: false })), ['p2'], 'Category names');
+    assert.deepEqual(ids(search(prompts, 'summarise', { rank: false, useCache: false })), ['p1', 'p2'], 'rank: false keeps the given order');
+    assert.deepEqual(ids(search(prompts, '', { useCache: false })), ['p1', 'p3', 'p2'], 'No query: most recently updated first');
+  });
+
+  QUnit.test('fuzzy matching finds near spellings and reports the words it matched', assert => {
+    assert.deepEqual(ids(search(prompts, 'summarize', { useCache: false })), []);
+    const fuzzy = search(prompts, 'summarize', { fuzzy: true, useCache: false });
+    assert.deepEqual(ids(fuzzy), ['p2', 'p1']);
+    assert.deepEqual(fuzzy.highlightTerms, ['summarize', 'summarise']);
+    assert.deepEqual(ids(search(prompts, 'tx', { fuzzy: true, useCache: false })), [], 'Short terms allow fewer edits (not "to")');
+  });
+
+  QUnit.test('cached results belong to one prompt list', assert => {
+    const first = search(prompts, 'translate');
+    assert.strictEqual(search(prompts, 'translate'), first, 'Same list, same answer');
+    const edited = prompts.map(p => (p.id === 'p2' ? { ...p, title: 'Translate an article' } : p));
+    assert.deepEqual(ids(search(edited, 'translate')), ['p3', 'p2'], 'A changed list is searched again');
+  });
+
+  QUnit.test('highlightMatches marks terms and escapes everything else', assert => {
+    assert.equal(highlightMatches('Summarise <b>this</b>', ['summarise']), '<mark>Summarise</mark> &lt;b&gt;this&lt;/b&gt;');
+    assert.equal(highlightMatches('<img src=x onerror=alert(1)>', ['img']), '&lt;<mark>img</mark> src=x onerror=alert(1)&gt;');
+    assert.equal(highlightMatches('Fish & chips', ['amp']), 'Fish &amp; chips', 'Entities are not matched');
+    assert.equal(highlightMatches('a+b (c)', ['a+b', '(c']), '<mark>a+b</mark> <mark>(c</mark>)', 'Regex characters are literal');
+    assert.equal(highlightMatches('summary', ['sum', 'summary']), '<mark>summary</mark>', 'Longest match wins');
+    assert.equal(highlightMatches('5 < 6', []), '5 &lt; 6');
+    assert.equal(highlightMatches(null, ['x']), '');
+  });
+
+  QUnit.test('searchSnippet shows the part of a long text around the first match', assert => {
+    const text = `${'intro '.repeat(20)}the needle is here${' outro'.repeat(20)}`;
+    const snippet = searchSnippet(text, ['needle'], 40);
+    assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+    assert.ok(snippet.includes('needle'));
+    assert.ok(snippet.length <= 42);
+    assert.equal(searchSnippet('Short text', ['text'], 40), 'Short text');
+    assert.ok(searchSnippet(text, ['missing'], 40).startsWith('intro'), 'No match: the start');
+  });
+});
+
+QUnit.module('util/searchEngine.js query language', () => {
+  const library = [
+    { id: 'a', title: 'Weekly report', content: 'Summarise the week', author: 'ann', tags: ['t1'], category: 'c1', created_at: '2024-12-20T10:00:00Z' },
+    { id: 'b', title: 'Report draft', content: 'Draft the key points', author: 'bob', tags: ['t2'], category: 'c2', created_at: '2025-01-05T10:00:00Z' },
+    { id: 'c', title: 'Translate', content: 'Translate the weekly report to French', author: 'ann', tags: ['t2'], category: 'c1', created_at: '2025-02-01T10:00:00Z' }
+  ];
+  const names = {
+    categories: [{ id: 'c1', name: 'Writing' }, { id: 'c2', name: 'Research' }],
+    tags: [{ id: 't1', name: 'work' }, { id: 't2', name: 'language' }]
+  };
+  const find = (query, options = {}) => search(library, query, { lookups: names, useCache: false, ...options });
+
+  QUnit.test('qualifiers, phrases, negation and boolean operators', assert => {
+    assert.deepEqual(ids(find('report')), ['a', 'b', 'c'], 'Every match, title matches first');
+    assert.deepEqual(ids(find('title:report')), ['a', 'b']);
+    assert.deepEqual(ids(find('report -draft')), ['a', 'c']);
+    assert.deepEqual(ids(find('"weekly report"')), ['a', 'c']);
+    assert.deepEqual(ids(find('content:"weekly report"')), ['c']);
+    assert.deepEqual(ids(find('tag:language author:ann')), ['c'], 'Tags by name');
+    assert.deepEqual(ids(find('tag:t1 OR category:research')), ['a', 'b'], 'Tags by ID, categories by name');
+    assert.deepEqual(ids(find('(author:bob OR author:ann) AND -category:writing')), ['b']);
+    assert.deepEqual(ids(find('summarise french')), [], 'Every word has to match');
+    assert.deepEqual(ids(find('summarise OR french')), ['a', 'c']);
+  });
+
+  QUnit.test('date ranges', assert => {
+    assert.deepEqual(ids(find('created:>2025-01-01')), ['b', 'c']);
+    assert.deepEqual(ids(find('created:<2025-01-05')), ['a'], 'Before that day');
+    assert.deepEqual(ids(find('created:2025-01-05')), ['b'], 'That day');
+    assert.deepEqual(ids(find('report created:2025-01-01..2025-01-31')), ['b']);
+    assert.deepEqual(ids(find('updated:>2000-01-01')), [], 'Prompts without the date are left out');
+  });
+
+  QUnit.test('syntax errors are returned and the words still searched', assert => {
+    const result = find('title:"weekly');
+    assert.equal(result.error.message, 'Missing closing quote');
+    assert.deepEqual(ids(result), ['a', 'c']);
+    assert.equal(find('report').error, null);
+  });
+
+  QUnit.test('excluded and tag-only terms are not highlighted', assert => {
+    assert.deepEqual(find('report -draft tag:work').highlightTerms, ['report']);
+    assert.deepEqual(find('"key points" OR title:weekly').highlightTerms, ['key points', 'weekly']);
+  });
+
+  QUnit.test('words matched by prefix are highlighted only from the fields searched', assert => {
+    assert.deepEqual(find('tag:lang').highlightTerms, [], 'Not the tag names it matched');
+    assert.deepEqual(find('content:fre').highlightTerms, ['fre', 'french']);
+    assert.deepEqual(find('title:wee').highlightTerms, ['wee', 'weekly']);
+  });
+});
@@ -0,0 +1,86 @@
+import { parseSearchQuery, looseQuery, SearchSyntaxError } from '../js/util/searchQuery.js';
+
+const day = text => Date.parse(`${text}T00:00:00Z`);
+const DAY = 86400000;
+const errorOf = text => {
+  const { ast, error } = parseSearchQuery(text);
+  return ast === null && error instanceof SearchSyntaxError ? [error.message, error.index] : null;
+};
+
+QUnit.module('util/searchQuery.js', () => {
+  QUnit.test('words, phrases and qualifiers', assert => {
+    assert.deepEqual(parseSearchQuery('email').ast, { type: 'term', value: 'email' });
+    assert.deepEqual(parseSearchQuery('  ').ast, null);
+    assert.deepEqual(parseSearchQuery('title:report "key points" Tag:travel author:"Ann Lee"').ast, {
+      type: 'and',
+      children: [
+        { type: 'term', value: 'report', field: 'title' },
+        { type: 'phrase', value: 'key points' },
+        { type: 'term', value: 'travel', field: 'tags' },
+        { type: 'phrase', value: 'Ann Lee', field: 'author' }
+      ]
+    });
+    assert.deepEqual(parseSearchQuery('ratio 3:1 e-mail').ast.children.map(n => n.value), ['ratio', '3:1', 'e-mail'], 'Only letters before a colon make a qualifier');
+  });
+
+  QUnit.test('other prefixes with a colon are plain words', assert => {
+    assert.deepEqual(parseSearchQuery('http://x.com').ast, { type: 'term', value: 'http://x.com' }, 'A URL');
+    assert.deepEqual(parseSearchQuery('3:1').ast, { type: 'term', value: '3:1' }, 'A ratio');
+    assert.deepEqual(parseSearchQuery('titel:x note:').ast, {
+      type: 'and',
+      children: [{ type: 'term', value: 'titel:x' }, { type: 'term', value: 'note:' }]
+    }, 'A misspelt qualifier is searched as typed');
+    assert.deepEqual(parseSearchQuery('tag:http://x.com').ast, { type: 'term', value: 'http://x.com', field: 'tags' }, 'A known qualifier still applies');
+    assert.deepEqual(errorOf('see:x created:>2025-13-01'), ['Invalid date in created:>2025-13-01 (use YYYY-MM-DD, e.g. created:>2025-01-01)', 6], 'Values of real qualifiers are still checked');
+    assert.deepEqual(looseQuery('see:x title:"a'), { type: 'and', children: [{ type: 'term', value: 'see:x' }, { type: 'term', value: 'a' }] }, 'The fallback keeps them too');
+  });
+
+  QUnit.test('negation, OR, AND and parentheses', assert => {
+    assert.deepEqual(parseSearchQuery('a b OR c').ast, {
+      type: 'or',
+      children: [{ type: 'and', children: [{ type: 'term', value: 'a' }, { type: 'term', value: 'b' }] }, { type: 'term', value: 'c' }]
+    }, 'AND binds tighter than OR');
+    assert.deepEqual(parseSearchQuery('(tag:work OR tag:ops) -draft').ast, {
+      type: 'and',
+      children: [
+        { type: 'or', children: [{ type: 'term', value: 'work', field: 'tags' }, { type: 'term', value: 'ops', field: 'tags' }] },
+        { type: 'not', child: { type: 'term', value: 'draft' } }
+      ]
+    });
+    assert.deepEqual(parseSearchQuery('a AND NOT -"b c"').ast, {
+      type: 'and',
+      children: [{ type: 'term', value: 'a' }, { type: 'not', child: { type: 'not', child: { type: 'phrase', value: 'b c' } } }]
+    });
+    assert.deepEqual(parseSearchQuery('or - x').ast.children.map(n => n.value), ['or', '-', 'x'], 'Lower-case or and a lone - are words');
+  });
+
+  QUnit.test('date ranges cover whole UTC days', assert => {
+    assert.deepEqual(parseSearchQuery('created:>2025-01-01').ast, { type: 'date', field: 'created_at', from: day('2025-01-02'), to: null });
+    assert.deepEqual(parseSearchQuery('created:>=2025-01-01').ast.from, day('2025-01-01'));
+    assert.deepEqual(parseSearchQuery('updated:<2025-01-01').ast, { type: 'date', field: 'updated_at', from: null, to: day('2025-01-01') - 1 });
+    assert.deepEqual(parseSearchQuery('created:<=2025-01-01').ast.to, day('2025-01-02') - 1);
+    assert.deepEqual(parseSearchQuery('created:2025-02-28').ast, { type: 'date', field: 'created_at', from: day('2025-02-28'), to: day('2025-02-28') + DAY - 1 });
+    assert.deepEqual(parseSearchQuery('created:2025-01-01..2025-01-31').ast, { type: 'date', field: 'created_at', from: day('2025-01-01'), to: day('2025-02-01') - 1 });
+  });
+
+  QUnit.test('syntax errors say what is wrong and where', assert => {
+    assert.deepEqual(errorOf('title:"weekly report'), ['Missing closing quote', 6]);
+    assert.deepEqual(errorOf('a ""'), ['Empty quotes', 2]);
+    assert.deepEqual(errorOf('(a OR b'), ['Missing closing parenthesis', 0]);
+    assert.deepEqual(errorOf('a ) b'), ['Unexpected ) without an opening parenthesis', 2]);
+    assert.deepEqual(errorOf('x ()'), ['Empty parentheses', 2]);
+    assert.deepEqual(errorOf('a OR'), ['OR needs something after it', 2]);
+    assert.deepEqual(errorOf('OR a'), ['OR needs something before it', 0]);
+    assert.deepEqual(errorOf('a AND OR b'), ['AND needs something after it', 2]);
+    assert.deepEqual(errorOf('a -)'), ['Nothing to exclude after -', 2]);
+    assert.deepEqual(errorOf('a tag:'), ['tag: needs a value, e.g. tag:word or tag:"some words"', 2]);
+    assert.deepEqual(errorOf('created:>2025-13-01'), ['Invalid date in created:>2025-13-01 (use YYYY-MM-DD, e.g. created:>2025-01-01)', 0]);
+    assert.deepEqual(errorOf('created:2025-02-01..2025-01-01'), ['The range in created:2025-02-01..2025-01-01 ends before it starts', 0]);
+  });
+
+  QUnit.test('looseQuery keeps the words of a query that does not parse', assert => {
+    assert.deepEqual(looseQuery('title:"weekly rep'), { type: 'and', children: [{ type: 'term', value: 'weekly' }, { type: 'term', value: 'rep' }] });
+    assert.deepEqual(looseQuery('(a OR -b'), { type: 'and', children: [{ type: 'term', value: 'a' }, { type: 'term', value: 'b' }] });
+    assert.equal(looseQuery('tag: ""'), null);
+  });
+});
@@ -0,0 +1,135 @@
+import { createTabChannel, createLeaderElection, initTabSync } from '../js/util/tabSync.js';
+import { applyListChanges } from '../js/util/deltaSync.js';
+import { setTags, getTags, setCurrentPrompt, getCurrentPrompt, setPrompts, getPrompts, applyRemoteMutation, subscribe } from '../js/state/appState.js';
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key)
+  };
+}
+
+// A channel whose messages the test delivers by hand
+function fakeChannel() {
+  const handlers = [];
+  return {
+    posted: [],
+    post(message) {
+      this.posted.push(message);
+    },
+    onMessage: fn => handlers.push(fn),
+    receive: message => handlers.forEach(fn => fn(message)),
+    close() {}
+  };
+}
+
+QUnit.module('util/tabSync.js', hooks => {
+  hooks.beforeEach(() => {
+    setTags([]);
+    setPrompts([]);
+    setCurrentPrompt(null);
+  });
+
+  QUnit.test('one tab holds the lease; another takes over when it expires or is given up', assert => {
+    const storage = memoryStorage();
+    let time = 1000;
+    const now = () => time;
+    const a = createLeaderElection({ storage, id: 'a', leaseMs: 100, now });
+    const b = createLeaderElection({ storage, id: 'b', leaseMs: 100, now });
+    assert.ok(a.check());
+    assert.notOk(b.check());
+    time += 50;
+    assert.ok(a.check(), 'Renewed');
+    time += 120;
+    assert.ok(b.check(), 'A stopped renewing');
+    assert.notOk(a.check(), 'A steps down');
+    b.resign();
+    assert.notOk(b.isLeader());
+    assert.ok(a.check(), 'Taken at once after resigning');
+  });
+
+  QUnit.test('without BroadcastChannel, messages travel as storage events', assert => {
+    const storage = memoryStorage();
+    const written = [];
+    const spy = { ...storage, setItem: (key, value) => { written.push({ key, newValue: value }); storage.setItem(key, value); } };
+    let storageListener = null;
+    const target = { addEventListener: (type, fn) => { storageListener = fn; }, removeEventListener: () => { storageListener = null; } };
+    const channel = createTabChannel('test-sync', { BroadcastChannel: null, storage: spy, target });
+    const received = [];
+    channel.onMessage(message => received.push(message));
+    assert.equal(channel.transport, 'storage');
+    channel.post({ kind: 'state' });
+    assert.equal(storage.getItem('test-sync:message'), null, 'The key is removed straight away');
+    storageListener(written[0]);
+    assert.deepEqual(received, [], 'A tab ignores its own messages');
+    storageListener({ key: 'test-sync:message', newValue: JSON.stringify({ from: 'other', message: { kind: 'resigned' } }) });
+    storageListener({ key: 'test-sync:message', newValue: null });
+    storageListener({ key: 'unrelated', newValue: '{}' });
+    assert.deepEqual(received, [{ kind: 'resigned' }]);
+    channel.close();
+    assert.equal(storageListener, null);
+  });
+
+  QUnit.test('setter calls are broadcast and remote ones applied without echo', assert => {
+    const channel = fakeChannel();
+    const sync = initTabSync({ channel, election: { check: () => false, resign() {} } });
+    setTags([{ id: 't1', name: 'travel' }]);
+    setCurrentPrompt({ id: 'p1' });
+    setPrompts([], { broadcast: false });
+    assert.deepEqual(channel.posted, [
+      { kind: 'state', message: { type: 'set', key: 'tags', value: [{ id: 't1', name: 'travel' }] } },
+      { kind: 'state', message: { type: 'set', key: 'currentPrompt', value: { id: 'p1' } } }
+    ], 'Lists loaded whole with broadcast: false are not sent');
+
+    const seen = [];
+    const unsubscribe = subscribe((state, change) => seen.push(change));
+    channel.receive({ kind: 'state', message: { type: 'set', key: 'tags', value: [] } });
+    assert.deepEqual(getTags(), [], 'The tag deleted in the other tab is gone here too');
+    assert.deepEqual(seen, [{ type: 'remote', key: 'tags' }]);
+    channel.receive({ kind: 'state', message: { type: 'set', key: 'currentPrompt', value: null } });
+    assert.equal(getCurrentPrompt(), null);
+    assert.equal(channel.posted.length, 2, 'Remote changes are not sent back');
+    assert.notOk(applyRemoteMutation({ type: 'set', key: 'prompts', value: 'nope' }), 'Lists must be arrays');
+    assert.notOk(applyRemoteMutation({ type: 'set', key: 'session', value: {} }), 'Unknown keys are refused');
+
+    channel.receive({ kind: 'changes', list: 'prompts', changes: { records: [{ id: 'p2', title: 'From the leader' }], deleted: [], full: false } });
+    assert.deepEqual(getPrompts(), [{ id: 'p2', title: 'From the leader' }], 'Server changes passed on by the leader');
+    unsubscribe();
+    sync.stop();
+    setTags([{ id: 't2' }]);
+    assert.equal(channel.posted.length, 2, 'Stopped');
+  });
+
+  QUnit.test('records saved in any tab are passed on; server changes only by the leader', assert => {
+    const channel = fakeChannel();
+    const sync = initTabSync({ channel, election: { check: () => false, resign() {} } });
+    applyListChanges('prompts', { records: [{ id: 'p3', title: 'Saved here' }] }, 'local');
+    applyListChanges('prompts', { records: [{ id: 'p4', title: 'From the server' }] });
+    applyListChanges('prompts', { records: [{ id: 'p5', title: 'From another tab' }] }, 'tab');
+    assert.deepEqual(getPrompts().map(p => p.id), ['p3', 'p4', 'p5']);
+    assert.deepEqual(channel.posted, [
+      { kind: 'changes', list: 'prompts', changes: { records: [{ id: 'p3', title: 'Saved here' }], deleted: [], full: false } }
+    ], 'Only the saved prompt is sent, not the whole list');
+    sync.stop();
+  });
+
+  QUnit.test('leadership changes are reported; a resigned leader is replaced at once', assert => {
+    const channel = fakeChannel();
+    let wins = false;
+    const changes = [];
+    const sync = initTabSync({
+      channel,
+      election: { check: () => wins, resign() {} },
+      onLeadershipChange: leader => changes.push(leader)
+    });
+    assert.notOk(sync.isLeader());
+    wins = true;
+    channel.receive({ kind: 'resigned' });
+    assert.ok(sync.isLeader());
+    sync.stop();
+    assert.deepEqual(changes, [true, false]);
+    assert.deepEqual(channel.posted.at(-1), { kind: 'resigned' }, 'Stopping hands leadership on');
+  });
+});
@@ -0,0 +1,77 @@
+import { extractVariables, fillTemplate, getMissingVariables, getPromptText, hasVariables, resolveVariableDefinitions, getDefaultValues } from '../js/util/templateVars.js';
+import { validateEntity, validateTemplateValues } from '../js/util/dataValidator.js';
+
+QUnit.module('util/templateVars.js', hooks => {
+  QUnit.test('extractVariables finds unique placeholders in order', assert => {
+    assert.deepEqual(extractVariables('Summarize {{input_text}} in {{ language }}, then {{input_text}} again'), ['input_text', 'language'], 'Unique names, first-appearance order, whitespace tolerated');
+    assert.deepEqual(extractVariables('No placeholders here'), [], 'Plain text has no variables');
+    assert.deepEqual(extractVariables('{{> shared_preamble}} {{1bad}} {{}}'), [], 'Includes and invalid names are ignored');
+    assert.deepEqual(extractVariables(null), [], 'Null input yields empty array');
+    assert.ok(hasVariables('Hi {{name}}'), 'hasVariables detects a placeholder');
+  });
+
+  QUnit.test('fillTemplate replaces filled values and keeps unfilled placeholders', assert => {
+    const text = 'Translate {{text}} into {{language}}.';
+    assert.equal(fillTemplate(text, { text: 'hello', language: 'French' }), 'Translate hello into French.', 'All values filled');
+    assert.equal(fillTemplate(text, { text: 'hello' }), 'Translate hello into {{language}}.', 'Missing value leaves placeholder');
+    assert.equal(fillTemplate(text, { text: '$& {{language}}' , language: 'French' }), 'Translate $& {{language}} into French.', 'Values are inserted literally, not re-expanded');
+    assert.deepEqual(getMissingVariables(text, { text: '  ' }), ['text', 'language'], 'Blank values count as missing');
+    assert.equal(fillTemplate(text, { text: '  ', language: '\n' }), text, 'Blank values leave the placeholder too');
+  });
+
+  QUnit.test('names of Object.prototype members are ordinary variables', assert => {
+    const text = 'Use {{constructor}} and {{toString}}.';
+    assert.equal(fillTemplate(text, {}), text, 'Inherited members are not values');
+    assert.deepEqual(getMissingVariables(text, {}), ['constructor', 'toString'], 'Both are reported as missing');
+    assert.equal(fillTemplate(text, { constructor: 'A', toString: 'B' }), 'Use A and B.', 'Own values are filled');
+    assert.deepEqual(getMissingVariables(text, { constructor: 'A' }), ['toString']);
+    const result = validateTemplateValues({}, [{ name: 'constructor', type: 'text', required: true }]);
+    assert.notOk(result.isValid, 'A required variable named constructor still needs a value');
+  });
+
+  QUnit.test('getPromptText reads content with a fallback to the legacy prompt field', assert => {
+    assert.equal(getPromptText({ content: 'A' }), 'A', 'Uses content');
+    assert.equal(getPromptText({ prompt: 'Summarize this: {{input_text}}' }), 'Summarize this: {{input_text}}', 'Falls back to prompt');
+    assert.equal(getPromptText(null), '', 'Null prompt yields empty string');
+  });
+
+  QUnit.test('resolveVariableDefinitions merges declarations with placeholders', assert => {
+    const defs = resolveVariableDefinitions('{{tone}} {{topic}}', [
+      { name: 'tone', type: 'enum', options: ['formal', 'casual'], default: 'casual' },
+      { name: 'removed', type: 'number' }
+    ]);
+    assert.deepEqual(defs.map(d => d.name), ['tone', 'topic'], 'One entry per placeholder; declarations without one left out by default');
+    assert.equal(defs[1].type, 'text', 'Undeclared variables default to optional text');
+    assert.deepEqual(getDefaultValues(defs), { tone: 'casual' }, 'Defaults collected by name');
+  });
+
+  QUnit.test('resolveVariableDefinitions keeps and flags unused declarations on request', assert => {
+    const declarations = [
+      { name: 'removed', type: 'number', default: 3 },
+      { name: 'tone', type: 'enum', options: ['formal', 'casual'] }
+    ];
+    const defs = resolveVariableDefinitions('{{tone}} {{topic}}', declarations, { keepUnused: true });
+    assert.deepEqual(defs.map(d => d.name), ['tone', 'topic', 'removed'], 'Placeholders first, then the unused declarations');
+    assert.deepEqual(defs[2], { type: 'number', required: false, name: 'removed', default: 3, unused: true }, 'The unused declaration is kept whole and flagged');
+    assert.notOk(defs.slice(0, 2).some(d => d.unused), 'Declarations in use are not flagged');
+  });
+
+  QUnit.test('variable declarations and values are validated by type', assert => {
+    assert.ok(validateEntity({ name: 'count', type: 'number', default: 3 }, 'variable').isValid, 'Valid number declaration');
+    assert.notOk(validateEntity({ name: 'mode', type: 'enum', options: [] }, 'variable').isValid, 'Enum needs options');
+    assert.notOk(validateEntity({ name: 'mode', type: 'enum', options: ['a'], default: 'b' }, 'variable').isValid, 'Enum default must be an option');
+    assert.notOk(validateEntity({ name: 'x', type: 'date' }, 'variable').isValid, 'Unknown type rejected');
+
+    const defs = [
+      { name: 'text', type: 'multiline', required: true },
+      { name: 'count', type: 'number' },
+      { name: 'tone', type: 'enum', options: ['formal', 'casual'] },
+      { name: 'bullets', type: 'boolean' }
+    ];
+    const ok = validateTemplateValues({ text: 'hi', count: '5', tone: 'formal', bullets: 'true' }, defs);
+    assert.ok(ok.isValid, 'Valid values pass');
+    assert.deepEqual(ok.values, { text: 'hi', count: 5, tone: 'formal', bullets: true }, 'Values are coerced to their types');
+    const bad = validateTemplateValues({ text: ' ', count: 'many', tone: 'angry' }, defs);
+    assert.deepEqual(bad.errors.map(e => e.field), ['text', 'count', 'tone'], 'Required, number and enum errors reported');
+  });
+});
@@ -0,0 +1,63 @@
+import { diffWords, diffStats, diffSnapshots, snapshotFieldText, REVISION_FIELDS } from '../js/util/textDiff.js';
+
+const join = (parts, ...types) => parts.filter(p => types.includes(p.type)).map(p => p.text).join('');
+
+QUnit.module('util/textDiff.js', hooks => {
+  QUnit.test('identical text is a single equal part', assert => {
+    assert.deepEqual(diffWords('same text', 'same text'), [{ type: 'equal', text: 'same text' }]);
+    assert.deepEqual(diffWords('', ''), [], 'Empty texts');
+  });
+
+  QUnit.test('word insertions, deletions and replacements', assert => {
+    assert.deepEqual(diffWords('a quick fox', 'a quick brown fox'), [
+      { type: 'equal', text: 'a quick ' },
+      { type: 'insert', text: 'brown ' },
+      { type: 'equal', text: 'fox' }
+    ], 'Insertion');
+    assert.deepEqual(diffWords('keep this short', 'keep short'), [
+      { type: 'equal', text: 'keep ' },
+      { type: 'delete', text: 'this ' },
+      { type: 'equal', text: 'short' }
+    ], 'Deletion');
+    const replaced = diffWords('Write a poem', 'Write an essay');
+    assert.deepEqual(replaced.filter(p => p.type !== 'equal').map(p => [p.type, p.text]), [['delete', 'a poem'], ['insert', 'an essay']], 'Adjacent changes are merged');
+  });
+
+  QUnit.test('diff parts rebuild both texts', assert => {
+    const before = 'You are a helpful assistant.\nAnswer in English.\n\nBe brief.';
+    const after = 'You are a concise assistant.\nAnswer in French.\nBe brief, please.';
+    const parts = diffWords(before, after);
+    assert.equal(join(parts, 'equal', 'delete'), before, 'Old text');
+    assert.equal(join(parts, 'equal', 'insert'), after, 'New text');
+    assert.deepEqual(diffStats(parts), { inserted: 4, deleted: 3 }, 'Changed word counts');
+  });
+
+  QUnit.test('whitespace-only changes are reported', assert => {
+    const parts = diffWords('one two', 'one  two');
+    assert.ok(parts.some(p => p.type !== 'equal'), 'Extra space shows up');
+    assert.deepEqual(diffStats(parts), { inserted: 0, deleted: 0 }, 'No words changed');
+  });
+
+  QUnit.test('snapshot fields are rendered as text', assert => {
+    assert.equal(snapshotFieldText({ tags: ['a', 'b'] }, 'tags'), 'a, b');
+    assert.equal(
+      snapshotFieldText({ variables: [{ name: 'tone', type: 'enum', required: true, options: ['formal', 'casual'] }] }, 'variables'),
+      'tone (enum, required) [formal | casual]'
+    );
+    assert.equal(snapshotFieldText({}, 'description'), '', 'Missing fields are empty');
+    assert.equal(
+      snapshotFieldText({ assertions: [{ type: 'contains', value: 'Summary', case_sensitive: true }, { type: 'json' }, { type: 'json_schema', value: { type: 'object' } }] }, 'assertions'),
+      'contains: Summary (case sensitive)\njson\njson_schema: {"type":"object"}'
+    );
+  });
+
+  QUnit.test('diffSnapshots reports every field and which changed', assert => {
+    const result = diffSnapshots(
+      { title: 'Summary', content: 'Summarize {{text}}', tags: ['a'] },
+      { title: 'Summary', content: 'Summarize {{text}} in 3 bullets', tags: ['a', 'b'] }
+    );
+    assert.deepEqual(result.map(f => f.field), REVISION_FIELDS, 'Fields in display order');
+    assert.deepEqual(result.filter(f => f.changed).map(f => f.field), ['content', 'tags']);
+    assert.equal(join(result.find(f => f.field === 'content').parts, 'insert'), ' in 3 bullets');
+  });
+});
@@ -0,0 +1,59 @@
+import { estimateTokens, checkContextFit, formatTokenCount, getModel, DEFAULT_MODEL_ID } from '../js/util/tokenEstimator.js';
+import { filterByTokenRange, sortByLength, search } from '../js/util/searchEngine.js';
+
+const short = { id: 'short', title: 'Short', content: 'Say hi.', updated_at: '2025-01-03' };
+const medium = { id: 'medium', title: 'Medium', content: 'Summarize the following article in three bullet points for a busy executive.', updated_at: '2025-01-02' };
+const long = { id: 'long', title: 'Long', content: 'Review this code carefully. '.repeat(50), updated_at: '2025-01-01' };
+
+QUnit.module('util/tokenEstimator.js', hooks => {
+  QUnit.test('estimateTokens approximates common tokenizers', assert => {
+    assert.equal(estimateTokens(''), 0, 'Empty text has no tokens');
+    assert.equal(estimateTokens(null), 0, 'Non-string input has no tokens');
+    assert.equal(estimateTokens('Hello world'), 2, 'Short English words are one token each');
+    const sentence = 'The quick brown fox jumps over the lazy dog.';
+    const tokens = estimateTokens(sentence);
+    assert.ok(tokens >= 9 && tokens <= 12, `English sentence is close to the real count (got ${tokens})`);
+    assert.ok(estimateTokens(sentence, 'anthropic') >= tokens, 'Claude tokenizer is not cheaper than OpenAI for English');
+    assert.equal(estimateTokens('1234567', 'openai'), 3, 'OpenAI groups digits in threes');
+    assert.equal(estimateTokens('1234567', 'llama'), 7, 'Llama splits digits individually');
+    assert.ok(estimateTokens('こんにちは世界') > 2, 'Non-Latin scripts cost more tokens per character');
+  });
+
+  QUnit.test('checkContextFit compares against the model context window', assert => {
+    const fit = checkContextFit('Hello world', 'llama-3-8b');
+    assert.equal(fit.contextWindow, 8192, 'Uses the model context window');
+    assert.ok(fit.fits, 'Short text fits');
+    const huge = 'word '.repeat(9000);
+    const over = checkContextFit(huge, 'llama-3-8b');
+    assert.notOk(over.fits, 'Text larger than the window does not fit');
+    assert.ok(over.ratio > 1, 'Ratio above 1 when over the limit');
+    assert.ok(checkContextFit(huge, 'gpt-4o').fits, 'Same text fits a larger window');
+    assert.notOk(checkContextFit('Hello world', 'llama-3-8b', { reservedOutputTokens: 8191 }).fits, 'Reserved output tokens shrink the window');
+    assert.equal(getModel('unknown-model').id, DEFAULT_MODEL_ID, 'Unknown models fall back to the default');
+  });
+
+  QUnit.test('formatTokenCount is compact', assert => {
+    assert.equal(formatTokenCount(950), '950');
+    assert.equal(formatTokenCount(1234), '1.2k');
+    assert.equal(formatTokenCount(128000), '128k');
+    assert.equal(formatTokenCount(2000000), '2M');
+  });
+});
+
+QUnit.module('util/searchEngine.js token range and length sort', hooks => {
+  QUnit.test('filterByTokenRange keeps prompts within bounds', assert => {
+    const prompts = [short, medium, long];
+    assert.deepEqual(filterByTokenRange(prompts, {}).map(p => p.id), ['short', 'medium', 'long'], 'No bounds keeps everything');
+    assert.deepEqual(filterByTokenRange(prompts, { max: 20 }).map(p => p.id), ['short', 'medium'], 'Maximum bound');
+    assert.deepEqual(filterByTokenRange(prompts, { min: 10, max: '' }).map(p => p.id), ['medium', 'long'], 'Minimum bound, empty maximum ignored');
+  });
+
+  QUnit.test('sortByLength and search sortBy order by estimated tokens', assert => {
+    const prompts = [medium, long, short];
+    assert.deepEqual(sortByLength(prompts).map(p => p.id), ['short', 'medium', 'long'], 'Shortest first');
+    assert.deepEqual(sortByLength(prompts, 'desc').map(p => p.id), ['long', 'medium', 'short'], 'Longest first');
+    assert.deepEqual(prompts.map(p => p.id), ['medium', 'long', 'short'], 'Input is not mutated');
+    const { results } = search(prompts, '', { sortBy: 'length-desc', filters: { tokenRange: { max: 20 } }, useCache: false });
+    assert.deepEqual(results.map(p => p.id), ['medium', 'short'], 'search applies the token range and length sort');
+  });
+});